@@ -22,7 +22,13 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for signature checks on gateway callbacks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Sanitize data to prevent NoSQL injection
@@ -45,7 +51,19 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       users: '/api/users',
       payments: '/api/payments',
-      roles: '/api/roles'
+      roles: '/api/roles',
+      approvalPolicies: '/api/approval-policies',
+      recurringPayments: '/api/recurring-payments',
+      paymentBatches: '/api/payment-batches',
+      reports: '/api/reports',
+      fxRates: '/api/fx-rates',
+      webhooks: '/api/webhooks',
+      spendingLimits: '/api/spending-limits',
+      riskRules: '/api/risk-rules',
+      ledger: '/api/ledger',
+      wallets: '/api/wallets',
+      payees: '/api/payees',
+      invoices: '/api/invoices'
     },
     timestamp: new Date().toISOString()
   });
@@ -0,0 +1,150 @@
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS } = require('../utils/constants');
+
+/**
+ * Get all approval policies
+ * GET /api/approval-policies
+ */
+const getAllPolicies = async (req, res, next) => {
+  try {
+    const policies = await ApprovalPolicy.find().sort({ threshold: 1 });
+
+    return successResponse(
+      res,
+      { policies },
+      'Approval policies retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get approval policy by ID
+ * GET /api/approval-policies/:id
+ */
+const getPolicyById = async (req, res, next) => {
+  try {
+    const policy = await ApprovalPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return errorResponse(
+        res,
+        'Approval policy not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return successResponse(
+      res,
+      { policy },
+      'Approval policy retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an approval policy
+ * POST /api/approval-policies
+ */
+const createPolicy = async (req, res, next) => {
+  try {
+    const { name, threshold, requiredApprovals, requiredPermissions, description, isActive } = req.body;
+
+    const policy = new ApprovalPolicy({
+      name,
+      threshold,
+      requiredApprovals,
+      requiredPermissions: requiredPermissions || [],
+      description: description || '',
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    await policy.save();
+
+    return successResponse(
+      res,
+      { policy },
+      'Approval policy created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an approval policy
+ * PUT /api/approval-policies/:id
+ */
+const updatePolicy = async (req, res, next) => {
+  try {
+    const { threshold, requiredApprovals, requiredPermissions, description, isActive } = req.body;
+
+    const policy = await ApprovalPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return errorResponse(
+        res,
+        'Approval policy not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    // Update fields
+    if (threshold !== undefined) policy.threshold = threshold;
+    if (requiredApprovals !== undefined) policy.requiredApprovals = requiredApprovals;
+    if (requiredPermissions) policy.requiredPermissions = requiredPermissions;
+    if (description !== undefined) policy.description = description;
+    if (isActive !== undefined) policy.isActive = isActive;
+
+    await policy.save();
+
+    return successResponse(
+      res,
+      { policy },
+      'Approval policy updated successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an approval policy
+ * DELETE /api/approval-policies/:id
+ */
+const deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await ApprovalPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return errorResponse(
+        res,
+        'Approval policy not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    await policy.deleteOne();
+
+    return successResponse(
+      res,
+      null,
+      'Approval policy deleted successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
@@ -0,0 +1,104 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS } = require('../utils/constants');
+const { getBaseCurrency, setRates: storeRates, loadRatesFromFile } = require('../services/fxRates');
+
+/**
+ * Load the current rates against the base currency
+ * @returns {Promise<Array>} ExchangeRate documents
+ */
+const findCurrentRates = () => {
+  return ExchangeRate.find({ baseCurrency: getBaseCurrency() })
+    .populate('updatedBy', 'firstName lastName email')
+    .sort({ currency: 1 });
+};
+
+/**
+ * Get all exchange rates
+ * GET /api/fx-rates
+ */
+const getRates = async (req, res, next) => {
+  try {
+    const rates = await findCurrentRates();
+
+    return successResponse(
+      res,
+      { baseCurrency: getBaseCurrency(), rates },
+      'Exchange rates retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or update exchange rates
+ * PUT /api/fx-rates
+ */
+const setRates = async (req, res, next) => {
+  try {
+    const updated = await storeRates(req.body.rates, { user: req.user._id });
+    const rates = await findCurrentRates();
+
+    return successResponse(
+      res,
+      { baseCurrency: getBaseCurrency(), updated, rates },
+      'Exchange rates updated successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reload exchange rates from FX_RATES_FILE
+ * POST /api/fx-rates/reload
+ */
+const reloadRates = async (req, res, next) => {
+  try {
+    const updated = await loadRatesFromFile();
+    const rates = await findCurrentRates();
+
+    return successResponse(
+      res,
+      { baseCurrency: getBaseCurrency(), updated, rates },
+      'Exchange rates reloaded successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an exchange rate
+ * New payments in that currency are refused until a rate is set again.
+ * DELETE /api/fx-rates/:currency
+ */
+const deleteRate = async (req, res, next) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({ currency: req.params.currency });
+
+    if (!rate) {
+      return errorResponse(
+        res,
+        'Exchange rate not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return successResponse(
+      res,
+      null,
+      'Exchange rate deleted successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRates,
+  setRates,
+  reloadRates,
+  deleteRate
+};
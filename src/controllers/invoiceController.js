@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payee = require('../models/Payee');
+const Payment = require('../models/Payment');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS, INVOICE_STATUS, PAYEE_VERIFICATION_STATUS } = require('../utils/constants');
+const { getUnallocatedMinor, countActivePayments } = require('../services/invoices');
+const { fromMinorUnits } = require('../utils/currencies');
+
+// Invoices that can still be paid
+const PAYABLE_STATUSES = [INVOICE_STATUS.OPEN, INVOICE_STATUS.PARTIALLY_PAID];
+
+/**
+ * Keep the fields of requested line items that can be set; amounts are derived by the model
+ * @param {Array} lineItems - Line items from the request body
+ * @returns {Array}
+ */
+const toLineItems = (lineItems) => lineItems.map(({ description, quantity, unitPrice }) => ({
+  description,
+  quantity,
+  unitPrice
+}));
+
+/**
+ * Build the invoice filter from query parameters
+ * @param {Object} query - status, issuerId, currency, overdue, outstanding,
+ *   minOutstanding, maxOutstanding, dueBefore and dueAfter query parameters
+ * @returns {Object} MongoDB filter
+ */
+const buildInvoiceFilter = (query) => {
+  const { status, issuerId, currency, overdue, outstanding, minOutstanding, maxOutstanding, dueBefore, dueAfter } = query;
+  const conditions = [];
+
+  if (status) conditions.push({ status });
+  // Cast here: the filter is also used in an aggregation, which does not cast
+  if (issuerId) conditions.push({ issuer: new mongoose.Types.ObjectId(issuerId) });
+  if (currency) conditions.push({ currency });
+
+  // Overdue: still payable and past its due date
+  const overdueCondition = { status: { $in: PAYABLE_STATUSES }, dueDate: { $lt: new Date() } };
+  if (overdue === 'true') conditions.push(overdueCondition);
+  if (overdue === 'false') conditions.push({ $nor: [overdueCondition] });
+
+  // Outstanding: still payable with a balance left (cancelled invoices owe nothing)
+  if (outstanding === 'true') conditions.push({ status: { $in: PAYABLE_STATUSES }, outstandingMinor: { $gt: 0 } });
+  if (outstanding === 'false') conditions.push({ status: { $nin: PAYABLE_STATUSES } });
+
+  // Outstanding balance range, in units of each invoice's currency
+  if (minOutstanding !== undefined || maxOutstanding !== undefined) {
+    const range = {};
+    if (minOutstanding !== undefined) range.$gte = parseFloat(minOutstanding);
+    if (maxOutstanding !== undefined) range.$lte = parseFloat(maxOutstanding);
+    conditions.push({ status: { $in: PAYABLE_STATUSES }, outstanding: range });
+  }
+
+  if (dueBefore || dueAfter) {
+    const range = {};
+    if (dueAfter) range.$gte = new Date(dueAfter);
+    if (dueBefore) range.$lt = new Date(dueBefore);
+    conditions.push({ dueDate: range });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Get all invoices
+ * GET /api/invoices
+ */
+const getAllInvoices = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const filter = buildInvoiceFilter(req.query);
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await Invoice.countDocuments(filter);
+
+    const invoices = await Invoice.find(filter)
+      .populate('issuer', 'name type verificationStatus')
+      .sort({ dueDate: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Outstanding balance of every matching invoice, per currency
+    const totals = await Invoice.aggregate([
+      { $match: filter },
+      { $group: { _id: '$currency', outstandingMinor: { $sum: '$outstandingMinor' }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return successResponse(
+      res,
+      {
+        invoices,
+        outstanding: totals.map(t => ({
+          currency: t._id,
+          outstanding: fromMinorUnits(t.outstandingMinor, t._id),
+          outstandingMinor: t.outstandingMinor,
+          count: t.count
+        })),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      },
+      'Invoices retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get invoice by ID, with its payments
+ * GET /api/invoices/:id
+ */
+const getInvoiceById = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('issuer', 'name type email verificationStatus')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('cancelledBy', 'firstName lastName email');
+
+    if (!invoice) {
+      return errorResponse(
+        res,
+        'Invoice not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const payments = await Payment.find({ invoice: invoice._id })
+      .select('transactionId amount amountMinor refundedAmount currency status createdAt completedAt')
+      .sort({ createdAt: 1 });
+
+    // What new payments can still cover, once payments in flight are accounted for
+    const unallocatedMinor = PAYABLE_STATUSES.includes(invoice.status)
+      ? await getUnallocatedMinor(invoice)
+      : 0;
+
+    return successResponse(
+      res,
+      {
+        invoice,
+        overdue: invoice.isOverdue(),
+        unallocated: fromMinorUnits(unallocatedMinor, invoice.currency),
+        unallocatedMinor,
+        payments
+      },
+      'Invoice retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an invoice
+ * POST /api/invoices
+ */
+const createInvoice = async (req, res, next) => {
+  try {
+    const { number, issuerId, description, currency, lineItems, issueDate, dueDate } = req.body;
+
+    const issuer = await Payee.findById(issuerId);
+
+    if (!issuer) {
+      return errorResponse(
+        res,
+        'Issuer not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    if (issuer.verificationStatus === PAYEE_VERIFICATION_STATUS.REJECTED) {
+      return errorResponse(
+        res,
+        `Payee ${issuer.name} has been rejected and cannot be paid`,
+        HTTP_STATUS.UNPROCESSABLE_ENTITY
+      );
+    }
+
+    const invoice = new Invoice({
+      number,
+      issuer: issuer._id,
+      description,
+      currency,
+      lineItems: toLineItems(lineItems),
+      issueDate,
+      dueDate,
+      createdBy: req.user._id
+    });
+
+    await invoice.save();
+    await invoice.populate('issuer', 'name type verificationStatus');
+
+    return successResponse(
+      res,
+      { invoice },
+      'Invoice created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an invoice
+ * The due date and description can change until the invoice is settled; the number,
+ * line items and issue date only while no payment is in flight or completed and not fully refunded.
+ * PUT /api/invoices/:id
+ */
+const updateInvoice = async (req, res, next) => {
+  try {
+    const { number, description, lineItems, issueDate, dueDate } = req.body;
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return errorResponse(
+        res,
+        'Invoice not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      return errorResponse(
+        res,
+        `Invoice cannot be updated. Current status: ${invoice.status}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const changesAmounts = number !== undefined || lineItems !== undefined || issueDate !== undefined;
+
+    if (changesAmounts) {
+      const activePayments = await countActivePayments(invoice._id);
+
+      if (activePayments > 0) {
+        return errorResponse(
+          res,
+          'The number, line items and issue date cannot change while the invoice has active payments',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+    }
+
+    // Update fields
+    if (number) invoice.number = number;
+    if (description !== undefined) invoice.description = description;
+    if (lineItems) {
+      invoice.lineItems = toLineItems(lineItems);
+    }
+    if (issueDate) invoice.issueDate = issueDate;
+    if (dueDate) invoice.dueDate = dueDate;
+
+    await invoice.save();
+
+    return successResponse(
+      res,
+      { invoice },
+      'Invoice updated successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an invoice that has no payments
+ * PUT /api/invoices/:id/cancel
+ */
+const cancelInvoice = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return errorResponse(
+        res,
+        'Invoice not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      return errorResponse(
+        res,
+        `Invoice cannot be cancelled. Current status: ${invoice.status}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const activePayments = await countActivePayments(invoice._id);
+
+    if (activePayments > 0) {
+      return errorResponse(
+        res,
+        `Invoice has ${activePayments} active payment(s) and cannot be cancelled`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    invoice.status = INVOICE_STATUS.CANCELLED;
+    invoice.cancelledAt = new Date();
+    invoice.cancelledBy = req.user._id;
+    invoice.cancellationReason = reason;
+
+    await invoice.save();
+
+    return successResponse(
+      res,
+      { invoice },
+      'Invoice cancelled successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllInvoices,
+  getInvoiceById,
+  createInvoice,
+  updateInvoice,
+  cancelInvoice
+};
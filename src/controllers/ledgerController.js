@@ -0,0 +1,116 @@
+const JournalEntry = require('../models/JournalEntry');
+const { successResponse } = require('../utils/responseFormatter');
+const {
+  getAccountBalance,
+  listAccountBalances,
+  checkIntegrity
+} = require('../services/ledger');
+
+/**
+ * Get all ledger accounts with their balances
+ * GET /api/ledger/accounts
+ */
+const getAccounts = async (req, res, next) => {
+  try {
+    const asOf = req.query.asOf || null;
+    const accounts = await listAccountBalances({ asOf });
+
+    return successResponse(
+      res,
+      { asOf, accounts },
+      'Ledger accounts retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the balance of a ledger account
+ * GET /api/ledger/accounts/:code/balance
+ */
+const getBalance = async (req, res, next) => {
+  try {
+    const balance = await getAccountBalance(req.params.code.toLowerCase(), { asOf: req.query.asOf });
+
+    return successResponse(
+      res,
+      balance,
+      'Account balance retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get journal entries (with filtering)
+ * GET /api/ledger/entries
+ */
+const getEntries = async (req, res, next) => {
+  try {
+    const { account, paymentId, type, from, to, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (account) filter['lines.account'] = account.toLowerCase();
+    if (paymentId) filter.payment = paymentId;
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.postedAt = {};
+      if (from) filter.postedAt.$gte = from;
+      if (to) filter.postedAt.$lt = to;
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await JournalEntry.countDocuments(filter);
+
+    const entries = await JournalEntry.find(filter)
+      .populate('payment', 'transactionId amount currency status')
+      .populate('postedBy', 'firstName lastName email')
+      .sort({ postedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return successResponse(
+      res,
+      {
+        entries,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      },
+      'Journal entries retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check that the ledger balances and every settled payment and refund is posted
+ * GET /api/ledger/integrity
+ */
+const getIntegrity = async (req, res, next) => {
+  try {
+    const integrity = await checkIntegrity();
+
+    return successResponse(
+      res,
+      integrity,
+      integrity.balanced ? 'Ledger is balanced' : 'Ledger is not balanced'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAccounts,
+  getBalance,
+  getEntries,
+  getIntegrity
+};
@@ -0,0 +1,245 @@
+const Payee = require('../models/Payee');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS } = require('../utils/constants');
+
+/**
+ * Get all payees
+ * GET /api/payees
+ */
+const getAllPayees = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search, type, verificationStatus } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+    if (type) {
+      filter.type = type;
+    }
+    if (verificationStatus) {
+      filter.verificationStatus = verificationStatus;
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await Payee.countDocuments(filter);
+
+    const payees = await Payee.find(filter)
+      .populate('verifiedBy', 'firstName lastName email')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return successResponse(
+      res,
+      {
+        payees,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      },
+      'Payees retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get payee by ID
+ * GET /api/payees/:id
+ */
+const getPayeeById = async (req, res, next) => {
+  try {
+    const payee = await Payee.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('verifiedBy', 'firstName lastName email');
+
+    if (!payee) {
+      return errorResponse(
+        res,
+        'Payee not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return successResponse(
+      res,
+      { payee },
+      'Payee retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a payee
+ * New payees are unverified until verified through PUT /api/payees/:id/verify.
+ * POST /api/payees
+ */
+const createPayee = async (req, res, next) => {
+  try {
+    const { name, type, email, bankDetails, walletReference } = req.body;
+
+    const payee = new Payee({
+      name,
+      type,
+      email,
+      bankDetails,
+      walletReference,
+      createdBy: req.user._id
+    });
+
+    await payee.save();
+
+    return successResponse(
+      res,
+      { payee },
+      'Payee created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a payee
+ * Changing the bank details or wallet reference resets the payee to unverified.
+ * PUT /api/payees/:id
+ */
+const updatePayee = async (req, res, next) => {
+  try {
+    const { name, type, email, bankDetails, walletReference } = req.body;
+
+    const payee = await Payee.findById(req.params.id);
+
+    if (!payee) {
+      return errorResponse(
+        res,
+        'Payee not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    // Update fields
+    if (name) payee.name = name;
+    if (type) payee.type = type;
+    if (email !== undefined) payee.email = email;
+    if (bankDetails !== undefined) payee.bankDetails = bankDetails;
+    if (walletReference !== undefined) payee.walletReference = walletReference;
+
+    await payee.save();
+
+    return successResponse(
+      res,
+      { payee },
+      'Payee updated successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify or reject a payee
+ * PUT /api/payees/:id/verify
+ */
+const verifyPayee = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    const payee = await Payee.findById(req.params.id);
+
+    if (!payee) {
+      return errorResponse(
+        res,
+        'Payee not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    payee.verificationStatus = status;
+    payee.verifiedBy = req.user._id;
+    payee.verifiedAt = new Date();
+    payee.verificationNote = note;
+
+    await payee.save();
+    await payee.populate('verifiedBy', 'firstName lastName email');
+
+    return successResponse(
+      res,
+      { payee },
+      `Payee ${status} successfully`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a payee
+ * Payees that payments were made out to are kept for the payments' history.
+ * DELETE /api/payees/:id
+ */
+const deletePayee = async (req, res, next) => {
+  try {
+    const payee = await Payee.findById(req.params.id);
+
+    if (!payee) {
+      return errorResponse(
+        res,
+        'Payee not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const paymentCount = await Payment.countDocuments({ payee: payee._id });
+
+    if (paymentCount > 0) {
+      return errorResponse(
+        res,
+        `Payee is referenced by ${paymentCount} payment(s) and cannot be deleted`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    if (await Invoice.exists({ issuer: payee._id })) {
+      return errorResponse(
+        res,
+        'Payee has issued invoices and cannot be deleted',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    await payee.deleteOne();
+
+    return successResponse(
+      res,
+      null,
+      'Payee deleted successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllPayees,
+  getPayeeById,
+  createPayee,
+  updatePayee,
+  verifyPayee,
+  deletePayee
+};
@@ -0,0 +1,243 @@
+const PaymentBatch = require('../models/PaymentBatch');
+const Payment = require('../models/Payment');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS, PERMISSIONS, PAYMENT_BATCH_STATUS } = require('../utils/constants');
+const {
+  readPaymentRows,
+  createPaymentBatch,
+  summarizePaymentBatch,
+  approvePaymentBatch: approveBatchPayments,
+  discardPaymentBatch: discardBatchPayments
+} = require('../services/paymentBatches');
+
+/**
+ * Check access: user created the batch OR has the given permission
+ * @param {Object} req - Express request object
+ * @param {Object} batch - PaymentBatch document
+ * @param {String} permission - Permission granting access to other users' batches
+ * @returns {Boolean}
+ */
+const hasBatchAccess = (req, batch, permission) => {
+  const ownerId = batch.createdBy._id || batch.createdBy;
+  return ownerId.toString() === req.user._id.toString() || req.permissions.includes(permission);
+};
+
+/**
+ * Load a batch and check the caller may act on it
+ * Sends the error response itself and resolves to null when access is refused.
+ */
+const loadBatch = async (req, res, permission) => {
+  const batch = await PaymentBatch.findById(req.params.id);
+
+  if (!batch) {
+    errorResponse(
+      res,
+      'Payment batch not found',
+      HTTP_STATUS.NOT_FOUND
+    );
+    return null;
+  }
+
+  if (!hasBatchAccess(req, batch, permission)) {
+    errorResponse(
+      res,
+      'You do not have permission to access this payment batch',
+      HTTP_STATUS.FORBIDDEN
+    );
+    return null;
+  }
+
+  return batch;
+};
+
+/**
+ * Import a CSV file as a named batch of pending payments
+ * Invalid rows and rows over the uploader's spending limits are reported and left out;
+ * the other rows are imported.
+ * POST /api/payment-batches?name=...
+ */
+const importPaymentBatch = async (req, res, next) => {
+  try {
+    const imported = await readPaymentRows(req.body);
+
+    if (imported.rows.length === 0) {
+      return errorResponse(
+        res,
+        'No valid rows to import',
+        HTTP_STATUS.BAD_REQUEST,
+        imported.rejectedRows
+      );
+    }
+
+    const batch = await createPaymentBatch(req, req.query.name, imported);
+    await batch.populate('createdBy', 'firstName lastName email');
+
+    return successResponse(
+      res,
+      { batch },
+      batch.rejectedRows.length > 0
+        ? `Imported ${batch.paymentCount} of ${batch.rowCount} rows. See rejectedRows for the rest`
+        : 'Payment batch imported successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all payment batches
+ * GET /api/payment-batches
+ */
+const getAllPaymentBatches = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    // Build filter
+    const filter = {};
+
+    // Users without global read permission only see their own batches
+    if (!req.permissions.includes(PERMISSIONS.PAYMENTS_READ)) {
+      filter.createdBy = req.user._id;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await PaymentBatch.countDocuments(filter);
+
+    const batches = await PaymentBatch.find(filter)
+      .select('-rejectedRows')
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return successResponse(
+      res,
+      {
+        batches,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      },
+      'Payment batches retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a payment batch with the progress of its payments
+ * GET /api/payment-batches/:id
+ */
+const getPaymentBatchById = async (req, res, next) => {
+  try {
+    const batch = await loadBatch(req, res, PERMISSIONS.PAYMENTS_READ);
+    if (!batch) return;
+
+    await batch.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'discardedBy', select: 'firstName lastName email' }
+    ]);
+
+    return successResponse(
+      res,
+      { batch, summary: await summarizePaymentBatch(batch) },
+      'Payment batch retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the payments of a batch
+ * GET /api/payment-batches/:id/payments
+ */
+const getPaymentBatchPayments = async (req, res, next) => {
+  try {
+    const batch = await loadBatch(req, res, PERMISSIONS.PAYMENTS_READ);
+    if (!batch) return;
+
+    const payments = await Payment.find({ batch: batch._id })
+      .populate('user', 'firstName lastName email')
+      .populate('approvedBy', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    return successResponse(
+      res,
+      { payments },
+      'Batch payments retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve every pending payment in a batch
+ * PUT /api/payment-batches/:id/approve
+ */
+const approvePaymentBatch = async (req, res, next) => {
+  try {
+    const batch = await PaymentBatch.findById(req.params.id);
+
+    if (!batch) {
+      return errorResponse(
+        res,
+        'Payment batch not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const data = await approveBatchPayments(req, batch);
+
+    return successResponse(
+      res,
+      data,
+      data.batch.status === PAYMENT_BATCH_STATUS.APPROVED
+        ? 'Payment batch approved successfully'
+        : 'Approvals recorded. Some payments in the batch are still pending'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Discard a batch and cancel its unprocessed payments
+ * PUT /api/payment-batches/:id/discard
+ */
+const discardPaymentBatch = async (req, res, next) => {
+  try {
+    const batch = await loadBatch(req, res, PERMISSIONS.PAYMENTS_APPROVE);
+    if (!batch) return;
+
+    const { batch: discardedBatch, cancelled } = await discardBatchPayments(req, batch, req.body.reason);
+
+    return successResponse(
+      res,
+      { batch: discardedBatch, cancelledPayments: cancelled },
+      'Payment batch discarded successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  importPaymentBatch,
+  getAllPaymentBatches,
+  getPaymentBatchById,
+  getPaymentBatchPayments,
+  approvePaymentBatch,
+  discardPaymentBatch
+};
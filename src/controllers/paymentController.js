@@ -1,7 +1,52 @@
 const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const PaymentEvent = require('../models/PaymentEvent');
+const Invoice = require('../models/Invoice');
 const { successResponse, errorResponse } = require('../utils/responseFormatter');
-const { HTTP_STATUS, PAYMENT_STATUS, PERMISSIONS } = require('../utils/constants');
-const { AppError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  PERMISSIONS,
+  REFUNDABLE_STATUSES,
+  PAYMENT_EVENTS,
+  EXPORT_FORMATS
+} = require('../utils/constants');
+const paymentWorkflow = require('../services/paymentWorkflow');
+const { handleGatewayCallback } = require('../services/gatewayCallbacks');
+const { quoteInBaseCurrency } = require('../services/fxRates');
+const { enforceSpendingLimits, getBaseAmountMinor } = require('../services/spendingLimits');
+const { assessPaymentRisk } = require('../services/riskScoring');
+const ledger = require('../services/ledger');
+const wallets = require('../services/wallets');
+const invoices = require('../services/invoices');
+const { findPayablePayee } = require('../services/payees');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+const {
+  EXPORT_CONTENT_TYPES,
+  DEFAULT_EXPORT_COLUMNS,
+  createExportWriter
+} = require('../services/paymentExport');
+
+/**
+ * Invoice details are only shown to callers who may read invoices; others see the ID
+ * @param {Object} req - Express request object
+ * @returns {Boolean} Whether the current user may read invoices
+ */
+const canReadInvoices = (req) => req.permissions.includes(PERMISSIONS.INVOICES_READ);
+
+/**
+ * Check access: user owns the payment OR has global read permission
+ * @param {Object} req - Express request object
+ * @param {Object} payment - Payment document (user may be populated)
+ * @returns {Boolean} Whether the current user may view the payment
+ */
+const canViewPayment = (req, payment) => {
+  const ownerId = payment.user._id || payment.user;
+  const isOwner = ownerId.toString() === req.user._id.toString();
+  const hasGlobalReadPermission = req.permissions.includes(PERMISSIONS.PAYMENTS_READ);
+
+  return isOwner || hasGlobalReadPermission;
+};
 
 /**
  * Create a new payment
@@ -9,25 +54,84 @@ const { AppError } = require('../middleware/errorHandler');
  */
 const createPayment = async (req, res, next) => {
   try {
-    const { amount, currency, description, paymentMethod, metadata } = req.body;
+    const { amount, currency = 'USD', description, invoiceId, paymentMethod, metadata, executeAt } = req.body;
+    const amountMinor = toMinorUnits(amount, currency);
+    let { payeeId } = req.body;
+
+    // A payment against an invoice is made out to the invoice's issuer
+    if (invoiceId) {
+      const invoice = await Invoice.findById(invoiceId);
+
+      if (!invoice) {
+        return errorResponse(
+          res,
+          'Invoice not found',
+          HTTP_STATUS.NOT_FOUND
+        );
+      }
+
+      if (payeeId && payeeId !== invoice.issuer.toString()) {
+        return errorResponse(
+          res,
+          'Payee must be the issuer of the invoice',
+          HTTP_STATUS.UNPROCESSABLE_ENTITY
+        );
+      }
+
+      await invoices.checkPayable(invoice, { amountMinor, currency });
+      payeeId = invoice.issuer.toString();
+    }
+
+    // Unverified payees are accepted here; approval and processing wait for their verification
+    if (payeeId) {
+      await findPayablePayee(payeeId);
+    }
 
     const payment = new Payment({
       user: req.user._id,
-      amount,
-      currency: currency || 'USD',
+      amountMinor,
+      currency,
       description,
+      payee: payeeId,
+      invoice: invoiceId,
       paymentMethod: paymentMethod || 'card',
       metadata: metadata || {},
+      fx: { created: await quoteInBaseCurrency(fromMinorUnits(amountMinor, currency), currency) || undefined },
+      executeAt,
       status: PAYMENT_STATUS.PENDING
     });
 
+    await enforceSpendingLimits(req.user, getBaseAmountMinor(payment));
+
+    // High-risk payments wait for a reviewer before entering the approval chain
+    const { risk, held } = await assessPaymentRisk(req.user, payment);
+    payment.risk = risk;
+    if (held) {
+      payment.status = PAYMENT_STATUS.REVIEW;
+    }
+
     await payment.save();
+
+    // Concurrent payments may all have passed checkPayable
+    if (invoiceId) {
+      await invoices.confirmAllocation(payment);
+    }
+
+    await PaymentEvent.record(payment, PAYMENT_EVENTS.CREATED, {
+      req,
+      toStatus: payment.status,
+      details: { riskScore: risk.score, riskRules: risk.rules.map(rule => rule.name) }
+    });
     await payment.populate('user', 'firstName lastName email');
+    await payment.populate('payee', 'name type verificationStatus');
+    if (canReadInvoices(req)) {
+      await payment.populate('invoice', 'number total outstanding status');
+    }
 
     return successResponse(
       res,
       { payment },
-      'Payment created successfully',
+      held ? 'Payment created and held for risk review' : 'Payment created successfully',
       HTTP_STATUS.CREATED
     );
   } catch (error) {
@@ -35,42 +139,73 @@ const createPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Build the payment list filter from query parameters and the caller's visibility
+ * @param {Object} req - Express request object
+ * @returns {Object} Mongo filter
+ */
+const buildPaymentFilter = (req) => {
+  const { status, userId, batchId, payeeId, invoiceId } = req.query;
+  const filter = {};
+
+  // Regular users can only see their own payments
+  const hasGlobalReadPermission = req.permissions.includes(PERMISSIONS.PAYMENTS_READ);
+  if (!hasGlobalReadPermission) {
+    filter.user = req.user._id;
+  } else if (userId) {
+    // Admins/Managers can filter by user
+    filter.user = userId;
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (batchId) {
+    filter.batch = batchId;
+  }
+
+  if (payeeId) {
+    filter.payee = payeeId;
+  }
+
+  if (invoiceId) {
+    filter.invoice = invoiceId;
+  }
+
+  return filter;
+};
+
 /**
  * Get all payments (with filtering)
  * GET /api/payments
  */
 const getAllPayments = async (req, res, next) => {
   try {
-    const { status, userId, page = 1, limit = 10 } = req.query;
-
-    // Build filter
-    const filter = {};
-
-    // Regular users can only see their own payments
-    const hasGlobalReadPermission = req.permissions.includes(PERMISSIONS.PAYMENTS_READ);
-    if (!hasGlobalReadPermission) {
-      filter.user = req.user._id;
-    } else if (userId) {
-      // Admins/Managers can filter by user
-      filter.user = userId;
-    }
-
-    if (status) {
-      filter.status = status;
-    }
+    const { page = 1, limit = 10 } = req.query;
+    const filter = buildPaymentFilter(req);
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const total = await Payment.countDocuments(filter);
 
-    const payments = await Payment.find(filter)
+    const query = Payment.find(filter)
       .populate('user', 'firstName lastName email')
+      .populate('payee', 'name type verificationStatus')
       .populate('approvedBy', 'firstName lastName email')
       .populate('processedBy', 'firstName lastName email')
+      .populate('rejectedBy', 'firstName lastName email')
+      .populate('cancelledBy', 'firstName lastName email')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
+    if (canReadInvoices(req)) {
+      query.populate('invoice', 'number status');
+    }
+
+    const payments = await query;
+
     return successResponse(
       res,
       {
@@ -89,6 +224,77 @@ const getAllPayments = async (req, res, next) => {
   }
 };
 
+/**
+ * Wait until a response can take more data or the client has gone away
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Export payments as CSV or NDJSON
+ * Streams from a cursor, so exports are not bound by the list endpoint's page size.
+ * GET /api/payments/export
+ */
+const exportPayments = async (req, res, next) => {
+  const { format = EXPORT_FORMATS.CSV } = req.query;
+  const columns = req.query.columns || DEFAULT_EXPORT_COLUMNS;
+
+  const cursor = Payment.find(buildPaymentFilter(req))
+    .populate('user', 'firstName lastName email')
+    .populate('payee', 'name')
+    .populate('approvedBy', 'firstName lastName email')
+    .populate('rejectedBy', 'firstName lastName email')
+    .populate('processedBy', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  // Stop reading if the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(HTTP_STATUS.OK);
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="payments-${date}.${format}"`);
+
+    const writer = createExportWriter(format, columns);
+
+    for await (const payment of cursor) {
+      if (aborted) break;
+
+      const chunk = writer.write(payment);
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+
+    res.end(writer.end());
+  } catch (error) {
+    // Once streaming has started the status line is gone - cut the response short instead
+    if (res.headersSent) {
+      console.error('Payment export failed:', error);
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  } finally {
+    await cursor.close();
+  }
+};
+
 /**
  * Get payment by ID
  * GET /api/payments/:id
@@ -97,10 +303,19 @@ const getPaymentById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const payment = await Payment.findById(id)
+    const query = Payment.findById(id)
       .populate('user', 'firstName lastName email')
+      .populate('payee', 'name type verificationStatus')
       .populate('approvedBy', 'firstName lastName email')
-      .populate('processedBy', 'firstName lastName email');
+      .populate('processedBy', 'firstName lastName email')
+      .populate('rejectedBy', 'firstName lastName email')
+      .populate('cancelledBy', 'firstName lastName email');
+
+    if (canReadInvoices(req)) {
+      query.populate('invoice', 'number total outstanding status');
+    }
+
+    const payment = await query;
 
     if (!payment) {
       return errorResponse(
@@ -110,11 +325,7 @@ const getPaymentById = async (req, res, next) => {
       );
     }
 
-    // Check access: user owns the payment OR has global read permission
-    const isOwner = payment.user._id.toString() === req.user._id.toString();
-    const hasGlobalReadPermission = req.permissions.includes(PERMISSIONS.PAYMENTS_READ);
-
-    if (!isOwner && !hasGlobalReadPermission) {
+    if (!canViewPayment(req, payment)) {
       return errorResponse(
         res,
         'You do not have permission to view this payment',
@@ -133,14 +344,152 @@ const getPaymentById = async (req, res, next) => {
 };
 
 /**
- * Approve a payment
+ * Approve a payment (records one approval in the payment's approval chain)
  * PUT /api/payments/:id/approve
  */
 const approvePayment = async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { payment, evaluation } = await paymentWorkflow.approvePayment(req, req.params.id);
+
+    await payment.populate([
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'approvedBy', select: 'firstName lastName email' },
+      { path: 'approvals.approver', select: 'firstName lastName email' }
+    ]);
+
+    return successResponse(
+      res,
+      {
+        payment,
+        approvals: {
+          collected: payment.approvals,
+          ...evaluation
+        }
+      },
+      evaluation.satisfied
+        ? 'Payment approved successfully'
+        : 'Approval recorded. Further approvals are required'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a payment
+ * PUT /api/payments/:id/reject
+ */
+const rejectPayment = async (req, res, next) => {
+  try {
+    const payment = await paymentWorkflow.rejectPayment(req, req.params.id, req.body.reason);
 
-    const payment = await Payment.findById(id).populate('user', 'firstName lastName email');
+    await payment.populate([
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'rejectedBy', select: 'firstName lastName email' }
+    ]);
+
+    return successResponse(
+      res,
+      { payment },
+      'Payment rejected successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Release or reject a payment held for risk review
+ * PUT /api/payments/:id/review
+ */
+const reviewPayment = async (req, res, next) => {
+  try {
+    const { decision, note } = req.body;
+    const payment = await paymentWorkflow.reviewPayment(req, req.params.id, decision, note);
+
+    await payment.populate([
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'risk.reviewedBy', select: 'firstName lastName email' }
+    ]);
+
+    return successResponse(
+      res,
+      { payment },
+      payment.status === PAYMENT_STATUS.PENDING
+        ? 'Payment released for approval'
+        : 'Payment rejected in review'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a payment for processing through its gateway adapter
+ * The payment worker settles it; poll the payment (or subscribe to webhooks) for the result.
+ * PUT /api/payments/:id/process
+ */
+const processPayment = async (req, res, next) => {
+  try {
+    const { payment, job } = await paymentWorkflow.processPayment(req, req.params.id);
+
+    await payment.populate([
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'approvedBy', select: 'firstName lastName email' },
+      { path: 'processedBy', select: 'firstName lastName email' }
+    ]);
+
+    return successResponse(
+      res,
+      {
+        payment,
+        job: { id: job._id, status: job.status, runAt: job.runAt }
+      },
+      'Payment queued for processing',
+      HTTP_STATUS.ACCEPTED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retry a failed payment as a new processing attempt
+ * POST /api/payments/:id/retry
+ */
+const retryPayment = async (req, res, next) => {
+  try {
+    const { payment, job } = await paymentWorkflow.retryPayment(req, req.params.id);
+
+    await payment.populate([
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'processedBy', select: 'firstName lastName email' }
+    ]);
+
+    return successResponse(
+      res,
+      {
+        payment,
+        job: { id: job._id, status: job.status, runAt: job.runAt }
+      },
+      `Payment queued for processing attempt ${payment.attemptCount}`,
+      HTTP_STATUS.ACCEPTED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get every processing attempt of a payment with the retry policy
+ * GET /api/payments/:id/attempts
+ */
+const getPaymentAttempts = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('processedBy', 'firstName lastName email')
+      .populate('attemptHistory.processedBy', 'firstName lastName email')
+      .populate('attemptHistory.retriedBy', 'firstName lastName email');
 
     if (!payment) {
       return errorResponse(
@@ -150,27 +499,47 @@ const approvePayment = async (req, res, next) => {
       );
     }
 
-    // Check if payment is in pending status
-    if (payment.status !== PAYMENT_STATUS.PENDING) {
+    if (!canViewPayment(req, payment)) {
       return errorResponse(
         res,
-        `Payment cannot be approved. Current status: ${payment.status}`,
-        HTTP_STATUS.BAD_REQUEST
+        'You do not have permission to view this payment',
+        HTTP_STATUS.FORBIDDEN
       );
     }
 
-    // Update payment status
-    payment.status = PAYMENT_STATUS.APPROVED;
-    payment.approvedBy = req.user._id;
-    payment.approvedAt = new Date();
+    const retryBlocker = paymentWorkflow.getRetryBlocker(payment);
 
-    await payment.save();
-    await payment.populate('approvedBy', 'firstName lastName email');
+    return successResponse(
+      res,
+      {
+        attemptCount: payment.attemptCount,
+        attempts: paymentWorkflow.listAttempts(payment),
+        retry: {
+          allowed: !retryBlocker,
+          reason: retryBlocker,
+          maxAttempts: paymentWorkflow.getRetryPolicy().maxAttempts
+        }
+      },
+      'Payment attempts retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a payment result from a gateway provider
+ * Public: the request is authenticated by the provider's signature.
+ * POST /api/payments/callbacks/:provider
+ */
+const receiveGatewayCallback = async (req, res, next) => {
+  try {
+    const { payment, applied, message } = await handleGatewayCallback(req, req.params.provider);
 
     return successResponse(
       res,
-      { payment },
-      'Payment approved successfully'
+      { transactionId: payment.transactionId, status: payment.status, applied },
+      message
     );
   } catch (error) {
     next(error);
@@ -178,15 +547,65 @@ const approvePayment = async (req, res, next) => {
 };
 
 /**
- * Reject a payment
- * PUT /api/payments/:id/reject
+ * Approve several payments
+ * POST /api/payments/bulk/approve
  */
-const rejectPayment = async (req, res, next) => {
+const bulkApprovePayments = async (req, res, next) => {
+  try {
+    const data = await paymentWorkflow.runBulk(req.body.ids, async (id) => {
+      const { payment } = await paymentWorkflow.approvePayment(req, id);
+      return payment;
+    });
+
+    return successResponse(res, data, 'Bulk approval completed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject several payments
+ * POST /api/payments/bulk/reject
+ */
+const bulkRejectPayments = async (req, res, next) => {
+  try {
+    const data = await paymentWorkflow.runBulk(req.body.ids, (id) =>
+      paymentWorkflow.rejectPayment(req, id, req.body.reason)
+    );
+
+    return successResponse(res, data, 'Bulk rejection completed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Process several payments
+ * POST /api/payments/bulk/process
+ */
+const bulkProcessPayments = async (req, res, next) => {
+  try {
+    const data = await paymentWorkflow.runBulk(req.body.ids, async (id) => {
+      const { payment } = await paymentWorkflow.processPayment(req, id);
+      return payment;
+    });
+
+    return successResponse(res, data, 'Bulk processing queued');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a payment (owner only)
+ * PUT /api/payments/:id/cancel
+ */
+const cancelPayment = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
 
-    const payment = await Payment.findById(id).populate('user', 'firstName lastName email');
+    const payment = await Payment.findById(id);
 
     if (!payment) {
       return errorResponse(
@@ -196,28 +615,63 @@ const rejectPayment = async (req, res, next) => {
       );
     }
 
-    // Check if payment is in pending status
-    if (payment.status !== PAYMENT_STATUS.PENDING) {
+    // Only the user who submitted the payment can cancel it
+    if (payment.user.toString() !== req.user._id.toString()) {
+      return errorResponse(
+        res,
+        'You can only cancel your own payments',
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    // Check if payment is pending or approved
+    if (!payment.canTransitionTo(PAYMENT_STATUS.CANCELLED)) {
       return errorResponse(
         res,
-        `Payment cannot be rejected. Current status: ${payment.status}`,
+        `Payment cannot be cancelled. Current status: ${payment.status}`,
         HTTP_STATUS.BAD_REQUEST
       );
     }
 
-    // Update payment status
-    payment.status = PAYMENT_STATUS.REJECTED;
-    payment.approvedBy = req.user._id;
-    payment.approvedAt = new Date();
-    payment.failureReason = reason || 'Rejected by approver';
+    const previousStatus = payment.status;
 
-    await payment.save();
-    await payment.populate('approvedBy', 'firstName lastName email');
+    // Guard on the current status so a payment picked up for processing is not cancelled
+    const cancelledPayment = await Payment.findOneAndUpdate(
+      { _id: id, status: previousStatus },
+      {
+        $set: {
+          status: PAYMENT_STATUS.CANCELLED,
+          cancelledBy: req.user._id,
+          cancelledAt: new Date(),
+          cancellationReason: reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!cancelledPayment) {
+      return errorResponse(
+        res,
+        'Payment was modified by another request. Please retry.',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    await PaymentEvent.record(cancelledPayment, PAYMENT_EVENTS.CANCELLED, {
+      req,
+      fromStatus: previousStatus,
+      toStatus: PAYMENT_STATUS.CANCELLED,
+      reason
+    });
+    await cancelledPayment.populate([
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'cancelledBy', select: 'firstName lastName email' }
+    ]);
 
     return successResponse(
       res,
-      { payment },
-      'Payment rejected successfully'
+      { payment: cancelledPayment },
+      'Payment cancelled successfully'
     );
   } catch (error) {
     next(error);
@@ -225,16 +679,14 @@ const rejectPayment = async (req, res, next) => {
 };
 
 /**
- * Process a payment (simulated)
- * PUT /api/payments/:id/process
+ * Delete a payment
+ * DELETE /api/payments/:id
  */
-const processPayment = async (req, res, next) => {
+const deletePayment = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const payment = await Payment.findById(id)
-      .populate('user', 'firstName lastName email')
-      .populate('approvedBy', 'firstName lastName email');
+    const payment = await Payment.findById(id);
 
     if (!payment) {
       return errorResponse(
@@ -244,39 +696,168 @@ const processPayment = async (req, res, next) => {
       );
     }
 
-    // Check if payment is in approved status
-    if (payment.status !== PAYMENT_STATUS.APPROVED) {
+    // Prevent deletion of completed, refunded or processing payments
+    if ([
+      PAYMENT_STATUS.PROCESSING,
+      PAYMENT_STATUS.COMPLETED,
+      PAYMENT_STATUS.PARTIALLY_REFUNDED,
+      PAYMENT_STATUS.REFUNDED
+    ].includes(payment.status)) {
       return errorResponse(
         res,
-        `Payment cannot be processed. Current status: ${payment.status}`,
+        'Cannot delete a payment that is processing, completed or refunded',
         HTTP_STATUS.BAD_REQUEST
       );
     }
 
-    // Update to processing status
-    payment.status = PAYMENT_STATUS.PROCESSING;
-    payment.processedBy = req.user._id;
-    payment.processedAt = new Date();
-    await payment.save();
+    await payment.deleteOne();
+    await PaymentEvent.record(payment, PAYMENT_EVENTS.DELETED, {
+      req,
+      fromStatus: payment.status
+    });
 
-    // Simulate payment processing (random success/failure for demo)
-    const isSuccessful = Math.random() > 0.2; // 80% success rate
+    return successResponse(
+      res,
+      null,
+      'Payment deleted successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (isSuccessful) {
-      payment.status = PAYMENT_STATUS.COMPLETED;
-      payment.completedAt = new Date();
-    } else {
-      payment.status = PAYMENT_STATUS.FAILED;
-      payment.failureReason = 'Payment gateway error: Insufficient funds or card declined';
+/**
+ * Refund a completed payment (full or partial)
+ * POST /api/payments/:id/refunds
+ */
+const refundPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const payment = await Payment.findById(id);
+
+    if (!payment) {
+      return errorResponse(
+        res,
+        'Payment not found',
+        HTTP_STATUS.NOT_FOUND
+      );
     }
 
-    await payment.save();
-    await payment.populate('processedBy', 'firstName lastName email');
+    // Only completed or partially refunded payments can be refunded
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      return errorResponse(
+        res,
+        `Payment cannot be refunded. Current status: ${payment.status}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    // Default to refunding whatever is left
+    const refundableMinor = payment.getRefundableAmountMinor();
+    let refundMinor = refundableMinor;
+
+    if (amount !== undefined) {
+      try {
+        refundMinor = toMinorUnits(amount, payment.currency);
+      } catch (error) {
+        return errorResponse(
+          res,
+          'Validation failed',
+          HTTP_STATUS.BAD_REQUEST,
+          [{ field: 'amount', message: error.message, value: amount }]
+        );
+      }
+    }
+
+    if (refundMinor <= 0 || refundMinor > refundableMinor) {
+      return errorResponse(
+        res,
+        'Refund amount exceeds the refundable balance',
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        [{ field: 'amount', message: `Maximum refundable amount is ${payment.getRefundableAmount()}` }]
+      );
+    }
+
+    const newRefundedMinor = payment.refundedAmountMinor + refundMinor;
+    const newStatus = newRefundedMinor >= payment.amountMinor
+      ? PAYMENT_STATUS.REFUNDED
+      : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+    if (!payment.canTransitionTo(newStatus)) {
+      return errorResponse(
+        res,
+        `Payment cannot transition from ${payment.status} to ${newStatus}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    // Guard on the previously read refundedAmountMinor so concurrent refunds cannot over-refund.
+    // Payments stored before minor units have no refundedAmountMinor (it was derived on load),
+    // so for them the guard is on the stored decimal instead.
+    // Updates bypass validation, so the decimal refundedAmount is set alongside.
+    const refundedGuard = {
+      $or: [
+        { refundedAmountMinor: payment.refundedAmountMinor },
+        {
+          refundedAmountMinor: { $exists: false },
+          refundedAmount: payment.refundedAmountMinor === 0 ? { $in: [0, null] } : payment.refundedAmount
+        }
+      ]
+    };
+    const updatedPayment = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: payment.status, ...refundedGuard },
+      {
+        $set: {
+          refundedAmountMinor: newRefundedMinor,
+          refundedAmount: fromMinorUnits(newRefundedMinor, payment.currency),
+          refundedAt: new Date(),
+          status: newStatus
+        }
+      },
+      { new: true }
+    ).populate('user', 'firstName lastName email');
+
+    if (!updatedPayment) {
+      return errorResponse(
+        res,
+        'Payment was modified by another request. Please retry.',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    const refund = await Refund.create({
+      payment: payment._id,
+      amountMinor: refundMinor,
+      currency: payment.currency,
+      reason,
+      refundedBy: req.user._id,
+      creditsWallet: wallets.isWalletPayment(payment)
+    });
+    await PaymentEvent.record(payment, PAYMENT_EVENTS.REFUNDED, {
+      req,
+      fromStatus: payment.status,
+      toStatus: newStatus,
+      reason,
+      details: { refundId: refund.refundId, amount: refund.amount, amountMinor: refundMinor }
+    });
+    // Wallet payments are refunded to the payer's wallet
+    if (refund.creditsWallet) {
+      await wallets.creditRefundSafely(payment, refund);
+    }
+    await ledger.postSafely(
+      () => ledger.postRefund(payment, refund, { actor: req.user._id }),
+      `refund ${refund.refundId}`
+    );
+    await invoices.syncPaymentInvoice(updatedPayment);
+    await refund.populate('refundedBy', 'firstName lastName email');
 
     return successResponse(
       res,
-      { payment },
-      `Payment ${isSuccessful ? 'completed' : 'failed'} successfully`
+      { refund, payment: updatedPayment },
+      'Payment refunded successfully',
+      HTTP_STATUS.CREATED
     );
   } catch (error) {
     next(error);
@@ -284,10 +865,10 @@ const processPayment = async (req, res, next) => {
 };
 
 /**
- * Delete a payment
- * DELETE /api/payments/:id
+ * Get refunds for a payment
+ * GET /api/payments/:id/refunds
  */
-const deletePayment = async (req, res, next) => {
+const getPaymentRefunds = async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -301,21 +882,66 @@ const deletePayment = async (req, res, next) => {
       );
     }
 
-    // Prevent deletion of completed or processing payments
-    if ([PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.COMPLETED].includes(payment.status)) {
+    if (!canViewPayment(req, payment)) {
       return errorResponse(
         res,
-        'Cannot delete a payment that is processing or completed',
-        HTTP_STATUS.BAD_REQUEST
+        'You do not have permission to view this payment',
+        HTTP_STATUS.FORBIDDEN
       );
     }
 
-    await payment.deleteOne();
+    const refunds = await Refund.find({ payment: id })
+      .populate('refundedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
 
     return successResponse(
       res,
-      null,
-      'Payment deleted successfully'
+      {
+        refunds,
+        refundedAmount: payment.refundedAmount,
+        refundableAmount: REFUNDABLE_STATUSES.includes(payment.status) ? payment.getRefundableAmount() : 0
+      },
+      'Refunds retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the event history of a payment
+ * GET /api/payments/:id/history
+ */
+const getPaymentHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const payment = await Payment.findById(id);
+
+    if (!payment) {
+      return errorResponse(
+        res,
+        'Payment not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    if (!canViewPayment(req, payment)) {
+      return errorResponse(
+        res,
+        'You do not have permission to view this payment',
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const events = await PaymentEvent.find({ payment: id })
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: 1, _id: 1 });
+
+    return successResponse(
+      res,
+      { events },
+      'Payment history retrieved successfully'
     );
   } catch (error) {
     next(error);
@@ -325,9 +951,21 @@ const deletePayment = async (req, res, next) => {
 module.exports = {
   createPayment,
   getAllPayments,
+  exportPayments,
   getPaymentById,
   approvePayment,
   rejectPayment,
+  reviewPayment,
   processPayment,
-  deletePayment
+  retryPayment,
+  getPaymentAttempts,
+  receiveGatewayCallback,
+  bulkApprovePayments,
+  bulkRejectPayments,
+  bulkProcessPayments,
+  cancelPayment,
+  deletePayment,
+  refundPayment,
+  getPaymentRefunds,
+  getPaymentHistory
 };
@@ -0,0 +1,328 @@
+const RecurringPayment = require('../models/RecurringPayment');
+const Payment = require('../models/Payment');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS, PERMISSIONS, RECURRING_STATUS } = require('../utils/constants');
+const { findPayablePayee } = require('../services/payees');
+const { toMinorUnits } = require('../utils/currencies');
+
+/**
+ * Check access: user owns the schedule OR has the given permission
+ * @param {Object} req - Express request object
+ * @param {Object} schedule - RecurringPayment document
+ * @param {String} permission - Permission granting access to other users' schedules
+ * @returns {Boolean}
+ */
+const hasScheduleAccess = (req, schedule, permission) => {
+  const ownerId = schedule.user._id || schedule.user;
+  return ownerId.toString() === req.user._id.toString() || req.permissions.includes(permission);
+};
+
+/**
+ * Load a schedule and check the caller may act on it
+ * Sends the error response itself and resolves to null when access is refused.
+ */
+const loadSchedule = async (req, res, permission) => {
+  const schedule = await RecurringPayment.findById(req.params.id);
+
+  if (!schedule) {
+    errorResponse(
+      res,
+      'Recurring payment not found',
+      HTTP_STATUS.NOT_FOUND
+    );
+    return null;
+  }
+
+  if (!hasScheduleAccess(req, schedule, permission)) {
+    errorResponse(
+      res,
+      'You do not have permission to access this recurring payment',
+      HTTP_STATUS.FORBIDDEN
+    );
+    return null;
+  }
+
+  return schedule;
+};
+
+/**
+ * Create a recurring payment schedule
+ * POST /api/recurring-payments
+ */
+const createRecurringPayment = async (req, res, next) => {
+  try {
+    const {
+      amount,
+      currency,
+      description,
+      payeeId,
+      paymentMethod,
+      metadata,
+      frequency,
+      intervalCount,
+      cronExpression,
+      startDate,
+      endDate,
+      maxOccurrences
+    } = req.body;
+
+    const amountMinor = toMinorUnits(amount, currency || 'USD');
+
+    // Unverified payees are accepted; generated payments wait for their verification at approval
+    if (payeeId) {
+      await findPayablePayee(payeeId);
+    }
+
+    const schedule = new RecurringPayment({
+      user: req.user._id,
+      amountMinor,
+      currency: currency || 'USD',
+      description,
+      payee: payeeId,
+      paymentMethod: paymentMethod || 'card',
+      metadata: metadata || {},
+      frequency,
+      intervalCount: intervalCount || 1,
+      cronExpression,
+      startDate: startDate || new Date(),
+      endDate,
+      maxOccurrences
+    });
+
+    schedule.nextRunAt = schedule.getFirstRunAt();
+
+    if (!schedule.nextRunAt) {
+      return errorResponse(
+        res,
+        'Schedule has no occurrences between startDate and endDate',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    await schedule.save();
+    await schedule.populate('user', 'firstName lastName email');
+    await schedule.populate('payee', 'name type verificationStatus');
+
+    return successResponse(
+      res,
+      { recurringPayment: schedule },
+      'Recurring payment created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all recurring payment schedules
+ * GET /api/recurring-payments
+ */
+const getAllRecurringPayments = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    // Build filter
+    const filter = {};
+
+    // Users without global read permission only see their own schedules
+    if (!req.permissions.includes(PERMISSIONS.PAYMENTS_READ)) {
+      filter.user = req.user._id;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await RecurringPayment.countDocuments(filter);
+
+    const recurringPayments = await RecurringPayment.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('payee', 'name type verificationStatus')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return successResponse(
+      res,
+      {
+        recurringPayments,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      },
+      'Recurring payments retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get recurring payment schedule by ID
+ * GET /api/recurring-payments/:id
+ */
+const getRecurringPaymentById = async (req, res, next) => {
+  try {
+    const schedule = await loadSchedule(req, res, PERMISSIONS.PAYMENTS_READ);
+    if (!schedule) return;
+
+    await schedule.populate('user', 'firstName lastName email');
+    await schedule.populate('payee', 'name type verificationStatus');
+
+    return successResponse(
+      res,
+      { recurringPayment: schedule },
+      'Recurring payment retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause a recurring payment schedule
+ * PUT /api/recurring-payments/:id/pause
+ */
+const pauseRecurringPayment = async (req, res, next) => {
+  try {
+    const schedule = await loadSchedule(req, res, PERMISSIONS.PAYMENTS_APPROVE);
+    if (!schedule) return;
+
+    if (schedule.status !== RECURRING_STATUS.ACTIVE) {
+      return errorResponse(
+        res,
+        `Recurring payment cannot be paused. Current status: ${schedule.status}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    schedule.status = RECURRING_STATUS.PAUSED;
+    schedule.pausedAt = new Date();
+    await schedule.save();
+
+    return successResponse(
+      res,
+      { recurringPayment: schedule },
+      'Recurring payment paused successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resume a paused recurring payment schedule
+ * Occurrences missed while paused are skipped.
+ * PUT /api/recurring-payments/:id/resume
+ */
+const resumeRecurringPayment = async (req, res, next) => {
+  try {
+    const schedule = await loadSchedule(req, res, PERMISSIONS.PAYMENTS_APPROVE);
+    if (!schedule) return;
+
+    if (schedule.status !== RECURRING_STATUS.PAUSED) {
+      return errorResponse(
+        res,
+        `Recurring payment cannot be resumed. Current status: ${schedule.status}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    // Skip occurrences that fell inside the pause
+    const now = new Date();
+    let nextRunAt = schedule.nextRunAt;
+    while (nextRunAt && nextRunAt < now) {
+      nextRunAt = schedule.getNextRunAt(nextRunAt);
+    }
+
+    schedule.nextRunAt = nextRunAt;
+    schedule.status = nextRunAt ? RECURRING_STATUS.ACTIVE : RECURRING_STATUS.COMPLETED;
+    schedule.pausedAt = undefined;
+    schedule.pauseReason = undefined;
+    await schedule.save();
+
+    return successResponse(
+      res,
+      { recurringPayment: schedule },
+      nextRunAt
+        ? 'Recurring payment resumed successfully'
+        : 'Recurring payment has no remaining occurrences and is now completed'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a recurring payment schedule
+ * Payments already generated are not affected.
+ * PUT /api/recurring-payments/:id/cancel
+ */
+const cancelRecurringPayment = async (req, res, next) => {
+  try {
+    const schedule = await loadSchedule(req, res, PERMISSIONS.PAYMENTS_APPROVE);
+    if (!schedule) return;
+
+    if (![RECURRING_STATUS.ACTIVE, RECURRING_STATUS.PAUSED].includes(schedule.status)) {
+      return errorResponse(
+        res,
+        `Recurring payment cannot be cancelled. Current status: ${schedule.status}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    schedule.status = RECURRING_STATUS.CANCELLED;
+    schedule.cancelledAt = new Date();
+    schedule.cancelledBy = req.user._id;
+    schedule.nextRunAt = undefined;
+    await schedule.save();
+
+    return successResponse(
+      res,
+      { recurringPayment: schedule },
+      'Recurring payment cancelled successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List payments generated by a schedule
+ * GET /api/recurring-payments/:id/payments
+ */
+const getGeneratedPayments = async (req, res, next) => {
+  try {
+    const schedule = await loadSchedule(req, res, PERMISSIONS.PAYMENTS_READ);
+    if (!schedule) return;
+
+    const payments = await Payment.find({ recurringPayment: schedule._id })
+      .populate('user', 'firstName lastName email')
+      .populate('approvedBy', 'firstName lastName email')
+      .sort({ recurrenceIndex: 1 });
+
+    return successResponse(
+      res,
+      { payments },
+      'Generated payments retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createRecurringPayment,
+  getAllRecurringPayments,
+  getRecurringPaymentById,
+  pauseRecurringPayment,
+  resumeRecurringPayment,
+  cancelRecurringPayment,
+  getGeneratedPayments
+};
@@ -0,0 +1,90 @@
+const { successResponse } = require('../utils/responseFormatter');
+const {
+  getPaymentSummary,
+  getPaymentBreakdown,
+  getGatewayReport
+} = require('../services/paymentReports');
+
+/**
+ * Read the validated date range from the query string
+ * @param {Object} req - Express request object
+ * @returns {Object} { from, to }
+ */
+const getRange = (req) => ({
+  from: req.query.from,
+  to: req.query.to
+});
+
+/**
+ * Read the validated amount options from the query string
+ * @param {Object} req - Express request object
+ * @returns {Object} { inBaseCurrency }
+ */
+const getAmountOptions = (req) => ({
+  inBaseCurrency: req.query.inBaseCurrency === true
+});
+
+/**
+ * Payment totals per status, approval/rejection rates and turnaround times
+ * GET /api/reports/payments/summary
+ */
+const getSummaryReport = async (req, res, next) => {
+  try {
+    const range = getRange(req);
+    const options = getAmountOptions(req);
+    const summary = await getPaymentSummary(range, options);
+
+    return successResponse(
+      res,
+      { range, ...options, ...summary },
+      'Payment summary retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Payment counts and amounts grouped by status, currency, method, user or period
+ * GET /api/reports/payments/breakdown
+ */
+const getBreakdownReport = async (req, res, next) => {
+  try {
+    const range = getRange(req);
+    const options = getAmountOptions(req);
+    const groups = await getPaymentBreakdown(req.query.groupBy, range, options);
+
+    return successResponse(
+      res,
+      { range, groupBy: req.query.groupBy, ...options, groups },
+      'Payment breakdown retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gateway failure rates per provider
+ * GET /api/reports/payments/gateways
+ */
+const getGatewayFailureReport = async (req, res, next) => {
+  try {
+    const range = getRange(req);
+    const providers = await getGatewayReport(range);
+
+    return successResponse(
+      res,
+      { range, providers },
+      'Gateway report retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSummaryReport,
+  getBreakdownReport,
+  getGatewayFailureReport
+};
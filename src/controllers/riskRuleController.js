@@ -0,0 +1,150 @@
+const RiskRule = require('../models/RiskRule');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS } = require('../utils/constants');
+const { getReviewThreshold } = require('../services/riskScoring');
+
+/**
+ * Get all risk rules
+ * GET /api/risk-rules
+ */
+const getAllRules = async (req, res, next) => {
+  try {
+    const rules = await RiskRule.find().sort({ name: 1 });
+
+    return successResponse(
+      res,
+      { rules, reviewThreshold: getReviewThreshold() },
+      'Risk rules retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get risk rule by ID
+ * GET /api/risk-rules/:id
+ */
+const getRuleById = async (req, res, next) => {
+  try {
+    const rule = await RiskRule.findById(req.params.id);
+
+    if (!rule) {
+      return errorResponse(
+        res,
+        'Risk rule not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return successResponse(
+      res,
+      { rule },
+      'Risk rule retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a risk rule
+ * POST /api/risk-rules
+ */
+const createRule = async (req, res, next) => {
+  try {
+    const { name, type, params, score, description, isActive } = req.body;
+
+    const rule = new RiskRule({
+      name,
+      type,
+      params: params || {},
+      score,
+      description: description || '',
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    await rule.save();
+
+    return successResponse(
+      res,
+      { rule },
+      'Risk rule created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a risk rule
+ * PUT /api/risk-rules/:id
+ */
+const updateRule = async (req, res, next) => {
+  try {
+    const { params, score, description, isActive } = req.body;
+
+    const rule = await RiskRule.findById(req.params.id);
+
+    if (!rule) {
+      return errorResponse(
+        res,
+        'Risk rule not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    // Update fields
+    if (params) rule.params = params;
+    if (score !== undefined) rule.score = score;
+    if (description !== undefined) rule.description = description;
+    if (isActive !== undefined) rule.isActive = isActive;
+
+    await rule.save();
+
+    return successResponse(
+      res,
+      { rule },
+      'Risk rule updated successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a risk rule
+ * DELETE /api/risk-rules/:id
+ */
+const deleteRule = async (req, res, next) => {
+  try {
+    const rule = await RiskRule.findById(req.params.id);
+
+    if (!rule) {
+      return errorResponse(
+        res,
+        'Risk rule not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    await rule.deleteOne();
+
+    return successResponse(
+      res,
+      null,
+      'Risk rule deleted successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule
+};
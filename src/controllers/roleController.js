@@ -61,7 +61,7 @@ const getRoleById = async (req, res, next) => {
  */
 const createRole = async (req, res, next) => {
   try {
-    const { name, permissions, description } = req.body;
+    const { name, permissions, description, sodRules } = req.body;
 
     // Check if role already exists
     const existingRole = await Role.findOne({ name: name.toLowerCase() });
@@ -76,7 +76,8 @@ const createRole = async (req, res, next) => {
     const role = new Role({
       name: name.toLowerCase(),
       permissions: permissions || [],
-      description: description || ''
+      description: description || '',
+      ...(sodRules && { sodRules })
     });
 
     await role.save();
@@ -99,7 +100,7 @@ const createRole = async (req, res, next) => {
 const updateRole = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { permissions, description } = req.body;
+    const { permissions, description, sodRules } = req.body;
 
     const role = await Role.findById(id);
 
@@ -114,6 +115,7 @@ const updateRole = async (req, res, next) => {
     // Update fields
     if (permissions) role.permissions = permissions;
     if (description !== undefined) role.description = description;
+    if (sodRules) role.sodRules = sodRules;
 
     await role.save();
 
@@ -0,0 +1,226 @@
+const SpendingLimit = require('../models/SpendingLimit');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS, SPENDING_LIMIT_SCOPES } = require('../utils/constants');
+const { getBaseCurrency } = require('../services/fxRates');
+const { LIMIT_PERIODS, getSpendingSummary } = require('../services/spendingLimits');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+
+/**
+ * Create or replace the limits stored under a filter
+ * Every period left out of the body (or null) becomes unlimited.
+ * @param {Object} req - Express request object
+ * @param {Object} fields - scope and role or user
+ * @returns {Promise<Object>} Saved SpendingLimit document
+ */
+const saveLimit = async (req, fields) => {
+  const baseCurrency = getBaseCurrency();
+  const limit = await SpendingLimit.findOne(fields) || new SpendingLimit(fields);
+
+  limit.currency = baseCurrency;
+  limit.updatedBy = req.user._id;
+
+  LIMIT_PERIODS.forEach((period) => {
+    const value = req.body[period];
+    const minor = value == null ? null : toMinorUnits(value, baseCurrency);
+
+    // Set both fields: clearing only the decimal would leave the old minor amount in place
+    limit[`${period}Minor`] = minor;
+    limit[period] = minor === null ? null : fromMinorUnits(minor, baseCurrency);
+  });
+
+  await limit.save();
+  return limit;
+};
+
+/**
+ * Get all spending limits
+ * GET /api/spending-limits
+ */
+const getAllLimits = async (req, res, next) => {
+  try {
+    const limits = await SpendingLimit.find()
+      .populate('role', 'name')
+      .populate('user', 'firstName lastName email')
+      .sort({ scope: 1, createdAt: 1 });
+
+    return successResponse(
+      res,
+      { limits, currency: getBaseCurrency() },
+      'Spending limits retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's limits, spending and remaining headroom
+ * GET /api/spending-limits/me
+ */
+const getMyLimits = async (req, res, next) => {
+  try {
+    const summary = await getSpendingSummary(req.user);
+
+    return successResponse(
+      res,
+      summary,
+      'Spending limits retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a role's spending limits
+ * PUT /api/spending-limits/roles/:roleId
+ */
+const setRoleLimit = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.roleId);
+
+    if (!role) {
+      return errorResponse(
+        res,
+        'Role not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const limit = await saveLimit(req, { scope: SPENDING_LIMIT_SCOPES.ROLE, role: role._id });
+
+    return successResponse(
+      res,
+      { limit },
+      `Spending limits for role ${role.name} saved successfully`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a role's spending limits
+ * DELETE /api/spending-limits/roles/:roleId
+ */
+const deleteRoleLimit = async (req, res, next) => {
+  try {
+    const limit = await SpendingLimit.findOneAndDelete({
+      scope: SPENDING_LIMIT_SCOPES.ROLE,
+      role: req.params.roleId
+    });
+
+    if (!limit) {
+      return errorResponse(
+        res,
+        'Spending limit not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return successResponse(
+      res,
+      null,
+      'Spending limit deleted successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's effective limits, spending and remaining headroom
+ * GET /api/spending-limits/users/:userId
+ */
+const getUserLimits = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return errorResponse(
+        res,
+        'User not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const summary = await getSpendingSummary(user);
+
+    return successResponse(
+      res,
+      summary,
+      'Spending limits retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a user's spending limits, replacing those of their role
+ * PUT /api/spending-limits/users/:userId
+ */
+const setUserLimit = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return errorResponse(
+        res,
+        'User not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const limit = await saveLimit(req, { scope: SPENDING_LIMIT_SCOPES.USER, user: user._id });
+
+    return successResponse(
+      res,
+      { limit },
+      `Spending limits for ${user.email} saved successfully`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a user's spending limits, so their role's limits apply again
+ * DELETE /api/spending-limits/users/:userId
+ */
+const deleteUserLimit = async (req, res, next) => {
+  try {
+    const limit = await SpendingLimit.findOneAndDelete({
+      scope: SPENDING_LIMIT_SCOPES.USER,
+      user: req.params.userId
+    });
+
+    if (!limit) {
+      return errorResponse(
+        res,
+        'Spending limit not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return successResponse(
+      res,
+      null,
+      'Spending limit deleted successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllLimits,
+  getMyLimits,
+  setRoleLimit,
+  deleteRoleLimit,
+  getUserLimits,
+  setUserLimit,
+  deleteUserLimit
+};
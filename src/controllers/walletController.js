@@ -0,0 +1,234 @@
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS } = require('../utils/constants');
+const { getWallets, getBalanceMinor, topUpWallet, adjustWallet } = require('../services/wallets');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+
+/**
+ * Get a page of a user's wallet transactions
+ * @param {Object} req - Express request object (currency, type, page, limit query parameters)
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { transactions, pagination }
+ */
+const listTransactions = async (req, userId) => {
+  const { currency, type, page = 1, limit = 20 } = req.query;
+  const filter = { user: userId };
+
+  if (currency) filter.currency = currency;
+  if (type) filter.type = type;
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const total = await WalletTransaction.countDocuments(filter);
+
+  const transactions = await WalletTransaction.find(filter)
+    .populate('payment', 'transactionId amount currency status')
+    .populate('performedBy', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  return {
+    transactions,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  };
+};
+
+/**
+ * Get the current user's wallet balances
+ * GET /api/wallets/me
+ */
+const getMyWallets = async (req, res, next) => {
+  try {
+    const wallets = await getWallets(req.user._id);
+
+    return successResponse(
+      res,
+      { wallets },
+      'Wallet retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's wallet transactions
+ * GET /api/wallets/me/transactions
+ */
+const getMyTransactions = async (req, res, next) => {
+  try {
+    const result = await listTransactions(req, req.user._id);
+
+    return successResponse(
+      res,
+      result,
+      'Wallet transactions retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's wallet balances
+ * GET /api/wallets/users/:userId
+ */
+const getUserWallets = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return errorResponse(
+        res,
+        'User not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const wallets = await getWallets(user._id);
+
+    return successResponse(
+      res,
+      { user: { _id: user._id, email: user.email }, wallets },
+      'Wallet retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's wallet transactions
+ * GET /api/wallets/users/:userId/transactions
+ */
+const getUserTransactions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return errorResponse(
+        res,
+        'User not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const result = await listTransactions(req, user._id);
+
+    return successResponse(
+      res,
+      result,
+      'Wallet transactions retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add funds to a user's wallet
+ * POST /api/wallets/users/:userId/top-ups
+ */
+const topUp = async (req, res, next) => {
+  try {
+    const { currency, amount, reason } = req.body;
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return errorResponse(
+        res,
+        'User not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const transaction = await topUpWallet(user._id, {
+      currency,
+      amountMinor: toMinorUnits(amount, currency),
+      reason,
+      performedBy: req.user._id
+    });
+
+    return successResponse(
+      res,
+      { transaction },
+      'Wallet topped up successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Correct a user's wallet balance up or down
+ * POST /api/wallets/users/:userId/adjustments
+ */
+const adjust = async (req, res, next) => {
+  try {
+    const { currency, amount, reason } = req.body;
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return errorResponse(
+        res,
+        'User not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    // Signed amount: convert the magnitude exactly, then apply the sign
+    const text = String(amount).trim();
+    const magnitudeMinor = toMinorUnits(text.replace(/^-/, ''), currency);
+    const amountMinor = text.startsWith('-') ? -magnitudeMinor : magnitudeMinor;
+
+    const transaction = await adjustWallet(user._id, {
+      currency,
+      amountMinor,
+      reason,
+      performedBy: req.user._id
+    });
+
+    if (!transaction) {
+      const balanceMinor = await getBalanceMinor(user._id, currency);
+
+      return errorResponse(
+        res,
+        'Adjustment exceeds the wallet balance',
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        [{
+          field: 'amount',
+          message: `The ${currency} balance is ${fromMinorUnits(balanceMinor, currency)}`,
+          balance: fromMinorUnits(balanceMinor, currency),
+          attempted: fromMinorUnits(amountMinor, currency),
+          currency
+        }]
+      );
+    }
+
+    return successResponse(
+      res,
+      { transaction },
+      'Wallet adjusted successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyWallets,
+  getMyTransactions,
+  getUserWallets,
+  getUserTransactions,
+  topUp,
+  adjust
+};
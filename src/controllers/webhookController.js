@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { successResponse, errorResponse } = require('../utils/responseFormatter');
+const { HTTP_STATUS } = require('../utils/constants');
+const { redeliverWebhook, cancelPendingDeliveries } = require('../services/webhooks');
+
+/**
+ * Get all webhook subscriptions
+ * GET /api/webhooks
+ */
+const getAllSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await WebhookSubscription.find()
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    return successResponse(
+      res,
+      { subscriptions },
+      'Webhook subscriptions retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get webhook subscription by ID
+ * GET /api/webhooks/:id
+ */
+const getSubscriptionById = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!subscription) {
+      return errorResponse(
+        res,
+        'Webhook subscription not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return successResponse(
+      res,
+      { subscription },
+      'Webhook subscription retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a webhook subscription
+ * The signing secret is generated unless given, and only returned in this response.
+ * POST /api/webhooks
+ */
+const createSubscription = async (req, res, next) => {
+  try {
+    const { url, events, secret, description, isActive } = req.body;
+
+    const subscription = new WebhookSubscription({
+      url,
+      events: [...new Set(events)],
+      secret,
+      description: description || '',
+      isActive: isActive !== undefined ? isActive : true,
+      createdBy: req.user._id
+    });
+
+    await subscription.save();
+
+    return successResponse(
+      res,
+      { subscription },
+      'Webhook subscription created successfully. Store the secret now; it is not shown again',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook subscription
+ * PUT /api/webhooks/:id
+ */
+const updateSubscription = async (req, res, next) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return errorResponse(
+        res,
+        'Webhook subscription not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    // Update fields
+    if (url !== undefined) subscription.url = url;
+    if (events) subscription.events = [...new Set(events)];
+    if (description !== undefined) subscription.description = description;
+    if (isActive !== undefined) subscription.isActive = isActive;
+
+    await subscription.save();
+
+    return successResponse(
+      res,
+      { subscription },
+      'Webhook subscription updated successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a subscription's signing secret
+ * Deliveries still queued are signed with the new secret.
+ * POST /api/webhooks/:id/rotate-secret
+ */
+const rotateSubscriptionSecret = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return errorResponse(
+        res,
+        'Webhook subscription not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    subscription.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    await subscription.save();
+
+    return successResponse(
+      res,
+      { subscription },
+      'Webhook secret rotated successfully. Store the secret now; it is not shown again'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook subscription
+ * Its queued deliveries are marked failed; the delivery log is kept.
+ * DELETE /api/webhooks/:id
+ */
+const deleteSubscription = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return errorResponse(
+        res,
+        'Webhook subscription not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    await subscription.deleteOne();
+    await cancelPendingDeliveries(subscription, 'Subscription was deleted');
+
+    return successResponse(
+      res,
+      null,
+      'Webhook subscription deleted successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the delivery log of a subscription
+ * GET /api/webhooks/:id/deliveries
+ */
+const getSubscriptionDeliveries = async (req, res, next) => {
+  try {
+    const { status, event, page = 1, limit = 20 } = req.query;
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return errorResponse(
+        res,
+        'Webhook subscription not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    // Build filter
+    const filter = { subscription: subscription._id };
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (event) {
+      filter.event = event;
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    // Payloads can be large; they are returned by the single-delivery endpoint
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return successResponse(
+      res,
+      {
+        deliveries,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      },
+      'Webhook deliveries retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a delivery with its payload and attempt log
+ * GET /api/webhooks/deliveries/:deliveryId
+ */
+const getDeliveryById = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+      .populate('subscription', 'url events isActive')
+      .populate('requestedBy', 'firstName lastName email');
+
+    if (!delivery) {
+      return errorResponse(
+        res,
+        'Webhook delivery not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    return successResponse(
+      res,
+      { delivery },
+      'Webhook delivery retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a delivery to be sent again
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ */
+const redeliverDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+    if (!delivery) {
+      return errorResponse(
+        res,
+        'Webhook delivery not found',
+        HTTP_STATUS.NOT_FOUND
+      );
+    }
+
+    const redelivery = await redeliverWebhook(req, delivery);
+
+    return successResponse(
+      res,
+      { delivery: redelivery },
+      'Webhook redelivery queued successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  getSubscriptionDeliveries,
+  getDeliveryById,
+  redeliverDelivery
+};
@@ -0,0 +1,128 @@
+const { GATEWAY_RESULT } = require('../utils/constants');
+const { verifySignature } = require('../utils/signatures');
+
+/**
+ * Base class for payment gateway adapters
+ *
+ * Adapters wrap a payment processor and report results as plain objects:
+ * { status, reference, code, message }
+ * where status is one of GATEWAY_RESULT and reference is the processor's
+ * own reference code for the operation.
+ *
+ * Processors that confirm captures asynchronously return a pending capture
+ * and report the final result later through POST /api/payments/callbacks/:provider.
+ * Such adapters implement parseCallback() and, if the processor does not use the
+ * default signature scheme, override verifyCallback().
+ */
+class BaseGateway {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * Authorize (reserve) the payment amount
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} Gateway result (authorized, declined or error)
+   */
+  async authorize(payment) {
+    throw new Error(`${this.name} gateway does not implement authorize()`);
+  }
+
+  /**
+   * Capture a previously authorized payment
+   * @param {Object} payment - Payment document
+   * @param {Object} authorization - Result returned by authorize()
+   * @returns {Promise<Object>} Gateway result (captured, pending, declined or error)
+   */
+  async capture(payment, authorization) {
+    throw new Error(`${this.name} gateway does not implement capture()`);
+  }
+
+  /**
+   * Look up a capture the processor completed for a payment, whatever the outcome of
+   * the calls that made it (e.g. one that timed out after the money moved)
+   * Adapters that can query the processor override this; the default knows of none.
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object|null>} Captured gateway result, or null if none is known
+   */
+  async findCapture(payment) {
+    return null;
+  }
+
+  /**
+   * Whether this adapter accepts asynchronous result callbacks
+   * @returns {Boolean}
+   */
+  supportsCallbacks() {
+    return false;
+  }
+
+  /**
+   * Check that a callback request really comes from the processor
+   * The default expects an X-Gateway-Signature header (t=<unix>,v1=<hex HMAC-SHA256>)
+   * over the raw body, keyed with options.callbackSecret or
+   * PAYMENT_GATEWAY_<NAME>_CALLBACK_SECRET. Without a secret every callback is rejected.
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers (lower-cased names)
+   * @returns {Boolean} True if the signature is valid
+   */
+  verifyCallback(rawBody, headers) {
+    const secret = this.options.callbackSecret ||
+      process.env[`PAYMENT_GATEWAY_${this.name.toUpperCase()}_CALLBACK_SECRET`];
+
+    if (!secret) {
+      return false;
+    }
+
+    return verifySignature(secret, headers['x-gateway-signature'], rawBody);
+  }
+
+  /**
+   * Translate a verified callback body into a payment result
+   * @param {Object} body - Parsed request body
+   * @returns {Object|null} { eventId, transactionId, reference, result }, where result is a
+   *   gateway result (captured, declined or error), or null if the body is not understood
+   */
+  parseCallback(body) {
+    throw new Error(`${this.name} gateway does not implement parseCallback()`);
+  }
+
+  /**
+   * Build a gateway result object
+   * @param {String} status - One of GATEWAY_RESULT
+   * @param {Object} details - reference, code and message
+   * @returns {Object} Gateway result
+   */
+  result(status, { reference = null, code = null, message = null } = {}) {
+    return {
+      provider: this.name,
+      status,
+      reference,
+      code,
+      message
+    };
+  }
+
+  authorized(details) {
+    return this.result(GATEWAY_RESULT.AUTHORIZED, details);
+  }
+
+  captured(details) {
+    return this.result(GATEWAY_RESULT.CAPTURED, details);
+  }
+
+  pending(details) {
+    return this.result(GATEWAY_RESULT.PENDING, details);
+  }
+
+  declined(details) {
+    return this.result(GATEWAY_RESULT.DECLINED, details);
+  }
+
+  error(details) {
+    return this.result(GATEWAY_RESULT.ERROR, details);
+  }
+}
+
+module.exports = BaseGateway;
@@ -0,0 +1,127 @@
+const BaseGateway = require('./BaseGateway');
+
+// Outcomes that can be forced through payment.metadata.gatewayOutcome
+const MOCK_OUTCOMES = {
+  SUCCESS: 'success',
+  DECLINE: 'decline',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  ERROR: 'error',
+  CAPTURE_DECLINE: 'capture_decline',
+  ASYNC: 'async',
+  TIMEOUT: 'timeout'
+};
+
+// How long the timeout outcome keeps the caller waiting before answering
+const HANG_MS = 60 * 1000;
+
+// Last two digits of the amount in minor units that trigger an outcome when no
+// metadata override is given (e.g. 10.91 USD or 1091 JPY is declined for insufficient funds)
+const CENT_OUTCOMES = {
+  91: MOCK_OUTCOMES.INSUFFICIENT_FUNDS,
+  92: MOCK_OUTCOMES.DECLINE,
+  93: MOCK_OUTCOMES.ERROR,
+  94: MOCK_OUTCOMES.CAPTURE_DECLINE,
+  95: MOCK_OUTCOMES.ASYNC,
+  96: MOCK_OUTCOMES.TIMEOUT
+};
+
+// Callback event types and the gateway result each one reports
+const CALLBACK_TYPES = {
+  'payment.captured': 'captured',
+  'payment.declined': 'declined',
+  'payment.error': 'error'
+};
+
+/**
+ * Deterministic local gateway for development and testing
+ *
+ * The outcome is driven by payment.metadata.gatewayOutcome when present,
+ * otherwise by the last two minor-unit digits of the amount (see CENT_OUTCOMES). Reference codes
+ * are derived from the attempt's idempotency key so repeated runs give identical results.
+ *
+ * The async outcome leaves the capture pending; the result is then posted to
+ * /api/payments/callbacks/mock as { id, type, transactionId, reference, code, message }
+ * with type one of CALLBACK_TYPES, signed like outgoing webhooks (see utils/signatures).
+ */
+class MockGateway extends BaseGateway {
+  constructor(name = 'mock', options = {}) {
+    super(name, options);
+  }
+
+  resolveOutcome(payment) {
+    const forced = payment.metadata && payment.metadata.gatewayOutcome;
+    if (forced && Object.values(MOCK_OUTCOMES).includes(forced)) {
+      return forced;
+    }
+
+    const cents = payment.amountMinor % 100;
+    return CENT_OUTCOMES[cents] || MOCK_OUTCOMES.SUCCESS;
+  }
+
+  async authorize(payment) {
+    const outcome = this.resolveOutcome(payment);
+    const reference = `MOCK-AUTH-${payment.getIdempotencyKey()}`;
+
+    if (outcome === MOCK_OUTCOMES.TIMEOUT) {
+      // Answer only after the caller's timeout has (normally) expired
+      await new Promise(resolve => setTimeout(resolve, HANG_MS).unref());
+      return this.error({ reference, code: 'gateway_unavailable', message: 'Gateway answered too late' });
+    }
+
+    switch (outcome) {
+      case MOCK_OUTCOMES.INSUFFICIENT_FUNDS:
+        return this.declined({ reference, code: 'insufficient_funds', message: 'Insufficient funds' });
+      case MOCK_OUTCOMES.DECLINE:
+        return this.declined({ reference, code: 'card_declined', message: 'Payment declined by issuer' });
+      case MOCK_OUTCOMES.ERROR:
+        return this.error({ reference, code: 'gateway_unavailable', message: 'Gateway temporarily unavailable' });
+      default:
+        return this.authorized({ reference, code: 'approved', message: 'Authorized' });
+    }
+  }
+
+  async capture(payment, authorization) {
+    const outcome = this.resolveOutcome(payment);
+    const reference = `MOCK-CAP-${payment.getIdempotencyKey()}`;
+
+    if (outcome === MOCK_OUTCOMES.CAPTURE_DECLINE) {
+      return this.declined({ reference, code: 'capture_declined', message: 'Capture declined by processor' });
+    }
+
+    if (outcome === MOCK_OUTCOMES.ASYNC) {
+      return this.pending({ reference, code: 'capture_pending', message: 'Capture submitted; result follows by callback' });
+    }
+
+    return this.captured({ reference, code: 'captured', message: 'Captured' });
+  }
+
+  supportsCallbacks() {
+    return true;
+  }
+
+  parseCallback(body) {
+    const status = body && CALLBACK_TYPES[body.type];
+
+    if (!status || typeof body.id !== 'string' || (!body.transactionId && !body.reference)) {
+      return null;
+    }
+
+    const reference = body.reference ? String(body.reference) : null;
+    const code = body.code ? String(body.code) : status;
+
+    return {
+      eventId: body.id,
+      transactionId: body.transactionId ? String(body.transactionId) : null,
+      reference,
+      result: this.result(status, {
+        reference,
+        code,
+        message: body.message ? String(body.message) : code
+      })
+    };
+  }
+}
+
+MockGateway.OUTCOMES = MOCK_OUTCOMES;
+
+module.exports = MockGateway;
@@ -0,0 +1,63 @@
+const BaseGateway = require('./BaseGateway');
+const { getBalanceMinor, findPaymentDebit, debitForPayment } = require('../services/wallets');
+const { WALLET_PROVIDER } = require('../utils/constants');
+
+/**
+ * Settles wallet payments against the payer's internal wallet balance
+ *
+ * Authorization checks the balance in the payment currency; capture debits it in one
+ * atomic update that only applies while the balance still covers the amount, so a
+ * balance spent in between is declined at capture instead of going negative. Both
+ * declines carry the insufficient_funds code. A payment is debited at most once, keyed
+ * on its transaction ID: capturing it again (after a timeout or a retry) returns the
+ * original debit.
+ */
+class WalletGateway extends BaseGateway {
+  constructor(name = WALLET_PROVIDER, options = {}) {
+    super(name, options);
+  }
+
+  insufficientFunds(reference) {
+    return this.declined({ reference, code: 'insufficient_funds', message: 'Insufficient wallet balance' });
+  }
+
+  async authorize(payment) {
+    const reference = `WALLET-AUTH-${payment.getIdempotencyKey()}`;
+
+    // Already debited: the balance no longer has to cover it
+    if (await findPaymentDebit(payment)) {
+      return this.authorized({ reference, code: 'approved', message: 'Wallet already debited' });
+    }
+
+    const balanceMinor = await getBalanceMinor(payment.user, payment.currency);
+
+    if (balanceMinor < payment.amountMinor) {
+      return this.insufficientFunds(reference);
+    }
+
+    return this.authorized({ reference, code: 'approved', message: 'Wallet balance available' });
+  }
+
+  async capture(payment, authorization) {
+    // Payments debited before debits were keyed on the transaction ID have a per-attempt reference
+    const transaction = await findPaymentDebit(payment) || await debitForPayment(payment);
+
+    if (!transaction) {
+      return this.insufficientFunds(`WALLET-CAP-${payment.getIdempotencyKey()}`);
+    }
+
+    return this.captured({ reference: transaction.reference, code: 'captured', message: 'Debited from wallet' });
+  }
+
+  async findCapture(payment) {
+    const transaction = await findPaymentDebit(payment);
+
+    if (!transaction) {
+      return null;
+    }
+
+    return this.captured({ reference: transaction.reference, code: 'captured', message: 'Debited from wallet' });
+  }
+}
+
+module.exports = WalletGateway;
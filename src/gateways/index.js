@@ -0,0 +1,166 @@
+const MockGateway = require('./MockGateway');
+const WalletGateway = require('./WalletGateway');
+const { PAYMENT_METHODS, GATEWAY_RESULT, WALLET_PROVIDER } = require('../utils/constants');
+
+// Available gateway adapters, keyed by provider name
+const providers = {
+  mock: MockGateway,
+  [WALLET_PROVIDER]: WalletGateway
+};
+
+// Environment variable naming the provider for each payment method
+const METHOD_ENV_VARS = {
+  [PAYMENT_METHODS.CARD]: 'PAYMENT_GATEWAY_CARD',
+  [PAYMENT_METHODS.BANK_TRANSFER]: 'PAYMENT_GATEWAY_BANK_TRANSFER',
+  [PAYMENT_METHODS.WALLET]: 'PAYMENT_GATEWAY_WALLET'
+};
+
+// Provider used for a payment method whose env var is not set (otherwise mock)
+const DEFAULT_PROVIDERS = {
+  [PAYMENT_METHODS.WALLET]: WALLET_PROVIDER
+};
+
+// Instantiated adapters, keyed by payment method
+const instances = {};
+
+// Instantiated adapters, keyed by provider name (used for callbacks)
+const providerInstances = {};
+
+/**
+ * Register a gateway adapter so it can be selected per payment method
+ * @param {String} name - Provider name (used in PAYMENT_GATEWAY_* env vars)
+ * @param {Function} GatewayClass - Class extending BaseGateway
+ */
+const registerGateway = (name, GatewayClass) => {
+  providers[name] = GatewayClass;
+
+  // Drop cached instances so the new provider is picked up
+  Object.keys(instances).forEach(method => delete instances[method]);
+  delete providerInstances[name];
+};
+
+/**
+ * Get the gateway adapter configured for a payment method
+ * @param {String} paymentMethod - One of PAYMENT_METHODS
+ * @returns {BaseGateway} Gateway adapter
+ */
+const getGateway = (paymentMethod) => {
+  if (!instances[paymentMethod]) {
+    const providerName = process.env[METHOD_ENV_VARS[paymentMethod]] || DEFAULT_PROVIDERS[paymentMethod] || 'mock';
+    const GatewayClass = providers[providerName];
+
+    if (!GatewayClass) {
+      throw new Error(`Unknown payment gateway provider: ${providerName}`);
+    }
+
+    instances[paymentMethod] = new GatewayClass(providerName);
+  }
+
+  return instances[paymentMethod];
+};
+
+/**
+ * Get a gateway adapter by provider name
+ * @param {String} name - Provider name
+ * @returns {BaseGateway|null} Gateway adapter, or null if no such provider is registered
+ */
+const getProvider = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(providers, name)) {
+    return null;
+  }
+
+  if (!providerInstances[name]) {
+    providerInstances[name] = new providers[name](name);
+  }
+
+  return providerInstances[name];
+};
+
+class GatewayTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Gateway did not respond within ${timeoutMs}ms`);
+    this.name = 'GatewayTimeoutError';
+  }
+}
+
+/**
+ * Reject with a GatewayTimeoutError if a gateway call takes longer than timeoutMs
+ * The call itself is not cancelled; adapters own their connections.
+ */
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new GatewayTimeoutError(timeoutMs)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run a payment through its gateway (authorize, then capture)
+ * Adapter exceptions are reported as gateway errors rather than thrown. A call that
+ * exceeds PAYMENT_GATEWAY_TIMEOUT_MS is reported as a gateway error with timedOut set:
+ * the processor may still have acted on it, so callers may retry the payment (adapters
+ * must treat payment.getIdempotencyKey() as an idempotency key). A pending capture means the
+ * processor reports the final result later through a callback.
+ * Before a payment is reported as failed, the adapter is asked for a capture it completed
+ * anyway (see BaseGateway.findCapture); if there is one, the payment is reported captured.
+ * That lookup is not caught: when it fails it is unknown whether the money moved.
+ * @param {Object} payment - Payment document
+ * @param {Object} options - timeoutMs (per gateway call)
+ * @returns {Promise<Object>} { success, pending, timedOut, provider, authorization, capture, result }
+ */
+const executePayment = async (payment, { timeoutMs } = {}) => {
+  const gateway = getGateway(payment.paymentMethod);
+  const callTimeoutMs = timeoutMs || parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || 15000;
+  const outcome = {
+    success: false,
+    pending: false,
+    timedOut: false,
+    provider: gateway.name,
+    authorization: null,
+    capture: null,
+    result: null
+  };
+
+  try {
+    outcome.authorization = await withTimeout(gateway.authorize(payment), callTimeoutMs);
+    outcome.result = outcome.authorization;
+
+    if (outcome.authorization.status === GATEWAY_RESULT.AUTHORIZED) {
+      outcome.capture = await withTimeout(gateway.capture(payment, outcome.authorization), callTimeoutMs);
+      outcome.result = outcome.capture;
+      outcome.success = outcome.capture.status === GATEWAY_RESULT.CAPTURED;
+      outcome.pending = outcome.capture.status === GATEWAY_RESULT.PENDING;
+    }
+  } catch (error) {
+    if (error instanceof GatewayTimeoutError) {
+      outcome.timedOut = true;
+      outcome.result = gateway.error({ code: 'gateway_timeout', message: error.message });
+    } else {
+      outcome.result = gateway.error({ code: 'adapter_exception', message: error.message });
+    }
+  }
+
+  // The money may have moved even though a call was declined, failed or timed out
+  // (e.g. a wallet debit that landed after its capture call timed out)
+  if (!outcome.success && !outcome.pending) {
+    const capture = await gateway.findCapture(payment);
+
+    if (capture) {
+      outcome.capture = capture;
+      outcome.result = capture;
+      outcome.success = true;
+      outcome.timedOut = false;
+    }
+  }
+
+  return outcome;
+};
+
+module.exports = {
+  registerGateway,
+  getGateway,
+  getProvider,
+  executePayment
+};
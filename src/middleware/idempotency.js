@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { HTTP_STATUS, IDEMPOTENCY_STATUS } = require('../utils/constants');
+const { errorResponse } = require('../utils/responseFormatter');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// How long a request holds its key; after that a retry can take the key over, so a
+// process that crashed mid-request does not block the key until it expires
+const getLockMs = () => (parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60) * 1000;
+
+/**
+ * Hash the parts of a request that must match on replay
+ * @param {Object} req - Express request object
+ * @returns {String} SHA-256 hex digest
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: req.originalUrl,
+      body: req.body || {}
+    }))
+    .digest('hex');
+};
+
+/**
+ * Take over a key left in progress by a request whose lock has expired
+ * @param {Object} existing - IdempotencyKey document in progress
+ * @returns {Promise<Object|null>} The key, locked for this request, or null if it is still
+ *   locked or another retry took it over first
+ */
+const takeOverExpiredLock = (existing) => {
+  // Keys stored before locks existed are locked from their creation
+  const lockedUntil = existing.lockedUntil || new Date(existing.createdAt.getTime() + getLockMs());
+
+  if (lockedUntil > new Date()) {
+    return null;
+  }
+
+  return IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: IDEMPOTENCY_STATUS.IN_PROGRESS, lockedUntil: existing.lockedUntil || null },
+    { $set: { lockedUntil: new Date(Date.now() + getLockMs()) } },
+    { new: true }
+  );
+};
+
+/**
+ * Idempotency middleware - Replay the stored response for a repeated Idempotency-Key
+ * Requests without the header are passed through unchanged.
+ * Must be placed after authenticate (keys are scoped per user).
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return errorResponse(
+      res,
+      `${IDEMPOTENCY_HEADER} must not exceed ${MAX_KEY_LENGTH} characters`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const ttlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user._id,
+        method: req.method,
+        path: req.originalUrl,
+        requestHash,
+        lockedUntil: new Date(Date.now() + getLockMs()),
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Key already used by this user - replay or reject
+      const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+      if (!existing) {
+        return errorResponse(
+          res,
+          'Idempotency key is being released. Please retry.',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return errorResponse(
+          res,
+          `${IDEMPOTENCY_HEADER} was already used with a different request`,
+          HTTP_STATUS.UNPROCESSABLE_ENTITY
+        );
+      }
+
+      if (existing.status === IDEMPOTENCY_STATUS.COMPLETED) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+      }
+
+      record = await takeOverExpiredLock(existing);
+
+      if (!record) {
+        return errorResponse(
+          res,
+          'A request with this idempotency key is still in progress',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+    }
+
+    // Store the response before it is sent so a retry always finds it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const persist = res.statusCode >= HTTP_STATUS.INTERNAL_SERVER_ERROR
+        // Server errors are not cached so the client can retry
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            status: IDEMPOTENCY_STATUS.COMPLETED,
+            response: {
+              statusCode: res.statusCode,
+              body: JSON.parse(JSON.stringify(body))
+            }
+          }
+        );
+
+      persist
+        .catch(error => console.error('Failed to store idempotent response:', error))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotent,
+  IDEMPOTENCY_HEADER
+};
@@ -0,0 +1,122 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const JournalEntry = require('../models/JournalEntry');
+const WalletTransaction = require('../models/WalletTransaction');
+const ledger = require('../services/ledger');
+const { PAYMENT_STATUS, JOURNAL_ENTRY_TYPES } = require('../utils/constants');
+
+// Posts the journal entries missing for payments completed, refunds issued and wallet
+// top-ups and adjustments made before the ledger existed (or whose posting failed at the
+// time). Run `npm run migrate:minor-units` first on older data. Safe to run more than
+// once: entries are posted by unique reference.
+
+// Payments that completed, whatever was refunded since
+const SETTLED_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Post the completion entry of every settled payment that has none
+ */
+const backfillPayments = async () => {
+  const posted = await JournalEntry.distinct('payment', { type: JOURNAL_ENTRY_TYPES.PAYMENT_COMPLETED });
+  const cursor = Payment.find({ status: { $in: SETTLED_STATUSES }, _id: { $nin: posted } }).cursor();
+  let created = 0;
+  let skipped = 0;
+
+  for await (const payment of cursor) {
+    if (!Number.isInteger(payment.amountMinor)) {
+      console.warn(`  Skipped payment ${payment._id}: no amountMinor`);
+      skipped++;
+      continue;
+    }
+
+    await ledger.postPaymentCompleted(payment, { actor: payment.processedBy });
+    created++;
+  }
+
+  console.log(`Payments: posted ${created}, skipped ${skipped}`);
+};
+
+/**
+ * Post the entry of every refund that has none
+ * Runs after backfillPayments so refund entries can point at the entry they reverse.
+ */
+const backfillRefunds = async () => {
+  const posted = await JournalEntry.distinct('refund', { type: JOURNAL_ENTRY_TYPES.REFUND });
+  const cursor = Refund.find({ _id: { $nin: posted } }).populate('payment').cursor();
+  let created = 0;
+  let skipped = 0;
+
+  for await (const refund of cursor) {
+    if (!refund.payment || !Number.isInteger(refund.amountMinor)) {
+      console.warn(`  Skipped refund ${refund.refundId}: ${refund.payment ? 'no amountMinor' : 'payment not found'}`);
+      skipped++;
+      continue;
+    }
+
+    await ledger.postRefund(refund.payment, refund);
+    created++;
+  }
+
+  console.log(`Refunds: posted ${created}, skipped ${skipped}`);
+};
+
+/**
+ * Post the entry of every wallet top-up and adjustment that has none
+ */
+const backfillWalletTransactions = async () => {
+  const posted = await JournalEntry.distinct('walletTransaction', {
+    type: { $in: [JOURNAL_ENTRY_TYPES.WALLET_TOP_UP, JOURNAL_ENTRY_TYPES.WALLET_ADJUSTMENT] }
+  });
+  const cursor = WalletTransaction.find({
+    type: { $in: ledger.POSTED_WALLET_TRANSACTION_TYPES },
+    _id: { $nin: posted }
+  }).cursor();
+  let created = 0;
+
+  for await (const transaction of cursor) {
+    await ledger.postWalletTransaction(transaction);
+    created++;
+  }
+
+  console.log(`Wallet transactions: posted ${created}`);
+};
+
+// Main migration function
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    await ledger.ensureLedgerAccounts();
+    await backfillPayments();
+    await backfillRefunds();
+    await backfillWalletTransactions();
+
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrate();
@@ -0,0 +1,129 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const RecurringPayment = require('../models/RecurringPayment');
+const { getExponent } = require('../utils/currencies');
+
+// One-off migration for data written before amounts were stored in minor units.
+// Fills amountMinor (and refundedAmountMinor / fx baseAmountMinor on payments) from the
+// stored decimals. Safe to run more than once: documents already migrated are skipped.
+
+const BATCH_SIZE = 500;
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Legacy decimals may carry floating-point noise, so round to the nearest minor unit
+const toMinor = (amount, exponent) => Math.round(amount * 10 ** exponent);
+
+/**
+ * Build the $set for one document, or null if it cannot be migrated
+ * @param {Object} doc - Lean document
+ * @param {Array<String>} fields - Decimal fields to convert
+ * @returns {Object|null}
+ */
+const buildUpdate = (doc, fields) => {
+  const exponent = getExponent(doc.currency || 'USD');
+  if (exponent === null) {
+    return null;
+  }
+
+  const update = {};
+  fields.forEach((field) => {
+    if (doc[`${field}Minor`] === undefined && typeof doc[field] === 'number') {
+      update[`${field}Minor`] = toMinor(doc[field], exponent);
+    }
+  });
+
+  // FX stamps are in the base currency they were taken in
+  ['created', 'completed'].forEach((stamp) => {
+    const fx = doc.fx && doc.fx[stamp];
+    const baseExponent = fx ? getExponent(fx.baseCurrency) : null;
+    if (fx && fx.baseAmountMinor === undefined && baseExponent !== null) {
+      update[`fx.${stamp}.baseAmountMinor`] = toMinor(fx.baseAmount, baseExponent);
+    }
+  });
+
+  return update;
+};
+
+/**
+ * Backfill one collection
+ * @param {Object} Model - Mongoose model
+ * @param {Array<String>} fields - Decimal fields to convert
+ * @param {Object} filter - Documents still to migrate
+ */
+const migrateCollection = async (Model, fields, filter) => {
+  const cursor = Model.find(filter).lean().cursor();
+  let operations = [];
+  let migrated = 0;
+  let skipped = 0;
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      // Raw collection writes, so no hooks or validation run on legacy documents
+      await Model.collection.bulkWrite(operations);
+      migrated += operations.length;
+      operations = [];
+    }
+  };
+
+  for await (const doc of cursor) {
+    const update = buildUpdate(doc, fields);
+
+    if (!update) {
+      console.warn(`  Skipped ${Model.modelName} ${doc._id}: unknown currency "${doc.currency}"`);
+      skipped++;
+      continue;
+    }
+
+    if (Object.keys(update).length > 0) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  console.log(`${Model.modelName}: migrated ${migrated}, skipped ${skipped}`);
+};
+
+// Main migration function
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    await migrateCollection(Payment, ['amount', 'refundedAmount'], {
+      $or: [
+        { amountMinor: { $exists: false } },
+        { refundedAmountMinor: { $exists: false } },
+        { 'fx.created': { $exists: true }, 'fx.created.baseAmountMinor': { $exists: false } },
+        { 'fx.completed': { $exists: true }, 'fx.completed.baseAmountMinor': { $exists: false } }
+      ]
+    });
+    await migrateCollection(Refund, ['amount'], { amountMinor: { $exists: false } });
+    await migrateCollection(RecurringPayment, ['amount'], { amountMinor: { $exists: false } });
+
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrate();
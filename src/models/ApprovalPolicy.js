@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const approvalPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  threshold: {
+    type: Number,
+    required: [true, 'Threshold is required'],
+    min: [0, 'Threshold cannot be negative']
+  },
+  requiredApprovals: {
+    type: Number,
+    required: [true, 'Required approvals is required'],
+    min: [1, 'At least one approval is required']
+  },
+  requiredPermissions: [{
+    type: String
+  }],
+  description: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+approvalPolicySchema.index({ isActive: 1, threshold: -1 });
+
+/**
+ * Find the policy that applies to a payment
+ * Picks the active policy with the highest threshold below the payment amount,
+ * falling back to a single approval when no policy is configured.
+ * Thresholds are in the base currency and compared against the payment's base-currency
+ * equivalent at creation; payments stored without one are compared at their own amount.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object>} ApprovalPolicy document (unsaved for the fallback)
+ */
+approvalPolicySchema.statics.resolveFor = async function(payment) {
+  const amount = payment.fx && payment.fx.created
+    ? payment.fx.created.baseAmount
+    : payment.amount;
+
+  const policy = await this.findOne({
+    isActive: true,
+    threshold: { $lt: amount }
+  }).sort({ threshold: -1 });
+
+  return policy || new this({
+    name: 'default',
+    threshold: 0,
+    requiredApprovals: 1,
+    requiredPermissions: []
+  });
+};
+
+/**
+ * Evaluate collected approvals against this policy
+ * @param {Array} approvals - Payment approvals ({ approver, permissions })
+ * @returns {Object} { satisfied, required, remaining: { approvals, permissions } }
+ */
+approvalPolicySchema.methods.evaluate = function(approvals = []) {
+  const missingPermissions = this.requiredPermissions.filter(permission =>
+    !approvals.some(approval => (approval.permissions || []).includes(permission))
+  );
+
+  // A missing permission always needs at least one more approver
+  const remainingApprovals = Math.max(
+    this.requiredApprovals - approvals.length,
+    missingPermissions.length > 0 ? 1 : 0
+  );
+
+  return {
+    satisfied: remainingApprovals === 0,
+    policy: this.name,
+    required: {
+      approvals: this.requiredApprovals,
+      permissions: this.requiredPermissions
+    },
+    remaining: {
+      approvals: remainingApprovals,
+      permissions: missingPermissions
+    }
+  };
+};
+
+const ApprovalPolicy = mongoose.model('ApprovalPolicy', approvalPolicySchema);
+
+module.exports = ApprovalPolicy;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { FX_RATE_SOURCES } = require('../utils/constants');
+
+// Current exchange rate of a currency against the base currency (BASE_CURRENCY).
+// rate is the number of base-currency units one unit of the currency is worth.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  baseCurrency: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  source: {
+    type: String,
+    enum: Object.values(FX_RATE_SOURCES),
+    default: FX_RATE_SOURCES.API
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { IDEMPOTENCY_STATUS } = require('../utils/constants');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(IDEMPOTENCY_STATUS),
+    default: IDEMPOTENCY_STATUS.IN_PROGRESS
+  },
+  // A request in progress holds the key until then (see middleware/idempotency)
+  lockedUntil: {
+    type: Date
+  },
+  response: {
+    statusCode: {
+      type: Number
+    },
+    body: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Create TTL index to automatically delete expired keys
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const { INVOICE_STATUS } = require('../utils/constants');
+const { isValidCurrency, toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+const minorUnits = require('./plugins/minorUnits');
+
+// One line of an invoice in minor units of the invoice currency; unitPrice and amount
+// are their decimal equivalents. Lines given with only a decimal unitPrice are converted
+// when the invoice is validated.
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Line item description is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    validate: [Number.isInteger, 'Quantity must be a whole number']
+  },
+  unitPriceMinor: {
+    type: Number,
+    min: [0, 'Unit price cannot be negative'],
+    validate: [Number.isInteger, 'Unit price must be a whole number of minor units']
+  },
+  unitPrice: {
+    type: Number
+  },
+  amountMinor: {
+    type: Number
+  },
+  amount: {
+    type: Number
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // The issuer's invoice number; unique per issuer
+  number: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    trim: true
+  },
+  // Payee who issued the invoice and is paid for it
+  issuer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee',
+    required: [true, 'Issuer is required']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    validate: [isValidCurrency, 'Currency must be a valid ISO 4217 code']
+  },
+  lineItems: [lineItemSchema],
+  // Sum of the line item amounts, in minor units; total is its decimal equivalent
+  totalMinor: {
+    type: Number,
+    min: [1, 'Invoice total must be greater than 0']
+  },
+  total: {
+    type: Number
+  },
+  // Net amount of the invoice's completed payments (after refunds); kept up to date by
+  // services/invoices as payments complete and are refunded
+  paidAmountMinor: {
+    type: Number,
+    default: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  outstandingMinor: {
+    type: Number
+  },
+  outstanding: {
+    type: Number
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  status: {
+    type: String,
+    enum: Object.values(INVOICE_STATUS),
+    default: INVOICE_STATUS.OPEN
+  },
+  paidAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+invoiceSchema.index({ number: 1, issuer: 1 }, { unique: true });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ issuer: 1, createdAt: -1 });
+
+/**
+ * Status of an invoice that is not cancelled, given what has been paid
+ * @param {Number} paidMinor - Net paid amount in minor units
+ * @param {Number} totalMinor - Invoice total in minor units
+ * @returns {String} One of INVOICE_STATUS (never cancelled)
+ */
+invoiceSchema.statics.statusFor = function(paidMinor, totalMinor) {
+  if (paidMinor >= totalMinor) {
+    return INVOICE_STATUS.PAID;
+  }
+  return paidMinor > 0 ? INVOICE_STATUS.PARTIALLY_PAID : INVOICE_STATUS.OPEN;
+};
+
+// Price the line items and derive the total, outstanding balance and status from them
+invoiceSchema.pre('validate', function(next) {
+  if (this.lineItems.length === 0) {
+    this.invalidate('lineItems', 'An invoice needs at least one line item');
+    return next();
+  }
+
+  // Compared by day, so an invoice can fall due on the day it is issued
+  if (this.dueDate && this.issueDate) {
+    const issueDay = new Date(this.issueDate);
+    issueDay.setUTCHours(0, 0, 0, 0);
+
+    if (this.dueDate < issueDay) {
+      this.invalidate('dueDate', 'Due date cannot be before the issue date');
+    }
+  }
+
+  // An unknown currency is reported by the currency validator
+  if (!isValidCurrency(this.currency)) {
+    return next();
+  }
+
+  let totalMinor = 0;
+
+  this.lineItems.forEach((line, index) => {
+    if (line.unitPriceMinor == null && typeof line.unitPrice === 'number') {
+      try {
+        line.unitPriceMinor = toMinorUnits(line.unitPrice, this.currency);
+      } catch (error) {
+        this.invalidate(`lineItems.${index}.unitPrice`, error.message, line.unitPrice);
+        return;
+      }
+    }
+
+    if (line.unitPriceMinor == null) {
+      this.invalidate(`lineItems.${index}.unitPrice`, 'Unit price is required');
+      return;
+    }
+
+    line.unitPrice = fromMinorUnits(line.unitPriceMinor, this.currency);
+    line.amountMinor = line.unitPriceMinor * line.quantity;
+    line.amount = fromMinorUnits(line.amountMinor, this.currency);
+    totalMinor += line.amountMinor;
+  });
+
+  this.totalMinor = totalMinor;
+
+  // A cancelled invoice owes nothing
+  if (this.status === INVOICE_STATUS.CANCELLED) {
+    this.outstandingMinor = 0;
+  } else {
+    this.outstandingMinor = Math.max(totalMinor - this.paidAmountMinor, 0);
+    this.status = this.constructor.statusFor(this.paidAmountMinor, totalMinor);
+  }
+
+  next();
+});
+
+invoiceSchema.plugin(minorUnits, { fields: ['total', 'paidAmount', 'outstanding'] });
+
+/**
+ * Whether the invoice is past its due date and not settled
+ * @returns {Boolean}
+ */
+invoiceSchema.methods.isOverdue = function() {
+  return [INVOICE_STATUS.OPEN, INVOICE_STATUS.PARTIALLY_PAID].includes(this.status) &&
+    this.dueDate < new Date();
+};
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
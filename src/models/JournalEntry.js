@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { JOURNAL_ENTRY_TYPES } = require('../utils/constants');
+const { isValidCurrency, fromMinorUnits } = require('../utils/currencies');
+
+// One side of a journal entry: a debit or a credit to an account, in minor units of the
+// entry currency. debit and credit are their decimal equivalents.
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: [true, 'Account is required']
+  },
+  debitMinor: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative'],
+    validate: [Number.isInteger, 'Debit must be a whole number of minor units']
+  },
+  debit: {
+    type: Number
+  },
+  creditMinor: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative'],
+    validate: [Number.isInteger, 'Credit must be a whole number of minor units']
+  },
+  credit: {
+    type: Number
+  }
+}, { _id: false });
+
+// A balanced set of debits and credits, stored as one document so it is written atomically
+const journalEntrySchema = new mongoose.Schema({
+  // Identifies what was posted (e.g. payment:<id>:completed); an event is never posted twice
+  reference: {
+    type: String,
+    required: [true, 'Reference is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(JOURNAL_ENTRY_TYPES),
+    required: [true, 'Entry type is required']
+  },
+  description: {
+    type: String
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    validate: [isValidCurrency, 'Currency must be a valid ISO 4217 code']
+  },
+  lines: [journalLineSchema],
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  },
+  // Entry this one reverses (in full or in part)
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  // Accounting date: balances as of a date include the entries posted up to it
+  postedAt: {
+    type: Date,
+    required: [true, 'Posting date is required']
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Indexes for performance
+journalEntrySchema.index({ 'lines.account': 1, postedAt: 1 });
+journalEntrySchema.index({ payment: 1, postedAt: 1 });
+journalEntrySchema.index({ refund: 1 }, { sparse: true });
+journalEntrySchema.index({ walletTransaction: 1 }, { sparse: true });
+journalEntrySchema.index({ postedAt: -1 });
+
+// Every line is one-sided and the entry balances
+journalEntrySchema.pre('validate', function(next) {
+  if (this.lines.length < 2) {
+    this.invalidate('lines', 'A journal entry needs at least two lines');
+    return next();
+  }
+
+  let debits = 0;
+  let credits = 0;
+
+  this.lines.forEach((line, index) => {
+    if ((line.debitMinor > 0) === (line.creditMinor > 0)) {
+      this.invalidate(`lines.${index}`, 'Each line must have either a debit or a credit');
+    }
+
+    debits += line.debitMinor;
+    credits += line.creditMinor;
+
+    if (isValidCurrency(this.currency)) {
+      line.debit = fromMinorUnits(line.debitMinor, this.currency);
+      line.credit = fromMinorUnits(line.creditMinor, this.currency);
+    }
+  });
+
+  if (debits !== credits) {
+    this.invalidate('lines', `Debits (${debits}) must equal credits (${credits})`);
+  }
+
+  next();
+});
+
+// Entries are append-only: corrections are posted as new, reversing entries
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries are immutable'));
+  }
+  next();
+});
+
+const blockMutation = function(next) {
+  next(new Error('Journal entries are immutable'));
+};
+
+journalEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  blockMutation
+);
+journalEntrySchema.pre('deleteOne', { document: true, query: false }, blockMutation);
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+module.exports = JournalEntry;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { LEDGER_ACCOUNT_TYPES } = require('../utils/constants');
+
+// Account types whose balance is debits minus credits; the others are credits minus debits
+const DEBIT_NORMAL_TYPES = [LEDGER_ACCOUNT_TYPES.ASSET, LEDGER_ACCOUNT_TYPES.EXPENSE];
+
+const ledgerAccountSchema = new mongoose.Schema({
+  // Stable identifier journal entry lines refer to
+  code: {
+    type: String,
+    required: [true, 'Account code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(LEDGER_ACCOUNT_TYPES),
+    required: [true, 'Account type is required']
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Whether the account's balance grows with debits
+ * @returns {Boolean}
+ */
+ledgerAccountSchema.methods.isDebitNormal = function() {
+  return DEBIT_NORMAL_TYPES.includes(this.type);
+};
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+
+module.exports = LedgerAccount;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { PAYEE_TYPES, PAYEE_VERIFICATION_STATUS } = require('../utils/constants');
+
+// Where a bank payee is paid
+const bankDetailsSchema = new mongoose.Schema({
+  accountHolder: {
+    type: String,
+    trim: true
+  },
+  bankName: {
+    type: String,
+    trim: true
+  },
+  accountNumber: {
+    type: String,
+    trim: true
+  },
+  iban: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // BIC / SWIFT code
+  bic: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Domestic routing code (e.g. ABA routing number or sort code)
+  routingNumber: {
+    type: String,
+    trim: true
+  },
+  // ISO 3166-1 alpha-2 country of the account
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true
+  }
+}, { _id: false });
+
+const payeeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Payee name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(PAYEE_TYPES),
+    required: [true, 'Payee type is required']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  bankDetails: bankDetailsSchema,
+  // Identifier of the payee's wallet with an external wallet provider
+  walletReference: {
+    type: String,
+    trim: true
+  },
+  verificationStatus: {
+    type: String,
+    enum: Object.values(PAYEE_VERIFICATION_STATUS),
+    default: PAYEE_VERIFICATION_STATUS.UNVERIFIED
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: {
+    type: Date
+  },
+  verificationNote: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+payeeSchema.index({ name: 1 });
+payeeSchema.index({ verificationStatus: 1 });
+
+// A payee must be payable: a bank account or a wallet
+payeeSchema.pre('validate', function(next) {
+  const bank = this.bankDetails;
+  const hasBankAccount = Boolean(bank && (bank.accountNumber || bank.iban));
+
+  if (!hasBankAccount && !this.walletReference) {
+    this.invalidate('bankDetails', 'Bank details (account number or IBAN) or a wallet reference are required');
+  }
+
+  next();
+});
+
+// Changed payout details have to be verified again before payments to them are approved
+payeeSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('bankDetails') || this.isModified('walletReference'))) {
+    this.verificationStatus = PAYEE_VERIFICATION_STATUS.UNVERIFIED;
+    this.verifiedBy = undefined;
+    this.verifiedAt = undefined;
+    this.verificationNote = undefined;
+  }
+
+  next();
+});
+
+/**
+ * Whether payments to this payee may be approved
+ * @returns {Boolean}
+ */
+payeeSchema.methods.isVerified = function() {
+  return this.verificationStatus === PAYEE_VERIFICATION_STATUS.VERIFIED;
+};
+
+const Payee = mongoose.model('Payee', payeeSchema);
+
+module.exports = Payee;
@@ -1,6 +1,123 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('crypto');
-const { PAYMENT_STATUS, PAYMENT_METHODS, PAYMENT_STATUS_TRANSITIONS } = require('../utils/constants');
+const {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_STATUS_TRANSITIONS,
+  RISK_RULE_TYPES,
+  REVIEW_DECISIONS
+} = require('../utils/constants');
+const { isValidCurrency, fromMinorUnits } = require('../utils/currencies');
+const minorUnits = require('./plugins/minorUnits');
+
+// Amount converted into the base currency at a point in time
+const fxStampSchema = new mongoose.Schema({
+  baseCurrency: {
+    type: String,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  baseAmount: {
+    type: Number,
+    required: true
+  },
+  // baseAmount in minor units of the base currency
+  baseAmountMinor: {
+    type: Number
+  },
+  ratedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Result reported by the gateway adapter for a processing attempt
+const gatewayFields = {
+  provider: {
+    type: String
+  },
+  authorizationReference: {
+    type: String
+  },
+  captureReference: {
+    type: String
+  },
+  resultCode: {
+    type: String
+  },
+  message: {
+    type: String
+  }
+};
+
+// A failed processing attempt, archived when the payment is retried
+const processingAttemptSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  failureReason: {
+    type: String
+  },
+  gateway: gatewayFields,
+  retriedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  retriedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// Risk assessment made when the payment was created, and the review of a held payment
+const riskSchema = new mongoose.Schema({
+  score: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  rules: [{
+    _id: false,
+    name: String,
+    type: {
+      type: String,
+      enum: Object.values(RISK_RULE_TYPES)
+    },
+    score: Number,
+    reason: String
+  }],
+  assessedAt: {
+    type: Date
+  },
+  decision: {
+    type: String,
+    enum: Object.values(REVIEW_DECISIONS)
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
   user: {
@@ -8,20 +125,36 @@ const paymentSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'User is required']
   },
-  amount: {
+  // Amount in minor units of the currency (e.g. cents); amount is its decimal equivalent
+  amountMinor: {
     type: Number,
     required: [true, 'Amount is required'],
-    min: [0.01, 'Amount must be greater than 0']
+    min: [1, 'Amount must be greater than 0'],
+    validate: [Number.isInteger, 'Amount must be a whole number of minor units']
+  },
+  amount: {
+    type: Number
   },
   currency: {
     type: String,
     default: 'USD',
-    uppercase: true
+    uppercase: true,
+    validate: [isValidCurrency, 'Currency must be a valid ISO 4217 code']
   },
   description: {
     type: String,
     trim: true
   },
+  // Who is being paid
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee'
+  },
+  // Invoice this payment pays (in full or in part)
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
   status: {
     type: String,
     enum: Object.values(PAYMENT_STATUS),
@@ -33,6 +166,55 @@ const paymentSchema = new mongoose.Schema({
     default: PAYMENT_METHODS.CARD
   },
 
+  // Base-currency equivalents, stamped at creation and at completion
+  fx: {
+    created: fxStampSchema,
+    completed: fxStampSchema
+  },
+
+  // Scheduling
+  executeAt: {
+    type: Date
+  },
+  executionOverdueAt: {
+    type: Date
+  },
+  recurringPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringPayment'
+  },
+  recurrenceIndex: {
+    type: Number
+  },
+
+  // CSV batch import
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentBatch'
+  },
+
+  risk: riskSchema,
+
+  // Approval chain
+  approvals: [{
+    _id: false,
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    approvedAt: {
+      type: Date,
+      default: Date.now
+    },
+    permissions: [{
+      type: String
+    }]
+  }],
+  approvalPolicy: {
+    type: String
+  },
+
   // Workflow tracking
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -41,6 +223,14 @@ const paymentSchema = new mongoose.Schema({
   approvedAt: {
     type: Date
   },
+  // Who rejected the payment, at approval or in risk review
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: {
+    type: Date
+  },
   processedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -51,11 +241,56 @@ const paymentSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // When the completion journal entry was posted; the payment worker posts it for
+  // settled payments that do not have one yet
+  ledgerPostedAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+
+  // Refund tracking
+  // No default, so documents stored before minor units get it derived from refundedAmount
+  refundedAmountMinor: {
+    type: Number,
+    min: [0, 'Refunded amount cannot be negative'],
+    validate: [Number.isInteger, 'Refunded amount must be a whole number of minor units']
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAt: {
+    type: Date
+  },
+
+  // Gateway results of the current attempt
+  gateway: gatewayFields,
+
+  // Processing attempts: attemptCount includes the current one, attemptHistory
+  // holds the failed attempts that were retried
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  attemptHistory: [processingAttemptSchema],
 
   // Metadata
   failureReason: {
     type: String
   },
+  failedAt: {
+    type: Date
+  },
   transactionId: {
     type: String,
     unique: true,
@@ -73,6 +308,20 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ transactionId: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ status: 1, executeAt: 1 }, { sparse: true });
+// One payment per schedule occurrence, even with several schedulers running
+paymentSchema.index(
+  { recurringPayment: 1, recurrenceIndex: 1 },
+  { unique: true, partialFilterExpression: { recurringPayment: { $exists: true } } }
+);
+paymentSchema.index({ 'gateway.captureReference': 1 }, { sparse: true });
+paymentSchema.index({ 'gateway.authorizationReference': 1 }, { sparse: true });
+paymentSchema.index({ batch: 1, status: 1 }, { sparse: true });
+paymentSchema.index({ payee: 1, createdAt: -1 }, { sparse: true });
+paymentSchema.index({ invoice: 1, status: 1 }, { sparse: true });
+paymentSchema.index({ status: 1, ledgerPostedAt: 1 });
+
+paymentSchema.plugin(minorUnits, { fields: ['amount', 'refundedAmount'] });
 
 // Method to validate status transition
 paymentSchema.methods.canTransitionTo = function(newStatus) {
@@ -81,8 +330,31 @@ paymentSchema.methods.canTransitionTo = function(newStatus) {
 };
 
 // Method to check if payment is in final state
+// Failed payments are not final: they can be retried (failed → processing)
 paymentSchema.methods.isFinalState = function() {
-  return [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.REJECTED].includes(this.status);
+  return [
+    PAYMENT_STATUS.COMPLETED,
+    PAYMENT_STATUS.REJECTED,
+    PAYMENT_STATUS.CANCELLED,
+    PAYMENT_STATUS.REFUNDED
+  ].includes(this.status);
+};
+
+// Method to get the key identifying the current attempt to the gateway
+// The first attempt uses the transactionId; retries get their own key so the
+// processor does not answer them with the failed attempt's stored result
+paymentSchema.methods.getIdempotencyKey = function() {
+  return this.attemptCount > 1 ? `${this.transactionId}-${this.attemptCount}` : this.transactionId;
+};
+
+// Method to get the amount still available for refunds, in minor units
+paymentSchema.methods.getRefundableAmountMinor = function() {
+  return this.amountMinor - (this.refundedAmountMinor || 0);
+};
+
+// Method to get the amount still available for refunds
+paymentSchema.methods.getRefundableAmount = function() {
+  return fromMinorUnits(this.getRefundableAmountMinor(), this.currency);
 };
 
 const Payment = mongoose.model('Payment', paymentSchema);
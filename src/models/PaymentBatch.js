@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { PAYMENT_BATCH_STATUS } = require('../utils/constants');
+
+const paymentBatchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Batch name is required'],
+    trim: true,
+    maxlength: [100, 'Batch name must not exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creating user is required']
+  },
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_BATCH_STATUS),
+    default: PAYMENT_BATCH_STATUS.PENDING
+  },
+
+  // Import results
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  paymentCount: {
+    type: Number,
+    default: 0
+  },
+  rejectedRows: [{
+    _id: false,
+    row: {
+      type: Number,
+      required: true
+    },
+    // Not named errors, which mongoose reserves on documents
+    reasons: [{
+      _id: false,
+      field: String,
+      message: String,
+      value: mongoose.Schema.Types.Mixed
+    }]
+  }],
+
+  // Lifecycle
+  approvedAt: {
+    type: Date
+  },
+  discardedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  discardedAt: {
+    type: Date
+  },
+  discardReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+paymentBatchSchema.index({ createdBy: 1, createdAt: -1 });
+paymentBatchSchema.index({ status: 1 });
+
+const PaymentBatch = mongoose.model('PaymentBatch', paymentBatchSchema);
+
+module.exports = PaymentBatch;
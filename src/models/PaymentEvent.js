@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { EventEmitter } = require('events');
+const { PAYMENT_STATUS, PAYMENT_EVENTS, EVENT_SOURCES } = require('../utils/constants');
+
+const paymentEventSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment is required']
+  },
+  type: {
+    type: String,
+    enum: Object.values(PAYMENT_EVENTS),
+    required: [true, 'Event type is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: Object.values(EVENT_SOURCES),
+    default: EVENT_SOURCES.API
+  },
+  fromStatus: {
+    type: String,
+    enum: [...Object.values(PAYMENT_STATUS), null],
+    default: null
+  },
+  toStatus: {
+    type: String,
+    enum: [...Object.values(PAYMENT_STATUS), null],
+    default: null
+  },
+  reason: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Indexes for performance
+paymentEventSchema.index({ payment: 1, createdAt: 1 });
+paymentEventSchema.index({ createdAt: 1 });
+
+// Events are append-only: block updates to existing events
+paymentEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Payment events are immutable'));
+  }
+  next();
+});
+
+const blockMutation = function(next) {
+  next(new Error('Payment events are immutable'));
+};
+
+paymentEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  blockMutation
+);
+paymentEventSchema.pre('deleteOne', { document: true, query: false }, blockMutation);
+
+// Notifies in-process listeners (e.g. webhook dispatch) once an event is stored
+const recordedEvents = new EventEmitter();
+
+paymentEventSchema.post('save', function(event) {
+  recordedEvents.emit('recorded', event);
+});
+
+/**
+ * Register a listener called with each newly stored event
+ * Listeners run after the event is saved and must handle their own errors.
+ * @param {Function} listener - (event) => void
+ */
+paymentEventSchema.statics.onRecorded = function(listener) {
+  recordedEvents.on('recorded', listener);
+};
+
+/**
+ * Append an event to a payment's history
+ * @param {Object} payment - Payment document
+ * @param {String} type - One of PAYMENT_EVENTS
+ * @param {Object} options - req (for actor/IP), actor, source, fromStatus, toStatus, reason, details
+ * @returns {Promise<Object>} Created event
+ */
+paymentEventSchema.statics.record = function(payment, type, options = {}) {
+  const { req, fromStatus = null, toStatus = null, reason, details = {} } = options;
+  const actor = options.actor || (req && req.user ? req.user._id : undefined);
+
+  return this.create({
+    payment: payment._id,
+    type,
+    actor,
+    source: options.source || (req ? EVENT_SOURCES.API : EVENT_SOURCES.SYSTEM),
+    fromStatus,
+    toStatus,
+    reason,
+    ipAddress: req ? req.ip : undefined,
+    details
+  });
+};
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { PAYMENT_JOB_STATUS } = require('../utils/constants');
+
+const paymentJobSchema = new mongoose.Schema({
+  // One job per payment: it runs the payment through its gateway
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment is required'],
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_JOB_STATUS),
+    default: PAYMENT_JOB_STATUS.QUEUED
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Retry tracking
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => parseInt(process.env.PAYMENT_JOB_MAX_ATTEMPTS) || 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+
+  // Lease held by the worker running the job; an expired lease means the worker died
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+paymentJobSchema.index({ status: 1, runAt: 1 });
+paymentJobSchema.index({ status: 1, lockedUntil: 1 });
+
+const PaymentJob = mongoose.model('PaymentJob', paymentJobSchema);
+
+module.exports = PaymentJob;
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const { PAYMENT_METHODS, RECURRING_FREQUENCIES, RECURRING_STATUS } = require('../utils/constants');
+const { getNextCronDate } = require('../utils/cron');
+const { isValidCurrency } = require('../utils/currencies');
+const minorUnits = require('./plugins/minorUnits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recurringPaymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  // Template for generated payments
+  // Amount in minor units of the currency; amount is its decimal equivalent
+  amountMinor: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be greater than 0'],
+    validate: [Number.isInteger, 'Amount must be a whole number of minor units']
+  },
+  amount: {
+    type: Number
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    validate: [isValidCurrency, 'Currency must be a valid ISO 4217 code']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee'
+  },
+  paymentMethod: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    default: PAYMENT_METHODS.CARD
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Schedule
+  frequency: {
+    type: String,
+    enum: Object.values(RECURRING_FREQUENCIES),
+    required: [true, 'Frequency is required']
+  },
+  intervalCount: {
+    type: Number,
+    default: 1,
+    min: [1, 'Interval must be at least 1']
+  },
+  cronExpression: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  maxOccurrences: {
+    type: Number,
+    min: [1, 'Max occurrences must be at least 1']
+  },
+
+  // Progress
+  status: {
+    type: String,
+    enum: Object.values(RECURRING_STATUS),
+    default: RECURRING_STATUS.ACTIVE
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  nextRunAt: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  pausedAt: {
+    type: Date
+  },
+  // Why the scheduler paused the schedule (unset when paused by a user)
+  pauseReason: {
+    type: String
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+recurringPaymentSchema.index({ status: 1, nextRunAt: 1 });
+recurringPaymentSchema.index({ user: 1, createdAt: -1 });
+
+recurringPaymentSchema.plugin(minorUnits, { fields: ['amount'] });
+
+/**
+ * Get the first run date of the schedule
+ * @returns {Date|null}
+ */
+recurringPaymentSchema.methods.getFirstRunAt = function() {
+  if (this.frequency === RECURRING_FREQUENCIES.CRON) {
+    // Allow a cron match exactly at startDate
+    return this.applyLimits(getNextCronDate(this.cronExpression, new Date(this.startDate.getTime() - 60 * 1000)), 0);
+  }
+  return this.applyLimits(this.startDate, 0);
+};
+
+/**
+ * Get the run date following a given run
+ * Monthly schedules keep the day of month of startDate (clamped to short months).
+ * @param {Date} previousRunAt - The run to advance from
+ * @param {Number} occurrenceCount - Occurrences generated including previousRunAt
+ * @returns {Date|null} Next run, or null when the schedule is exhausted
+ */
+recurringPaymentSchema.methods.getNextRunAt = function(previousRunAt, occurrenceCount = this.occurrenceCount) {
+  const count = this.intervalCount || 1;
+  let next;
+
+  switch (this.frequency) {
+    case RECURRING_FREQUENCIES.DAILY:
+      next = new Date(previousRunAt.getTime() + count * DAY_MS);
+      break;
+    case RECURRING_FREQUENCIES.WEEKLY:
+      next = new Date(previousRunAt.getTime() + count * 7 * DAY_MS);
+      break;
+    case RECURRING_FREQUENCIES.MONTHLY: {
+      const year = previousRunAt.getUTCFullYear();
+      const month = previousRunAt.getUTCMonth() + count;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      next = new Date(Date.UTC(
+        year,
+        month,
+        Math.min(this.startDate.getUTCDate(), daysInMonth),
+        this.startDate.getUTCHours(),
+        this.startDate.getUTCMinutes()
+      ));
+      break;
+    }
+    case RECURRING_FREQUENCIES.CRON:
+      next = getNextCronDate(this.cronExpression, previousRunAt);
+      break;
+    default:
+      next = null;
+  }
+
+  return this.applyLimits(next, occurrenceCount);
+};
+
+/**
+ * Apply endDate and maxOccurrences to a candidate run date
+ * @returns {Date|null}
+ */
+recurringPaymentSchema.methods.applyLimits = function(date, occurrenceCount) {
+  if (!date) return null;
+  if (this.maxOccurrences && occurrenceCount >= this.maxOccurrences) return null;
+  if (this.endDate && date > this.endDate) return null;
+  return date;
+};
+
+const RecurringPayment = mongoose.model('RecurringPayment', recurringPaymentSchema);
+
+module.exports = RecurringPayment;
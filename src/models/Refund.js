@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { isValidCurrency } = require('../utils/currencies');
+const minorUnits = require('./plugins/minorUnits');
+
+const refundSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment is required']
+  },
+  // Amount in minor units of the currency; amount is its decimal equivalent
+  amountMinor: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be greater than 0'],
+    validate: [Number.isInteger, 'Amount must be a whole number of minor units']
+  },
+  amount: {
+    type: Number
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    validate: [isValidCurrency, 'Currency must be a valid ISO 4217 code']
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refunding user is required']
+  },
+  // When the refund's journal entry was posted; the payment worker posts it otherwise
+  ledgerPostedAt: {
+    type: Date
+  },
+  // Refunds of wallet payments are credited to the payer's wallet; the payment worker
+  // credits those without walletCreditedAt
+  creditsWallet: {
+    type: Boolean,
+    default: false
+  },
+  walletCreditedAt: {
+    type: Date
+  },
+  refundId: {
+    type: String,
+    unique: true,
+    default: () => `RFD-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+refundSchema.index({ payment: 1, createdAt: -1 });
+refundSchema.index({ ledgerPostedAt: 1, createdAt: 1 });
+refundSchema.index({ creditsWallet: 1, walletCreditedAt: 1 });
+
+refundSchema.plugin(minorUnits, { fields: ['amount'] });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { RISK_RULE_TYPES, RISK_RULE_PARAMS } = require('../utils/constants');
+
+/**
+ * Check rule parameters are known to the rule type and positive numbers
+ */
+function hasValidParams(params) {
+  const allowed = RISK_RULE_PARAMS[this.type];
+
+  if (!allowed || params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return false;
+  }
+
+  return Object.entries(params).every(([key, value]) =>
+    Object.prototype.hasOwnProperty.call(allowed, key) && typeof value === 'number' && value > 0
+  );
+}
+
+// A rule scored against every new payment; the scores of the rules that fire add up
+// to the payment's risk score
+const riskRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(RISK_RULE_TYPES),
+    required: [true, 'Rule type is required']
+  },
+  // Overrides of the type's default parameters (see RISK_RULE_PARAMS)
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({}),
+    validate: [hasValidParams, 'Params must be positive numbers accepted by the rule type']
+  },
+  score: {
+    type: Number,
+    required: [true, 'Score is required'],
+    min: [1, 'Score must be between 1 and 100'],
+    max: [100, 'Score must be between 1 and 100']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+riskRuleSchema.index({ isActive: 1 });
+
+/**
+ * Parameters to evaluate the rule with: the type's defaults overridden by the rule's own
+ * @returns {Object} Parameters
+ */
+riskRuleSchema.methods.getParams = function() {
+  return { ...RISK_RULE_PARAMS[this.type], ...this.params };
+};
+
+const RiskRule = mongoose.model('RiskRule', riskRuleSchema);
+
+module.exports = RiskRule;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SOD_RULES } = require('../utils/constants');
 
 const roleSchema = new mongoose.Schema({
   name: {
@@ -16,6 +17,14 @@ const roleSchema = new mongoose.Schema({
   description: {
     type: String,
     default: ''
+  },
+  // Segregation-of-duties rules enforced for users holding this role
+  sodRules: {
+    type: [{
+      type: String,
+      enum: Object.values(SOD_RULES)
+    }],
+    default: () => Object.values(SOD_RULES)
   }
 }, {
   timestamps: true
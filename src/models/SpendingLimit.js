@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { SPENDING_LIMIT_SCOPES } = require('../utils/constants');
+const { isValidCurrency } = require('../utils/currencies');
+const minorUnits = require('./plugins/minorUnits');
+
+// Limit amounts are in minor units of currency (the base currency when the limit was
+// set); each decimal field is its decimal equivalent. A null amount means unlimited.
+const limitAmount = (label) => ({
+  type: Number,
+  default: null,
+  min: [0, `${label} limit cannot be negative`],
+  validate: [(value) => value === null || Number.isInteger(value), `${label} limit must be a whole number of minor units`]
+});
+
+// Spending limits of a role, or of a single user overriding their role's limits
+const spendingLimitSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: Object.values(SPENDING_LIMIT_SCOPES),
+    required: [true, 'Scope is required']
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    required: [function() { return this.scope === SPENDING_LIMIT_SCOPES.ROLE; }, 'Role is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.scope === SPENDING_LIMIT_SCOPES.USER; }, 'User is required']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    validate: [isValidCurrency, 'Currency must be a valid ISO 4217 code']
+  },
+  perTransactionMinor: limitAmount('Per-transaction'),
+  perTransaction: {
+    type: Number,
+    default: null
+  },
+  dailyMinor: limitAmount('Daily'),
+  daily: {
+    type: Number,
+    default: null
+  },
+  monthlyMinor: limitAmount('Monthly'),
+  monthly: {
+    type: Number,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One limit per role and one per user
+spendingLimitSchema.index(
+  { role: 1 },
+  { unique: true, partialFilterExpression: { scope: SPENDING_LIMIT_SCOPES.ROLE } }
+);
+spendingLimitSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { scope: SPENDING_LIMIT_SCOPES.USER } }
+);
+
+spendingLimitSchema.plugin(minorUnits, { fields: ['perTransaction', 'daily', 'monthly'] });
+
+const SpendingLimit = mongoose.model('SpendingLimit', spendingLimitSchema);
+
+module.exports = SpendingLimit;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { isValidCurrency } = require('../utils/currencies');
+const minorUnits = require('./plugins/minorUnits');
+
+// A user's balance in one currency; a user's wallet is the set of their balances.
+// Balances only change through atomic updates in services/wallets, which record a
+// WalletTransaction for every movement.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    validate: [isValidCurrency, 'Currency must be a valid ISO 4217 code']
+  },
+  // Balance in minor units of the currency; balance is its decimal equivalent
+  balanceMinor: {
+    type: Number,
+    default: 0,
+    min: [0, 'Balance cannot be negative'],
+    validate: [Number.isInteger, 'Balance must be a whole number of minor units']
+  },
+  balance: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One balance per user and currency
+walletSchema.index({ user: 1, currency: 1 }, { unique: true });
+
+walletSchema.plugin(minorUnits, { fields: ['balance'] });
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+
+module.exports = Wallet;
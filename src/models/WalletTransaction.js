@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+const { isValidCurrency, fromMinorUnits } = require('../utils/currencies');
+
+// Append-only history of wallet balance movements
+const walletTransactionSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: [true, 'Wallet is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: Object.values(WALLET_TRANSACTION_TYPES),
+    required: [true, 'Transaction type is required']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    validate: [isValidCurrency, 'Currency must be a valid ISO 4217 code']
+  },
+  // Signed change in minor units: positive for credits, negative for debits
+  amountMinor: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: [(value) => Number.isInteger(value) && value !== 0, 'Amount must be a non-zero whole number of minor units']
+  },
+  amount: {
+    type: Number
+  },
+  // Balance right after this movement
+  balanceAfterMinor: {
+    type: Number,
+    required: [true, 'Resulting balance is required']
+  },
+  balanceAfter: {
+    type: Number
+  },
+  // Identifies what moved the money (e.g. payment:<idempotency key>); a movement is never recorded twice
+  reference: {
+    type: String,
+    required: [true, 'Reference is required'],
+    unique: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Indexes for performance
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ wallet: 1, createdAt: -1 });
+walletTransactionSchema.index({ payment: 1 });
+
+// Decimal amounts follow the signed minor amounts
+walletTransactionSchema.pre('validate', function(next) {
+  if (isValidCurrency(this.currency)) {
+    if (Number.isInteger(this.amountMinor)) this.amount = fromMinorUnits(this.amountMinor, this.currency);
+    if (Number.isInteger(this.balanceAfterMinor)) this.balanceAfter = fromMinorUnits(this.balanceAfterMinor, this.currency);
+  }
+  next();
+});
+
+// Transactions are append-only: corrections are recorded as adjustments
+walletTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Wallet transactions are immutable'));
+  }
+  next();
+});
+
+const blockMutation = function(next) {
+  next(new Error('Wallet transactions are immutable'));
+};
+
+walletTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  blockMutation
+);
+walletTransactionSchema.pre('deleteOne', { document: true, query: false }, blockMutation);
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+module.exports = WalletTransaction;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS } = require('../utils/constants');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: [true, 'Subscription is required']
+  },
+  event: {
+    type: String,
+    enum: Object.values(WEBHOOK_EVENTS),
+    required: [true, 'Event type is required']
+  },
+  paymentEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentEvent'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // JSON body sent to the subscriber, fixed when the delivery is queued
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEBHOOK_DELIVERY_STATUS),
+    default: WEBHOOK_DELIVERY_STATUS.PENDING
+  },
+
+  // Retry tracking
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  },
+  attempts: [{
+    _id: false,
+    attemptedAt: {
+      type: Date,
+      required: true
+    },
+    statusCode: {
+      type: Number
+    },
+    error: {
+      type: String
+    },
+    durationMs: {
+      type: Number
+    }
+  }],
+
+  // Manual redelivery
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ paymentEvent: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
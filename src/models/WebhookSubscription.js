@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS } = require('../utils/constants');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: Object.values(WEBHOOK_EVENTS)
+    }],
+    validate: [(events) => events.length > 0, 'At least one event type is required']
+  },
+  // Used to sign deliveries; only returned when the subscription is created or the secret rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
@@ -0,0 +1,64 @@
+const { getExponent, toMinorUnits, fromMinorUnits } = require('../../utils/currencies');
+
+/**
+ * Mongoose plugin keeping money fields in integer minor units
+ *
+ * For every listed field `x`, the schema must define `x` (decimal) and `xMinor` (integer).
+ * `xMinor` is the source of truth; `x` is kept equal to its decimal value on every
+ * validation so API responses, queries and exports that read `x` keep working.
+ *
+ * Setting only `x` (e.g. `new Payment({ amount: 10.5 })`) fills `xMinor` exactly, or fails
+ * validation when `x` has more decimal places than the currency allows. Documents stored
+ * before minor units existed only have `x`; `xMinor` is derived from it when they are loaded.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - fields (decimal field names), currencyPath (default: 'currency')
+ */
+const minorUnits = (schema, { fields, currencyPath = 'currency' }) => {
+  const minorPath = (field) => `${field}Minor`;
+
+  schema.post('init', function(doc) {
+    const exponent = getExponent(doc.get(currencyPath));
+    if (exponent === null) return;
+
+    fields.forEach((field) => {
+      const decimal = doc.get(field);
+      if (doc.get(minorPath(field)) == null && typeof decimal === 'number') {
+        // Legacy decimals may carry floating-point noise, so round instead of parsing
+        doc.set(minorPath(field), Math.round(decimal * 10 ** exponent));
+      }
+    });
+  });
+
+  schema.pre('validate', function(next) {
+    const currency = this.get(currencyPath);
+
+    // An unknown currency is reported by the currency validator
+    if (getExponent(currency) === null) {
+      return next();
+    }
+
+    fields.forEach((field) => {
+      const minor = minorPath(field);
+      const decimal = this.get(field);
+      const decimalChanged = this.get(minor) == null || (this.isModified(field) && !this.isModified(minor));
+
+      if (decimal != null && decimalChanged) {
+        try {
+          this.set(minor, toMinorUnits(decimal, currency));
+        } catch (error) {
+          this.invalidate(field, error.message, decimal);
+          return;
+        }
+      }
+
+      if (this.get(minor) != null) {
+        this.set(field, fromMinorUnits(this.get(minor), currency));
+      }
+    });
+
+    next();
+  });
+};
+
+module.exports = minorUnits;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const approvalPolicyController = require('../controllers/approvalPolicyController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validatePolicyId,
+  validateCreatePolicy,
+  validateUpdatePolicy
+} = require('../validators/approvalPolicyValidator');
+
+/**
+ * @route   GET /api/approval-policies
+ * @desc    Get all approval policies
+ * @access  Private (requires policies:manage permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  approvalPolicyController.getAllPolicies
+);
+
+/**
+ * @route   GET /api/approval-policies/:id
+ * @desc    Get approval policy by ID
+ * @access  Private (requires policies:manage permission)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  validatePolicyId,
+  approvalPolicyController.getPolicyById
+);
+
+/**
+ * @route   POST /api/approval-policies
+ * @desc    Create an approval policy
+ * @access  Private (requires policies:manage permission)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  validateCreatePolicy,
+  approvalPolicyController.createPolicy
+);
+
+/**
+ * @route   PUT /api/approval-policies/:id
+ * @desc    Update an approval policy
+ * @access  Private (requires policies:manage permission)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  validateUpdatePolicy,
+  approvalPolicyController.updatePolicy
+);
+
+/**
+ * @route   DELETE /api/approval-policies/:id
+ * @desc    Delete an approval policy
+ * @access  Private (requires policies:manage permission)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  validatePolicyId,
+  approvalPolicyController.deletePolicy
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const fxRateController = require('../controllers/fxRateController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateSetRates,
+  validateCurrencyParam
+} = require('../validators/fxRateValidator');
+
+/**
+ * @route   GET /api/fx-rates
+ * @desc    Get exchange rates against the base currency
+ * @access  Private (requires payments:read or fx_rates:manage permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ, PERMISSIONS.FX_RATES_MANAGE),
+  fxRateController.getRates
+);
+
+/**
+ * @route   PUT /api/fx-rates
+ * @desc    Create or update exchange rates
+ * @access  Private (requires fx_rates:manage permission)
+ */
+router.put(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.FX_RATES_MANAGE),
+  validateSetRates,
+  fxRateController.setRates
+);
+
+/**
+ * @route   POST /api/fx-rates/reload
+ * @desc    Reload exchange rates from FX_RATES_FILE
+ * @access  Private (requires fx_rates:manage permission)
+ */
+router.post(
+  '/reload',
+  authenticate,
+  requirePermissions(PERMISSIONS.FX_RATES_MANAGE),
+  fxRateController.reloadRates
+);
+
+/**
+ * @route   DELETE /api/fx-rates/:currency
+ * @desc    Delete an exchange rate
+ * @access  Private (requires fx_rates:manage permission)
+ */
+router.delete(
+  '/:currency',
+  authenticate,
+  requirePermissions(PERMISSIONS.FX_RATES_MANAGE),
+  validateCurrencyParam,
+  fxRateController.deleteRate
+);
+
+module.exports = router;
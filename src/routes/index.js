@@ -5,12 +5,36 @@ const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
 const paymentRoutes = require('./paymentRoutes');
 const roleRoutes = require('./roleRoutes');
+const approvalPolicyRoutes = require('./approvalPolicyRoutes');
+const recurringPaymentRoutes = require('./recurringPaymentRoutes');
+const paymentBatchRoutes = require('./paymentBatchRoutes');
+const reportRoutes = require('./reportRoutes');
+const fxRateRoutes = require('./fxRateRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const spendingLimitRoutes = require('./spendingLimitRoutes');
+const riskRuleRoutes = require('./riskRuleRoutes');
+const ledgerRoutes = require('./ledgerRoutes');
+const walletRoutes = require('./walletRoutes');
+const payeeRoutes = require('./payeeRoutes');
+const invoiceRoutes = require('./invoiceRoutes');
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/roles', roleRoutes);
+router.use('/approval-policies', approvalPolicyRoutes);
+router.use('/recurring-payments', recurringPaymentRoutes);
+router.use('/payment-batches', paymentBatchRoutes);
+router.use('/reports', reportRoutes);
+router.use('/fx-rates', fxRateRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/spending-limits', spendingLimitRoutes);
+router.use('/risk-rules', riskRuleRoutes);
+router.use('/ledger', ledgerRoutes);
+router.use('/wallets', walletRoutes);
+router.use('/payees', payeeRoutes);
+router.use('/invoices', invoiceRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateInvoiceId,
+  validateCreateInvoice,
+  validateUpdateInvoice,
+  validateCancelInvoice,
+  validateInvoiceQuery
+} = require('../validators/invoiceValidator');
+
+/**
+ * @route   GET /api/invoices
+ * @desc    Get all invoices (filter by status, issuer, outstanding balance or overdue)
+ * @access  Private (requires invoices:read permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.INVOICES_READ),
+  validateInvoiceQuery,
+  invoiceController.getAllInvoices
+);
+
+/**
+ * @route   GET /api/invoices/:id
+ * @desc    Get invoice by ID with its payments
+ * @access  Private (requires invoices:read permission)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.INVOICES_READ),
+  validateInvoiceId,
+  invoiceController.getInvoiceById
+);
+
+/**
+ * @route   POST /api/invoices
+ * @desc    Create an invoice
+ * @access  Private (requires invoices:manage permission)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.INVOICES_MANAGE),
+  validateCreateInvoice,
+  invoiceController.createInvoice
+);
+
+/**
+ * @route   PUT /api/invoices/:id
+ * @desc    Update an invoice
+ * @access  Private (requires invoices:manage permission)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.INVOICES_MANAGE),
+  validateUpdateInvoice,
+  invoiceController.updateInvoice
+);
+
+/**
+ * @route   PUT /api/invoices/:id/cancel
+ * @desc    Cancel an invoice that has no payments
+ * @access  Private (requires invoices:manage permission)
+ */
+router.put(
+  '/:id/cancel',
+  authenticate,
+  requirePermissions(PERMISSIONS.INVOICES_MANAGE),
+  validateCancelInvoice,
+  invoiceController.cancelInvoice
+);
+
+module.exports = router;
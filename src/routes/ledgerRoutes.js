@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const ledgerController = require('../controllers/ledgerController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateListAccounts,
+  validateAccountBalance,
+  validateListEntries
+} = require('../validators/ledgerValidator');
+
+/**
+ * @route   GET /api/ledger/accounts
+ * @desc    Get all ledger accounts with their balances (optionally as of a date)
+ * @access  Private (requires ledger:read permission)
+ */
+router.get(
+  '/accounts',
+  authenticate,
+  requirePermissions(PERMISSIONS.LEDGER_READ),
+  validateListAccounts,
+  ledgerController.getAccounts
+);
+
+/**
+ * @route   GET /api/ledger/accounts/:code/balance
+ * @desc    Get the balance of a ledger account (optionally as of a date)
+ * @access  Private (requires ledger:read permission)
+ */
+router.get(
+  '/accounts/:code/balance',
+  authenticate,
+  requirePermissions(PERMISSIONS.LEDGER_READ),
+  validateAccountBalance,
+  ledgerController.getBalance
+);
+
+/**
+ * @route   GET /api/ledger/entries
+ * @desc    Get journal entries (filter by account, payment, type and posting date)
+ * @access  Private (requires ledger:read permission)
+ */
+router.get(
+  '/entries',
+  authenticate,
+  requirePermissions(PERMISSIONS.LEDGER_READ),
+  validateListEntries,
+  ledgerController.getEntries
+);
+
+/**
+ * @route   GET /api/ledger/integrity
+ * @desc    Check that debits equal credits and every settled payment and refund is posted
+ * @access  Private (requires ledger:read permission)
+ */
+router.get(
+  '/integrity',
+  authenticate,
+  requirePermissions(PERMISSIONS.LEDGER_READ),
+  ledgerController.getIntegrity
+);
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const payeeController = require('../controllers/payeeController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validatePayeeId,
+  validateCreatePayee,
+  validateUpdatePayee,
+  validateVerifyPayee,
+  validatePayeeQuery
+} = require('../validators/payeeValidator');
+
+/**
+ * @route   GET /api/payees
+ * @desc    Get all payees (filter by type, verificationStatus or search)
+ * @access  Private (requires payments:create permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  validatePayeeQuery,
+  payeeController.getAllPayees
+);
+
+/**
+ * @route   GET /api/payees/:id
+ * @desc    Get payee by ID
+ * @access  Private (requires payments:create permission)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  validatePayeeId,
+  payeeController.getPayeeById
+);
+
+/**
+ * @route   POST /api/payees
+ * @desc    Create a payee (unverified until verified)
+ * @access  Private (requires payees:manage permission)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYEES_MANAGE),
+  validateCreatePayee,
+  payeeController.createPayee
+);
+
+/**
+ * @route   PUT /api/payees/:id
+ * @desc    Update a payee (changed payout details reset verification)
+ * @access  Private (requires payees:manage permission)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYEES_MANAGE),
+  validateUpdatePayee,
+  payeeController.updatePayee
+);
+
+/**
+ * @route   PUT /api/payees/:id/verify
+ * @desc    Verify or reject a payee
+ * @access  Private (requires payees:verify permission)
+ */
+router.put(
+  '/:id/verify',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYEES_VERIFY),
+  validateVerifyPayee,
+  payeeController.verifyPayee
+);
+
+/**
+ * @route   DELETE /api/payees/:id
+ * @desc    Delete a payee no payment refers to
+ * @access  Private (requires payees:manage permission)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYEES_MANAGE),
+  validatePayeeId,
+  payeeController.deletePayee
+);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const paymentBatchController = require('../controllers/paymentBatchController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { idempotent } = require('../middleware/idempotency');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateImportPaymentBatch,
+  validatePaymentBatchId,
+  validateDiscardPaymentBatch,
+  validateListPaymentBatches
+} = require('../validators/paymentBatchValidator');
+
+// Import files are sent as the raw request body
+const csvBody = express.text({
+  type: ['text/csv', 'application/csv'],
+  limit: process.env.PAYMENT_BATCH_MAX_SIZE || '5mb'
+});
+
+/**
+ * @route   POST /api/payment-batches
+ * @desc    Import a CSV file as a named batch of payments
+ * @access  Private (requires payments:create permission)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  csvBody,
+  idempotent,
+  validateImportPaymentBatch,
+  paymentBatchController.importPaymentBatch
+);
+
+/**
+ * @route   GET /api/payment-batches
+ * @desc    Get payment batches
+ * @access  Private (requires payments:read permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validateListPaymentBatches,
+  paymentBatchController.getAllPaymentBatches
+);
+
+/**
+ * @route   GET /api/payment-batches/:id
+ * @desc    Get payment batch by ID with the progress of its payments
+ * @access  Private (own batch or payments:read permission)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validatePaymentBatchId,
+  paymentBatchController.getPaymentBatchById
+);
+
+/**
+ * @route   GET /api/payment-batches/:id/payments
+ * @desc    Get the payments of a batch
+ * @access  Private (own batch or payments:read permission)
+ */
+router.get(
+  '/:id/payments',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validatePaymentBatchId,
+  paymentBatchController.getPaymentBatchPayments
+);
+
+/**
+ * @route   PUT /api/payment-batches/:id/approve
+ * @desc    Approve every pending payment in a batch
+ * @access  Private (requires payments:approve permission)
+ */
+router.put(
+  '/:id/approve',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_APPROVE),
+  idempotent,
+  validatePaymentBatchId,
+  paymentBatchController.approvePaymentBatch
+);
+
+/**
+ * @route   PUT /api/payment-batches/:id/discard
+ * @desc    Discard a batch and cancel its unprocessed payments
+ * @access  Private (batch creator or payments:approve permission)
+ */
+router.put(
+  '/:id/discard',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  idempotent,
+  validateDiscardPaymentBatch,
+  paymentBatchController.discardPaymentBatch
+);
+
+module.exports = router;
@@ -3,12 +3,19 @@ const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const { authenticate } = require('../middleware/auth');
 const { requirePermissions } = require('../middleware/rbac');
+const { idempotent } = require('../middleware/idempotency');
 const { PERMISSIONS } = require('../utils/constants');
 const {
   validateCreatePayment,
   validatePaymentId,
   validateApproveReject,
-  validateListPayments
+  validateReview,
+  validateCancel,
+  validateRefund,
+  validateGatewayCallback,
+  validateBulkAction,
+  validateListPayments,
+  validateExportPayments
 } = require('../validators/paymentValidator');
 
 /**
@@ -20,6 +27,7 @@ router.post(
   '/',
   authenticate,
   requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  idempotent,
   validateCreatePayment,
   paymentController.createPayment
 );
@@ -37,6 +45,72 @@ router.get(
   paymentController.getAllPayments
 );
 
+/**
+ * @route   GET /api/payments/export
+ * @desc    Stream payments as CSV or NDJSON (same filters as the list endpoint)
+ * @access  Private (requires payments:read permission)
+ */
+router.get(
+  '/export',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validateExportPayments,
+  paymentController.exportPayments
+);
+
+/**
+ * @route   POST /api/payments/bulk/approve
+ * @desc    Approve several payments, reporting a result per payment
+ * @access  Private (requires payments:approve permission)
+ */
+router.post(
+  '/bulk/approve',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_APPROVE),
+  idempotent,
+  validateBulkAction,
+  paymentController.bulkApprovePayments
+);
+
+/**
+ * @route   POST /api/payments/bulk/reject
+ * @desc    Reject several payments, reporting a result per payment
+ * @access  Private (requires payments:approve permission)
+ */
+router.post(
+  '/bulk/reject',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_APPROVE),
+  idempotent,
+  validateBulkAction,
+  paymentController.bulkRejectPayments
+);
+
+/**
+ * @route   POST /api/payments/bulk/process
+ * @desc    Process several payments, reporting a result per payment
+ * @access  Private (requires payments:process permission)
+ */
+router.post(
+  '/bulk/process',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_PROCESS),
+  idempotent,
+  validateBulkAction,
+  paymentController.bulkProcessPayments
+);
+
+/**
+ * @route   POST /api/payments/callbacks/:provider
+ * @desc    Receive an asynchronous payment result from a gateway provider
+ * @access  Public (verified by the provider's signature)
+ */
+router.post(
+  '/callbacks/:provider',
+  validateGatewayCallback,
+  paymentController.receiveGatewayCallback
+);
+
 /**
  * @route   GET /api/payments/:id
  * @desc    Get payment by ID
@@ -59,6 +133,7 @@ router.put(
   '/:id/approve',
   authenticate,
   requirePermissions(PERMISSIONS.PAYMENTS_APPROVE),
+  idempotent,
   validatePaymentId,
   paymentController.approvePayment
 );
@@ -72,10 +147,25 @@ router.put(
   '/:id/reject',
   authenticate,
   requirePermissions(PERMISSIONS.PAYMENTS_APPROVE),
+  idempotent,
   validateApproveReject,
   paymentController.rejectPayment
 );
 
+/**
+ * @route   PUT /api/payments/:id/review
+ * @desc    Release or reject a payment held for risk review
+ * @access  Private (requires payments:review permission)
+ */
+router.put(
+  '/:id/review',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_REVIEW),
+  idempotent,
+  validateReview,
+  paymentController.reviewPayment
+);
+
 /**
  * @route   PUT /api/payments/:id/process
  * @desc    Process a payment
@@ -85,10 +175,92 @@ router.put(
   '/:id/process',
   authenticate,
   requirePermissions(PERMISSIONS.PAYMENTS_PROCESS),
+  idempotent,
   validatePaymentId,
   paymentController.processPayment
 );
 
+/**
+ * @route   POST /api/payments/:id/retry
+ * @desc    Retry a failed payment as a new processing attempt
+ * @access  Private (requires payments:process permission)
+ */
+router.post(
+  '/:id/retry',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_PROCESS),
+  idempotent,
+  validatePaymentId,
+  paymentController.retryPayment
+);
+
+/**
+ * @route   GET /api/payments/:id/attempts
+ * @desc    Get every processing attempt of a payment
+ * @access  Private (own payment or payments:read permission)
+ */
+router.get(
+  '/:id/attempts',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validatePaymentId,
+  paymentController.getPaymentAttempts
+);
+
+/**
+ * @route   PUT /api/payments/:id/cancel
+ * @desc    Cancel a pending or approved payment
+ * @access  Private (payment owner with payments:create permission)
+ */
+router.put(
+  '/:id/cancel',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  idempotent,
+  validateCancel,
+  paymentController.cancelPayment
+);
+
+/**
+ * @route   POST /api/payments/:id/refunds
+ * @desc    Refund a completed payment (full or partial)
+ * @access  Private (requires payments:refund permission)
+ */
+router.post(
+  '/:id/refunds',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_REFUND),
+  idempotent,
+  validateRefund,
+  paymentController.refundPayment
+);
+
+/**
+ * @route   GET /api/payments/:id/refunds
+ * @desc    Get refunds issued for a payment
+ * @access  Private (own payment or payments:read permission)
+ */
+router.get(
+  '/:id/refunds',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validatePaymentId,
+  paymentController.getPaymentRefunds
+);
+
+/**
+ * @route   GET /api/payments/:id/history
+ * @desc    Get the immutable event history of a payment
+ * @access  Private (own payment or payments:read permission)
+ */
+router.get(
+  '/:id/history',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validatePaymentId,
+  paymentController.getPaymentHistory
+);
+
 /**
  * @route   DELETE /api/payments/:id
  * @desc    Delete a payment
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const recurringPaymentController = require('../controllers/recurringPaymentController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateCreateRecurringPayment,
+  validateRecurringPaymentId,
+  validateListRecurringPayments
+} = require('../validators/recurringPaymentValidator');
+
+/**
+ * @route   POST /api/recurring-payments
+ * @desc    Create a recurring payment schedule
+ * @access  Private (requires payments:create permission)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  validateCreateRecurringPayment,
+  recurringPaymentController.createRecurringPayment
+);
+
+/**
+ * @route   GET /api/recurring-payments
+ * @desc    Get recurring payment schedules
+ * @access  Private (requires payments:read permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validateListRecurringPayments,
+  recurringPaymentController.getAllRecurringPayments
+);
+
+/**
+ * @route   GET /api/recurring-payments/:id
+ * @desc    Get recurring payment schedule by ID
+ * @access  Private (own schedule or payments:read permission)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validateRecurringPaymentId,
+  recurringPaymentController.getRecurringPaymentById
+);
+
+/**
+ * @route   GET /api/recurring-payments/:id/payments
+ * @desc    List payments generated by a schedule
+ * @access  Private (own schedule or payments:read permission)
+ */
+router.get(
+  '/:id/payments',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_READ),
+  validateRecurringPaymentId,
+  recurringPaymentController.getGeneratedPayments
+);
+
+/**
+ * @route   PUT /api/recurring-payments/:id/pause
+ * @desc    Pause a recurring payment schedule
+ * @access  Private (own schedule or payments:approve permission)
+ */
+router.put(
+  '/:id/pause',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE, PERMISSIONS.PAYMENTS_APPROVE),
+  validateRecurringPaymentId,
+  recurringPaymentController.pauseRecurringPayment
+);
+
+/**
+ * @route   PUT /api/recurring-payments/:id/resume
+ * @desc    Resume a paused recurring payment schedule
+ * @access  Private (own schedule or payments:approve permission)
+ */
+router.put(
+  '/:id/resume',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE, PERMISSIONS.PAYMENTS_APPROVE),
+  validateRecurringPaymentId,
+  recurringPaymentController.resumeRecurringPayment
+);
+
+/**
+ * @route   PUT /api/recurring-payments/:id/cancel
+ * @desc    Cancel a recurring payment schedule
+ * @access  Private (own schedule or payments:approve permission)
+ */
+router.put(
+  '/:id/cancel',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE, PERMISSIONS.PAYMENTS_APPROVE),
+  validateRecurringPaymentId,
+  recurringPaymentController.cancelRecurringPayment
+);
+
+module.exports = router;
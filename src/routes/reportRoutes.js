@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateReportRange,
+  validateSummaryReport,
+  validateBreakdownReport
+} = require('../validators/reportValidator');
+
+/**
+ * @route   GET /api/reports/payments/summary
+ * @desc    Payment totals per status, approval/rejection rates and turnaround times
+ * @access  Private (requires reports:read permission)
+ */
+router.get(
+  '/payments/summary',
+  authenticate,
+  requirePermissions(PERMISSIONS.REPORTS_READ),
+  validateSummaryReport,
+  reportController.getSummaryReport
+);
+
+/**
+ * @route   GET /api/reports/payments/breakdown
+ * @desc    Payment counts and amounts grouped by one dimension
+ * @access  Private (requires reports:read permission)
+ */
+router.get(
+  '/payments/breakdown',
+  authenticate,
+  requirePermissions(PERMISSIONS.REPORTS_READ),
+  validateBreakdownReport,
+  reportController.getBreakdownReport
+);
+
+/**
+ * @route   GET /api/reports/payments/gateways
+ * @desc    Gateway failure rates per provider
+ * @access  Private (requires reports:read permission)
+ */
+router.get(
+  '/payments/gateways',
+  authenticate,
+  requirePermissions(PERMISSIONS.REPORTS_READ),
+  validateReportRange,
+  reportController.getGatewayFailureReport
+);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const riskRuleController = require('../controllers/riskRuleController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateRuleId,
+  validateCreateRule,
+  validateUpdateRule
+} = require('../validators/riskRuleValidator');
+
+/**
+ * @route   GET /api/risk-rules
+ * @desc    Get all risk rules and the review threshold
+ * @access  Private (requires policies:manage permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  riskRuleController.getAllRules
+);
+
+/**
+ * @route   GET /api/risk-rules/:id
+ * @desc    Get risk rule by ID
+ * @access  Private (requires policies:manage permission)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  validateRuleId,
+  riskRuleController.getRuleById
+);
+
+/**
+ * @route   POST /api/risk-rules
+ * @desc    Create a risk rule
+ * @access  Private (requires policies:manage permission)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  validateCreateRule,
+  riskRuleController.createRule
+);
+
+/**
+ * @route   PUT /api/risk-rules/:id
+ * @desc    Update a risk rule
+ * @access  Private (requires policies:manage permission)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  validateUpdateRule,
+  riskRuleController.updateRule
+);
+
+/**
+ * @route   DELETE /api/risk-rules/:id
+ * @desc    Delete a risk rule
+ * @access  Private (requires policies:manage permission)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.POLICIES_MANAGE),
+  validateRuleId,
+  riskRuleController.deleteRule
+);
+
+module.exports = router;
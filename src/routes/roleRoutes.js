@@ -3,7 +3,7 @@ const router = express.Router();
 const roleController = require('../controllers/roleController');
 const { authenticate } = require('../middleware/auth');
 const { requirePermissions } = require('../middleware/rbac');
-const { PERMISSIONS } = require('../utils/constants');
+const { PERMISSIONS, SOD_RULES } = require('../utils/constants');
 const { body, param } = require('express-validator');
 const { handleValidationErrors } = require('../validators/authValidator');
 const mongoose = require('mongoose');
@@ -49,6 +49,8 @@ router.post(
     body('name').notEmpty().withMessage('Role name is required'),
     body('permissions').isArray().withMessage('Permissions must be an array'),
     body('description').optional().isString(),
+    body('sodRules').optional().isArray().withMessage('sodRules must be an array'),
+    body('sodRules.*').isIn(Object.values(SOD_RULES)).withMessage(`sodRules must be drawn from: ${Object.values(SOD_RULES).join(', ')}`),
     handleValidationErrors
   ],
   roleController.createRole
@@ -67,6 +69,8 @@ router.put(
     param('id').custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid role ID'),
     body('permissions').optional().isArray().withMessage('Permissions must be an array'),
     body('description').optional().isString(),
+    body('sodRules').optional().isArray().withMessage('sodRules must be an array'),
+    body('sodRules.*').isIn(Object.values(SOD_RULES)).withMessage(`sodRules must be drawn from: ${Object.values(SOD_RULES).join(', ')}`),
     handleValidationErrors
   ],
   roleController.updateRole
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const spendingLimitController = require('../controllers/spendingLimitController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateRoleId,
+  validateUserId,
+  validateSetRoleLimit,
+  validateSetUserLimit
+} = require('../validators/spendingLimitValidator');
+
+/**
+ * @route   GET /api/spending-limits
+ * @desc    Get all role and user spending limits
+ * @access  Private (requires limits:manage permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.LIMITS_MANAGE),
+  spendingLimitController.getAllLimits
+);
+
+/**
+ * @route   GET /api/spending-limits/me
+ * @desc    Get the current user's limits, spending and remaining headroom
+ * @access  Private (requires payments:create permission)
+ */
+router.get(
+  '/me',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  spendingLimitController.getMyLimits
+);
+
+/**
+ * @route   PUT /api/spending-limits/roles/:roleId
+ * @desc    Set a role's spending limits
+ * @access  Private (requires limits:manage permission)
+ */
+router.put(
+  '/roles/:roleId',
+  authenticate,
+  requirePermissions(PERMISSIONS.LIMITS_MANAGE),
+  validateSetRoleLimit,
+  spendingLimitController.setRoleLimit
+);
+
+/**
+ * @route   DELETE /api/spending-limits/roles/:roleId
+ * @desc    Remove a role's spending limits
+ * @access  Private (requires limits:manage permission)
+ */
+router.delete(
+  '/roles/:roleId',
+  authenticate,
+  requirePermissions(PERMISSIONS.LIMITS_MANAGE),
+  validateRoleId,
+  spendingLimitController.deleteRoleLimit
+);
+
+/**
+ * @route   GET /api/spending-limits/users/:userId
+ * @desc    Get a user's effective limits, spending and remaining headroom
+ * @access  Private (requires limits:manage permission)
+ */
+router.get(
+  '/users/:userId',
+  authenticate,
+  requirePermissions(PERMISSIONS.LIMITS_MANAGE),
+  validateUserId,
+  spendingLimitController.getUserLimits
+);
+
+/**
+ * @route   PUT /api/spending-limits/users/:userId
+ * @desc    Set a user's spending limits, replacing those of their role
+ * @access  Private (requires limits:manage permission)
+ */
+router.put(
+  '/users/:userId',
+  authenticate,
+  requirePermissions(PERMISSIONS.LIMITS_MANAGE),
+  validateSetUserLimit,
+  spendingLimitController.setUserLimit
+);
+
+/**
+ * @route   DELETE /api/spending-limits/users/:userId
+ * @desc    Remove a user's spending limits
+ * @access  Private (requires limits:manage permission)
+ */
+router.delete(
+  '/users/:userId',
+  authenticate,
+  requirePermissions(PERMISSIONS.LIMITS_MANAGE),
+  validateUserId,
+  spendingLimitController.deleteUserLimit
+);
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/walletController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { idempotent } = require('../middleware/idempotency');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateUserId,
+  validateTopUp,
+  validateAdjustment,
+  validateMyTransactions,
+  validateUserTransactions
+} = require('../validators/walletValidator');
+
+/**
+ * @route   GET /api/wallets/me
+ * @desc    Get the current user's wallet balances
+ * @access  Private (requires payments:create permission)
+ */
+router.get(
+  '/me',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  walletController.getMyWallets
+);
+
+/**
+ * @route   GET /api/wallets/me/transactions
+ * @desc    Get the current user's wallet transactions
+ * @access  Private (requires payments:create permission)
+ */
+router.get(
+  '/me/transactions',
+  authenticate,
+  requirePermissions(PERMISSIONS.PAYMENTS_CREATE),
+  validateMyTransactions,
+  walletController.getMyTransactions
+);
+
+/**
+ * @route   GET /api/wallets/users/:userId
+ * @desc    Get a user's wallet balances
+ * @access  Private (requires wallets:manage permission)
+ */
+router.get(
+  '/users/:userId',
+  authenticate,
+  requirePermissions(PERMISSIONS.WALLETS_MANAGE),
+  validateUserId,
+  walletController.getUserWallets
+);
+
+/**
+ * @route   GET /api/wallets/users/:userId/transactions
+ * @desc    Get a user's wallet transactions
+ * @access  Private (requires wallets:manage permission)
+ */
+router.get(
+  '/users/:userId/transactions',
+  authenticate,
+  requirePermissions(PERMISSIONS.WALLETS_MANAGE),
+  validateUserTransactions,
+  walletController.getUserTransactions
+);
+
+/**
+ * @route   POST /api/wallets/users/:userId/top-ups
+ * @desc    Add funds to a user's wallet
+ * @access  Private (requires wallets:manage permission)
+ */
+router.post(
+  '/users/:userId/top-ups',
+  authenticate,
+  requirePermissions(PERMISSIONS.WALLETS_MANAGE),
+  idempotent,
+  validateTopUp,
+  walletController.topUp
+);
+
+/**
+ * @route   POST /api/wallets/users/:userId/adjustments
+ * @desc    Correct a user's wallet balance up or down
+ * @access  Private (requires wallets:manage permission)
+ */
+router.post(
+  '/users/:userId/adjustments',
+  authenticate,
+  requirePermissions(PERMISSIONS.WALLETS_MANAGE),
+  idempotent,
+  validateAdjustment,
+  walletController.adjust
+);
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermissions } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateSubscriptionId,
+  validateDeliveryId,
+  validateCreateSubscription,
+  validateUpdateSubscription,
+  validateListDeliveries
+} = require('../validators/webhookValidator');
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get all webhook subscriptions
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  webhookController.getAllSubscriptions
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook subscription
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  validateCreateSubscription,
+  webhookController.createSubscription
+);
+
+/**
+ * @route   GET /api/webhooks/deliveries/:deliveryId
+ * @desc    Get a webhook delivery with its payload and attempts
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.get(
+  '/deliveries/:deliveryId',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  validateDeliveryId,
+  webhookController.getDeliveryById
+);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Queue a webhook delivery to be sent again
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.post(
+  '/deliveries/:deliveryId/redeliver',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  validateDeliveryId,
+  webhookController.redeliverDelivery
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get webhook subscription by ID
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  validateSubscriptionId,
+  webhookController.getSubscriptionById
+);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook subscription
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  validateUpdateSubscription,
+  webhookController.updateSubscription
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook subscription
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  validateSubscriptionId,
+  webhookController.deleteSubscription
+);
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace a subscription's signing secret
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.post(
+  '/:id/rotate-secret',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  validateSubscriptionId,
+  webhookController.rotateSubscriptionSecret
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get the delivery log of a subscription
+ * @access  Private (requires webhooks:manage permission)
+ */
+router.get(
+  '/:id/deliveries',
+  authenticate,
+  requirePermissions(PERMISSIONS.WEBHOOKS_MANAGE),
+  validateListDeliveries,
+  webhookController.getSubscriptionDeliveries
+);
+
+module.exports = router;
@@ -3,7 +3,34 @@ const mongoose = require('mongoose');
 const Role = require('../models/Role');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
-const { ROLES, ROLE_PERMISSIONS, PAYMENT_STATUS } = require('../utils/constants');
+const Refund = require('../models/Refund');
+const PaymentEvent = require('../models/PaymentEvent');
+const PaymentJob = require('../models/PaymentJob');
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const RecurringPayment = require('../models/RecurringPayment');
+const PaymentBatch = require('../models/PaymentBatch');
+const ExchangeRate = require('../models/ExchangeRate');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const SpendingLimit = require('../models/SpendingLimit');
+const RiskRule = require('../models/RiskRule');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Payee = require('../models/Payee');
+const Invoice = require('../models/Invoice');
+const ledger = require('../services/ledger');
+const wallets = require('../services/wallets');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PAYMENT_STATUS,
+  DEFAULT_APPROVAL_POLICIES,
+  DEFAULT_RISK_RULES,
+  PAYEE_TYPES,
+  PAYEE_VERIFICATION_STATUS
+} = require('../utils/constants');
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -22,6 +49,26 @@ const clearDatabase = async () => {
     await Role.deleteMany({});
     await User.deleteMany({});
     await Payment.deleteMany({});
+    await Refund.deleteMany({});
+    await PaymentJob.deleteMany({});
+    // Payment events are append-only at the model level, so clear the raw collection
+    await PaymentEvent.collection.deleteMany({});
+    await ApprovalPolicy.deleteMany({});
+    await RecurringPayment.deleteMany({});
+    await PaymentBatch.deleteMany({});
+    await ExchangeRate.deleteMany({});
+    await WebhookSubscription.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    await SpendingLimit.deleteMany({});
+    await RiskRule.deleteMany({});
+    // Journal entries are append-only at the model level, so clear the raw collection
+    await JournalEntry.collection.deleteMany({});
+    await LedgerAccount.deleteMany({});
+    await Wallet.deleteMany({});
+    // Wallet transactions are append-only at the model level, so clear the raw collection
+    await WalletTransaction.collection.deleteMany({});
+    await Payee.deleteMany({});
+    await Invoice.deleteMany({});
     console.log('Cleared existing data');
   } catch (error) {
     console.error('Error clearing database:', error);
@@ -59,6 +106,157 @@ const seedRoles = async () => {
   }
 };
 
+// Seed approval policies
+const seedApprovalPolicies = async () => {
+  try {
+    const createdPolicies = await ApprovalPolicy.insertMany(DEFAULT_APPROVAL_POLICIES);
+    console.log(`Created ${createdPolicies.length} approval policies`);
+    return createdPolicies;
+  } catch (error) {
+    console.error('Error seeding approval policies:', error);
+    throw error;
+  }
+};
+
+// Seed risk rules
+const seedRiskRules = async () => {
+  try {
+    const createdRules = await RiskRule.insertMany(DEFAULT_RISK_RULES);
+    console.log(`Created ${createdRules.length} risk rules`);
+    return createdRules;
+  } catch (error) {
+    console.error('Error seeding risk rules:', error);
+    throw error;
+  }
+};
+
+// Seed ledger accounts and post the sample payments that completed
+const seedLedger = async (payments) => {
+  try {
+    const createdAccounts = await ledger.ensureLedgerAccounts();
+    const completed = payments.filter(payment => payment.status === PAYMENT_STATUS.COMPLETED);
+
+    for (const payment of completed) {
+      await ledger.postPaymentCompleted(payment, { actor: payment.processedBy });
+    }
+
+    console.log(`Created ${createdAccounts} ledger accounts and ${completed.length} journal entries`);
+  } catch (error) {
+    console.error('Error seeding ledger:', error);
+    throw error;
+  }
+};
+
+// Seed a wallet balance for the regular user, so wallet payments can be tried out
+const seedWallets = async (users) => {
+  try {
+    const admin = users.find(u => u.email === 'admin@example.com');
+    const regularUser = users.find(u => u.email === 'user@example.com');
+
+    await wallets.topUpWallet(regularUser._id, {
+      currency: 'USD',
+      amountMinor: 50000,
+      reason: 'Seed balance',
+      performedBy: admin._id
+    });
+
+    console.log('Topped up user@example.com with 500 USD');
+  } catch (error) {
+    console.error('Error seeding wallets:', error);
+    throw error;
+  }
+};
+
+// Seed a verified and an unverified payee
+const seedPayees = async (users) => {
+  try {
+    const admin = users.find(u => u.email === 'admin@example.com');
+    const manager = users.find(u => u.email === 'manager@example.com');
+
+    const payees = [
+      {
+        name: 'Acme Supplies Ltd',
+        type: PAYEE_TYPES.BUSINESS,
+        email: 'billing@acme-supplies.example.com',
+        bankDetails: {
+          accountHolder: 'Acme Supplies Ltd',
+          bankName: 'Example Bank',
+          iban: 'GB33BUKB20201555555555',
+          bic: 'BUKBGB22',
+          country: 'GB'
+        },
+        verificationStatus: PAYEE_VERIFICATION_STATUS.VERIFIED,
+        verifiedBy: admin._id,
+        verifiedAt: new Date(),
+        createdBy: manager._id
+      },
+      {
+        name: 'Sam Contractor',
+        type: PAYEE_TYPES.INDIVIDUAL,
+        email: 'sam.contractor@example.com',
+        bankDetails: {
+          accountHolder: 'Sam Contractor',
+          accountNumber: '000123456789',
+          routingNumber: '110000000',
+          country: 'US'
+        },
+        createdBy: manager._id
+      }
+    ];
+
+    const createdPayees = await Payee.insertMany(payees);
+    console.log(`Created ${createdPayees.length} payees`);
+    return createdPayees;
+  } catch (error) {
+    console.error('Error seeding payees:', error);
+    throw error;
+  }
+};
+
+// Seed an open and an overdue invoice from the verified payee
+const seedInvoices = async (users, payees) => {
+  try {
+    const manager = users.find(u => u.email === 'manager@example.com');
+    const issuer = payees.find(p => p.verificationStatus === PAYEE_VERIFICATION_STATUS.VERIFIED);
+    const day = 24 * 60 * 60 * 1000;
+
+    const invoices = [
+      {
+        number: 'ACME-2024-001',
+        issuer: issuer._id,
+        description: 'Office supplies',
+        currency: 'GBP',
+        lineItems: [
+          { description: 'Printer paper (box)', quantity: 10, unitPrice: 24.5 },
+          { description: 'Toner cartridge', quantity: 2, unitPrice: 89.99 }
+        ],
+        issueDate: new Date(Date.now() - 45 * day),
+        dueDate: new Date(Date.now() - 15 * day),
+        createdBy: manager._id
+      },
+      {
+        number: 'ACME-2024-002',
+        issuer: issuer._id,
+        description: 'Furniture',
+        currency: 'GBP',
+        lineItems: [
+          { description: 'Desk chair', quantity: 4, unitPrice: 149 }
+        ],
+        issueDate: new Date(),
+        dueDate: new Date(Date.now() + 30 * day),
+        createdBy: manager._id
+      }
+    ];
+
+    const createdInvoices = await Invoice.insertMany(invoices);
+    console.log(`Created ${createdInvoices.length} invoices`);
+    return createdInvoices;
+  } catch (error) {
+    console.error('Error seeding invoices:', error);
+    throw error;
+  }
+};
+
 // Seed users
 const seedUsers = async (roles) => {
   try {
@@ -174,8 +372,8 @@ const seedPayments = async (users) => {
         description: 'Large transaction',
         paymentMethod: 'bank_transfer',
         status: PAYMENT_STATUS.REJECTED,
-        approvedBy: admin._id,
-        approvedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000), // 1 day ago
+        rejectedBy: admin._id,
+        rejectedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000), // 1 day ago
         failureReason: 'Transaction amount exceeds approved limit'
       },
 
@@ -275,8 +473,14 @@ const seedDatabase = async () => {
     console.log('Starting database seeding...\n');
 
     const roles = await seedRoles();
+    await seedApprovalPolicies();
+    await seedRiskRules();
     const users = await seedUsers(roles);
     const payments = await seedPayments(users);
+    await seedLedger(payments);
+    await seedWallets(users);
+    const payees = await seedPayees(users);
+    await seedInvoices(users, payees);
 
     displaySummary(roles, users, payments);
 
@@ -1,6 +1,13 @@
 require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/db');
+const { startPaymentScheduler, stopPaymentScheduler } = require('./workers/paymentScheduler');
+const { startPaymentWorker, stopPaymentWorker } = require('./workers/paymentWorker');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./workers/webhookDispatcher');
+const { watchPaymentEvents } = require('./services/webhooks');
+const { loadRatesFromFile, getBaseCurrency } = require('./services/fxRates');
+const { ensureLedgerAccounts } = require('./services/ledger');
+const { isValidCurrency } = require('./utils/currencies');
 
 // Validate required environment variables
 const requiredEnvVars = [
@@ -17,6 +24,11 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+if (!isValidCurrency(getBaseCurrency())) {
+  console.error(`BASE_CURRENCY must be a valid ISO 4217 code, got: ${getBaseCurrency()}`);
+  process.exit(1);
+}
+
 // Server configuration
 const PORT = process.env.PORT || 5000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -27,6 +39,22 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Journal entries can only be posted to accounts that exist
+    const createdAccounts = await ensureLedgerAccounts();
+    if (createdAccounts > 0) {
+      console.log(`Created ${createdAccounts} ledger account(s)`);
+    }
+
+    // Load exchange rates from file (rates already stored stay in place if this fails)
+    if (process.env.FX_RATES_FILE) {
+      try {
+        const loaded = await loadRatesFromFile();
+        console.log(`Loaded ${loaded} exchange rate(s) from ${process.env.FX_RATES_FILE}`);
+      } catch (error) {
+        console.error('Failed to load exchange rates:', error.message);
+      }
+    }
+
     // Start Express server
     const server = app.listen(PORT, () => {
       console.log('='.repeat(50));
@@ -37,10 +65,22 @@ const startServer = async () => {
       console.log('='.repeat(50));
     });
 
+    // Queue webhooks for payment events recorded by this process
+    watchPaymentEvents();
+
+    // Start background workers
+    startPaymentScheduler();
+    startPaymentWorker();
+    startWebhookDispatcher();
+
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       console.log(`\n${signal} received. Starting graceful shutdown...`);
 
+      stopPaymentScheduler();
+      stopPaymentWorker();
+      stopWebhookDispatcher();
+
       server.close(async () => {
         console.log('HTTP server closed');
 
@@ -0,0 +1,147 @@
+const fs = require('fs/promises');
+const ExchangeRate = require('../models/ExchangeRate');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, FX_RATE_SOURCES } = require('../utils/constants');
+const { isValidCurrency, fromMinorUnits, roundToMinorUnits } = require('../utils/currencies');
+
+/**
+ * Currency that amounts are converted into for reporting and thresholds
+ * @returns {String} BASE_CURRENCY (default: USD)
+ */
+const getBaseCurrency = () => (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Look up the current rate of a currency against the base currency
+ * @param {String} currency - 3-letter currency code
+ * @returns {Promise<Number|null>} Base-currency units per unit of currency, or null if unknown
+ */
+const getRate = async (currency) => {
+  const baseCurrency = getBaseCurrency();
+
+  if (currency.toUpperCase() === baseCurrency) {
+    return 1;
+  }
+
+  const exchangeRate = await ExchangeRate.findOne({ currency: currency.toUpperCase(), baseCurrency });
+  return exchangeRate ? exchangeRate.rate : null;
+};
+
+/**
+ * Build the FX stamp stored on a payment
+ * The converted amount is rounded to the base currency's minor unit.
+ * @param {Number} amount - Amount in the payment currency
+ * @param {Number} rate - Base-currency units per unit of currency
+ * @returns {Object} { baseCurrency, rate, baseAmount, baseAmountMinor, ratedAt }
+ */
+const createFxStamp = (amount, rate) => {
+  const baseCurrency = getBaseCurrency();
+  const baseAmountMinor = roundToMinorUnits(amount * rate, baseCurrency);
+
+  return {
+    baseCurrency,
+    rate,
+    baseAmount: fromMinorUnits(baseAmountMinor, baseCurrency),
+    baseAmountMinor,
+    ratedAt: new Date()
+  };
+};
+
+/**
+ * Convert an amount into the base currency at the current rate
+ * A missing rate must not block a payment, so it is reported as null rather than thrown;
+ * the payment is then compared and reported at its own amount.
+ * @param {Number} amount - Amount in the payment currency
+ * @param {String} currency - 3-letter currency code
+ * @returns {Promise<Object|null>} FX stamp (see createFxStamp), or null if no rate is stored
+ */
+const quoteInBaseCurrency = async (amount, currency) => {
+  const rate = await getRate(currency);
+
+  if (rate === null) {
+    console.warn(`No exchange rate for ${currency.toUpperCase()}; payment created without a base-currency stamp`);
+    return null;
+  }
+
+  return createFxStamp(amount, rate);
+};
+
+/**
+ * Create or update exchange rates against the base currency
+ * @param {Object} rates - { CUR: rate }
+ * @param {Object} options - source (FX_RATE_SOURCES), user (updating user ID)
+ * @returns {Promise<Number>} Number of rates written
+ * @throws {AppError} If a currency code or rate is invalid
+ */
+const setRates = async (rates, { source = FX_RATE_SOURCES.API, user } = {}) => {
+  const baseCurrency = getBaseCurrency();
+  const errors = [];
+
+  Object.entries(rates).forEach(([currency, rate]) => {
+    if (!/^[A-Z]{3}$/.test(currency) || !isValidCurrency(currency)) {
+      errors.push({ field: currency, message: 'Currency must be an uppercase ISO 4217 code' });
+    } else if (currency === baseCurrency) {
+      errors.push({ field: currency, message: 'The base currency always has a rate of 1' });
+    } else if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      errors.push({ field: currency, message: 'Rate must be a positive number', value: rate });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new AppError('Invalid exchange rates', HTTP_STATUS.BAD_REQUEST, errors);
+  }
+
+  const operations = Object.entries(rates).map(([currency, rate]) => ({
+    updateOne: {
+      filter: { currency },
+      update: { $set: { baseCurrency, rate, source, updatedBy: user } },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await ExchangeRate.bulkWrite(operations);
+  }
+
+  return operations.length;
+};
+
+/**
+ * Load exchange rates from a JSON file: { "base": "USD", "rates": { "EUR": 1.08 } }
+ * @param {String} filePath - Defaults to FX_RATES_FILE
+ * @returns {Promise<Number>} Number of rates loaded
+ * @throws {AppError} If no file is configured or its contents are invalid
+ */
+const loadRatesFromFile = async (filePath = process.env.FX_RATES_FILE) => {
+  if (!filePath) {
+    throw new AppError('FX_RATES_FILE is not configured', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let contents;
+  try {
+    contents = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new AppError(`Cannot read exchange rate file: ${error.message}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!contents || typeof contents.rates !== 'object' || contents.rates === null) {
+    throw new AppError('Exchange rate file must contain a "rates" object', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (contents.base && contents.base.toUpperCase() !== getBaseCurrency()) {
+    throw new AppError(
+      `Exchange rate file is based on ${contents.base}, but BASE_CURRENCY is ${getBaseCurrency()}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return setRates(contents.rates, { source: FX_RATE_SOURCES.FILE });
+};
+
+module.exports = {
+  getBaseCurrency,
+  getRate,
+  createFxStamp,
+  quoteInBaseCurrency,
+  setRates,
+  loadRatesFromFile
+};
@@ -0,0 +1,177 @@
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const { getGateway, getProvider } = require('../gateways');
+const { AppError } = require('../middleware/errorHandler');
+const { buildFinalState } = require('./paymentProcessing');
+const ledger = require('./ledger');
+const { syncPaymentInvoice } = require('./invoices');
+const {
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_EVENTS,
+  GATEWAY_RESULT,
+  EVENT_SOURCES
+} = require('../utils/constants');
+
+// Statuses a payment passes through before it reaches the gateway. A callback for
+// such a payment arrived ahead of its processing job and should be retried.
+const PRE_PROCESSING_STATUSES = [PAYMENT_STATUS.REVIEW, PAYMENT_STATUS.PENDING, PAYMENT_STATUS.APPROVED];
+
+/**
+ * Find the payment a callback refers to
+ * @param {Object} callback - Parsed callback (transactionId and/or reference)
+ * @returns {Promise<Object|null>} Payment document
+ */
+const findCallbackPayment = (callback) => {
+  const conditions = [];
+
+  if (callback.transactionId) {
+    conditions.push({ transactionId: callback.transactionId });
+  }
+
+  if (callback.reference) {
+    conditions.push(
+      { 'gateway.captureReference': callback.reference },
+      { 'gateway.authorizationReference': callback.reference }
+    );
+  }
+
+  return Payment.findOne({ $or: conditions });
+};
+
+/**
+ * Whether a gateway reference belongs to a failed attempt that was since retried
+ * Retries use their own idempotency key, so their references never repeat.
+ */
+const isEarlierAttemptReference = (payment, reference) => {
+  return (payment.attemptHistory || []).some(({ gateway }) =>
+    gateway && (gateway.authorizationReference === reference || gateway.captureReference === reference)
+  );
+};
+
+/**
+ * Apply a result callback from a payment processor
+ *
+ * Only a payment in processing is settled, through an atomic processing -> completed/failed
+ * update, so duplicate deliveries and callbacks racing the payment worker change it at
+ * most once. Callbacks for an already settled payment are acknowledged without changes;
+ * callbacks that arrive before the payment reached processing are refused with a 409 so
+ * the processor retries them later.
+ * @param {Object} req - Express request object (rawBody, headers, body)
+ * @param {String} providerName - Provider name from the callback URL
+ * @returns {Promise<Object>} { payment, applied, message }
+ */
+const handleGatewayCallback = async (req, providerName) => {
+  const gateway = getProvider(providerName);
+
+  if (!gateway || !gateway.supportsCallbacks()) {
+    throw new AppError(`Unknown payment gateway provider: ${providerName}`, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (!req.rawBody || !gateway.verifyCallback(req.rawBody, req.headers)) {
+    throw new AppError('Invalid callback signature', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  const callback = gateway.parseCallback(req.body);
+
+  if (!callback) {
+    throw new AppError('Unrecognized callback payload', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const payment = await findCallbackPayment(callback);
+
+  // Only the provider configured for the payment's method can settle it, even before
+  // the payment has been stamped with a provider
+  if (!payment || getGateway(payment.paymentMethod).name !== gateway.name) {
+    throw new AppError('No payment matches this callback', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const { result } = callback;
+
+  // A late result for a retried attempt must not settle the retry
+  if (callback.reference && isEarlierAttemptReference(payment, callback.reference)) {
+    return { payment, applied: false, message: 'Callback acknowledged; it belongs to an earlier processing attempt' };
+  }
+
+  // Informational callbacks (e.g. an authorization) do not settle anything
+  if (![GATEWAY_RESULT.CAPTURED, GATEWAY_RESULT.DECLINED, GATEWAY_RESULT.ERROR].includes(result.status)) {
+    return { payment, applied: false, message: `Callback acknowledged; ${result.status} results do not change the payment` };
+  }
+
+  const targetStatus = result.status === GATEWAY_RESULT.CAPTURED
+    ? PAYMENT_STATUS.COMPLETED
+    : PAYMENT_STATUS.FAILED;
+
+  if (!payment.canTransitionTo(targetStatus)) {
+    if (PRE_PROCESSING_STATUSES.includes(payment.status)) {
+      throw new AppError(
+        `Payment is not processing yet. Current status: ${payment.status}`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    return acknowledgeSettled(payment, targetStatus, callback, gateway);
+  }
+
+  const fields = await buildFinalState(payment, result);
+  fields['gateway.provider'] = gateway.name;
+  fields['gateway.resultCode'] = result.code;
+  fields['gateway.message'] = result.message;
+
+  if (result.reference && !(payment.gateway && payment.gateway.captureReference)) {
+    fields['gateway.captureReference'] = result.reference;
+  }
+
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.PROCESSING },
+    { $set: fields },
+    { new: true }
+  );
+
+  if (!settled) {
+    // Another delivery of this callback (or the payment worker) settled it first
+    const current = await Payment.findById(payment._id);
+    return acknowledgeSettled(current, targetStatus, callback, gateway);
+  }
+
+  await PaymentEvent.record(settled, targetStatus === PAYMENT_STATUS.COMPLETED ? PAYMENT_EVENTS.COMPLETED : PAYMENT_EVENTS.FAILED, {
+    source: EVENT_SOURCES.GATEWAY,
+    fromStatus: PAYMENT_STATUS.PROCESSING,
+    toStatus: settled.status,
+    reason: settled.failureReason,
+    details: { gateway: result, callbackId: callback.eventId }
+  });
+
+  if (settled.status === PAYMENT_STATUS.COMPLETED) {
+    await ledger.postSafely(() => ledger.postPaymentCompleted(settled), `payment ${settled._id}`);
+    await syncPaymentInvoice(settled);
+  }
+
+  return { payment: settled, applied: true, message: `Payment ${settled.status}` };
+};
+
+/**
+ * Acknowledge a callback for a payment that was already settled
+ * A result contradicting the settled status is logged for reconciliation but never applied.
+ */
+const acknowledgeSettled = (payment, targetStatus, callback, gateway) => {
+  const matches = payment.status === targetStatus ||
+    (targetStatus === PAYMENT_STATUS.COMPLETED && payment.completedAt);
+
+  if (!matches) {
+    console.warn(
+      `Gateway callback ${callback.eventId} from ${gateway.name} reports ${callback.result.status} ` +
+      `for payment ${payment._id}, which is already ${payment.status}; not applied`
+    );
+  }
+
+  return {
+    payment,
+    applied: false,
+    message: `Callback acknowledged; payment is already ${payment.status}`
+  };
+};
+
+module.exports = {
+  handleGatewayCallback
+};
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { AppError } = require('../middleware/errorHandler');
+const { fromMinorUnits } = require('../utils/currencies');
+const { HTTP_STATUS, PAYMENT_STATUS, INVOICE_STATUS } = require('../utils/constants');
+
+// An invoice's paid amount is never incremented in place: it is recalculated from the
+// invoice's payments whenever one of them completes or is refunded, so a missed or
+// repeated update is corrected by the next one.
+
+// Payments whose money reached the issuer (less what was refunded since)
+const PAID_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+// Payments that may still complete
+const IN_FLIGHT_STATUSES = [
+  PAYMENT_STATUS.REVIEW,
+  PAYMENT_STATUS.PENDING,
+  PAYMENT_STATUS.APPROVED,
+  PAYMENT_STATUS.PROCESSING
+];
+
+// Invoices that can still be paid
+const PAYABLE_STATUSES = [INVOICE_STATUS.OPEN, INVOICE_STATUS.PARTIALLY_PAID];
+
+const MAX_RECALCULATION_ATTEMPTS = 3;
+
+/**
+ * Sum the amounts of an invoice's payments in the given statuses
+ * @param {String} invoiceId - Invoice ID
+ * @param {Array} statuses - Payment statuses to include
+ * @param {Boolean} net - Subtract refunded amounts
+ * @returns {Promise<Number>} Amount in minor units of the invoice currency
+ */
+const sumPayments = async (invoiceId, statuses, net) => {
+  const amount = net
+    ? { $subtract: ['$amountMinor', { $ifNull: ['$refundedAmountMinor', 0] }] }
+    : '$amountMinor';
+
+  const [result] = await Payment.aggregate([
+    { $match: { invoice: new mongoose.Types.ObjectId(invoiceId), status: { $in: statuses } } },
+    { $group: { _id: null, totalMinor: { $sum: amount } } }
+  ]);
+
+  return result ? result.totalMinor : 0;
+};
+
+/**
+ * Amount of an invoice not yet paid or committed to a payment that may still complete
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Number>} Amount in minor units (never negative)
+ */
+const getUnallocatedMinor = async (invoice) => {
+  const committedMinor = await sumPayments(invoice._id, IN_FLIGHT_STATUSES, false);
+  return Math.max(invoice.outstandingMinor - committedMinor, 0);
+};
+
+/**
+ * Check that a new payment may be made against an invoice
+ * @param {Object} invoice - Invoice document
+ * @param {Object} payment - amountMinor and currency of the new payment
+ * @throws {AppError} 422 if the invoice is settled or cancelled, the currency differs
+ *   or the amount exceeds what is left to pay
+ */
+const checkPayable = async (invoice, { amountMinor, currency }) => {
+  if (!PAYABLE_STATUSES.includes(invoice.status)) {
+    throw new AppError(
+      `Invoice ${invoice.number} is ${invoice.status} and cannot be paid`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  if (currency !== invoice.currency) {
+    throw new AppError(
+      `Payments for invoice ${invoice.number} must be in ${invoice.currency}`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      [{ field: 'currency', message: `Invoice currency is ${invoice.currency}` }]
+    );
+  }
+
+  const unallocatedMinor = await getUnallocatedMinor(invoice);
+
+  if (amountMinor > unallocatedMinor) {
+    throw amountExceededError(invoice, unallocatedMinor);
+  }
+};
+
+/**
+ * Error for a payment amount larger than what is left to pay on an invoice
+ * @param {Object} invoice - Invoice document
+ * @param {Number} unallocatedMinor - Amount that can still be paid, in minor units
+ * @returns {AppError} 422
+ */
+const amountExceededError = (invoice, unallocatedMinor) => new AppError(
+  'Payment amount exceeds the amount left to pay on the invoice',
+  HTTP_STATUS.UNPROCESSABLE_ENTITY,
+  [{
+    field: 'amount',
+    message: `At most ${fromMinorUnits(unallocatedMinor, invoice.currency)} ${invoice.currency} can still be paid`,
+    outstanding: invoice.outstanding,
+    unallocated: fromMinorUnits(unallocatedMinor, invoice.currency),
+    unallocatedMinor
+  }]
+);
+
+/**
+ * Check a new payment against its invoice again once it is stored, and delete it if the
+ * invoice is over-allocated
+ * checkPayable runs before the payment exists, so concurrent payments can all pass it.
+ * Once stored, a payment is counted as in flight, so the last of them to check here sees
+ * all the others and is the one removed.
+ * @param {Object} payment - Saved Payment document against an invoice
+ * @throws {AppError} 422 if the invoice can no longer cover the payment
+ */
+const confirmAllocation = async (payment) => {
+  const invoice = await Invoice.findById(payment.invoice);
+  const committedMinor = await sumPayments(payment.invoice, IN_FLIGHT_STATUSES, false);
+  const outstandingMinor = invoice && PAYABLE_STATUSES.includes(invoice.status) ? invoice.outstandingMinor : 0;
+
+  if (committedMinor <= outstandingMinor) {
+    return;
+  }
+
+  await Payment.deleteOne({ _id: payment._id });
+
+  if (!invoice || !PAYABLE_STATUSES.includes(invoice.status)) {
+    throw new AppError(
+      `Invoice ${invoice ? `${invoice.number} is ${invoice.status} and` : 'was deleted and'} cannot be paid`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  throw amountExceededError(invoice, Math.max(outstandingMinor - (committedMinor - payment.amountMinor), 0));
+};
+
+/**
+ * Recalculate an invoice's paid amount, outstanding balance and status from its payments
+ * The update only applies if the invoice has not changed since it was read; otherwise it
+ * is read and recalculated again, so concurrent completions are all counted.
+ * @param {String} invoiceId - Invoice ID
+ * @returns {Promise<Object|null>} Updated Invoice document (null if not found or cancelled)
+ */
+const recalculateInvoice = async (invoiceId) => {
+  for (let attempt = 0; attempt < MAX_RECALCULATION_ATTEMPTS; attempt++) {
+    const invoice = await Invoice.findById(invoiceId);
+
+    if (!invoice || invoice.status === INVOICE_STATUS.CANCELLED) {
+      return null;
+    }
+
+    const paidMinor = await sumPayments(invoice._id, PAID_STATUSES, true);
+    const outstandingMinor = Math.max(invoice.totalMinor - paidMinor, 0);
+    const status = Invoice.statusFor(paidMinor, invoice.totalMinor);
+
+    const updated = await Invoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        status: invoice.status,
+        totalMinor: invoice.totalMinor,
+        paidAmountMinor: invoice.paidAmountMinor
+      },
+      {
+        $set: {
+          paidAmountMinor: paidMinor,
+          paidAmount: fromMinorUnits(paidMinor, invoice.currency),
+          outstandingMinor,
+          outstanding: fromMinorUnits(outstandingMinor, invoice.currency),
+          status,
+          paidAt: status === INVOICE_STATUS.PAID ? (invoice.paidAt || new Date()) : null
+        }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      return updated;
+    }
+  }
+
+  throw new Error(`Invoice ${invoiceId} kept changing during recalculation`);
+};
+
+/**
+ * Bring a payment's invoice up to date after the payment completed or was refunded
+ * Failures are logged rather than thrown: the payment itself has already been recorded,
+ * and the next recalculation of the invoice corrects it.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} Updated Invoice document
+ */
+const syncPaymentInvoice = async (payment) => {
+  if (!payment.invoice) {
+    return null;
+  }
+
+  try {
+    return await recalculateInvoice(payment.invoice._id || payment.invoice);
+  } catch (error) {
+    console.error(`Failed to update the invoice of payment ${payment._id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Count an invoice's payments that may still complete or completed and were not fully refunded
+ * @param {String} invoiceId - Invoice ID
+ * @returns {Promise<Number>}
+ */
+const countActivePayments = (invoiceId) => {
+  return Payment.countDocuments({
+    invoice: invoiceId,
+    status: { $in: [...IN_FLIGHT_STATUSES, PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED] }
+  });
+};
+
+module.exports = {
+  checkPayable,
+  confirmAllocation,
+  getUnallocatedMinor,
+  recalculateInvoice,
+  syncPaymentInvoice,
+  countActivePayments
+};
@@ -0,0 +1,458 @@
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const WalletTransaction = require('../models/WalletTransaction');
+const { AppError } = require('../middleware/errorHandler');
+const { fromMinorUnits } = require('../utils/currencies');
+const {
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  WALLET_PROVIDER,
+  WALLET_TRANSACTION_TYPES,
+  LEDGER_ACCOUNTS,
+  DEFAULT_LEDGER_ACCOUNTS,
+  JOURNAL_ENTRY_TYPES
+} = require('../utils/constants');
+
+// Double-entry ledger. Each accounting event is one JournalEntry document holding all
+// its lines, so an entry is written (or not) as a whole without transactions. Entries
+// carry a unique reference, which makes posting the same event again a no-op.
+// Settled payments and refunds are stamped with ledgerPostedAt once their entry is posted;
+// the payment worker posts the entries of those left unstamped until they succeed.
+
+// Payments that completed, whatever was refunded since
+const SETTLED_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+// Wallet movements posted on their own; payment debits and refund credits are part of
+// the payment and refund entries
+const POSTED_WALLET_TRANSACTION_TYPES = [
+  WALLET_TRANSACTION_TYPES.TOP_UP,
+  WALLET_TRANSACTION_TYPES.ADJUSTMENT
+];
+
+// Unbalanced entries listed by the integrity check
+const MAX_REPORTED_ENTRIES = 50;
+
+const paymentReference = (payment) => `payment:${payment._id}:completed`;
+const refundReference = (refund) => `refund:${refund.refundId}`;
+const walletTransactionReference = (transaction) => `wallet:${transaction.reference}`;
+
+/**
+ * Create the default ledger accounts that do not exist yet
+ * @returns {Promise<Number>} Number of accounts created
+ */
+const ensureLedgerAccounts = async () => {
+  const { upsertedCount } = await LedgerAccount.bulkWrite(
+    DEFAULT_LEDGER_ACCOUNTS.map(account => ({
+      updateOne: {
+        filter: { code: account.code },
+        update: { $setOnInsert: account },
+        upsert: true
+      }
+    }))
+  );
+
+  return upsertedCount;
+};
+
+/**
+ * Post a balanced journal entry
+ * Posting a reference that already exists returns the stored entry unchanged.
+ * @param {Object} entry - reference, type, description, currency, lines ({ account, debitMinor | creditMinor }),
+ *   postedAt, and optionally payment, refund, reverses, postedBy
+ * @returns {Promise<Object>} JournalEntry document
+ * @throws {AppError} If a line refers to an unknown account
+ */
+const postEntry = async (entry) => {
+  const existing = await JournalEntry.findOne({ reference: entry.reference });
+  if (existing) {
+    return existing;
+  }
+
+  const codes = [...new Set(entry.lines.map(line => line.account))];
+  const known = await LedgerAccount.find({ code: { $in: codes } }).distinct('code');
+  const unknown = codes.filter(code => !known.includes(code));
+
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown ledger account(s): ${unknown.join(', ')}`, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+
+  try {
+    return await JournalEntry.create(entry);
+  } catch (error) {
+    // Posted concurrently by another process
+    if (error.code === 11000) {
+      return JournalEntry.findOne({ reference: entry.reference });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Account a payment's funds arrive in
+ * Wallet payments are paid out of the balances users hold; the others through a gateway.
+ * @param {Object} payment - Payment document
+ * @returns {String} Ledger account code
+ */
+const getSettlementAccount = (payment) => {
+  return payment.gateway && payment.gateway.provider === WALLET_PROVIDER
+    ? LEDGER_ACCOUNTS.WALLET_BALANCES
+    : LEDGER_ACCOUNTS.GATEWAY_CLEARING;
+};
+
+/**
+ * Post the entry for a completed payment and stamp the payment's ledgerPostedAt
+ * @param {Object} payment - Completed payment
+ * @param {Object} options - actor (user ID)
+ * @returns {Promise<Object>} JournalEntry document
+ */
+const postPaymentCompleted = async (payment, { actor } = {}) => {
+  const entry = await postEntry({
+    reference: paymentReference(payment),
+    type: JOURNAL_ENTRY_TYPES.PAYMENT_COMPLETED,
+    description: `Payment ${payment.transactionId} completed`,
+    currency: payment.currency,
+    lines: [
+      { account: getSettlementAccount(payment), debitMinor: payment.amountMinor },
+      { account: LEDGER_ACCOUNTS.PAYMENTS_RECEIVED, creditMinor: payment.amountMinor }
+    ],
+    payment: payment._id,
+    postedAt: payment.completedAt || new Date(),
+    postedBy: actor
+  });
+
+  await Payment.updateOne({ _id: payment._id, ledgerPostedAt: null }, { $set: { ledgerPostedAt: new Date() } });
+  return entry;
+};
+
+/**
+ * Post the entry reversing (part of) a completed payment for a refund and stamp the
+ * refund's ledgerPostedAt
+ * @param {Object} payment - Refunded payment
+ * @param {Object} refund - Refund document
+ * @param {Object} options - actor (user ID)
+ * @returns {Promise<Object>} JournalEntry document
+ */
+const postRefund = async (payment, refund, { actor } = {}) => {
+  const original = await JournalEntry.findOne({ reference: paymentReference(payment) });
+
+  const entry = await postEntry({
+    reference: refundReference(refund),
+    type: JOURNAL_ENTRY_TYPES.REFUND,
+    description: `Refund ${refund.refundId} of payment ${payment.transactionId}`,
+    currency: refund.currency,
+    lines: [
+      { account: LEDGER_ACCOUNTS.PAYMENTS_RECEIVED, debitMinor: refund.amountMinor },
+      { account: getSettlementAccount(payment), creditMinor: refund.amountMinor }
+    ],
+    payment: payment._id,
+    refund: refund._id,
+    reverses: original ? original._id : undefined,
+    postedAt: refund.createdAt || new Date(),
+    postedBy: actor || refund.refundedBy
+  });
+
+  await Refund.updateOne({ _id: refund._id, ledgerPostedAt: null }, { $set: { ledgerPostedAt: new Date() } });
+  return entry;
+};
+
+/**
+ * Post the entry for a wallet top-up or adjustment
+ * Top-ups are funded from outside; adjustments are booked against wallet_adjustments.
+ * @param {Object} transaction - WalletTransaction document (top_up or adjustment)
+ * @returns {Promise<Object>} JournalEntry document
+ */
+const postWalletTransaction = (transaction) => {
+  const isTopUp = transaction.type === WALLET_TRANSACTION_TYPES.TOP_UP;
+  const counterpart = isTopUp ? LEDGER_ACCOUNTS.WALLET_FUNDING : LEDGER_ACCOUNTS.WALLET_ADJUSTMENTS;
+  const amountMinor = Math.abs(transaction.amountMinor);
+
+  // Money into a wallet credits the balances users hold; money out debits them
+  const [debitAccount, creditAccount] = transaction.amountMinor > 0
+    ? [counterpart, LEDGER_ACCOUNTS.WALLET_BALANCES]
+    : [LEDGER_ACCOUNTS.WALLET_BALANCES, counterpart];
+
+  return postEntry({
+    reference: walletTransactionReference(transaction),
+    type: isTopUp ? JOURNAL_ENTRY_TYPES.WALLET_TOP_UP : JOURNAL_ENTRY_TYPES.WALLET_ADJUSTMENT,
+    description: `Wallet ${isTopUp ? 'top-up' : 'adjustment'}${transaction.reason ? `: ${transaction.reason}` : ''}`,
+    currency: transaction.currency,
+    lines: [
+      { account: debitAccount, debitMinor: amountMinor },
+      { account: creditAccount, creditMinor: amountMinor }
+    ],
+    walletTransaction: transaction._id,
+    postedAt: transaction.createdAt || new Date(),
+    postedBy: transaction.performedBy
+  });
+};
+
+/**
+ * Run a posting for money that has already moved
+ * A failure must not undo the payment, so it is logged instead of thrown. Payment and
+ * refund entries are then posted by the payment worker (see postPendingEntries).
+ * @param {Function} post - Posting to run
+ * @param {String} label - What is being posted, for the log
+ * @returns {Promise<Object|null>} JournalEntry document, or null if posting failed
+ */
+const postSafely = async (post, label) => {
+  try {
+    return await post();
+  } catch (error) {
+    console.error(`Failed to post ledger entry for ${label}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Post the entries of settled payments and refunds that have none yet
+ * Covers postings that failed or were cut off by the process stopping. Payments go first,
+ * so refund entries can point at the entry they reverse. A posting that fails again is
+ * logged and tried on the next pass.
+ * @param {Number} batchSize - Maximum payments and refunds to post each
+ * @returns {Promise<Number>} Number of entries posted
+ */
+const postPendingEntries = async (batchSize) => {
+  let posted = 0;
+
+  // Payments without minor units wait for `npm run migrate:minor-units`
+  const payments = await Payment.find({
+    status: { $in: SETTLED_STATUSES },
+    ledgerPostedAt: null,
+    amountMinor: { $type: 'number' }
+  })
+    .sort({ completedAt: 1 })
+    .limit(batchSize);
+
+  for (const payment of payments) {
+    if (await postSafely(() => postPaymentCompleted(payment, { actor: payment.processedBy }), `payment ${payment._id}`)) {
+      posted++;
+    }
+  }
+
+  const refunds = await Refund.find({ ledgerPostedAt: null, amountMinor: { $type: 'number' } })
+    .populate('payment')
+    .sort({ createdAt: 1 })
+    .limit(batchSize);
+
+  for (const refund of refunds) {
+    if (!refund.payment) {
+      console.warn(`Refund ${refund.refundId} has no ledger entry: its payment was not found`);
+      continue;
+    }
+
+    if (await postSafely(() => postRefund(refund.payment, refund), `refund ${refund.refundId}`)) {
+      posted++;
+    }
+  }
+
+  return posted;
+};
+
+/**
+ * Sum debits and credits per account and currency
+ * @param {Object} options - account (code, all accounts if omitted), asOf (include entries posted up to this date)
+ * @returns {Promise<Array>} [{ account, currency, debitMinor, creditMinor }]
+ */
+const sumLines = ({ account, asOf } = {}) => {
+  const match = {};
+  if (account) match['lines.account'] = account;
+  if (asOf) match.postedAt = { $lte: asOf };
+
+  return JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    ...(account ? [{ $match: { 'lines.account': account } }] : []),
+    {
+      $group: {
+        _id: { account: '$lines.account', currency: '$currency' },
+        debitMinor: { $sum: '$lines.debitMinor' },
+        creditMinor: { $sum: '$lines.creditMinor' }
+      }
+    },
+    { $sort: { '_id.account': 1, '_id.currency': 1 } },
+    {
+      $project: {
+        _id: 0,
+        account: '$_id.account',
+        currency: '$_id.currency',
+        debitMinor: 1,
+        creditMinor: 1
+      }
+    }
+  ]);
+};
+
+/**
+ * Turn summed lines into balances on the account's normal side
+ * @param {Object} account - LedgerAccount document
+ * @param {Array} sums - Rows from sumLines for this account
+ * @returns {Object} { CUR: { debit, credit, balance, balanceMinor } }
+ */
+const toBalances = (account, sums) => {
+  const balances = {};
+
+  sums.forEach(({ currency, debitMinor, creditMinor }) => {
+    const balanceMinor = account.isDebitNormal() ? debitMinor - creditMinor : creditMinor - debitMinor;
+
+    balances[currency] = {
+      debit: fromMinorUnits(debitMinor, currency),
+      credit: fromMinorUnits(creditMinor, currency),
+      balance: fromMinorUnits(balanceMinor, currency),
+      balanceMinor
+    };
+  });
+
+  return balances;
+};
+
+/**
+ * Get the balance of one account
+ * @param {String} code - Account code
+ * @param {Object} options - asOf (Date)
+ * @returns {Promise<Object>} { account, asOf, balances: { CUR: { debit, credit, balance, balanceMinor } } }
+ * @throws {AppError} If the account does not exist
+ */
+const getAccountBalance = async (code, { asOf } = {}) => {
+  const account = await LedgerAccount.findOne({ code });
+
+  if (!account) {
+    throw new AppError('Ledger account not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const sums = await sumLines({ account: code, asOf });
+
+  return {
+    account,
+    asOf: asOf || null,
+    balances: toBalances(account, sums)
+  };
+};
+
+/**
+ * Get every account with its balances
+ * @param {Object} options - asOf (Date)
+ * @returns {Promise<Array>} [{ account, balances }]
+ */
+const listAccountBalances = async ({ asOf } = {}) => {
+  const [accounts, sums] = await Promise.all([
+    LedgerAccount.find().sort({ code: 1 }),
+    sumLines({ asOf })
+  ]);
+
+  return accounts.map(account => ({
+    account,
+    balances: toBalances(account, sums.filter(row => row.account === account.code))
+  }));
+};
+
+/**
+ * Count documents that no journal entry refers to
+ * @param {Object} Model - Mongoose model of the documents
+ * @param {Object} match - Filter selecting the documents to check
+ * @param {String} field - JournalEntry field referring to them
+ * @returns {Promise<Number>}
+ */
+const countWithoutEntry = async (Model, match, field) => {
+  const [result] = await Model.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: JournalEntry.collection.name,
+        localField: '_id',
+        foreignField: field,
+        pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }],
+        as: 'entries'
+      }
+    },
+    { $match: { entries: { $size: 0 } } },
+    { $count: 'count' }
+  ]);
+
+  return result ? result.count : 0;
+};
+
+/**
+ * Check the ledger balances
+ * Proves that total debits equal total credits per currency, lists entries that do not
+ * balance (only possible through writes that bypassed the model), and counts settled
+ * payments, refunds and wallet top-ups and adjustments that have no entry yet.
+ * @returns {Promise<Object>} { balanced, totals, unbalancedEntries, missingEntries, checkedAt }
+ */
+const checkIntegrity = async () => {
+  const [totalRows, unbalancedEntries, [{ count: entryCount } = { count: 0 }]] = await Promise.all([
+    JournalEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$currency',
+          debitMinor: { $sum: '$lines.debitMinor' },
+          creditMinor: { $sum: '$lines.creditMinor' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    JournalEntry.aggregate([
+      {
+        $project: {
+          reference: 1,
+          currency: 1,
+          debitMinor: { $sum: '$lines.debitMinor' },
+          creditMinor: { $sum: '$lines.creditMinor' }
+        }
+      },
+      { $match: { $expr: { $ne: ['$debitMinor', '$creditMinor'] } } },
+      { $limit: MAX_REPORTED_ENTRIES }
+    ]),
+    JournalEntry.aggregate([{ $count: 'count' }])
+  ]);
+
+  const totals = {};
+  totalRows.forEach(({ _id: currency, debitMinor, creditMinor }) => {
+    totals[currency] = {
+      debit: fromMinorUnits(debitMinor, currency),
+      credit: fromMinorUnits(creditMinor, currency),
+      debitMinor,
+      creditMinor,
+      balanced: debitMinor === creditMinor
+    };
+  });
+
+  const [paymentsWithoutEntry, refundsWithoutEntry, walletTransactionsWithoutEntry] = await Promise.all([
+    Payment.countDocuments({ status: { $in: SETTLED_STATUSES }, ledgerPostedAt: null }),
+    countWithoutEntry(Refund, {}, 'refund'),
+    countWithoutEntry(WalletTransaction, { type: { $in: POSTED_WALLET_TRANSACTION_TYPES } }, 'walletTransaction')
+  ]);
+
+  return {
+    balanced: Object.values(totals).every(total => total.balanced) && unbalancedEntries.length === 0,
+    entries: entryCount,
+    totals,
+    unbalancedEntries,
+    missingEntries: {
+      payments: paymentsWithoutEntry,
+      refunds: refundsWithoutEntry,
+      walletTransactions: walletTransactionsWithoutEntry
+    },
+    checkedAt: new Date()
+  };
+};
+
+module.exports = {
+  POSTED_WALLET_TRANSACTION_TYPES,
+  ensureLedgerAccounts,
+  postEntry,
+  postPaymentCompleted,
+  postRefund,
+  postWalletTransaction,
+  postSafely,
+  postPendingEntries,
+  getAccountBalance,
+  listAccountBalances,
+  checkIntegrity
+};
@@ -0,0 +1,69 @@
+const Payee = require('../models/Payee');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, PAYEE_VERIFICATION_STATUS } = require('../utils/constants');
+
+// A payment can be made out to a payee that is not verified yet, but it is only
+// approved and processed once the payee is verified. Rejected payees cannot be paid.
+
+/**
+ * Find a payee that new payments can be made out to
+ * @param {String} payeeId - Payee ID
+ * @returns {Promise<Object>} Payee document
+ * @throws {AppError} 404 if the payee does not exist, 422 if it was rejected
+ */
+const findPayablePayee = async (payeeId) => {
+  const payee = await Payee.findById(payeeId);
+
+  if (!payee) {
+    throw new AppError(
+      'Payee not found',
+      HTTP_STATUS.NOT_FOUND,
+      [{ field: 'payeeId', message: 'Payee not found', value: payeeId }]
+    );
+  }
+
+  if (payee.verificationStatus === PAYEE_VERIFICATION_STATUS.REJECTED) {
+    throw new AppError(
+      `Payee ${payee.name} has been rejected and cannot be paid`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      [{ field: 'payeeId', message: `Payee ${payee.name} has been rejected`, value: payeeId }]
+    );
+  }
+
+  return payee;
+};
+
+/**
+ * Refuse to approve or process a payment whose payee is not verified
+ * Payments without a payee are not checked.
+ * @param {Object} payment - Payment document
+ * @param {String} action - What is refused, e.g. 'approved' or 'processed'
+ * @throws {AppError} 422 naming the payee's verification status
+ */
+const enforcePayeeVerified = async (payment, action) => {
+  if (!payment.payee) {
+    return;
+  }
+
+  const payee = await Payee.findById(payment.payee._id || payment.payee);
+
+  if (!payee || !payee.isVerified()) {
+    throw new AppError(
+      `Payments can only be ${action} once their payee is verified`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      [{
+        field: 'payee',
+        message: payee
+          ? `Payee ${payee.name} is ${payee.verificationStatus}`
+          : 'Payee no longer exists',
+        payeeId: payment.payee._id || payment.payee,
+        verificationStatus: payee ? payee.verificationStatus : null
+      }]
+    );
+  }
+};
+
+module.exports = {
+  findPayablePayee,
+  enforcePayeeVerified
+};
@@ -0,0 +1,440 @@
+const { sanitize } = require('express-mongo-sanitize');
+const Payment = require('../models/Payment');
+const PaymentBatch = require('../models/PaymentBatch');
+const PaymentEvent = require('../models/PaymentEvent');
+const { AppError } = require('../middleware/errorHandler');
+const { parseCsv } = require('../utils/csv');
+const { validatePaymentFields } = require('../validators/paymentValidator');
+const { runBulk, approvePayment } = require('./paymentWorkflow');
+const { assessPaymentRisk } = require('./riskScoring');
+const { enforceSpendingLimits, getBaseAmountMinor } = require('./spendingLimits');
+const { findPayablePayee } = require('./payees');
+const { getRate, createFxStamp } = require('./fxRates');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+const {
+  HTTP_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_EVENTS,
+  PAYMENT_BATCH_STATUS
+} = require('../utils/constants');
+
+// Columns accepted in an import file; only amount is required
+const BATCH_COLUMNS = ['amount', 'currency', 'description', 'payeeId', 'paymentMethod', 'metadata', 'executeAt'];
+
+// Payment statuses a discard cancels
+const DISCARDABLE_STATUSES = [PAYMENT_STATUS.REVIEW, PAYMENT_STATUS.PENDING, PAYMENT_STATUS.APPROVED];
+
+/**
+ * Read the header row and map each column to its index
+ * @param {Array<String>} headers - Header cells
+ * @returns {Object} Column name -> index
+ * @throws {AppError} If columns are missing, unknown or repeated
+ */
+const mapColumns = (headers) => {
+  const columns = {};
+  const errors = [];
+
+  headers.forEach((header, index) => {
+    const name = header.trim();
+
+    if (!BATCH_COLUMNS.includes(name)) {
+      errors.push({ field: name, message: `Unknown column. Allowed columns: ${BATCH_COLUMNS.join(', ')}` });
+    } else if (columns[name] !== undefined) {
+      errors.push({ field: name, message: 'Column appears more than once' });
+    } else {
+      columns[name] = index;
+    }
+  });
+
+  if (columns.amount === undefined) {
+    errors.push({ field: 'amount', message: 'Column is required' });
+  }
+
+  if (errors.length > 0) {
+    throw new AppError('Invalid CSV header row', HTTP_STATUS.BAD_REQUEST, errors);
+  }
+
+  return columns;
+};
+
+/**
+ * Turn one CSV record into payment fields and validate them
+ * Empty cells are treated as omitted, so column defaults apply.
+ * @param {Object} record - { line, values }
+ * @param {Object} columns - Column name -> index
+ * @returns {Promise<Object>} { value, errors }
+ */
+const readRow = async (record, columns) => {
+  const columnCount = Object.keys(columns).length;
+
+  if (record.values.length !== columnCount) {
+    return {
+      errors: [{
+        field: null,
+        message: `Row has ${record.values.length} fields, expected ${columnCount}`
+      }]
+    };
+  }
+
+  const fields = {};
+  Object.entries(columns).forEach(([name, index]) => {
+    const cell = record.values[index];
+    if (cell.trim() !== '') {
+      fields[name] = cell;
+    }
+  });
+
+  if (fields.metadata !== undefined) {
+    try {
+      fields.metadata = sanitize(JSON.parse(fields.metadata));
+    } catch (error) {
+      return {
+        errors: [{ field: 'metadata', message: 'Metadata must be valid JSON', value: fields.metadata }]
+      };
+    }
+  }
+
+  return validatePaymentFields(fields);
+};
+
+/**
+ * Check a row's payee can be paid
+ * @param {String} payeeId - Payee ID from the row
+ * @param {Map} checked - Payee ID -> errors (null if payable), shared across rows
+ * @returns {Promise<Array|null>} Row errors, or null if the payee can be paid
+ */
+const checkRowPayee = async (payeeId, checked) => {
+  if (!checked.has(payeeId)) {
+    try {
+      await findPayablePayee(payeeId);
+      checked.set(payeeId, null);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+      checked.set(payeeId, error.errors);
+    }
+  }
+
+  return checked.get(payeeId);
+};
+
+/**
+ * Parse and validate a CSV import file
+ * @param {String} csvText - CSV text with a header row
+ * @returns {Promise<Object>} { rowCount, rows, rejectedRows }
+ *   rows holds { row, value } for valid rows, rejectedRows holds { row, reasons } for the rest
+ * @throws {AppError} If the file itself cannot be read
+ */
+const readPaymentRows = async (csvText) => {
+  let records;
+  try {
+    records = parseCsv(csvText);
+  } catch (error) {
+    throw new AppError(`Invalid CSV: ${error.message}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (records.length < 2) {
+    throw new AppError('CSV must contain a header row and at least one payment row', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const maxRows = parseInt(process.env.PAYMENT_BATCH_MAX_ROWS) || 1000;
+  if (records.length - 1 > maxRows) {
+    throw new AppError(`CSV must not contain more than ${maxRows} payment rows`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const [header, ...dataRecords] = records;
+  const columns = mapColumns(header.values);
+  const rows = [];
+  const rejectedRows = [];
+  const rates = new Map();
+  const payees = new Map();
+
+  for (const record of dataRecords) {
+    const { value, errors } = await readRow(record, columns);
+
+    if (errors.length > 0) {
+      rejectedRows.push({ row: record.line, reasons: errors });
+      continue;
+    }
+
+    // Unverified payees are accepted; approval and processing wait for their verification
+    const payeeErrors = value.payeeId ? await checkRowPayee(value.payeeId, payees) : null;
+    if (payeeErrors) {
+      rejectedRows.push({ row: record.line, reasons: payeeErrors });
+      continue;
+    }
+
+    // Each payment is stamped with its base-currency equivalent when its currency has a rate
+    const currency = value.currency || 'USD';
+    if (!rates.has(currency)) {
+      rates.set(currency, await getRate(currency));
+    }
+
+    value.currency = currency;
+    value.amountMinor = toMinorUnits(value.amount, currency);
+    if (rates.get(currency) !== null) {
+      value.fx = { created: createFxStamp(fromMinorUnits(value.amountMinor, currency), rates.get(currency)) };
+    }
+    rows.push({ row: record.line, value });
+  }
+
+  return { rowCount: dataRecords.length, rows, rejectedRows };
+};
+
+/**
+ * Check rows against the uploader's spending limits, in file order
+ * Each accepted row counts towards the daily and monthly limits of the rows after it,
+ * as if they had been created one by one.
+ * @param {Object} user - User document (the uploader)
+ * @param {Array} rows - Valid rows ({ row, value }) from readPaymentRows
+ * @returns {Promise<Object>} { rows, rejectedRows } - rows within the limits and the rest
+ */
+const checkRowSpendingLimits = async (user, rows) => {
+  const accepted = [];
+  const rejectedRows = [];
+  let unsavedMinor = 0;
+
+  for (const row of rows) {
+    const amountMinor = getBaseAmountMinor(row.value);
+
+    try {
+      await enforceSpendingLimits(user, amountMinor, { unsavedMinor });
+    } catch (error) {
+      if (error.statusCode !== HTTP_STATUS.UNPROCESSABLE_ENTITY) {
+        throw error;
+      }
+      rejectedRows.push({ row: row.row, reasons: error.errors });
+      continue;
+    }
+
+    unsavedMinor += amountMinor || 0;
+    accepted.push(row);
+  }
+
+  return { rows: accepted, rejectedRows };
+};
+
+/**
+ * Create a batch and one pending payment per valid row
+ * Rows over the uploader's spending limits are rejected. Each remaining row is risk
+ * scored like a payment created on its own; high-risk rows are held in review.
+ * @param {Object} req - Express request object (the uploader owns the payments)
+ * @param {String} name - Batch name
+ * @param {Object} imported - Result of readPaymentRows
+ * @returns {Promise<Object>} PaymentBatch document
+ * @throws {AppError} 400 if no row is left to import
+ */
+const createPaymentBatch = async (req, name, imported) => {
+  const limited = await checkRowSpendingLimits(req.user, imported.rows);
+  const rejectedRows = [...imported.rejectedRows, ...limited.rejectedRows].sort((a, b) => a.row - b.row);
+
+  if (limited.rows.length === 0) {
+    throw new AppError('No valid rows to import', HTTP_STATUS.BAD_REQUEST, rejectedRows);
+  }
+
+  const batch = await PaymentBatch.create({
+    name,
+    createdBy: req.user._id,
+    rowCount: imported.rowCount,
+    paymentCount: limited.rows.length,
+    rejectedRows
+  });
+
+  try {
+    const documents = [];
+
+    for (const { value } of limited.rows) {
+      const payment = new Payment({
+        user: req.user._id,
+        amountMinor: value.amountMinor,
+        currency: value.currency || 'USD',
+        description: value.description,
+        payee: value.payeeId,
+        paymentMethod: value.paymentMethod || 'card',
+        metadata: value.metadata || {},
+        fx: value.fx,
+        executeAt: value.executeAt,
+        status: PAYMENT_STATUS.PENDING,
+        batch: batch._id
+      });
+
+      // Scored as if the earlier rows had been created one by one
+      const { risk, held } = await assessPaymentRisk(req.user, payment, { unsavedCount: documents.length });
+      payment.risk = risk;
+      if (held) {
+        payment.status = PAYMENT_STATUS.REVIEW;
+      }
+
+      documents.push(payment);
+    }
+
+    const payments = await Payment.insertMany(documents);
+
+    for (const [index, payment] of payments.entries()) {
+      await PaymentEvent.record(payment, PAYMENT_EVENTS.CREATED, {
+        req,
+        toStatus: payment.status,
+        details: {
+          batch: batch._id,
+          row: limited.rows[index].row,
+          riskScore: payment.risk.score,
+          riskRules: payment.risk.rules.map(rule => rule.name)
+        }
+      });
+    }
+  } catch (error) {
+    // Never leave a half-imported batch behind
+    await Payment.deleteMany({ batch: batch._id });
+    await PaymentBatch.deleteOne({ _id: batch._id });
+    throw error;
+  }
+
+  return batch;
+};
+
+/**
+ * Count a batch's payments and sum their amounts per status and currency
+ * @param {Object} batch - PaymentBatch document
+ * @returns {Promise<Object>} { byStatus, totals }
+ */
+const summarizePaymentBatch = async (batch) => {
+  const groups = await Payment.aggregate([
+    { $match: { batch: batch._id } },
+    {
+      $group: {
+        _id: { status: '$status', currency: '$currency' },
+        count: { $sum: 1 },
+        amountMinor: { $sum: '$amountMinor' }
+      }
+    }
+  ]);
+
+  const byStatus = {};
+  const totalsMinor = {};
+
+  groups.forEach(({ _id, count, amountMinor }) => {
+    byStatus[_id.status] = (byStatus[_id.status] || 0) + count;
+    totalsMinor[_id.currency] = (totalsMinor[_id.currency] || 0) + amountMinor;
+  });
+
+  const totals = {};
+  Object.entries(totalsMinor).forEach(([currency, minor]) => {
+    totals[currency] = fromMinorUnits(minor, currency);
+  });
+
+  return { byStatus, totals };
+};
+
+/**
+ * Record the caller's approval on every pending payment in a batch
+ * Each payment goes through the normal approval workflow; the batch becomes
+ * approved once none of its payments are pending or held for risk review any more.
+ * @param {Object} req - Express request object (the approver)
+ * @param {Object} batch - PaymentBatch document
+ * @returns {Promise<Object>} { batch, results, summary }
+ */
+const approvePaymentBatch = async (req, batch) => {
+  if (batch.status !== PAYMENT_BATCH_STATUS.PENDING) {
+    throw new AppError(
+      `Batch cannot be approved. Current status: ${batch.status}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const pendingPayments = await Payment.find({ batch: batch._id, status: PAYMENT_STATUS.PENDING })
+    .select('_id')
+    .sort({ createdAt: 1 });
+
+  const { results, summary } = await runBulk(
+    pendingPayments.map(payment => payment._id.toString()),
+    async (id) => {
+      const { payment } = await approvePayment(req, id);
+      return payment;
+    }
+  );
+
+  const stillPending = await Payment.exists({
+    batch: batch._id,
+    status: { $in: [PAYMENT_STATUS.REVIEW, PAYMENT_STATUS.PENDING] }
+  });
+  const updatedBatch = stillPending
+    ? batch
+    : await PaymentBatch.findOneAndUpdate(
+      { _id: batch._id, status: PAYMENT_BATCH_STATUS.PENDING },
+      { $set: { status: PAYMENT_BATCH_STATUS.APPROVED, approvedAt: new Date() } },
+      { new: true }
+    ) || await PaymentBatch.findById(batch._id);
+
+  return { batch: updatedBatch, results, summary };
+};
+
+/**
+ * Discard a batch, cancelling its payments that have not been processed yet
+ * Payments already processing or finished are left alone.
+ * @param {Object} req - Express request object
+ * @param {Object} batch - PaymentBatch document
+ * @param {String} reason - Discard reason
+ * @returns {Promise<Object>} { batch, cancelled } - cancelled is the number of payments cancelled
+ */
+const discardPaymentBatch = async (req, batch, reason) => {
+  const discardReason = reason || 'Batch discarded';
+  const discardedBatch = await PaymentBatch.findOneAndUpdate(
+    { _id: batch._id, status: { $ne: PAYMENT_BATCH_STATUS.DISCARDED } },
+    {
+      $set: {
+        status: PAYMENT_BATCH_STATUS.DISCARDED,
+        discardedBy: req.user._id,
+        discardedAt: new Date(),
+        discardReason
+      }
+    },
+    { new: true }
+  );
+
+  if (!discardedBatch) {
+    throw new AppError('Batch has already been discarded', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const payments = await Payment.find({ batch: batch._id, status: { $in: DISCARDABLE_STATUSES } })
+    .select('_id status');
+  let cancelled = 0;
+
+  for (const candidate of payments) {
+    // Skip payments that moved on (e.g. started processing) since they were listed
+    const payment = await Payment.findOneAndUpdate(
+      { _id: candidate._id, status: candidate.status },
+      {
+        $set: {
+          status: PAYMENT_STATUS.CANCELLED,
+          cancelledBy: req.user._id,
+          cancelledAt: new Date(),
+          cancellationReason: discardReason
+        }
+      },
+      { new: true }
+    );
+
+    if (payment) {
+      await PaymentEvent.record(payment, PAYMENT_EVENTS.CANCELLED, {
+        req,
+        fromStatus: candidate.status,
+        toStatus: PAYMENT_STATUS.CANCELLED,
+        reason: discardReason,
+        details: { batch: batch._id }
+      });
+      cancelled++;
+    }
+  }
+
+  return { batch: discardedBatch, cancelled };
+};
+
+module.exports = {
+  BATCH_COLUMNS,
+  readPaymentRows,
+  createPaymentBatch,
+  summarizePaymentBatch,
+  approvePaymentBatch,
+  discardPaymentBatch
+};
@@ -0,0 +1,120 @@
+const { formatCsvRow } = require('../utils/csv');
+const { EXPORT_FORMATS } = require('../utils/constants');
+
+const EXPORT_CONTENT_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [EXPORT_FORMATS.NDJSON]: 'application/x-ndjson; charset=utf-8'
+};
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+const nameOf = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : null);
+const emailOf = (user) => (user && user.email ? user.email : null);
+const dateOf = (value) => (value ? new Date(value).toISOString() : null);
+
+// Export columns and how to read them from a (lean, populated) payment.
+// Populated users are flattened into <field>.id / .name / .email columns and the
+// populated payee into payee.id / .name.
+const EXPORT_COLUMNS = {
+  id: (p) => idOf(p._id),
+  transactionId: (p) => p.transactionId,
+  status: (p) => p.status,
+  amount: (p) => p.amount,
+  amountMinor: (p) => p.amountMinor,
+  currency: (p) => p.currency,
+  refundedAmount: (p) => p.refundedAmount || 0,
+  refundedAmountMinor: (p) => p.refundedAmountMinor || 0,
+  description: (p) => p.description || null,
+  paymentMethod: (p) => p.paymentMethod,
+  'payee.id': (p) => idOf(p.payee),
+  'payee.name': (p) => (p.payee && p.payee.name ? p.payee.name : null),
+  'user.id': (p) => idOf(p.user),
+  'user.name': (p) => nameOf(p.user),
+  'user.email': (p) => emailOf(p.user),
+  'approvedBy.id': (p) => idOf(p.approvedBy),
+  'approvedBy.name': (p) => nameOf(p.approvedBy),
+  'approvedBy.email': (p) => emailOf(p.approvedBy),
+  'rejectedBy.id': (p) => idOf(p.rejectedBy),
+  'rejectedBy.name': (p) => nameOf(p.rejectedBy),
+  'rejectedBy.email': (p) => emailOf(p.rejectedBy),
+  'processedBy.id': (p) => idOf(p.processedBy),
+  'processedBy.name': (p) => nameOf(p.processedBy),
+  'processedBy.email': (p) => emailOf(p.processedBy),
+  approvalPolicy: (p) => p.approvalPolicy || null,
+  batch: (p) => idOf(p.batch),
+  recurringPayment: (p) => idOf(p.recurringPayment),
+  invoice: (p) => idOf(p.invoice),
+  failureReason: (p) => p.failureReason || null,
+  executeAt: (p) => dateOf(p.executeAt),
+  createdAt: (p) => dateOf(p.createdAt),
+  approvedAt: (p) => dateOf(p.approvedAt),
+  rejectedAt: (p) => dateOf(p.rejectedAt),
+  processedAt: (p) => dateOf(p.processedAt),
+  completedAt: (p) => dateOf(p.completedAt),
+  cancelledAt: (p) => dateOf(p.cancelledAt),
+  metadata: (p) => p.metadata || {}
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'transactionId',
+  'status',
+  'amount',
+  'currency',
+  'description',
+  'paymentMethod',
+  'user.name',
+  'user.email',
+  'approvedBy.name',
+  'approvedBy.email',
+  'createdAt',
+  'approvedAt',
+  'completedAt'
+];
+
+/**
+ * Create a serializer that turns payments into export chunks
+ * @param {String} format - One of EXPORT_FORMATS
+ * @param {Array<String>} columns - Keys of EXPORT_COLUMNS, in output order
+ * @returns {Object} { write(payment) => String, end() => String }
+ *   The CSV header is emitted with the first chunk (or by end() for an empty export).
+ */
+const createExportWriter = (format, columns) => {
+  const readRow = (payment) => columns.map(column => EXPORT_COLUMNS[column](payment));
+
+  if (format === EXPORT_FORMATS.NDJSON) {
+    return {
+      write: (payment) => {
+        const values = readRow(payment);
+        const row = {};
+        columns.forEach((column, index) => {
+          row[column] = values[index];
+        });
+        return `${JSON.stringify(row)}\n`;
+      },
+      end: () => ''
+    };
+  }
+
+  let headerWritten = false;
+  const header = () => {
+    if (headerWritten) return '';
+    headerWritten = true;
+    return formatCsvRow(columns);
+  };
+
+  return {
+    write: (payment) => {
+      const values = readRow(payment).map(value =>
+        value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+      );
+      return header() + formatCsvRow(values);
+    },
+    end: () => header()
+  };
+};
+
+module.exports = {
+  EXPORT_CONTENT_TYPES,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  createExportWriter
+};
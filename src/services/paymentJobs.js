@@ -0,0 +1,283 @@
+const os = require('os');
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const PaymentJob = require('../models/PaymentJob');
+const { recordOutcome, completeProcessing } = require('./paymentProcessing');
+const { getGateway } = require('../gateways');
+const { PAYMENT_STATUS, PAYMENT_EVENTS, PAYMENT_JOB_STATUS } = require('../utils/constants');
+
+// Payments claimed for processing are run through their gateway by a job in the
+// paymentjobs collection. A worker leases a due job, makes the gateway calls and
+// settles the payment. Failed attempts (timeouts, unexpected errors) are retried with
+// exponential backoff; a job whose lease expires (its worker crashed) is queued again.
+
+// Identifies this process in job leases
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Longer than the two gateway calls a job makes, so a live worker never loses its lease
+const getLeaseMs = () => parseInt(process.env.PAYMENT_JOB_LEASE_MS) || 2 * 60 * 1000;
+
+/**
+ * Delay before retrying a job: PAYMENT_JOB_RETRY_BASE_MS doubled per failed attempt
+ * @param {Number} attempts - Attempts made so far (>= 1)
+ * @returns {Number} Delay in ms
+ */
+const getRetryDelay = (attempts) => {
+  const baseMs = parseInt(process.env.PAYMENT_JOB_RETRY_BASE_MS) || 30000;
+  return baseMs * 2 ** (attempts - 1);
+};
+
+/**
+ * Queue a processing payment to be run through its gateway
+ * A retried payment reuses its finished job, reset for the new attempt.
+ * @param {Object} payment - Payment document in processing status
+ * @param {Object} options - req (HTTP actor) or actor (user ID)
+ * @returns {Promise<Object>} Queued PaymentJob
+ */
+const enqueuePaymentJob = (payment, { req, actor } = {}) => {
+  // Upserting over an active job fails on the unique payment index instead
+  return PaymentJob.findOneAndUpdate(
+    {
+      payment: payment._id,
+      status: { $in: [PAYMENT_JOB_STATUS.COMPLETED, PAYMENT_JOB_STATUS.FAILED] }
+    },
+    {
+      $set: {
+        status: PAYMENT_JOB_STATUS.QUEUED,
+        requestedBy: actor || (req ? req.user._id : null),
+        attempts: 0,
+        maxAttempts: parseInt(process.env.PAYMENT_JOB_MAX_ATTEMPTS) || 3,
+        runAt: new Date(),
+        lastError: null,
+        completedAt: null
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Lease the next due job for this worker
+ * @returns {Promise<Object|null>} Leased job, or null if none is due
+ */
+const claimNextJob = () => {
+  const now = new Date();
+
+  return PaymentJob.findOneAndUpdate(
+    { status: PAYMENT_JOB_STATUS.QUEUED, runAt: { $lte: now } },
+    {
+      $set: {
+        status: PAYMENT_JOB_STATUS.PROCESSING,
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + getLeaseMs())
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Update a leased job, unless its lease was lost to another worker
+ */
+const updateLeasedJob = (job, update) => {
+  return PaymentJob.findOneAndUpdate(
+    { _id: job._id, status: PAYMENT_JOB_STATUS.PROCESSING, lockedBy: WORKER_ID, attempts: job.attempts },
+    { $set: { ...update, lockedBy: null, lockedUntil: null } },
+    { new: true }
+  );
+};
+
+/**
+ * Give up on a payment whose job ran out of attempts
+ * A payment the gateway captured before the attempt failed (e.g. a wallet debit that
+ * landed before an error) is completed instead.
+ */
+const failPayment = async (job, reason) => {
+  const processing = await Payment.findOne({ _id: job.payment, status: PAYMENT_STATUS.PROCESSING });
+
+  if (!processing) {
+    return;
+  }
+
+  const capture = await getGateway(processing.paymentMethod).findCapture(processing);
+
+  if (capture) {
+    const outcome = {
+      success: true,
+      pending: false,
+      timedOut: false,
+      provider: capture.provider,
+      authorization: null,
+      capture,
+      result: capture
+    };
+
+    await recordOutcome(processing, outcome, { actor: job.requestedBy });
+    return;
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    { _id: job.payment, status: PAYMENT_STATUS.PROCESSING },
+    { $set: { status: PAYMENT_STATUS.FAILED, failedAt: new Date(), failureReason: reason } },
+    { new: true }
+  );
+
+  if (payment) {
+    await PaymentEvent.record(payment, PAYMENT_EVENTS.FAILED, {
+      actor: job.requestedBy,
+      fromStatus: PAYMENT_STATUS.PROCESSING,
+      toStatus: PAYMENT_STATUS.FAILED,
+      reason,
+      details: { jobId: job._id, attempts: job.attempts }
+    });
+  }
+};
+
+/**
+ * Run a leased job: call the gateway and settle its payment
+ * On the last attempt a gateway timeout fails the payment; before that it is retried.
+ * @param {Object} job - Job leased by claimNextJob
+ * @returns {Promise<Object|null>} Updated job, or null if the lease was lost
+ */
+const runJob = async (job) => {
+  const isLastAttempt = job.attempts >= job.maxAttempts;
+
+  try {
+    const payment = await Payment.findById(job.payment);
+
+    // Settled meanwhile (e.g. by a gateway callback), deleted, or already handed to a
+    // gateway that confirms by callback: calling the gateway again would be wrong
+    if (!payment || payment.status !== PAYMENT_STATUS.PROCESSING || (payment.gateway && payment.gateway.provider)) {
+      return updateLeasedJob(job, { status: PAYMENT_JOB_STATUS.COMPLETED, completedAt: new Date() });
+    }
+
+    const outcome = await completeProcessing(payment, {
+      actor: job.requestedBy,
+      retryTimeouts: !isLastAttempt
+    });
+
+    if (outcome.timedOut && !isLastAttempt) {
+      return updateLeasedJob(job, {
+        status: PAYMENT_JOB_STATUS.QUEUED,
+        runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+        lastError: outcome.result.message
+      });
+    }
+
+    return updateLeasedJob(job, {
+      status: PAYMENT_JOB_STATUS.COMPLETED,
+      completedAt: new Date(),
+      lastError: outcome.timedOut ? outcome.result.message : null
+    });
+  } catch (error) {
+    console.error(`Payment job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error);
+
+    if (!isLastAttempt) {
+      return updateLeasedJob(job, {
+        status: PAYMENT_JOB_STATUS.QUEUED,
+        runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+        lastError: error.message
+      });
+    }
+
+    const updated = await updateLeasedJob(job, {
+      status: PAYMENT_JOB_STATUS.FAILED,
+      completedAt: new Date(),
+      lastError: error.message
+    });
+
+    if (updated) {
+      await failPayment(job, `Processing failed after ${job.attempts} attempt(s): ${error.message}`);
+    }
+
+    return updated;
+  }
+};
+
+/**
+ * Queue again every job whose worker stopped before finishing it
+ * The attempt it was on still counts towards maxAttempts.
+ * @returns {Promise<Number>} Number of jobs recovered
+ */
+const recoverStalledJobs = async () => {
+  const { modifiedCount } = await PaymentJob.updateMany(
+    { status: PAYMENT_JOB_STATUS.PROCESSING, lockedUntil: { $lt: new Date() } },
+    {
+      $set: {
+        status: PAYMENT_JOB_STATUS.QUEUED,
+        runAt: new Date(),
+        lastError: 'Worker stopped before finishing the job',
+        lockedBy: null,
+        lockedUntil: null
+      }
+    }
+  );
+
+  return modifiedCount;
+};
+
+/**
+ * Queue jobs for payments left in processing without an active one
+ * Covers a crash between claiming (or retrying) a payment and queueing its job.
+ * @param {Number} batchSize - Maximum payments to check
+ * @returns {Promise<Number>} Number of jobs queued
+ */
+const recoverOrphanedPayments = async (batchSize) => {
+  const payments = await Payment.find({
+    status: PAYMENT_STATUS.PROCESSING,
+    'gateway.provider': { $exists: false },
+    processedAt: { $lt: new Date(Date.now() - getLeaseMs()) }
+  })
+    .select('_id processedBy')
+    .limit(batchSize);
+
+  let queued = 0;
+
+  for (const payment of payments) {
+    try {
+      await enqueuePaymentJob(payment, { actor: payment.processedBy });
+      queued++;
+    } catch (error) {
+      // The payment already has an active job (e.g. waiting to retry a timeout)
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return queued;
+};
+
+/**
+ * Recover interrupted work, then run due jobs one after another
+ * @param {Number} batchSize - Maximum jobs to run
+ * @returns {Promise<Object>} { processed, recovered }
+ */
+const processDueJobs = async (batchSize) => {
+  const recovered = await recoverStalledJobs() + await recoverOrphanedPayments(batchSize);
+  let processed = 0;
+
+  while (processed < batchSize) {
+    const job = await claimNextJob();
+
+    if (!job) {
+      break;
+    }
+
+    await runJob(job);
+    processed++;
+  }
+
+  return { processed, recovered };
+};
+
+module.exports = {
+  getRetryDelay,
+  enqueuePaymentJob,
+  claimNextJob,
+  runJob,
+  recoverStalledJobs,
+  recoverOrphanedPayments,
+  processDueJobs
+};
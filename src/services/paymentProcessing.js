@@ -0,0 +1,163 @@
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const { executePayment } = require('../gateways');
+const { getRate, createFxStamp } = require('./fxRates');
+const ledger = require('./ledger');
+const { syncPaymentInvoice } = require('./invoices');
+const { enforcePayeeVerified } = require('./payees');
+const { PAYMENT_STATUS, PAYMENT_EVENTS, GATEWAY_RESULT } = require('../utils/constants');
+
+/**
+ * Atomically move an approved payment to processing
+ * Only one caller (HTTP request or background worker) can claim a given payment.
+ * The payee is checked again first: it may have lost its verification since approval.
+ * @param {Object} payment - Payment document (or anything with an _id and payee)
+ * @param {Object} options - req (HTTP actor), details (extra event details)
+ * @returns {Promise<Object|null>} Claimed payment, or null if it was no longer approved
+ * @throws {AppError} 422 if the payment's payee is not verified
+ */
+const claimForProcessing = async (payment, { req, details = {} } = {}) => {
+  await enforcePayeeVerified(payment, 'processed');
+
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.APPROVED },
+    {
+      $set: {
+        status: PAYMENT_STATUS.PROCESSING,
+        processedBy: req ? req.user._id : null,
+        processedAt: new Date()
+      },
+      $inc: { attemptCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (claimed) {
+    await PaymentEvent.record(claimed, PAYMENT_EVENTS.PROCESSING_STARTED, {
+      req,
+      fromStatus: PAYMENT_STATUS.APPROVED,
+      toStatus: PAYMENT_STATUS.PROCESSING,
+      details
+    });
+  }
+
+  return claimed;
+};
+
+/**
+ * Build the fields that settle a processing payment from a final gateway result
+ * @param {Object} payment - Payment document in processing status
+ * @param {Object} result - Gateway result (captured, declined or error)
+ * @returns {Promise<Object>} Fields to set (status plus completedAt/fx or failureReason)
+ */
+const buildFinalState = async (payment, result) => {
+  if (result.status === GATEWAY_RESULT.CAPTURED) {
+    const fields = {
+      status: PAYMENT_STATUS.COMPLETED,
+      completedAt: new Date()
+    };
+
+    // A missing rate must not fail a payment the gateway already captured
+    const rate = await getRate(payment.currency);
+    if (rate !== null) {
+      fields['fx.completed'] = createFxStamp(payment.amount, rate);
+    } else {
+      console.warn(`No exchange rate for ${payment.currency}; payment ${payment._id} completed without a base-currency stamp`);
+    }
+
+    return fields;
+  }
+
+  return {
+    status: PAYMENT_STATUS.FAILED,
+    failedAt: new Date(),
+    failureReason: result.status === GATEWAY_RESULT.ERROR
+      ? `Payment gateway error: ${result.message}`
+      : `Payment declined: ${result.message}`
+  };
+};
+
+/**
+ * Record the outcome of a processing payment's gateway calls
+ * A pending capture leaves the payment in processing until the gateway's callback
+ * settles it (see gatewayCallbacks). The final status is only applied while the payment
+ * is still processing, so a callback that settled it first is never overwritten.
+ * @param {Object} payment - Payment document in processing status
+ * @param {Object} outcome - Gateway outcome (see gateways.executePayment)
+ * @param {Object} options - req (HTTP actor), actor (user ID when there is no request)
+ * @returns {Promise<Object>} The outcome
+ */
+const recordOutcome = async (payment, outcome, { req, actor } = {}) => {
+  const { result } = outcome;
+
+  const gateway = {
+    provider: outcome.provider,
+    authorizationReference: outcome.authorization ? outcome.authorization.reference : undefined,
+    captureReference: outcome.capture ? outcome.capture.reference : undefined,
+    resultCode: result.code,
+    message: result.message
+  };
+
+  if (outcome.pending) {
+    await Payment.updateOne(
+      { _id: payment._id, status: PAYMENT_STATUS.PROCESSING },
+      { $set: { gateway } }
+    );
+    return outcome;
+  }
+
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.PROCESSING },
+    { $set: { gateway, ...await buildFinalState(payment, result) } },
+    { new: true }
+  );
+
+  if (!settled) {
+    // Settled first by the gateway's callback
+    return outcome;
+  }
+
+  await PaymentEvent.record(settled, outcome.success ? PAYMENT_EVENTS.COMPLETED : PAYMENT_EVENTS.FAILED, {
+    req,
+    actor,
+    fromStatus: PAYMENT_STATUS.PROCESSING,
+    toStatus: settled.status,
+    reason: settled.failureReason,
+    details: { gateway: result }
+  });
+
+  if (settled.status === PAYMENT_STATUS.COMPLETED) {
+    await ledger.postSafely(
+      () => ledger.postPaymentCompleted(settled, { actor: req ? req.user._id : actor }),
+      `payment ${settled._id}`
+    );
+    await syncPaymentInvoice(settled);
+  }
+
+  return outcome;
+};
+
+/**
+ * Run a processing payment through its gateway and record the final status
+ * @param {Object} payment - Payment document in processing status
+ * @param {Object} options - req (HTTP actor), actor (user ID when there is no request),
+ *   retryTimeouts (leave the payment untouched on a gateway timeout so the caller can retry)
+ * @returns {Promise<Object>} Gateway outcome (see gateways.executePayment)
+ */
+const completeProcessing = async (payment, { req, actor, retryTimeouts = false } = {}) => {
+  // Run the payment through the gateway configured for its payment method
+  const outcome = await executePayment(payment);
+
+  if (outcome.timedOut && retryTimeouts) {
+    return outcome;
+  }
+
+  return recordOutcome(payment, outcome, { req, actor });
+};
+
+module.exports = {
+  claimForProcessing,
+  buildFinalState,
+  recordOutcome,
+  completeProcessing
+};
@@ -0,0 +1,282 @@
+const Payment = require('../models/Payment');
+const { PAYMENT_STATUS, REPORT_GROUP_BY } = require('../utils/constants');
+const { getBaseCurrency } = require('./fxRates');
+const { getExponent } = require('../utils/currencies');
+
+// Reports are computed by aggregation over the Payment collection. Amounts are never
+// summed across currencies: every amount total is broken down per currency. In base-currency
+// mode payments are counted at their stamped base-currency equivalent instead.
+// Sums are taken over integer minor units and only converted to decimals at the end.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses a payment can only reach after being approved
+const POST_APPROVAL_STATUSES = [
+  PAYMENT_STATUS.APPROVED,
+  PAYMENT_STATUS.PROCESSING,
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.FAILED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+// Group key expression per REPORT_GROUP_BY value (dates are truncated in UTC)
+const GROUP_KEYS = {
+  [REPORT_GROUP_BY.STATUS]: '$status',
+  [REPORT_GROUP_BY.CURRENCY]: '$currency',
+  [REPORT_GROUP_BY.PAYMENT_METHOD]: '$paymentMethod',
+  [REPORT_GROUP_BY.USER]: '$user',
+  [REPORT_GROUP_BY.DAY]: { $dateTrunc: { date: '$createdAt', unit: 'day' } },
+  [REPORT_GROUP_BY.WEEK]: { $dateTrunc: { date: '$createdAt', unit: 'week', startOfWeek: 'monday' } },
+  [REPORT_GROUP_BY.MONTH]: { $dateTrunc: { date: '$createdAt', unit: 'month' } }
+};
+
+// Codes stored before currencies were validated fall back to 2 decimals
+const toAmount = (minor, currency) => minor / 10 ** (getExponent(currency) ?? 2);
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : null);
+const toHours = (ms) => (ms === null || ms === undefined ? null : Math.round((ms / HOUR_MS) * 100) / 100);
+
+/**
+ * Build the $match stage for a report's date range (on createdAt)
+ * @param {Object} range - { from, to } Dates; from is inclusive, to is exclusive
+ * @returns {Object} Mongo filter
+ */
+const buildRangeFilter = ({ from, to } = {}) => {
+  const filter = {};
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lt = to;
+  }
+
+  return filter;
+};
+
+/**
+ * Build the stage that picks the currency and amount each payment is reported in
+ * In base-currency mode, a payment counts at its completion stamp, else its creation stamp.
+ * Payments without a stamp in the current base currency (e.g. created before FX rates
+ * were introduced) stay in their own currency.
+ * @param {Boolean} inBaseCurrency - Report in the base currency
+ * @returns {Object} $set stage adding reportCurrency and reportAmount (in minor units)
+ */
+const buildAmountStage = (inBaseCurrency) => {
+  if (!inBaseCurrency) {
+    return { $set: { reportCurrency: '$currency', reportAmount: '$amountMinor' } };
+  }
+
+  const stamp = { $ifNull: ['$fx.completed', '$fx.created'] };
+  const converted = { $eq: [{ $getField: { field: 'baseCurrency', input: stamp } }, getBaseCurrency()] };
+
+  return {
+    $set: {
+      reportCurrency: { $cond: [converted, getBaseCurrency(), '$currency'] },
+      reportAmount: { $cond: [converted, { $getField: { field: 'baseAmountMinor', input: stamp } }, '$amountMinor'] }
+    }
+  };
+};
+
+/**
+ * Turn [{ currency, amount }] rows (amounts in minor units) into { CUR: decimal amount }
+ */
+const amountsByCurrency = (rows) => {
+  const totals = {};
+  rows.forEach(({ currency, amount }) => {
+    totals[currency] = (totals[currency] || 0) + amount;
+  });
+
+  const amounts = {};
+  Object.entries(totals).forEach(([currency, minor]) => {
+    amounts[currency] = toAmount(minor, currency);
+  });
+  return amounts;
+};
+
+/**
+ * Payment counts and amounts grouped by one dimension
+ * @param {String} groupBy - One of REPORT_GROUP_BY
+ * @param {Object} range - { from, to }
+ * @param {Object} options - inBaseCurrency
+ * @returns {Promise<Array<Object>>} [{ key, count, amounts: { CUR: total } }], plus user details when grouped by user
+ */
+const getPaymentBreakdown = async (groupBy, range, { inBaseCurrency = false } = {}) => {
+  const pipeline = [
+    { $match: buildRangeFilter(range) },
+    buildAmountStage(inBaseCurrency),
+    {
+      $group: {
+        _id: { key: GROUP_KEYS[groupBy], currency: '$reportCurrency' },
+        count: { $sum: 1 },
+        amount: { $sum: '$reportAmount' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.key',
+        count: { $sum: '$count' },
+        amounts: { $push: { currency: '$_id.currency', amount: '$amount' } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+
+  if (groupBy === REPORT_GROUP_BY.USER) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+          as: 'user'
+        }
+      },
+      { $set: { user: { $first: '$user' } } }
+    );
+  }
+
+  const groups = await Payment.aggregate(pipeline);
+
+  return groups.map(({ _id, count, amounts, user }) => ({
+    key: _id,
+    ...(groupBy === REPORT_GROUP_BY.USER ? { user: user || null } : {}),
+    count,
+    amounts: amountsByCurrency(amounts)
+  }));
+};
+
+/**
+ * Overall payment summary: totals per status, approval outcomes and turnaround times
+ * @param {Object} range - { from, to }
+ * @param {Object} options - inBaseCurrency
+ * @returns {Promise<Object>} Summary
+ */
+const getPaymentSummary = async (range, { inBaseCurrency = false } = {}) => {
+  const [result] = await Payment.aggregate([
+    { $match: buildRangeFilter(range) },
+    buildAmountStage(inBaseCurrency),
+    {
+      $facet: {
+        byStatus: [
+          {
+            $group: {
+              _id: { status: '$status', currency: '$reportCurrency' },
+              count: { $sum: 1 },
+              amount: { $sum: '$reportAmount' }
+            }
+          }
+        ],
+        approvals: [
+          {
+            $group: {
+              _id: null,
+              approved: { $sum: { $cond: [{ $in: ['$status', POST_APPROVAL_STATUSES] }, 1, 0] } },
+              rejected: { $sum: { $cond: [{ $eq: ['$status', PAYMENT_STATUS.REJECTED] }, 1, 0] } },
+              // Rejections stored before rejectedAt existed stamped approvedAt, so only count approved payments here
+              avgApprovalMs: {
+                $avg: {
+                  $cond: [
+                    { $and: [{ $in: ['$status', POST_APPROVAL_STATUSES] }, { $gt: ['$approvedAt', null] }] },
+                    { $subtract: ['$approvedAt', '$createdAt'] },
+                    null
+                  ]
+                }
+              },
+              avgCompletionMs: {
+                $avg: {
+                  $cond: [
+                    { $gt: ['$completedAt', null] },
+                    { $subtract: ['$completedAt', '$createdAt'] },
+                    null
+                  ]
+                }
+              }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const statusRows = {};
+  let total = 0;
+  result.byStatus.forEach(({ _id, count, amount }) => {
+    const entry = statusRows[_id.status] || (statusRows[_id.status] = { count: 0, rows: [] });
+    entry.count += count;
+    entry.rows.push({ currency: _id.currency, amount });
+    total += count;
+  });
+
+  const byStatus = {};
+  Object.entries(statusRows).forEach(([status, { count, rows }]) => {
+    byStatus[status] = { count, amounts: amountsByCurrency(rows) };
+  });
+
+  const approvals = result.approvals[0] || { approved: 0, rejected: 0 };
+  const decided = approvals.approved + approvals.rejected;
+
+  return {
+    total,
+    byStatus,
+    approvals: {
+      decided,
+      approved: approvals.approved,
+      rejected: approvals.rejected,
+      approvalRate: rate(approvals.approved, decided),
+      rejectionRate: rate(approvals.rejected, decided)
+    },
+    turnaround: {
+      avgHoursToApproval: toHours(approvals.avgApprovalMs),
+      avgHoursToCompletion: toHours(approvals.avgCompletionMs)
+    }
+  };
+};
+
+/**
+ * Gateway failure rates per provider and the most common failure codes
+ * Covers payments that reached a gateway (i.e. have gateway.provider set).
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Array<Object>>} [{ provider, attempts, failed, failureRate, failureCodes }]
+ */
+const getGatewayReport = async (range) => {
+  const providers = await Payment.aggregate([
+    { $match: { ...buildRangeFilter(range), 'gateway.provider': { $exists: true } } },
+    {
+      $group: {
+        _id: {
+          provider: '$gateway.provider',
+          failed: { $eq: ['$status', PAYMENT_STATUS.FAILED] },
+          resultCode: '$gateway.resultCode'
+        },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.provider',
+        attempts: { $sum: '$count' },
+        failed: { $sum: { $cond: ['$_id.failed', '$count', 0] } },
+        outcomes: { $push: { failed: '$_id.failed', resultCode: '$_id.resultCode', count: '$count' } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return providers.map(({ _id, attempts, failed, outcomes }) => ({
+    provider: _id,
+    attempts,
+    failed,
+    failureRate: rate(failed, attempts),
+    failureCodes: outcomes
+      .filter(outcome => outcome.failed)
+      .map(({ resultCode, count }) => ({ resultCode: resultCode || null, count }))
+      .sort((a, b) => b.count - a.count)
+  }));
+};
+
+module.exports = {
+  getPaymentSummary,
+  getPaymentBreakdown,
+  getGatewayReport
+};
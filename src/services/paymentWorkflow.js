@@ -0,0 +1,479 @@
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { claimForProcessing } = require('./paymentProcessing');
+const { enqueuePaymentJob } = require('./paymentJobs');
+const { enforcePayeeVerified } = require('./payees');
+const { getBaseAmountMinor, enforceSpendingLimits } = require('./spendingLimits');
+const {
+  enforceDutySegregation,
+  recordDutySegregationOverride,
+  SOD_ACTIONS
+} = require('../utils/dutySegregation');
+const { HTTP_STATUS, PAYMENT_STATUS, PAYMENT_EVENTS, REVIEW_DECISIONS } = require('../utils/constants');
+
+// Workflow steps used by both the single-payment and bulk endpoints.
+// Each throws an AppError describing why the step was refused.
+
+const concurrentModificationError = () => new AppError(
+  'Payment was modified by another request. Please retry.',
+  HTTP_STATUS.CONFLICT
+);
+
+/**
+ * Load a payment or throw a 404
+ * @param {String} id - Payment ID
+ * @returns {Promise<Object>} Payment document
+ */
+const findPaymentOrFail = async (id) => {
+  const payment = await Payment.findById(id);
+
+  if (!payment) {
+    throw new AppError('Payment not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return payment;
+};
+
+/**
+ * Check a payment against its owner's current spending limits
+ * The payment counts in the day and month it was created in, alongside the owner's
+ * other payments there. Payments without a known base-currency amount are not checked.
+ * @param {Object} payment - Payment document
+ */
+const enforceOwnerSpendingLimits = async (payment) => {
+  const baseAmountMinor = getBaseAmountMinor(payment);
+  const owner = await User.findById(payment.user);
+
+  if (baseAmountMinor === null || !owner) {
+    return;
+  }
+
+  await enforceSpendingLimits(owner, baseAmountMinor, {
+    at: payment.createdAt,
+    excludePaymentId: payment._id
+  });
+};
+
+/**
+ * Record one approval in the payment's approval chain
+ * @param {Object} req - Express request object (the approver)
+ * @param {String} id - Payment ID
+ * @returns {Promise<Object>} { payment, evaluation }
+ */
+const approvePayment = async (req, id) => {
+  const payment = await findPaymentOrFail(id);
+
+  // Check if payment is in pending status
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    throw new AppError(
+      `Payment cannot be approved. Current status: ${payment.status}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  // Each approver counts once towards the chain
+  const alreadyApproved = payment.approvals.some(
+    approval => approval.approver.toString() === req.user._id.toString()
+  );
+  if (alreadyApproved) {
+    throw new AppError('You have already approved this payment', HTTP_STATUS.CONFLICT);
+  }
+
+  const sodOverride = enforceDutySegregation(req, payment, SOD_ACTIONS.APPROVE);
+  await enforcePayeeVerified(payment, 'approved');
+  await enforceOwnerSpendingLimits(payment);
+
+  const policy = await ApprovalPolicy.resolveFor(payment);
+
+  // Append the approval atomically so concurrent approvers are all counted
+  const approval = {
+    approver: req.user._id,
+    approvedAt: new Date(),
+    permissions: req.permissions
+  };
+  let updatedPayment = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.PENDING, 'approvals.approver': { $ne: req.user._id } },
+    { $push: { approvals: approval }, $set: { approvalPolicy: policy.name } },
+    { new: true }
+  );
+
+  if (!updatedPayment) {
+    throw concurrentModificationError();
+  }
+
+  await recordDutySegregationOverride(req, updatedPayment, sodOverride);
+
+  const evaluation = policy.evaluate(updatedPayment.approvals);
+
+  if (evaluation.satisfied) {
+    updatedPayment = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: PAYMENT_STATUS.PENDING },
+      {
+        $set: {
+          status: PAYMENT_STATUS.APPROVED,
+          approvedBy: req.user._id,
+          approvedAt: approval.approvedAt
+        }
+      },
+      { new: true }
+    ) || await Payment.findById(payment._id);
+  }
+
+  await PaymentEvent.record(
+    updatedPayment,
+    evaluation.satisfied ? PAYMENT_EVENTS.APPROVED : PAYMENT_EVENTS.APPROVAL_RECORDED,
+    {
+      req,
+      fromStatus: PAYMENT_STATUS.PENDING,
+      toStatus: updatedPayment.status,
+      details: { policy: policy.name, approvalsCollected: updatedPayment.approvals.length }
+    }
+  );
+
+  return { payment: updatedPayment, evaluation };
+};
+
+/**
+ * Reject a pending payment
+ * @param {Object} req - Express request object (the approver)
+ * @param {String} id - Payment ID
+ * @param {String} reason - Rejection reason
+ * @returns {Promise<Object>} Rejected payment
+ */
+const rejectPayment = async (req, id, reason) => {
+  const payment = await findPaymentOrFail(id);
+
+  // Check if payment is in pending status
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    throw new AppError(
+      `Payment cannot be rejected. Current status: ${payment.status}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const failureReason = reason || 'Rejected by approver';
+  const rejectedPayment = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.PENDING },
+    {
+      $set: {
+        status: PAYMENT_STATUS.REJECTED,
+        rejectedBy: req.user._id,
+        rejectedAt: new Date(),
+        failureReason
+      }
+    },
+    { new: true }
+  );
+
+  if (!rejectedPayment) {
+    throw concurrentModificationError();
+  }
+
+  await PaymentEvent.record(rejectedPayment, PAYMENT_EVENTS.REJECTED, {
+    req,
+    fromStatus: PAYMENT_STATUS.PENDING,
+    toStatus: PAYMENT_STATUS.REJECTED,
+    reason: failureReason
+  });
+
+  return rejectedPayment;
+};
+
+/**
+ * Decide on a payment held for risk review
+ * Releasing moves it to pending, where it goes through the approval chain as usual;
+ * rejecting ends it.
+ * @param {Object} req - Express request object (the reviewer)
+ * @param {String} id - Payment ID
+ * @param {String} decision - One of REVIEW_DECISIONS
+ * @param {String} note - Optional note (the rejection reason when rejecting)
+ * @returns {Promise<Object>} Updated payment
+ */
+const reviewPayment = async (req, id, decision, note) => {
+  const payment = await findPaymentOrFail(id);
+
+  if (payment.status !== PAYMENT_STATUS.REVIEW) {
+    throw new AppError(
+      `Payment is not held for review. Current status: ${payment.status}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const sodOverride = enforceDutySegregation(req, payment, SOD_ACTIONS.REVIEW);
+
+  const isRelease = decision === REVIEW_DECISIONS.RELEASE;
+  const toStatus = isRelease ? PAYMENT_STATUS.PENDING : PAYMENT_STATUS.REJECTED;
+  const fields = {
+    status: toStatus,
+    'risk.decision': decision,
+    'risk.reviewedBy': req.user._id,
+    'risk.reviewedAt': new Date(),
+    'risk.reviewNote': note
+  };
+
+  if (!isRelease) {
+    fields.rejectedBy = req.user._id;
+    fields.rejectedAt = fields['risk.reviewedAt'];
+    fields.failureReason = note || 'Rejected in risk review';
+  }
+
+  const reviewedPayment = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.REVIEW },
+    { $set: fields },
+    { new: true }
+  );
+
+  if (!reviewedPayment) {
+    throw concurrentModificationError();
+  }
+
+  await recordDutySegregationOverride(req, reviewedPayment, sodOverride);
+
+  await PaymentEvent.record(reviewedPayment, isRelease ? PAYMENT_EVENTS.RELEASED : PAYMENT_EVENTS.REJECTED, {
+    req,
+    fromStatus: PAYMENT_STATUS.REVIEW,
+    toStatus,
+    reason: isRelease ? note : fields.failureReason,
+    details: { riskScore: payment.risk ? payment.risk.score : null }
+  });
+
+  return reviewedPayment;
+};
+
+/**
+ * Move an approved payment to processing and queue it for the payment worker,
+ * which runs it through its gateway
+ * @param {Object} req - Express request object (the processor)
+ * @param {String} id - Payment ID
+ * @returns {Promise<Object>} { payment, job }
+ */
+const processPayment = async (req, id) => {
+  const payment = await findPaymentOrFail(id);
+
+  // Check if payment is in approved status
+  if (payment.status !== PAYMENT_STATUS.APPROVED) {
+    throw new AppError(
+      `Payment cannot be processed. Current status: ${payment.status}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  // Payments scheduled for a future date are executed by the scheduler
+  if (payment.executeAt && payment.executeAt > new Date()) {
+    throw new AppError(
+      `Payment is scheduled for ${payment.executeAt.toISOString()} and cannot be processed yet`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const sodOverride = enforceDutySegregation(req, payment, SOD_ACTIONS.PROCESS);
+
+  const claimedPayment = await claimForProcessing(payment, { req });
+
+  if (!claimedPayment) {
+    throw concurrentModificationError();
+  }
+
+  await recordDutySegregationOverride(req, claimedPayment, sodOverride);
+
+  // A crash before the job is stored is recovered by the worker (see paymentJobs)
+  const job = await enqueuePaymentJob(claimedPayment, { req });
+
+  return { payment: claimedPayment, job };
+};
+
+/**
+ * Retry policy for failed payments
+ * maxAttempts counts every processing attempt, the first one included. Failures whose
+ * gateway result code is listed in nonRetryableCodes (e.g. a stolen card) cannot be retried.
+ * @returns {Object} { maxAttempts, nonRetryableCodes }
+ */
+const getRetryPolicy = () => ({
+  maxAttempts: parseInt(process.env.PAYMENT_RETRY_MAX_ATTEMPTS) || 3,
+  nonRetryableCodes: (process.env.PAYMENT_RETRY_NON_RETRYABLE_CODES || '')
+    .split(',')
+    .map(code => code.trim())
+    .filter(Boolean)
+});
+
+/**
+ * Why a payment cannot be retried under the current policy
+ * @param {Object} payment - Payment document
+ * @returns {String|null} Reason, or null if it can be retried
+ */
+const getRetryBlocker = (payment) => {
+  const { maxAttempts, nonRetryableCodes } = getRetryPolicy();
+
+  if (payment.status !== PAYMENT_STATUS.FAILED || !payment.canTransitionTo(PAYMENT_STATUS.PROCESSING)) {
+    return `Only failed payments can be retried. Current status: ${payment.status}`;
+  }
+
+  // Payments that failed before attempts were counted made one attempt
+  if (Math.max(payment.attemptCount, 1) >= maxAttempts) {
+    return `Payment has reached the limit of ${maxAttempts} processing attempt(s)`;
+  }
+
+  const resultCode = payment.gateway && payment.gateway.resultCode;
+  if (resultCode && nonRetryableCodes.includes(resultCode)) {
+    return `Payments failed with ${resultCode} cannot be retried`;
+  }
+
+  return null;
+};
+
+/**
+ * Retry a failed payment: archive the failed attempt in its history, move it back
+ * to processing and queue it for the payment worker
+ * @param {Object} req - Express request object (the processor)
+ * @param {String} id - Payment ID
+ * @returns {Promise<Object>} { payment, job }
+ */
+const retryPayment = async (req, id) => {
+  const payment = await findPaymentOrFail(id);
+
+  const blocker = getRetryBlocker(payment);
+  if (blocker) {
+    throw new AppError(blocker, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const sodOverride = enforceDutySegregation(req, payment, SOD_ACTIONS.PROCESS);
+  await enforcePayeeVerified(payment, 'processed');
+
+  const now = new Date();
+  const { gateway } = payment.toObject();
+  const failedAttempt = {
+    attempt: Math.max(payment.attemptCount, 1),
+    processedBy: payment.processedBy,
+    processedAt: payment.processedAt,
+    failedAt: payment.failedAt,
+    failureReason: payment.failureReason,
+    gateway,
+    retriedBy: req.user._id,
+    retriedAt: now
+  };
+
+  // The attempt count guards against two retries of the same failure (it is missing
+  // on payments stored before attempts were counted)
+  const retriedPayment = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: PAYMENT_STATUS.FAILED,
+      attemptCount: payment.attemptCount > 0 ? payment.attemptCount : { $in: [0, null] }
+    },
+    {
+      $set: {
+        status: PAYMENT_STATUS.PROCESSING,
+        processedBy: req.user._id,
+        processedAt: now,
+        attemptCount: failedAttempt.attempt + 1
+      },
+      $unset: { gateway: 1, failureReason: 1, failedAt: 1 },
+      $push: { attemptHistory: failedAttempt }
+    },
+    { new: true }
+  );
+
+  if (!retriedPayment) {
+    throw concurrentModificationError();
+  }
+
+  await recordDutySegregationOverride(req, retriedPayment, sodOverride);
+
+  await PaymentEvent.record(retriedPayment, PAYMENT_EVENTS.RETRIED, {
+    req,
+    fromStatus: PAYMENT_STATUS.FAILED,
+    toStatus: PAYMENT_STATUS.PROCESSING,
+    reason: failedAttempt.failureReason,
+    details: { attempt: retriedPayment.attemptCount, maxAttempts: getRetryPolicy().maxAttempts }
+  });
+
+  // A crash before the job is stored is recovered by the worker (see paymentJobs)
+  const job = await enqueuePaymentJob(retriedPayment, { req });
+
+  return { payment: retriedPayment, job };
+};
+
+/**
+ * Every processing attempt of a payment, oldest first
+ * Retried attempts come from attemptHistory; the current attempt from the payment itself.
+ * @param {Object} payment - Payment document
+ * @returns {Array<Object>} Attempts with their outcome
+ */
+const listAttempts = (payment) => {
+  const { gateway } = payment.toObject();
+  const attempts = payment.attemptHistory.map(attempt => ({
+    ...attempt.toObject(),
+    status: PAYMENT_STATUS.FAILED
+  }));
+
+  // Payments never sent to processing have no current attempt
+  if (payment.attemptCount > 0 || payment.processedAt) {
+    attempts.push({
+      attempt: Math.max(payment.attemptCount, 1),
+      status: payment.status,
+      processedBy: payment.processedBy,
+      processedAt: payment.processedAt,
+      completedAt: payment.completedAt,
+      failedAt: payment.failedAt,
+      failureReason: payment.status === PAYMENT_STATUS.FAILED ? payment.failureReason : undefined,
+      gateway: gateway && gateway.provider ? gateway : undefined
+    });
+  }
+
+  return attempts;
+};
+
+/**
+ * Run a workflow step for each payment ID and collect per-item results
+ * Items are independent: a failure never rolls back or stops the others.
+ * @param {Array<String>} ids - Payment IDs
+ * @param {Function} step - async (id) => payment
+ * @returns {Promise<Object>} { results, summary }
+ */
+const runBulk = async (ids, step) => {
+  const results = [];
+
+  for (const id of ids) {
+    try {
+      const payment = await step(id);
+      results.push({ id, result: 'succeeded', status: payment.status });
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(`Bulk operation failed for payment ${id}:`, error);
+      }
+      results.push({
+        id,
+        result: 'failed',
+        reason: error.statusCode ? error.message : 'An unexpected error occurred',
+        errors: error.errors || []
+      });
+    }
+  }
+
+  const succeeded = results.filter(item => item.result === 'succeeded').length;
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    }
+  };
+};
+
+module.exports = {
+  findPaymentOrFail,
+  approvePayment,
+  rejectPayment,
+  reviewPayment,
+  processPayment,
+  getRetryPolicy,
+  getRetryBlocker,
+  retryPayment,
+  listAttempts,
+  runBulk
+};
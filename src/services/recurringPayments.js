@@ -0,0 +1,161 @@
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const RecurringPayment = require('../models/RecurringPayment');
+const User = require('../models/User');
+const { quoteInBaseCurrency } = require('./fxRates');
+const { assessPaymentRisk } = require('./riskScoring');
+const { enforceSpendingLimits, getBaseAmountMinor } = require('./spendingLimits');
+const { findPayablePayee } = require('./payees');
+const { HTTP_STATUS, PAYMENT_STATUS, PAYMENT_EVENTS, RECURRING_STATUS } = require('../utils/constants');
+
+/**
+ * Pause a schedule whose next occurrence cannot be generated
+ * The occurrence is not generated; resuming the schedule tries again (or skips it if
+ * its run date has passed).
+ * @param {Object} schedule - RecurringPayment document
+ * @param {Object} error - AppError explaining why (e.g. from enforceSpendingLimits)
+ */
+const pauseSchedule = async (schedule, error) => {
+  const pauseReason = error.errors.length > 0
+    ? error.errors.map(detail => detail.message).join('; ')
+    : error.message;
+
+  const paused = await RecurringPayment.findOneAndUpdate(
+    { _id: schedule._id, status: RECURRING_STATUS.ACTIVE, occurrenceCount: schedule.occurrenceCount },
+    { $set: { status: RECURRING_STATUS.PAUSED, pausedAt: new Date(), pauseReason } }
+  );
+
+  if (paused) {
+    console.warn(`Recurring schedule ${schedule._id} paused: ${pauseReason}`);
+  }
+};
+
+/**
+ * Generate the next payment of a schedule and advance it
+ * The child payment is keyed by (recurringPayment, recurrenceIndex), and the schedule
+ * only advances if its occurrenceCount is unchanged, so concurrent schedulers
+ * cannot generate the same occurrence twice. Each occurrence is checked against its
+ * payee and its owner's spending limits (the schedule is paused instead when it fails
+ * either) and risk scored, and held in review when it scores high, like a payment created through
+ * the API.
+ * @param {Object} schedule - RecurringPayment document
+ * @returns {Promise<Object|null>} Generated payment, or null if another process generated
+ *   it or the schedule was paused
+ */
+const generateOccurrence = async (schedule) => {
+  const runAt = schedule.nextRunAt;
+  const recurrenceIndex = schedule.occurrenceCount + 1;
+  let payment = null;
+
+  try {
+    payment = new Payment({
+      user: schedule.user,
+      amountMinor: schedule.amountMinor,
+      currency: schedule.currency,
+      description: schedule.description,
+      payee: schedule.payee,
+      paymentMethod: schedule.paymentMethod,
+      metadata: schedule.metadata || {},
+      fx: { created: await quoteInBaseCurrency(schedule.amount, schedule.currency) || undefined },
+      status: PAYMENT_STATUS.PENDING,
+      executeAt: runAt,
+      recurringPayment: schedule._id,
+      recurrenceIndex
+    });
+
+    const owner = await User.findById(schedule.user);
+
+    // A payee that was deleted or rejected, or spending over the owner's limits, pauses the schedule
+    try {
+      if (schedule.payee) {
+        await findPayablePayee(schedule.payee);
+      }
+      await enforceSpendingLimits(owner, getBaseAmountMinor(payment));
+    } catch (error) {
+      if (![HTTP_STATUS.NOT_FOUND, HTTP_STATUS.UNPROCESSABLE_ENTITY].includes(error.statusCode)) {
+        throw error;
+      }
+      await pauseSchedule(schedule, error);
+      return null;
+    }
+
+    // Scored like any new payment of the schedule's owner
+    const { risk, held } = await assessPaymentRisk(owner, payment);
+    payment.risk = risk;
+    if (held) {
+      payment.status = PAYMENT_STATUS.REVIEW;
+    }
+
+    await payment.save();
+    await PaymentEvent.record(payment, PAYMENT_EVENTS.CREATED, {
+      toStatus: payment.status,
+      details: {
+        recurringPayment: schedule._id,
+        recurrenceIndex,
+        riskScore: risk.score,
+        riskRules: risk.rules.map(rule => rule.name)
+      }
+    });
+  } catch (error) {
+    // Already generated by another process - still make sure the schedule advances
+    if (error.code !== 11000) {
+      throw error;
+    }
+    payment = null;
+  }
+
+  const nextRunAt = schedule.getNextRunAt(runAt, recurrenceIndex);
+
+  await RecurringPayment.updateOne(
+    { _id: schedule._id, status: RECURRING_STATUS.ACTIVE, occurrenceCount: schedule.occurrenceCount },
+    {
+      $set: {
+        nextRunAt,
+        lastRunAt: new Date(),
+        status: nextRunAt ? RECURRING_STATUS.ACTIVE : RECURRING_STATUS.COMPLETED
+      },
+      $inc: { occurrenceCount: 1 }
+    }
+  );
+
+  return payment;
+};
+
+/**
+ * Generate payments for active schedules that are due
+ * Payments are generated RECURRING_LEAD_HOURS ahead of their run date so they can be
+ * approved in time; the payment scheduler executes them once approved and due.
+ * @param {Number} batchSize - Maximum schedules to advance per run
+ * @returns {Promise<Number>} Number of payments generated by this process
+ */
+const generateDueRecurringPayments = async (batchSize) => {
+  const leadHours = process.env.RECURRING_LEAD_HOURS !== undefined
+    ? parseFloat(process.env.RECURRING_LEAD_HOURS)
+    : 24;
+  const horizon = new Date(Date.now() + leadHours * 60 * 60 * 1000);
+
+  const schedules = await RecurringPayment.find({
+    status: RECURRING_STATUS.ACTIVE,
+    nextRunAt: { $lte: horizon }
+  })
+    .sort({ nextRunAt: 1 })
+    .limit(batchSize);
+
+  let generated = 0;
+
+  for (const schedule of schedules) {
+    try {
+      if (await generateOccurrence(schedule)) {
+        generated++;
+      }
+    } catch (error) {
+      console.error(`Failed to generate payment for recurring schedule ${schedule._id}:`, error);
+    }
+  }
+
+  return generated;
+};
+
+module.exports = {
+  generateDueRecurringPayments
+};
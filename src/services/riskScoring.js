@@ -0,0 +1,140 @@
+const Payment = require('../models/Payment');
+const RiskRule = require('../models/RiskRule');
+const { getBaseCurrency } = require('./fxRates');
+const { getBaseAmountMinor } = require('./spendingLimits');
+const { fromMinorUnits, roundToMinorUnits } = require('../utils/currencies');
+const { PAYMENT_STATUS, RISK_RULE_TYPES } = require('../utils/constants');
+
+// New payments are scored against the active risk rules. Each rule that fires adds its
+// score; a payment scoring RISK_REVIEW_THRESHOLD or more is held in review until
+// someone holding payments:review releases or rejects it.
+
+// Payments whose amounts make up a user's history for amount comparisons
+const HISTORY_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Risk score from which a new payment is held for review
+ * @returns {Number} RISK_REVIEW_THRESHOLD (default: 50)
+ */
+const getReviewThreshold = () => {
+  const threshold = parseInt(process.env.RISK_REVIEW_THRESHOLD);
+  return Number.isNaN(threshold) ? 50 : threshold;
+};
+
+/**
+ * Rule checks by type
+ * Each resolves to a reason when the rule fires, or null.
+ * Signature: ({ user, payment, baseAmountMinor, unsavedCount, now }, params) => Promise<String|null>
+ */
+const RULE_CHECKS = {
+  [RISK_RULE_TYPES.VELOCITY]: async ({ user, unsavedCount, now }, { windowMinutes, maxPayments }) => {
+    // Payments created along with this one are not stored yet
+    const recent = unsavedCount + await Payment.countDocuments({
+      user: user._id,
+      createdAt: { $gte: new Date(now.getTime() - windowMinutes * MINUTE_MS) }
+    });
+
+    // The payment being scored counts too
+    return recent + 1 >= maxPayments
+      ? `${recent + 1} payments within ${windowMinutes} minutes`
+      : null;
+  },
+
+  [RISK_RULE_TYPES.AMOUNT_VS_HISTORY]: async ({ user, baseAmountMinor, now }, { multiplier, minPayments, lookbackDays }) => {
+    if (baseAmountMinor === null) {
+      return null;
+    }
+
+    const baseCurrency = getBaseCurrency();
+    const [history] = await Payment.aggregate([
+      {
+        $match: {
+          user: user._id,
+          status: { $in: HISTORY_STATUSES },
+          createdAt: { $gte: new Date(now.getTime() - lookbackDays * DAY_MS) },
+          'fx.created.baseCurrency': baseCurrency
+        }
+      },
+      { $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$fx.created.baseAmountMinor' } } }
+    ]);
+
+    if (!history || history.count < minPayments || baseAmountMinor <= history.average * multiplier) {
+      return null;
+    }
+
+    const average = fromMinorUnits(Math.round(history.average), baseCurrency);
+    return `Amount is more than ${multiplier}x the user's average of ${average} ${baseCurrency} over ${lookbackDays} days`;
+  },
+
+  [RISK_RULE_TYPES.NEW_ACCOUNT_LARGE_AMOUNT]: async ({ user, baseAmountMinor, now }, { accountAgeDays, amount }) => {
+    const baseCurrency = getBaseCurrency();
+    const isNewAccount = user.createdAt && user.createdAt > new Date(now.getTime() - accountAgeDays * DAY_MS);
+
+    if (!isNewAccount || baseAmountMinor === null || baseAmountMinor < roundToMinorUnits(amount, baseCurrency)) {
+      return null;
+    }
+
+    return `Account is less than ${accountAgeDays} days old and the amount is ${amount} ${baseCurrency} or more`;
+  },
+
+  [RISK_RULE_TYPES.REPEATED_FAILURES]: async ({ user, now }, { windowHours, maxFailures }) => {
+    const failures = await Payment.countDocuments({
+      user: user._id,
+      status: PAYMENT_STATUS.FAILED,
+      failedAt: { $gte: new Date(now.getTime() - windowHours * HOUR_MS) }
+    });
+
+    return failures >= maxFailures
+      ? `${failures} failed payments within ${windowHours} hours`
+      : null;
+  }
+};
+
+/**
+ * Score a new payment against the active risk rules
+ * @param {Object} user - User creating the payment
+ * @param {Object} payment - Unsaved payment document (with its fx.created stamp)
+ * @param {Object} options - unsavedCount (payments of the same user created along with
+ *   this one and not stored yet, e.g. earlier rows of a batch)
+ * @returns {Promise<Object>} { risk: { score, rules, assessedAt }, held }
+ */
+const assessPaymentRisk = async (user, payment, { unsavedCount = 0 } = {}) => {
+  const rules = await RiskRule.find({ isActive: true }).sort({ name: 1 });
+  const context = {
+    user,
+    payment,
+    baseAmountMinor: getBaseAmountMinor(payment),
+    unsavedCount,
+    now: new Date()
+  };
+
+  const fired = [];
+
+  for (const rule of rules) {
+    const reason = await RULE_CHECKS[rule.type](context, rule.getParams());
+
+    if (reason) {
+      fired.push({ name: rule.name, type: rule.type, score: rule.score, reason });
+    }
+  }
+
+  const score = Math.min(fired.reduce((total, rule) => total + rule.score, 0), 100);
+
+  return {
+    risk: { score, rules: fired, assessedAt: context.now },
+    held: fired.length > 0 && score >= getReviewThreshold()
+  };
+};
+
+module.exports = {
+  getReviewThreshold,
+  assessPaymentRisk
+};
@@ -0,0 +1,224 @@
+const Payment = require('../models/Payment');
+const SpendingLimit = require('../models/SpendingLimit');
+const { AppError } = require('../middleware/errorHandler');
+const { getBaseCurrency } = require('./fxRates');
+const { fromMinorUnits } = require('../utils/currencies');
+const { HTTP_STATUS, PAYMENT_STATUS, SPENDING_LIMIT_SCOPES } = require('../utils/constants');
+
+// Spending is limited per user in the base currency: per transaction, per UTC calendar
+// day and per UTC calendar month. Limits are set per role; a user-level limit replaces
+// the limits of the user's role entirely.
+
+// Payments that never moved money do not count towards a user's spending
+const NON_SPENDING_STATUSES = [PAYMENT_STATUS.REJECTED, PAYMENT_STATUS.CANCELLED, PAYMENT_STATUS.FAILED];
+
+const LIMIT_PERIODS = ['perTransaction', 'daily', 'monthly'];
+
+const PERIOD_LABELS = {
+  perTransaction: 'per-transaction',
+  daily: 'daily',
+  monthly: 'monthly'
+};
+
+/**
+ * Find the spending limit that applies to a user
+ * Limits set in a different base currency than the current one are ignored (with a
+ * warning) rather than compared against amounts in another currency.
+ * @param {Object} user - User document (role as an ID or populated)
+ * @returns {Promise<Object|null>} SpendingLimit document, or null if the user is unlimited
+ */
+const resolveLimit = async (user) => {
+  const roleId = user.role && user.role._id ? user.role._id : user.role;
+
+  const limit = await SpendingLimit.findOne({ scope: SPENDING_LIMIT_SCOPES.USER, user: user._id }) ||
+    await SpendingLimit.findOne({ scope: SPENDING_LIMIT_SCOPES.ROLE, role: roleId });
+
+  if (limit && limit.currency !== getBaseCurrency()) {
+    console.warn(
+      `Spending limit ${limit._id} is in ${limit.currency} but the base currency is ${getBaseCurrency()}; not enforced`
+    );
+    return null;
+  }
+
+  return limit;
+};
+
+/**
+ * UTC calendar day and month containing a date
+ * @param {Date} at - Date in the periods
+ * @returns {Object} { dayStart, dayEnd, monthStart, monthEnd }
+ */
+const getPeriods = (at) => {
+  const year = at.getUTCFullYear();
+  const month = at.getUTCMonth();
+  const day = at.getUTCDate();
+
+  return {
+    dayStart: new Date(Date.UTC(year, month, day)),
+    dayEnd: new Date(Date.UTC(year, month, day + 1)),
+    monthStart: new Date(Date.UTC(year, month, 1)),
+    monthEnd: new Date(Date.UTC(year, month + 1, 1))
+  };
+};
+
+/**
+ * Base-currency amount of a payment at creation
+ * @param {Object} payment - Payment document
+ * @returns {Number|null} Amount in base-currency minor units, or null if unknown
+ */
+const getBaseAmountMinor = (payment) => {
+  const baseCurrency = getBaseCurrency();
+
+  if (payment.fx && payment.fx.created && payment.fx.created.baseCurrency === baseCurrency) {
+    return payment.fx.created.baseAmountMinor;
+  }
+
+  return payment.currency === baseCurrency ? payment.amountMinor : null;
+};
+
+/**
+ * Sum a user's spending in the day and month containing a date
+ * Payments count at their base-currency amount at creation, in the periods they were
+ * created in. Payments without a known base-currency amount are not counted.
+ * @param {String} userId - User ID
+ * @param {Date} at - Date in the periods
+ * @param {String} excludePaymentId - Payment to leave out (the one being checked)
+ * @returns {Promise<Object>} { daily, monthly } in base-currency minor units
+ */
+const getUsage = async (userId, at, excludePaymentId) => {
+  const baseCurrency = getBaseCurrency();
+  const { dayStart, dayEnd, monthStart, monthEnd } = getPeriods(at);
+
+  const match = {
+    user: userId,
+    status: { $nin: NON_SPENDING_STATUSES },
+    createdAt: { $gte: monthStart, $lt: monthEnd }
+  };
+
+  if (excludePaymentId) {
+    match._id = { $ne: excludePaymentId };
+  }
+
+  const baseAmount = {
+    $cond: [
+      { $eq: ['$fx.created.baseCurrency', baseCurrency] },
+      '$fx.created.baseAmountMinor',
+      { $cond: [{ $eq: ['$currency', baseCurrency] }, '$amountMinor', 0] }
+    ]
+  };
+
+  const [usage] = await Payment.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        monthly: { $sum: baseAmount },
+        daily: {
+          $sum: {
+            $cond: [
+              { $and: [{ $gte: ['$createdAt', dayStart] }, { $lt: ['$createdAt', dayEnd] }] },
+              baseAmount,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  return {
+    daily: usage ? usage.daily : 0,
+    monthly: usage ? usage.monthly : 0
+  };
+};
+
+/**
+ * Describe a user's limits, spending and remaining headroom
+ * @param {Object} user - User document
+ * @param {Object} options - at (date in the periods, default now), excludePaymentId,
+ *   unsavedMinor (base-currency amount of payments created in the same periods and not
+ *   stored yet, e.g. earlier rows of a batch; counted as spent)
+ * @returns {Promise<Object>} { source, currency, limits: { period: { limit, used, remaining } } }
+ */
+const getSpendingSummary = async (user, { at = new Date(), excludePaymentId, unsavedMinor = 0 } = {}) => {
+  const baseCurrency = getBaseCurrency();
+  const limit = await resolveLimit(user);
+  const stored = await getUsage(user._id, at, excludePaymentId);
+  const usage = {
+    daily: stored.daily + unsavedMinor,
+    monthly: stored.monthly + unsavedMinor
+  };
+  const toDecimal = (minor) => (minor === null ? null : fromMinorUnits(minor, baseCurrency));
+
+  const limits = {};
+
+  LIMIT_PERIODS.forEach((period) => {
+    const limitMinor = limit ? limit[`${period}Minor`] : null;
+    // A per-transaction limit applies to each payment on its own
+    const usedMinor = period === 'perTransaction' ? null : usage[period];
+    const remainingMinor = limitMinor === null ? null : Math.max(limitMinor - (usedMinor || 0), 0);
+
+    limits[period] = {
+      limitMinor,
+      usedMinor,
+      remainingMinor,
+      limit: toDecimal(limitMinor),
+      used: toDecimal(usedMinor),
+      remaining: toDecimal(remainingMinor)
+    };
+  });
+
+  return {
+    source: limit ? limit.scope : null,
+    currency: baseCurrency,
+    limits
+  };
+};
+
+/**
+ * Refuse a payment that would take a user over any of their spending limits
+ * Payments without a known base-currency amount (see getBaseAmountMinor) are not checked.
+ * @param {Object} user - User document (the payment owner)
+ * @param {Number|null} amountMinor - Payment amount in base-currency minor units
+ * @param {Object} options - at, excludePaymentId and unsavedMinor (see getSpendingSummary)
+ * @throws {AppError} 422 listing each exceeded limit with the remaining headroom
+ */
+const enforceSpendingLimits = async (user, amountMinor, options = {}) => {
+  if (amountMinor === null) {
+    return;
+  }
+
+  const summary = await getSpendingSummary(user, options);
+  const baseCurrency = summary.currency;
+
+  const exceeded = LIMIT_PERIODS
+    .filter(period => summary.limits[period].remainingMinor !== null &&
+      amountMinor > summary.limits[period].remainingMinor)
+    .map((period) => {
+      const { limit, used, remaining } = summary.limits[period];
+
+      return {
+        field: 'amount',
+        message: `Exceeds the ${PERIOD_LABELS[period]} spending limit of ${limit} ${baseCurrency} (remaining: ${remaining} ${baseCurrency})`,
+        limit: period,
+        limitAmount: limit,
+        used,
+        remaining,
+        attempted: fromMinorUnits(amountMinor, baseCurrency),
+        currency: baseCurrency
+      };
+    });
+
+  if (exceeded.length > 0) {
+    throw new AppError("Payment exceeds the payer's spending limits", HTTP_STATUS.UNPROCESSABLE_ENTITY, exceeded);
+  }
+};
+
+module.exports = {
+  LIMIT_PERIODS,
+  resolveLimit,
+  getBaseAmountMinor,
+  getUsage,
+  getSpendingSummary,
+  enforceSpendingLimits
+};
@@ -0,0 +1,300 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Refund = require('../models/Refund');
+const ledger = require('./ledger');
+const { getExponent } = require('../utils/currencies');
+const { WALLET_PROVIDER, WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+
+// Wallet balances change only through single-document updates guarded on the balance,
+// so concurrent debits can never take a balance below zero. Every movement is then
+// recorded as a WalletTransaction under a unique reference; a movement whose reference
+// was already recorded is not applied again.
+
+/**
+ * Reference for a movement that does not come from a payment or refund
+ * @param {String} type - One of WALLET_TRANSACTION_TYPES
+ * @returns {String} e.g. top_up:1700000000000-K3J9X2M1A
+ */
+const generateReference = (type) => {
+  return `${type}:${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+/**
+ * Build the update pipeline adding deltaMinor to a balance
+ * The decimal balance is derived in the same update, so both fields always agree.
+ * @param {Number} deltaMinor - Signed change in minor units
+ * @param {String} currency - Wallet currency
+ * @returns {Array} Update pipeline
+ */
+const balanceUpdate = (deltaMinor, currency) => [
+  {
+    $set: {
+      balanceMinor: { $add: [{ $ifNull: ['$balanceMinor', 0] }, deltaMinor] },
+      createdAt: { $ifNull: ['$createdAt', '$$NOW'] }
+    }
+  },
+  { $set: { balance: { $divide: ['$balanceMinor', 10 ** getExponent(currency)] } } }
+];
+
+/**
+ * Apply a signed change to a user's balance
+ * Credits create the balance if needed; debits only apply when the balance covers them.
+ * @returns {Promise<Object|null>} Updated Wallet document, or null if the balance is short
+ */
+const applyToBalance = async (userId, currency, deltaMinor) => {
+  if (deltaMinor < 0) {
+    return Wallet.findOneAndUpdate(
+      { user: userId, currency, balanceMinor: { $gte: -deltaMinor } },
+      balanceUpdate(deltaMinor, currency),
+      { new: true }
+    );
+  }
+
+  const credit = () => Wallet.findOneAndUpdate(
+    { user: userId, currency },
+    balanceUpdate(deltaMinor, currency),
+    { new: true, upsert: true }
+  );
+
+  try {
+    return await credit();
+  } catch (error) {
+    // Another request created the balance between our match and insert
+    if (error.code === 11000) {
+      return credit();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move money in or out of a user's wallet and record the movement
+ * @param {Object} movement - user (ID), currency, amountMinor (signed), type, reference,
+ *   and optionally payment, refund, reason, performedBy
+ * @returns {Promise<Object|null>} WalletTransaction document (the stored one if the reference
+ *   was already recorded), or null if a debit exceeds the balance
+ */
+const moveFunds = async (movement) => {
+  const existing = await WalletTransaction.findOne({ reference: movement.reference });
+  if (existing) {
+    return existing;
+  }
+
+  const wallet = await applyToBalance(movement.user, movement.currency, movement.amountMinor);
+  if (!wallet) {
+    return null;
+  }
+
+  try {
+    return await WalletTransaction.create({
+      ...movement,
+      wallet: wallet._id,
+      balanceAfterMinor: wallet.balanceMinor
+    });
+  } catch (error) {
+    // The same movement was recorded concurrently: give back what this call applied
+    if (error.code === 11000) {
+      await Wallet.updateOne(
+        { _id: wallet._id },
+        balanceUpdate(-movement.amountMinor, movement.currency)
+      );
+      return WalletTransaction.findOne({ reference: movement.reference });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get a user's balances, one per currency
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Wallet documents
+ */
+const getWallets = (userId) => {
+  return Wallet.find({ user: userId }).sort({ currency: 1 });
+};
+
+/**
+ * Get a user's balance in one currency
+ * @param {String} userId - User ID
+ * @param {String} currency - Currency code
+ * @returns {Promise<Number>} Balance in minor units (0 without a wallet in that currency)
+ */
+const getBalanceMinor = async (userId, currency) => {
+  const wallet = await Wallet.findOne({ user: userId, currency });
+  return wallet ? wallet.balanceMinor : 0;
+};
+
+/**
+ * Whether a payment was settled against its payer's wallet
+ * @param {Object} payment - Payment document
+ * @returns {Boolean}
+ */
+const isWalletPayment = (payment) => {
+  return Boolean(payment.gateway && payment.gateway.provider === WALLET_PROVIDER);
+};
+
+/**
+ * Credit a user's wallet from outside the system
+ * @param {String} userId - User ID
+ * @param {Object} details - currency, amountMinor (positive), reason, performedBy
+ * @returns {Promise<Object>} WalletTransaction document
+ */
+const topUpWallet = async (userId, { currency, amountMinor, reason, performedBy }) => {
+  const transaction = await moveFunds({
+    user: userId,
+    currency,
+    amountMinor,
+    type: WALLET_TRANSACTION_TYPES.TOP_UP,
+    reference: generateReference(WALLET_TRANSACTION_TYPES.TOP_UP),
+    reason,
+    performedBy
+  });
+
+  await ledger.postSafely(() => ledger.postWalletTransaction(transaction), `wallet transaction ${transaction._id}`);
+  return transaction;
+};
+
+/**
+ * Correct a user's balance up or down
+ * @param {String} userId - User ID
+ * @param {Object} details - currency, amountMinor (signed), reason, performedBy
+ * @returns {Promise<Object|null>} WalletTransaction document, or null if a decrease exceeds the balance
+ */
+const adjustWallet = async (userId, { currency, amountMinor, reason, performedBy }) => {
+  const transaction = await moveFunds({
+    user: userId,
+    currency,
+    amountMinor,
+    type: WALLET_TRANSACTION_TYPES.ADJUSTMENT,
+    reference: generateReference(WALLET_TRANSACTION_TYPES.ADJUSTMENT),
+    reason,
+    performedBy
+  });
+
+  if (transaction) {
+    await ledger.postSafely(() => ledger.postWalletTransaction(transaction), `wallet transaction ${transaction._id}`);
+  }
+
+  return transaction;
+};
+
+/**
+ * Reference of a payment's debit
+ * Keyed on the transaction ID rather than the attempt, so retrying a payment never
+ * debits it twice.
+ * @param {Object} payment - Payment document
+ * @returns {String}
+ */
+const paymentReference = (payment) => `payment:${payment.transactionId}`;
+
+/**
+ * Find the debit already made for a payment
+ * Matched on the payment rather than the reference, so debits recorded under an
+ * attempt's idempotency key (before debits were keyed on the transaction ID) are found too.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} WalletTransaction document
+ */
+const findPaymentDebit = (payment) => {
+  return WalletTransaction.findOne({ payment: payment._id, type: WALLET_TRANSACTION_TYPES.PAYMENT });
+};
+
+/**
+ * Debit a payment from its payer's wallet
+ * Keyed on the payment's transaction ID, so capturing it again (after a timeout or a
+ * retry) returns the original debit.
+ * @param {Object} payment - Payment document in processing status
+ * @returns {Promise<Object|null>} WalletTransaction document, or null if the balance is short
+ */
+const debitForPayment = (payment) => {
+  return moveFunds({
+    user: payment.user,
+    currency: payment.currency,
+    amountMinor: -payment.amountMinor,
+    type: WALLET_TRANSACTION_TYPES.PAYMENT,
+    reference: paymentReference(payment),
+    payment: payment._id,
+    reason: payment.description
+  });
+};
+
+/**
+ * Return a refund of a wallet payment to its payer's wallet and stamp the refund's walletCreditedAt
+ * Keyed on the refund ID, so crediting it again returns the original credit.
+ * @param {Object} payment - Refunded payment
+ * @param {Object} refund - Refund document
+ * @returns {Promise<Object>} WalletTransaction document
+ */
+const creditRefund = async (payment, refund) => {
+  const transaction = await moveFunds({
+    user: payment.user,
+    currency: refund.currency,
+    amountMinor: refund.amountMinor,
+    type: WALLET_TRANSACTION_TYPES.REFUND,
+    reference: `refund:${refund.refundId}`,
+    payment: payment._id,
+    refund: refund._id,
+    reason: refund.reason,
+    performedBy: refund.refundedBy
+  });
+
+  await Refund.updateOne({ _id: refund._id, walletCreditedAt: null }, { $set: { walletCreditedAt: new Date() } });
+  return transaction;
+};
+
+/**
+ * Credit a refund that has already been recorded
+ * A failure must not fail the refund, so it is logged instead of thrown; the payment
+ * worker credits the refund later (see creditPendingRefunds).
+ * @param {Object} payment - Refunded payment
+ * @param {Object} refund - Refund document
+ * @returns {Promise<Object|null>} WalletTransaction document, or null if crediting failed
+ */
+const creditRefundSafely = async (payment, refund) => {
+  try {
+    return await creditRefund(payment, refund);
+  } catch (error) {
+    console.error(`Failed to credit refund ${refund.refundId} to the wallet:`, error);
+    return null;
+  }
+};
+
+/**
+ * Credit the wallet refunds that have not been credited yet
+ * Covers credits that failed or were cut off by the process stopping.
+ * @param {Number} batchSize - Maximum refunds to credit
+ * @returns {Promise<Number>} Number of refunds credited
+ */
+const creditPendingRefunds = async (batchSize) => {
+  const refunds = await Refund.find({ creditsWallet: true, walletCreditedAt: null })
+    .populate('payment')
+    .sort({ createdAt: 1 })
+    .limit(batchSize);
+
+  let credited = 0;
+
+  for (const refund of refunds) {
+    if (!refund.payment) {
+      console.warn(`Refund ${refund.refundId} cannot be credited: its payment was not found`);
+      continue;
+    }
+
+    if (await creditRefundSafely(refund.payment, refund)) {
+      credited++;
+    }
+  }
+
+  return credited;
+};
+
+module.exports = {
+  getWallets,
+  getBalanceMinor,
+  isWalletPayment,
+  findPaymentDebit,
+  topUpWallet,
+  adjustWallet,
+  debitForPayment,
+  creditRefund,
+  creditRefundSafely,
+  creditPendingRefunds
+};
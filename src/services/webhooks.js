@@ -0,0 +1,371 @@
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { AppError } = require('../middleware/errorHandler');
+const { signPayload } = require('../utils/signatures');
+const { checkWebhookUrl } = require('../utils/webhookUrls');
+const { HTTP_STATUS, WEBHOOK_DELIVERY_STATUS } = require('../utils/constants');
+
+// Every payment history event is queued as one delivery per matching active subscription.
+// The webhook dispatcher claims due deliveries and POSTs them; failures are retried with
+// exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+// Events are queued as soon as they are recorded by a process watching payment events;
+// the dispatcher also queues any event left without deliveries (e.g. by a crash, a failed
+// insert or a process that does not watch events) within WEBHOOK_RECOVERY_WINDOW_HOURS.
+
+// Attempts kept in a delivery's log
+const MAX_LOGGED_ATTEMPTS = 20;
+
+// Age an event must reach before the dispatcher queues it, leaving it to the process that recorded it
+const RECOVERY_DELAY_MS = 60 * 1000;
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const getTimeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const getRecoveryWindowMs = () => (parseInt(process.env.WEBHOOK_RECOVERY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt: WEBHOOK_RETRY_BASE_MS doubled per failed attempt,
+ * capped at WEBHOOK_RETRY_MAX_MS
+ * @param {Number} attemptCount - Attempts made so far (>= 1)
+ * @returns {Number} Delay in ms
+ */
+const getRetryDelay = (attemptCount) => {
+  const baseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+  const maxMs = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+  return Math.min(baseMs * 2 ** (attemptCount - 1), maxMs);
+};
+
+/**
+ * Build the JSON body delivered for a payment event
+ * The id is the payment event's ID, so receivers can discard duplicates and redeliveries.
+ * @param {String} type - Webhook event type
+ * @param {Object} event - PaymentEvent document
+ * @param {Object|null} payment - Payment document (null once deleted)
+ * @returns {Object}
+ */
+const buildPayload = (type, event, payment) => ({
+  id: event._id.toString(),
+  type,
+  createdAt: event.createdAt.toISOString(),
+  data: {
+    payment: payment ? payment.toJSON() : { _id: event.payment.toString() },
+    event: {
+      fromStatus: event.fromStatus,
+      toStatus: event.toStatus,
+      reason: event.reason || null,
+      source: event.source,
+      actor: event.actor ? event.actor.toString() : null,
+      details: event.details || {}
+    }
+  }
+});
+
+/**
+ * Queue one delivery of a payment event per subscription
+ * @param {Object} event - PaymentEvent document
+ * @param {Array<Object>} subscriptions - WebhookSubscription documents listening for it
+ * @returns {Promise<Array<Object>>} Queued WebhookDelivery documents
+ */
+const insertDeliveries = async (event, subscriptions) => {
+  if (subscriptions.length === 0) {
+    return [];
+  }
+
+  const type = `payment.${event.type}`;
+
+  // Current payment state; event.toStatus stays authoritative if the payment has already moved on
+  const payment = await Payment.findById(event.payment);
+  const payload = JSON.parse(JSON.stringify(buildPayload(type, event, payment)));
+  const now = new Date();
+
+  return WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscription: subscription._id,
+    event: type,
+    paymentEvent: event._id,
+    payment: event.payment,
+    payload,
+    nextAttemptAt: now
+  })));
+};
+
+/**
+ * Queue deliveries of a payment event to every active subscription listening for it
+ * @param {Object} event - PaymentEvent document
+ * @returns {Promise<Array<Object>>} Queued WebhookDelivery documents
+ */
+const queueWebhookDeliveries = async (event) => {
+  const subscriptions = await WebhookSubscription.find({ isActive: true, events: `payment.${event.type}` }).select('_id');
+  return insertDeliveries(event, subscriptions);
+};
+
+/**
+ * Queue deliveries for recent payment events that have none
+ * Only events that an active subscription listens for and that were recorded after the
+ * subscription was created are queued, so subscriptions are not sent older history.
+ * @param {Number} batchSize - Maximum events to queue
+ * @returns {Promise<Number>} Number of events queued
+ */
+const queueMissedWebhookDeliveries = async (batchSize) => {
+  const subscriptions = await WebhookSubscription.find({ isActive: true }).select('_id events createdAt');
+
+  if (subscriptions.length === 0) {
+    return 0;
+  }
+
+  const now = Date.now();
+  const events = await PaymentEvent.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: new Date(now - getRecoveryWindowMs()), $lte: new Date(now - RECOVERY_DELAY_MS) },
+        $or: subscriptions.map(subscription => ({
+          type: { $in: subscription.events.map(event => event.replace(/^payment\./, '')) },
+          createdAt: { $gte: subscription.createdAt }
+        }))
+      }
+    },
+    { $sort: { createdAt: 1 } },
+    {
+      $lookup: {
+        from: WebhookDelivery.collection.name,
+        localField: '_id',
+        foreignField: 'paymentEvent',
+        pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }],
+        as: 'deliveries'
+      }
+    },
+    { $match: { deliveries: { $size: 0 } } },
+    { $limit: batchSize },
+    { $project: { deliveries: 0 } }
+  ]);
+
+  for (const event of events) {
+    const type = `payment.${event.type}`;
+
+    await insertDeliveries(event, subscriptions.filter(subscription =>
+      subscription.events.includes(type) && subscription.createdAt <= event.createdAt
+    ));
+  }
+
+  return events.length;
+};
+
+/**
+ * Queue webhook deliveries for every payment event recorded by this process
+ */
+const watchPaymentEvents = () => {
+  PaymentEvent.onRecorded((event) => {
+    queueWebhookDeliveries(event).catch((error) => {
+      console.error(`Failed to queue webhooks for payment event ${event._id}:`, error);
+    });
+  });
+};
+
+/**
+ * POST a delivery's payload to its subscriber
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} subscription - WebhookSubscription document (with secret)
+ * @returns {Promise<Object>} Attempt log entry { attemptedAt, statusCode, error, durationMs }
+ */
+const sendDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timeoutMs = getTimeoutMs();
+  const attemptedAt = new Date();
+  const attempt = { attemptedAt, statusCode: null, error: null };
+
+  try {
+    // The host may have been pointed at a private address since the subscription was saved
+    const refusal = await checkWebhookUrl(subscription.url);
+    if (refusal) {
+      attempt.error = refusal;
+      attempt.durationMs = Date.now() - attemptedAt.getTime();
+      return attempt;
+    }
+
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'rbac-payment-backend-webhooks',
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(subscription.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    attempt.statusCode = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Subscriber responded with HTTP ${response.status}`;
+    }
+
+    // The response body is not used; release the connection
+    if (response.body) {
+      await response.body.cancel();
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No response within ${timeoutMs}ms`
+      : `Request failed: ${error.cause ? error.cause.message : error.message}`;
+  }
+
+  attempt.durationMs = Date.now() - attemptedAt.getTime();
+  return attempt;
+};
+
+/**
+ * Make one delivery attempt and schedule the next one if it failed
+ * The delivery is claimed first, so concurrent dispatchers never send it twice at once.
+ * @param {String} id - WebhookDelivery ID
+ * @returns {Promise<Object|null>} Updated delivery, or null if another process claimed it
+ */
+const attemptDelivery = async (id) => {
+  const now = new Date();
+
+  // Push nextAttemptAt past the request timeout so a crashed attempt is picked up again later
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: WEBHOOK_DELIVERY_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + getTimeoutMs() * 2) } },
+    { new: true }
+  );
+
+  if (!delivery) {
+    return null;
+  }
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+
+  if (!subscription || !subscription.isActive) {
+    return WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: WEBHOOK_DELIVERY_STATUS.PENDING },
+      {
+        $set: {
+          status: WEBHOOK_DELIVERY_STATUS.FAILED,
+          lastError: subscription ? 'Subscription is inactive' : 'Subscription was deleted',
+          nextAttemptAt: null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  const attempt = await sendDelivery(delivery, subscription);
+  const attemptCount = delivery.attemptCount + 1;
+  const update = {
+    lastAttemptAt: attempt.attemptedAt,
+    lastError: attempt.error
+  };
+
+  if (!attempt.error) {
+    update.status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+    update.deliveredAt = new Date();
+    update.nextAttemptAt = null;
+  } else if (attemptCount >= getMaxAttempts()) {
+    update.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+    update.nextAttemptAt = null;
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + getRetryDelay(attemptCount));
+  }
+
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: WEBHOOK_DELIVERY_STATUS.PENDING },
+    {
+      $set: update,
+      $inc: { attemptCount: 1 },
+      $push: { attempts: { $each: [attempt], $slice: -MAX_LOGGED_ATTEMPTS } }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Attempt every delivery that is due
+ * @param {Number} batchSize - Maximum deliveries to attempt per run
+ * @returns {Promise<Object>} { succeeded, failed } attempts made by this process
+ */
+const deliverDueWebhooks = async (batchSize) => {
+  const dueDeliveries = await WebhookDelivery.find({
+    status: WEBHOOK_DELIVERY_STATUS.PENDING,
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(batchSize);
+
+  const counts = { succeeded: 0, failed: 0 };
+
+  for (const candidate of dueDeliveries) {
+    try {
+      const delivery = await attemptDelivery(candidate._id);
+
+      if (delivery && delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED) {
+        counts.succeeded++;
+      } else if (delivery) {
+        counts.failed++;
+      }
+    } catch (error) {
+      console.error(`Webhook delivery ${candidate._id} failed:`, error);
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Queue a fresh copy of a delivery, whatever the original's outcome
+ * The payload (and its id) is unchanged, so receivers can still recognise it.
+ * @param {Object} req - Express request object (the requesting admin)
+ * @param {Object} delivery - WebhookDelivery document to resend
+ * @returns {Promise<Object>} New WebhookDelivery document
+ * @throws {AppError} If the subscription is gone or inactive
+ */
+const redeliverWebhook = async (req, delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription);
+
+  if (!subscription) {
+    throw new AppError('Subscription was deleted', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!subscription.isActive) {
+    throw new AppError('Subscription is inactive. Activate it before redelivering', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return WebhookDelivery.create({
+    subscription: delivery.subscription,
+    event: delivery.event,
+    paymentEvent: delivery.paymentEvent,
+    payment: delivery.payment,
+    payload: delivery.payload,
+    nextAttemptAt: new Date(),
+    redeliveryOf: delivery._id,
+    requestedBy: req.user._id
+  });
+};
+
+/**
+ * Give up on a subscription's queued deliveries (e.g. when it is deleted)
+ * @param {Object} subscription - WebhookSubscription document
+ * @param {String} reason - Recorded as the deliveries' lastError
+ * @returns {Promise<Number>} Number of deliveries cancelled
+ */
+const cancelPendingDeliveries = async (subscription, reason) => {
+  const result = await WebhookDelivery.updateMany(
+    { subscription: subscription._id, status: WEBHOOK_DELIVERY_STATUS.PENDING },
+    { $set: { status: WEBHOOK_DELIVERY_STATUS.FAILED, lastError: reason, nextAttemptAt: null } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  getRetryDelay,
+  queueWebhookDeliveries,
+  queueMissedWebhookDeliveries,
+  watchPaymentEvents,
+  attemptDelivery,
+  deliverDueWebhooks,
+  redeliverWebhook,
+  cancelPendingDeliveries
+};
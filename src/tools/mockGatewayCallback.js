@@ -0,0 +1,60 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { signPayload } = require('../utils/signatures');
+
+// Sends a signed result callback for the mock gateway, standing in for a processor that
+// confirms captures asynchronously (payments with gatewayOutcome "async" or amounts ending in .95).
+//
+//   npm run gateway:callback -- <transactionId> [captured|declined|error] [attempt]
+//
+// Signed with PAYMENT_GATEWAY_MOCK_CALLBACK_SECRET and posted to
+// GATEWAY_CALLBACK_URL (default http://localhost:<PORT>/api/payments/callbacks/mock).
+// Set GATEWAY_CALLBACK_ID to resend a given event id and watch it be deduplicated.
+
+const [transactionId, result = 'captured', attempt = '1'] = process.argv.slice(2);
+const SECRET = process.env.PAYMENT_GATEWAY_MOCK_CALLBACK_SECRET;
+const URL = process.env.GATEWAY_CALLBACK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/payments/callbacks/mock`;
+
+const RESULTS = {
+  captured: { code: 'captured', message: 'Captured' },
+  declined: { code: 'capture_declined', message: 'Capture declined by processor' },
+  error: { code: 'processor_error', message: 'Processor failed to settle the capture' }
+};
+
+const send = async () => {
+  if (!transactionId || !RESULTS[result]) {
+    console.error('Usage: npm run gateway:callback -- <transactionId> [captured|declined|error] [attempt]');
+    process.exit(1);
+  }
+
+  if (!SECRET) {
+    console.error('PAYMENT_GATEWAY_MOCK_CALLBACK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const body = JSON.stringify({
+    id: process.env.GATEWAY_CALLBACK_ID || `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: `payment.${result}`,
+    transactionId,
+    // Matches MockGateway references, which follow payment.getIdempotencyKey()
+    reference: parseInt(attempt) > 1 ? `MOCK-CAP-${transactionId}-${parseInt(attempt)}` : `MOCK-CAP-${transactionId}`,
+    ...RESULTS[result]
+  });
+
+  const response = await fetch(URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Gateway-Signature': signPayload(SECRET, body)
+    },
+    body
+  });
+
+  console.log(`${response.status} ${await response.text()}`);
+};
+
+send().catch((error) => {
+  console.error('Callback failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+require('dotenv').config();
+const http = require('http');
+const { verifySignature } = require('../utils/signatures');
+
+// Minimal local webhook receiver for development.
+// Verifies each delivery's signature and logs it. Set WEBHOOK_RECEIVER_STATUS (e.g. 500)
+// to answer with an error status and watch the dispatcher retry.
+//
+//   WEBHOOK_RECEIVER_SECRET=whsec_... npm run webhook:receiver
+//
+// then start the API with WEBHOOK_ALLOW_PRIVATE_URLS=true and subscribe http://localhost:4000/
+// through POST /api/webhooks.
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_RECEIVER_SECRET;
+const RESPONSE_STATUS = parseInt(process.env.WEBHOOK_RECEIVER_STATUS) || 200;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks);
+    const signature = req.headers['x-webhook-signature'];
+    const verified = SECRET ? verifySignature(SECRET, signature, body) : null;
+
+    console.log('─'.repeat(60));
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} (event ${req.headers['x-webhook-id']})`);
+    console.log(`Delivery: ${req.headers['x-webhook-delivery']}`);
+    console.log(`Signature: ${verified === null ? 'not checked (WEBHOOK_RECEIVER_SECRET not set)' : verified ? 'valid' : 'INVALID'}`);
+    console.log(body.toString('utf8'));
+
+    if (verified === false) {
+      res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Invalid signature' }));
+      return;
+    }
+
+    res.writeHead(RESPONSE_STATUS, { 'Content-Type': 'application/json' }).end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/ (responding ${RESPONSE_STATUS})`);
+});
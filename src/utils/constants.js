@@ -16,11 +16,44 @@ const PERMISSIONS = {
   PAYMENTS_CREATE: 'payments:create',
   PAYMENTS_READ: 'payments:read',
   PAYMENTS_APPROVE: 'payments:approve',
+  PAYMENTS_APPROVE_HIGH: 'payments:approve_high',
   PAYMENTS_PROCESS: 'payments:process',
   PAYMENTS_DELETE: 'payments:delete',
+  PAYMENTS_REFUND: 'payments:refund',
+  PAYMENTS_SOD_OVERRIDE: 'payments:sod_override',
+  PAYMENTS_REVIEW: 'payments:review',
 
   // Role management permissions
-  ROLES_MANAGE: 'roles:manage'
+  ROLES_MANAGE: 'roles:manage',
+
+  // Workflow policy management permissions
+  POLICIES_MANAGE: 'policies:manage',
+
+  // Reporting permissions
+  REPORTS_READ: 'reports:read',
+
+  // Exchange rate management permissions
+  FX_RATES_MANAGE: 'fx_rates:manage',
+
+  // Webhook subscription management permissions
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+
+  // Spending limit management permissions
+  LIMITS_MANAGE: 'limits:manage',
+
+  // Ledger permissions
+  LEDGER_READ: 'ledger:read',
+
+  // Wallet management permissions
+  WALLETS_MANAGE: 'wallets:manage',
+
+  // Payee management permissions
+  PAYEES_MANAGE: 'payees:manage',
+  PAYEES_VERIFY: 'payees:verify',
+
+  // Invoice permissions
+  INVOICES_READ: 'invoices:read',
+  INVOICES_MANAGE: 'invoices:manage'
 };
 
 // Default role permissions mapping
@@ -32,9 +65,24 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.PAYMENTS_CREATE,
     PERMISSIONS.PAYMENTS_READ,
     PERMISSIONS.PAYMENTS_APPROVE,
+    PERMISSIONS.PAYMENTS_APPROVE_HIGH,
     PERMISSIONS.PAYMENTS_PROCESS,
     PERMISSIONS.PAYMENTS_DELETE,
-    PERMISSIONS.ROLES_MANAGE
+    PERMISSIONS.PAYMENTS_REFUND,
+    PERMISSIONS.PAYMENTS_SOD_OVERRIDE,
+    PERMISSIONS.PAYMENTS_REVIEW,
+    PERMISSIONS.ROLES_MANAGE,
+    PERMISSIONS.POLICIES_MANAGE,
+    PERMISSIONS.REPORTS_READ,
+    PERMISSIONS.FX_RATES_MANAGE,
+    PERMISSIONS.WEBHOOKS_MANAGE,
+    PERMISSIONS.LIMITS_MANAGE,
+    PERMISSIONS.LEDGER_READ,
+    PERMISSIONS.WALLETS_MANAGE,
+    PERMISSIONS.PAYEES_MANAGE,
+    PERMISSIONS.PAYEES_VERIFY,
+    PERMISSIONS.INVOICES_READ,
+    PERMISSIONS.INVOICES_MANAGE
   ],
   [ROLES.MANAGER]: [
     PERMISSIONS.USERS_READ,
@@ -42,7 +90,13 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.PAYMENTS_READ,
     PERMISSIONS.PAYMENTS_APPROVE,
     PERMISSIONS.PAYMENTS_PROCESS,
-    PERMISSIONS.PAYMENTS_DELETE
+    PERMISSIONS.PAYMENTS_DELETE,
+    PERMISSIONS.PAYMENTS_REFUND,
+    PERMISSIONS.REPORTS_READ,
+    PERMISSIONS.LEDGER_READ,
+    PERMISSIONS.PAYEES_MANAGE,
+    PERMISSIONS.INVOICES_READ,
+    PERMISSIONS.INVOICES_MANAGE
   ],
   [ROLES.USER]: [
     PERMISSIONS.PAYMENTS_CREATE,
@@ -50,14 +104,25 @@ const ROLE_PERMISSIONS = {
   ]
 };
 
+// Segregation-of-duties rules (enabled per role via Role.sodRules)
+const SOD_RULES = {
+  CREATOR_CANNOT_APPROVE: 'creator_cannot_approve',
+  APPROVER_CANNOT_PROCESS: 'approver_cannot_process',
+  CREATOR_CANNOT_REVIEW: 'creator_cannot_review'
+};
+
 // Payment status definitions
 const PAYMENT_STATUS = {
+  REVIEW: 'review',
   PENDING: 'pending',
   APPROVED: 'approved',
   REJECTED: 'rejected',
   PROCESSING: 'processing',
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
 };
 
 // Payment methods
@@ -67,20 +132,330 @@ const PAYMENT_METHODS = {
   WALLET: 'wallet'
 };
 
+// Recurring payment schedule frequencies
+const RECURRING_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  CRON: 'cron'
+};
+
+// Recurring payment schedule statuses
+const RECURRING_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed'
+};
+
+// Payment batch (CSV import) status definitions
+const PAYMENT_BATCH_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DISCARDED: 'discarded'
+};
+
+// Payment export formats
+const EXPORT_FORMATS = {
+  CSV: 'csv',
+  NDJSON: 'ndjson'
+};
+
+// Dimensions payment reports can be grouped by
+const REPORT_GROUP_BY = {
+  STATUS: 'status',
+  CURRENCY: 'currency',
+  PAYMENT_METHOD: 'paymentMethod',
+  USER: 'user',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+// Where an exchange rate came from
+const FX_RATE_SOURCES = {
+  FILE: 'file',
+  API: 'api'
+};
+
+// Gateway adapter result statuses
+const GATEWAY_RESULT = {
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  PENDING: 'pending',
+  DECLINED: 'declined',
+  ERROR: 'error'
+};
+
+// Payment history event types
+const PAYMENT_EVENTS = {
+  CREATED: 'created',
+  APPROVAL_RECORDED: 'approval_recorded',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PROCESSING_STARTED: 'processing_started',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  RETRIED: 'retried',
+  RELEASED: 'released',
+  REFUNDED: 'refunded',
+  CANCELLED: 'cancelled',
+  EXECUTION_OVERDUE: 'execution_overdue',
+  DELETED: 'deleted',
+  SOD_OVERRIDE: 'sod_override'
+};
+
+// Webhook event types, one per payment history event type
+const WEBHOOK_EVENTS = {
+  PAYMENT_CREATED: 'payment.created',
+  PAYMENT_APPROVAL_RECORDED: 'payment.approval_recorded',
+  PAYMENT_APPROVED: 'payment.approved',
+  PAYMENT_REJECTED: 'payment.rejected',
+  PAYMENT_PROCESSING_STARTED: 'payment.processing_started',
+  PAYMENT_COMPLETED: 'payment.completed',
+  PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_RETRIED: 'payment.retried',
+  PAYMENT_RELEASED: 'payment.released',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  PAYMENT_CANCELLED: 'payment.cancelled',
+  PAYMENT_EXECUTION_OVERDUE: 'payment.execution_overdue',
+  PAYMENT_DELETED: 'payment.deleted',
+  PAYMENT_SOD_OVERRIDE: 'payment.sod_override'
+};
+
+// Who a payee is
+const PAYEE_TYPES = {
+  INDIVIDUAL: 'individual',
+  BUSINESS: 'business'
+};
+
+// Payee verification states; payments to a payee can only be approved once it is verified
+const PAYEE_VERIFICATION_STATUS = {
+  UNVERIFIED: 'unverified',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected'
+};
+
+// Invoice status definitions; paid and partially paid follow the invoice's completed payments
+const INVOICE_STATUS = {
+  OPEN: 'open',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  CANCELLED: 'cancelled'
+};
+
+// Gateway provider that settles wallet payments against wallet balances
+const WALLET_PROVIDER = 'wallet';
+
+// Wallet balance movements
+const WALLET_TRANSACTION_TYPES = {
+  TOP_UP: 'top_up',
+  ADJUSTMENT: 'adjustment',
+  PAYMENT: 'payment',
+  REFUND: 'refund'
+};
+
+// Who a spending limit applies to
+const SPENDING_LIMIT_SCOPES = {
+  ROLE: 'role',
+  USER: 'user'
+};
+
+// Payment processing job lifecycle
+const PAYMENT_JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Webhook delivery lifecycle
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Who triggered a payment history event
+const EVENT_SOURCES = {
+  API: 'api',
+  SYSTEM: 'system',
+  GATEWAY: 'gateway'
+};
+
+// Default approval policies (seeded into the ApprovalPolicy collection)
+// A policy applies to payments whose amount is greater than its threshold;
+// the applicable policy with the highest threshold wins.
+const DEFAULT_APPROVAL_POLICIES = [
+  {
+    name: 'standard',
+    threshold: 0,
+    requiredApprovals: 1,
+    requiredPermissions: [],
+    description: 'Single approval for regular payments'
+  },
+  {
+    name: 'large',
+    threshold: 10000,
+    requiredApprovals: 2,
+    requiredPermissions: [],
+    description: 'Two distinct approvers for payments above 10,000'
+  },
+  {
+    name: 'high_value',
+    threshold: 100000,
+    requiredApprovals: 2,
+    requiredPermissions: [PERMISSIONS.PAYMENTS_APPROVE_HIGH],
+    description: 'Two distinct approvers, one holding payments:approve_high, for payments above 100,000'
+  }
+];
+
+// Ledger account types; asset and expense accounts carry debit balances, the others credit balances
+const LEDGER_ACCOUNT_TYPES = {
+  ASSET: 'asset',
+  LIABILITY: 'liability',
+  EQUITY: 'equity',
+  REVENUE: 'revenue',
+  EXPENSE: 'expense'
+};
+
+// Codes of the ledger accounts payments are posted to
+const LEDGER_ACCOUNTS = {
+  GATEWAY_CLEARING: 'gateway_clearing',
+  PAYMENTS_RECEIVED: 'payments_received',
+  WALLET_BALANCES: 'wallet_balances',
+  WALLET_FUNDING: 'wallet_funding',
+  WALLET_ADJUSTMENTS: 'wallet_adjustments'
+};
+
+// Ledger accounts created at startup
+const DEFAULT_LEDGER_ACCOUNTS = [
+  {
+    code: LEDGER_ACCOUNTS.GATEWAY_CLEARING,
+    name: 'Gateway clearing',
+    type: LEDGER_ACCOUNT_TYPES.ASSET,
+    description: 'Funds captured by payment gateways and not yet paid out'
+  },
+  {
+    code: LEDGER_ACCOUNTS.PAYMENTS_RECEIVED,
+    name: 'Payments received',
+    type: LEDGER_ACCOUNT_TYPES.REVENUE,
+    description: 'Completed payments, net of refunds'
+  },
+  {
+    code: LEDGER_ACCOUNTS.WALLET_BALANCES,
+    name: 'Wallet balances',
+    type: LEDGER_ACCOUNT_TYPES.LIABILITY,
+    description: 'Funds users hold in their wallets'
+  },
+  {
+    code: LEDGER_ACCOUNTS.WALLET_FUNDING,
+    name: 'Wallet funding',
+    type: LEDGER_ACCOUNT_TYPES.ASSET,
+    description: 'Funds received for wallet top-ups'
+  },
+  {
+    code: LEDGER_ACCOUNTS.WALLET_ADJUSTMENTS,
+    name: 'Wallet adjustments',
+    type: LEDGER_ACCOUNT_TYPES.EXPENSE,
+    description: 'Manual corrections to wallet balances'
+  }
+];
+
+// What a journal entry records
+const JOURNAL_ENTRY_TYPES = {
+  PAYMENT_COMPLETED: 'payment_completed',
+  REFUND: 'refund',
+  WALLET_TOP_UP: 'wallet_top_up',
+  WALLET_ADJUSTMENT: 'wallet_adjustment'
+};
+
+// Risk rule types evaluated when a payment is created
+const RISK_RULE_TYPES = {
+  VELOCITY: 'velocity',
+  AMOUNT_VS_HISTORY: 'amount_vs_history',
+  NEW_ACCOUNT_LARGE_AMOUNT: 'new_account_large_amount',
+  REPEATED_FAILURES: 'repeated_failures'
+};
+
+// Parameters each risk rule type accepts, with their defaults
+// Amounts are in the base currency.
+const RISK_RULE_PARAMS = {
+  [RISK_RULE_TYPES.VELOCITY]: { windowMinutes: 60, maxPayments: 5 },
+  [RISK_RULE_TYPES.AMOUNT_VS_HISTORY]: { multiplier: 5, minPayments: 3, lookbackDays: 90 },
+  [RISK_RULE_TYPES.NEW_ACCOUNT_LARGE_AMOUNT]: { accountAgeDays: 7, amount: 1000 },
+  [RISK_RULE_TYPES.REPEATED_FAILURES]: { windowHours: 24, maxFailures: 3 }
+};
+
+// Default risk rules (seeded)
+const DEFAULT_RISK_RULES = [
+  {
+    name: 'velocity',
+    type: RISK_RULE_TYPES.VELOCITY,
+    score: 40,
+    params: { windowMinutes: 60, maxPayments: 5 },
+    description: 'Five or more payments by the same user within an hour'
+  },
+  {
+    name: 'amount_spike',
+    type: RISK_RULE_TYPES.AMOUNT_VS_HISTORY,
+    score: 40,
+    params: { multiplier: 5, minPayments: 3, lookbackDays: 90 },
+    description: 'More than five times the user\'s average payment over the last 90 days'
+  },
+  {
+    name: 'new_account_large_amount',
+    type: RISK_RULE_TYPES.NEW_ACCOUNT_LARGE_AMOUNT,
+    score: 50,
+    params: { accountAgeDays: 7, amount: 1000 },
+    description: 'Account younger than a week paying 1,000 or more'
+  },
+  {
+    name: 'repeated_failures',
+    type: RISK_RULE_TYPES.REPEATED_FAILURES,
+    score: 30,
+    params: { windowHours: 24, maxFailures: 3 },
+    description: 'Three or more failed payments by the same user within a day'
+  }
+];
+
+// Decisions a reviewer can take on a payment held for risk review
+const REVIEW_DECISIONS = {
+  RELEASE: 'release',
+  REJECT: 'reject'
+};
+
+// Idempotency key lifecycle
+const IDEMPOTENCY_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
 // Valid payment status transitions
 const PAYMENT_STATUS_TRANSITIONS = {
-  [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.APPROVED, PAYMENT_STATUS.REJECTED],
-  [PAYMENT_STATUS.APPROVED]: [PAYMENT_STATUS.PROCESSING],
+  [PAYMENT_STATUS.REVIEW]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.REJECTED, PAYMENT_STATUS.CANCELLED],
+  [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.APPROVED, PAYMENT_STATUS.REJECTED, PAYMENT_STATUS.CANCELLED],
+  [PAYMENT_STATUS.APPROVED]: [PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.CANCELLED],
   [PAYMENT_STATUS.PROCESSING]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.FAILED],
   [PAYMENT_STATUS.REJECTED]: [],
-  [PAYMENT_STATUS.COMPLETED]: [],
-  [PAYMENT_STATUS.FAILED]: []
+  [PAYMENT_STATUS.COMPLETED]: [PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED],
+  [PAYMENT_STATUS.FAILED]: [PAYMENT_STATUS.PROCESSING],
+  [PAYMENT_STATUS.CANCELLED]: [],
+  [PAYMENT_STATUS.PARTIALLY_REFUNDED]: [PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED],
+  [PAYMENT_STATUS.REFUNDED]: []
 };
 
+// Payment statuses that can still receive refunds
+const REFUNDABLE_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED
+];
+
 // HTTP Status codes
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -95,8 +470,38 @@ module.exports = {
   ROLES,
   PERMISSIONS,
   ROLE_PERMISSIONS,
+  SOD_RULES,
   PAYMENT_STATUS,
   PAYMENT_METHODS,
+  RECURRING_FREQUENCIES,
+  RECURRING_STATUS,
+  PAYMENT_BATCH_STATUS,
+  EXPORT_FORMATS,
+  REPORT_GROUP_BY,
+  FX_RATE_SOURCES,
+  GATEWAY_RESULT,
   PAYMENT_STATUS_TRANSITIONS,
+  REFUNDABLE_STATUSES,
+  PAYMENT_EVENTS,
+  WEBHOOK_EVENTS,
+  SPENDING_LIMIT_SCOPES,
+  PAYEE_TYPES,
+  PAYEE_VERIFICATION_STATUS,
+  INVOICE_STATUS,
+  WALLET_PROVIDER,
+  WALLET_TRANSACTION_TYPES,
+  PAYMENT_JOB_STATUS,
+  WEBHOOK_DELIVERY_STATUS,
+  EVENT_SOURCES,
+  DEFAULT_APPROVAL_POLICIES,
+  LEDGER_ACCOUNT_TYPES,
+  LEDGER_ACCOUNTS,
+  DEFAULT_LEDGER_ACCOUNTS,
+  JOURNAL_ENTRY_TYPES,
+  RISK_RULE_TYPES,
+  RISK_RULE_PARAMS,
+  DEFAULT_RISK_RULES,
+  REVIEW_DECISIONS,
+  IDEMPOTENCY_STATUS,
   HTTP_STATUS
 };
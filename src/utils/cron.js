@@ -0,0 +1,171 @@
+// Minimal 5-field cron support ("minute hour day-of-month month day-of-week"),
+// evaluated in UTC. Supports *, numbers, lists (1,15), ranges (1-5) and steps (*/2, 1-10/3).
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up searching after this many years without a match (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse a plain unsigned integer, rejecting empty text, signs, decimals and exponents
+ * @param {String} text - Number text
+ * @returns {Number} The number, or NaN if the text is not a plain integer
+ */
+const parseInteger = (text) => (/^\d+$/.test(text) ? Number(text) : NaN);
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {String} part - Field text
+ * @param {Object} field - Field bounds
+ * @returns {Set<Number>} Matching values
+ */
+const parseField = (part, field) => {
+  const values = new Set();
+
+  part.split(',').forEach(item => {
+    const [range, stepText, ...extra] = item.split('/');
+    const step = stepText === undefined ? 1 : parseInteger(stepText);
+
+    if (extra.length) {
+      throw new Error(`Invalid value "${item}" in cron ${field.name} field`);
+    }
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron ${field.name} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      // Both ends must be present, so "-5" and "1-" are malformed rather than 0-5 and 1-0
+      const bounds = range.split('-');
+      [start, end] = bounds.length === 2 ? bounds.map(parseInteger) : [NaN, NaN];
+    } else {
+      start = parseInteger(range);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid value "${item}" in cron ${field.name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a 5-field cron expression
+ * @param {String} expression - Cron expression
+ * @returns {Object} Parsed fields
+ * @throws {Error} If the expression is invalid
+ */
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // Sunday can be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+    daysOfWeek.delete(7);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in standard cron, a field starting with * (e.g. */2) does not count as restricted
+    domRestricted: !parts[2].startsWith('*'),
+    dowRestricted: !parts[4].startsWith('*')
+  };
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {String} expression - Cron expression
+ * @returns {Boolean}
+ */
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const dayMatches = (cron, date) => {
+  const domMatch = cron.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.daysOfWeek.has(date.getUTCDay());
+
+  // Standard cron: when both fields are restricted, either may match
+  if (cron.domRestricted && cron.dowRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+};
+
+/**
+ * Get the next time a cron expression fires strictly after a date
+ * @param {String} expression - Cron expression
+ * @param {Date} after - Reference date
+ * @returns {Date|null} Next occurrence, or null if none within MAX_SEARCH_YEARS
+ */
+const getNextCronDate = (expression, after = new Date()) => {
+  const cron = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextCronDate
+};
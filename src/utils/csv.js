@@ -0,0 +1,96 @@
+// Minimal RFC 4180 CSV parsing and formatting: comma separated, optional double-quoted fields
+// ("" escapes a quote inside quotes), quoted fields may span lines, LF or CRLF line endings.
+
+/**
+ * Parse CSV text into records
+ * @param {String} text - CSV text
+ * @returns {Array<Object>} Records as { line, values }, where line is the line number the record starts on
+ * @throws {Error} If a quoted field is not closed
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  // Strip a UTF-8 byte order mark (spreadsheet exports often add one)
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRecord = () => {
+    values.push(field);
+    // Skip blank lines
+    if (values.length > 1 || values[0].trim() !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (field !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+/**
+ * Format one CSV record, quoting fields that need it
+ * Fields starting with =, +, - or @ are prefixed with ' so spreadsheets
+ * do not evaluate them as formulas.
+ * @param {Array} values - Field values (null/undefined become empty fields)
+ * @returns {String} CSV line terminated by CRLF
+ */
+const formatCsvRow = (values) => {
+  return values.map((value) => {
+    let field = value === null || value === undefined ? '' : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@]/.test(field)) {
+      field = `'${field}`;
+    }
+
+    if (/[",\r\n]/.test(field)) {
+      field = `"${field.replace(/"/g, '""')}"`;
+    }
+
+    return field;
+  }).join(',') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
@@ -0,0 +1,149 @@
+// ISO 4217 currency metadata and conversions between decimal amounts and integer minor units.
+// Amounts are stored as integers in the currency's minor unit (e.g. cents) so they add up
+// exactly; the decimal form is only used at the API boundary.
+
+// Active ISO 4217 codes -> exponent (number of digits after the decimal point).
+// Funds, precious metals and testing codes without a minor unit are left out.
+const CURRENCY_EXPONENTS = {
+  AED: 2, AFN: 2, ALL: 2, AMD: 2, ANG: 2, AOA: 2, ARS: 2, AUD: 2, AWG: 2, AZN: 2,
+  BAM: 2, BBD: 2, BDT: 2, BGN: 2, BHD: 3, BIF: 0, BMD: 2, BND: 2, BOB: 2, BOV: 2,
+  BRL: 2, BSD: 2, BTN: 2, BWP: 2, BYN: 2, BZD: 2,
+  CAD: 2, CDF: 2, CHE: 2, CHF: 2, CHW: 2, CLF: 4, CLP: 0, CNY: 2, COP: 2, COU: 2,
+  CRC: 2, CUP: 2, CVE: 2, CZK: 2,
+  DJF: 0, DKK: 2, DOP: 2, DZD: 2,
+  EGP: 2, ERN: 2, ETB: 2, EUR: 2,
+  FJD: 2, FKP: 2,
+  GBP: 2, GEL: 2, GHS: 2, GIP: 2, GMD: 2, GNF: 0, GTQ: 2, GYD: 2,
+  HKD: 2, HNL: 2, HTG: 2, HUF: 2,
+  IDR: 2, ILS: 2, INR: 2, IQD: 3, IRR: 2, ISK: 0,
+  JMD: 2, JOD: 3, JPY: 0,
+  KES: 2, KGS: 2, KHR: 2, KMF: 0, KPW: 2, KRW: 0, KWD: 3, KYD: 2, KZT: 2,
+  LAK: 2, LBP: 2, LKR: 2, LRD: 2, LSL: 2, LYD: 3,
+  MAD: 2, MDL: 2, MGA: 2, MKD: 2, MMK: 2, MNT: 2, MOP: 2, MRU: 2, MUR: 2, MVR: 2,
+  MWK: 2, MXN: 2, MXV: 2, MYR: 2, MZN: 2,
+  NAD: 2, NGN: 2, NIO: 2, NOK: 2, NPR: 2, NZD: 2,
+  OMR: 3,
+  PAB: 2, PEN: 2, PGK: 2, PHP: 2, PKR: 2, PLN: 2, PYG: 0,
+  QAR: 2,
+  RON: 2, RSD: 2, RUB: 2, RWF: 0,
+  SAR: 2, SBD: 2, SCR: 2, SDG: 2, SEK: 2, SGD: 2, SHP: 2, SLE: 2, SOS: 2, SRD: 2,
+  SSP: 2, STN: 2, SVC: 2, SYP: 2, SZL: 2,
+  THB: 2, TJS: 2, TMT: 2, TND: 3, TOP: 2, TRY: 2, TTD: 2, TWD: 2, TZS: 2,
+  UAH: 2, UGX: 0, USD: 2, USN: 2, UYI: 0, UYU: 2, UYW: 4, UZS: 2,
+  VED: 2, VES: 2, VND: 0, VUV: 0,
+  WST: 2,
+  XAF: 0, XCD: 2, XCG: 2, XOF: 0, XPF: 0,
+  YER: 2,
+  ZAR: 2, ZMW: 2, ZWG: 2, ZWL: 2
+};
+
+// Plain decimal notation: digits with an optional fractional part
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Check a value is an active ISO 4217 currency code (case-insensitive)
+ * @param {String} code - Currency code
+ * @returns {Boolean}
+ */
+const isValidCurrency = (code) => {
+  return typeof code === 'string' &&
+    Object.prototype.hasOwnProperty.call(CURRENCY_EXPONENTS, code.toUpperCase());
+};
+
+/**
+ * Get a currency's minor-unit exponent
+ * @param {String} code - Currency code
+ * @returns {Number|null} Digits after the decimal point (e.g. 2 for USD, 0 for JPY), or null if unknown
+ */
+const getExponent = (code) => (isValidCurrency(code) ? CURRENCY_EXPONENTS[code.toUpperCase()] : null);
+
+/**
+ * Get the metadata of a currency
+ * @param {String} code - Currency code
+ * @returns {Object|null} { code, exponent }, or null if unknown
+ */
+const getCurrency = (code) => {
+  return isValidCurrency(code) ? { code: code.toUpperCase(), exponent: getExponent(code) } : null;
+};
+
+/**
+ * Convert a decimal amount into integer minor units, exactly
+ * Strings are read digit by digit so no floating-point rounding is involved.
+ * @param {Number|String} value - Decimal amount (e.g. 10.5 or "10.50")
+ * @param {String} currency - Currency code
+ * @returns {Number} Amount in minor units (e.g. 1050)
+ * @throws {RangeError} If the currency is unknown, the value is not a plain non-negative decimal,
+ *   or it has more decimal places than the currency allows
+ */
+const toMinorUnits = (value, currency) => {
+  const exponent = getExponent(currency);
+  if (exponent === null) {
+    throw new RangeError(`Unknown currency: ${currency}`);
+  }
+
+  // Number#toString switches to exponent notation for very small or large numbers, which the pattern rejects
+  const text = typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+  const match = typeof text === 'string' ? DECIMAL_PATTERN.exec(text.trim()) : null;
+  if (!match) {
+    throw new RangeError('Amount must be a plain decimal number');
+  }
+
+  const [, whole, fraction = ''] = match;
+  const significant = fraction.replace(/0+$/, '');
+  if (significant.length > exponent) {
+    throw new RangeError(
+      exponent === 0
+        ? `${currency.toUpperCase()} amounts must be whole numbers`
+        : `${currency.toUpperCase()} amounts allow at most ${exponent} decimal places`
+    );
+  }
+
+  const minor = Number(whole + significant.padEnd(exponent, '0'));
+  if (!Number.isSafeInteger(minor)) {
+    throw new RangeError('Amount is too large');
+  }
+
+  return minor;
+};
+
+/**
+ * Convert integer minor units into the decimal amount
+ * @param {Number} minor - Amount in minor units
+ * @param {String} currency - Currency code
+ * @returns {Number} Decimal amount (e.g. 10.5 for 1050 USD)
+ * @throws {RangeError} If the currency is unknown
+ */
+const fromMinorUnits = (minor, currency) => {
+  const exponent = getExponent(currency);
+  if (exponent === null) {
+    throw new RangeError(`Unknown currency: ${currency}`);
+  }
+
+  return minor / 10 ** exponent;
+};
+
+/**
+ * Round a computed decimal amount (e.g. a converted amount) to the nearest minor unit
+ * @param {Number} amount - Decimal amount
+ * @param {String} currency - Currency code
+ * @returns {Number} Amount in minor units
+ * @throws {RangeError} If the currency is unknown
+ */
+const roundToMinorUnits = (amount, currency) => {
+  const exponent = getExponent(currency);
+  if (exponent === null) {
+    throw new RangeError(`Unknown currency: ${currency}`);
+  }
+
+  return Math.round(amount * 10 ** exponent);
+};
+
+module.exports = {
+  CURRENCY_EXPONENTS,
+  isValidCurrency,
+  getExponent,
+  getCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  roundToMinorUnits
+};
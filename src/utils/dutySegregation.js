@@ -0,0 +1,117 @@
+const PaymentEvent = require('../models/PaymentEvent');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, PERMISSIONS, SOD_RULES, PAYMENT_EVENTS } = require('./constants');
+
+// Workflow actions covered by segregation-of-duties rules
+const SOD_ACTIONS = {
+  APPROVE: 'approve',
+  PROCESS: 'process',
+  REVIEW: 'review'
+};
+
+const RULE_MESSAGES = {
+  [SOD_RULES.CREATOR_CANNOT_APPROVE]: 'You cannot approve a payment you created',
+  [SOD_RULES.APPROVER_CANNOT_PROCESS]: 'You cannot process a payment you approved',
+  [SOD_RULES.CREATOR_CANNOT_REVIEW]: 'You cannot review a payment you created'
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Get the segregation-of-duties rules the actor's role breaches for an action
+ * @param {Object} req - Express request object (authenticated)
+ * @param {Object} payment - Payment document
+ * @param {String} action - One of SOD_ACTIONS
+ * @returns {Array<String>} Violated SOD_RULES
+ */
+const getDutySegregationViolations = (req, payment, action) => {
+  const role = req.user.role;
+  const enabledRules = role && role.sodRules ? role.sodRules : Object.values(SOD_RULES);
+  const actorId = req.user._id.toString();
+  const violations = [];
+
+  if (
+    action === SOD_ACTIONS.APPROVE &&
+    enabledRules.includes(SOD_RULES.CREATOR_CANNOT_APPROVE) &&
+    idOf(payment.user).toString() === actorId
+  ) {
+    violations.push(SOD_RULES.CREATOR_CANNOT_APPROVE);
+  }
+
+  if (
+    action === SOD_ACTIONS.REVIEW &&
+    enabledRules.includes(SOD_RULES.CREATOR_CANNOT_REVIEW) &&
+    idOf(payment.user).toString() === actorId
+  ) {
+    violations.push(SOD_RULES.CREATOR_CANNOT_REVIEW);
+  }
+
+  if (action === SOD_ACTIONS.PROCESS && enabledRules.includes(SOD_RULES.APPROVER_CANNOT_PROCESS)) {
+    const approverIds = (payment.approvals || []).map(approval => idOf(approval.approver).toString());
+    if (payment.approvedBy) {
+      approverIds.push(idOf(payment.approvedBy).toString());
+    }
+
+    if (approverIds.includes(actorId)) {
+      violations.push(SOD_RULES.APPROVER_CANNOT_PROCESS);
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Enforce segregation of duties for a workflow action
+ * Throws a 403 AppError on violation unless the actor holds payments:sod_override.
+ * An override is only returned here: the caller records it with
+ * recordDutySegregationOverride once the action has actually been applied, so a
+ * refused or lost action leaves no override in the payment history.
+ * @param {Object} req - Express request object (authenticated)
+ * @param {Object} payment - Payment document
+ * @param {String} action - One of SOD_ACTIONS
+ * @returns {Object|null} Override ({ action, rules, status }), or null if no rule was breached
+ */
+const enforceDutySegregation = (req, payment, action) => {
+  const violations = getDutySegregationViolations(req, payment, action);
+
+  if (violations.length === 0) {
+    return null;
+  }
+
+  if (!req.permissions.includes(PERMISSIONS.PAYMENTS_SOD_OVERRIDE)) {
+    throw new AppError(
+      'Segregation of duties violation',
+      HTTP_STATUS.FORBIDDEN,
+      violations.map(rule => ({ rule, message: RULE_MESSAGES[rule] }))
+    );
+  }
+
+  return { action, rules: violations, status: payment.status };
+};
+
+/**
+ * Record an override returned by enforceDutySegregation in the payment history
+ * @param {Object} req - Express request object (the actor)
+ * @param {Object} payment - Payment document after the action
+ * @param {Object|null} override - Override to record (nothing is recorded for null)
+ */
+const recordDutySegregationOverride = async (req, payment, override) => {
+  if (!override) {
+    return;
+  }
+
+  await PaymentEvent.record(payment, PAYMENT_EVENTS.SOD_OVERRIDE, {
+    req,
+    fromStatus: override.status,
+    toStatus: override.status,
+    reason: `Segregation of duties overridden for ${override.action}`,
+    details: { action: override.action, rules: override.rules }
+  });
+};
+
+module.exports = {
+  SOD_ACTIONS,
+  getDutySegregationViolations,
+  enforceDutySegregation,
+  recordDutySegregationOverride
+};
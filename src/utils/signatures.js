@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 request signatures in the form `t=<unix seconds>,v1=<hex digest>`.
+// The digest covers `<t>.<raw body>`, so a signature cannot be replayed with another
+// timestamp, and the timestamp lets receivers reject stale requests.
+
+/**
+ * Compute the hex HMAC-SHA256 digest of a timestamped body
+ * @param {String} secret - Shared secret
+ * @param {Number} timestamp - Unix time in seconds
+ * @param {String|Buffer} body - Raw request body
+ * @returns {String} Hex digest
+ */
+const computeSignature = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+};
+
+/**
+ * Build a signature header value for a body
+ * @param {String} secret - Shared secret
+ * @param {String|Buffer} body - Raw request body
+ * @param {Number} timestamp - Unix time in seconds (default: now)
+ * @returns {String} `t=...,v1=...`
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`;
+};
+
+/**
+ * Parse a signature header value
+ * @param {String} header - `t=...,v1=...[,v1=...]`
+ * @returns {Object|null} { timestamp, signatures }, or null if malformed
+ */
+const parseSignatureHeader = (header) => {
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  let timestamp = null;
+  const signatures = [];
+
+  header.split(',').forEach((part) => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value)) {
+      timestamp = parseInt(value);
+    } else if (key === 'v1' && /^[0-9a-f]{64}$/i.test(value)) {
+      signatures.push(value.toLowerCase());
+    }
+  });
+
+  return timestamp !== null && signatures.length > 0 ? { timestamp, signatures } : null;
+};
+
+/**
+ * Verify a signature header against a body
+ * Several v1 entries are accepted so senders can sign with an old and a new secret while rotating.
+ * @param {String} secret - Shared secret
+ * @param {String} header - Signature header value
+ * @param {String|Buffer} body - Raw request body, exactly as received
+ * @param {Object} options - toleranceSeconds (default: 300), now (Date, default: current time)
+ * @returns {Boolean}
+ */
+const verifySignature = (secret, header, body, { toleranceSeconds = 300, now = new Date() } = {}) => {
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(now.getTime() / 1000) - parsed.timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, parsed.timestamp, body), 'hex');
+  return parsed.signatures.some(signature => crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex')));
+};
+
+module.exports = {
+  computeSignature,
+  signPayload,
+  parseSignatureHeader,
+  verifySignature
+};
@@ -0,0 +1,72 @@
+const dns = require('dns');
+const net = require('net');
+
+// Webhook subscribers must be public hosts, so a subscription cannot make the server
+// POST to itself or to other services on its network. Set WEBHOOK_ALLOW_PRIVATE_URLS=true
+// to allow local receivers (e.g. in development).
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+PRIVATE_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6');
+PRIVATE_ADDRESSES.addAddress('::1', 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+const allowsPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Check whether an IP address is unspecified, loopback, link-local or private
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they map.
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Find why a webhook URL may not be delivered to
+ * Host names are resolved, so a public name pointing at a private address is refused too.
+ * Names that do not resolve are accepted here; delivering to them fails and is retried.
+ * @param {String} url - Subscriber URL
+ * @returns {Promise<String|null>} Reason the URL is refused, or null if it may be used
+ */
+const checkWebhookUrl = async (url) => {
+  if (allowsPrivateUrls()) {
+    return null;
+  }
+
+  // The URL parser normalises IP literals, e.g. http://2130706433/ to 127.0.0.1
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return 'URL must not point at localhost';
+  }
+
+  if (net.isIP(hostname)) {
+    return isPrivateAddress(hostname) ? 'URL must not point at a loopback, link-local or private address' : null;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return null;
+  }
+
+  return addresses.some(({ address }) => isPrivateAddress(address))
+    ? `URL host ${hostname} resolves to a loopback, link-local or private address`
+    : null;
+};
+
+module.exports = {
+  isPrivateAddress,
+  checkWebhookUrl
+};
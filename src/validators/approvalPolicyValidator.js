@@ -0,0 +1,96 @@
+const { body, param } = require('express-validator');
+const { PERMISSIONS } = require('../utils/constants');
+const { handleValidationErrors } = require('./authValidator');
+const mongoose = require('mongoose');
+
+const validPermissions = Object.values(PERMISSIONS);
+
+/**
+ * Validation rules for approval policy ID parameter
+ */
+const validatePolicyId = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid approval policy ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Shared field rules for creating and updating policies
+ */
+const policyFieldRules = [
+  body('requiredPermissions')
+    .optional()
+    .isArray()
+    .withMessage('Required permissions must be an array')
+    .custom((value) => value.every(permission => validPermissions.includes(permission)))
+    .withMessage(`Required permissions must be drawn from: ${validPermissions.join(', ')}`),
+
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating an approval policy
+ */
+const validateCreatePolicy = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name is required'),
+
+  body('threshold')
+    .isFloat({ min: 0 })
+    .withMessage('Threshold must be a non-negative number')
+    .toFloat(),
+
+  body('requiredApprovals')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Required approvals must be between 1 and 10')
+    .toInt(),
+
+  ...policyFieldRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating an approval policy
+ */
+const validateUpdatePolicy = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid approval policy ID'),
+
+  body('threshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Threshold must be a non-negative number')
+    .toFloat(),
+
+  body('requiredApprovals')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Required approvals must be between 1 and 10')
+    .toInt(),
+
+  ...policyFieldRules,
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validatePolicyId,
+  validateCreatePolicy,
+  validateUpdatePolicy
+};
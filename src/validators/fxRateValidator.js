@@ -0,0 +1,34 @@
+const { body, param } = require('express-validator');
+const { handleValidationErrors } = require('./paymentValidator');
+
+/**
+ * Validation rules for creating/updating exchange rates
+ * Individual codes and rates are checked when the rates are stored.
+ */
+const validateSetRates = [
+  body('rates')
+    .isObject()
+    .withMessage('Rates must be an object of currency code to rate')
+    .bail()
+    .custom((value) => Object.keys(value).length > 0)
+    .withMessage('At least one rate is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for currency code parameter
+ */
+const validateCurrencyParam = [
+  param('currency')
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter code')
+    .toUpperCase(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateSetRates,
+  validateCurrencyParam
+};
@@ -0,0 +1,219 @@
+const { body, param, query } = require('express-validator');
+const { INVOICE_STATUS } = require('../utils/constants');
+const { isValidCurrency } = require('../utils/currencies');
+const { handleValidationErrors, hasCurrencyPrecision } = require('./paymentValidator');
+const mongoose = require('mongoose');
+
+const validStatuses = Object.values(INVOICE_STATUS);
+
+/**
+ * Validation rules for invoice ID parameter
+ */
+const validateInvoiceId = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid invoice ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Line item rules for creating and updating invoices
+ * @param {Boolean} checkPrecision - Check unit prices against the currency in the body
+ *   (updates cannot change the currency, so the model checks them instead)
+ */
+const lineItemRules = (checkPrecision) => {
+  const unitPrice = body('lineItems.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be 0 or greater')
+    .bail()
+    .toFloat();
+
+  return [
+    body('lineItems.*.description')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Line item description is required')
+      .isLength({ max: 500 })
+      .withMessage('Line item description must not exceed 500 characters'),
+
+    body('lineItems.*.quantity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+
+    checkPrecision ? unitPrice.custom(hasCurrencyPrecision) : unitPrice
+  ];
+};
+
+/**
+ * Field rules shared by invoice creation and updates
+ */
+const invoiceFieldRules = [
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+
+  body('issueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Issue date must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid ISO 8601 date')
+    .toDate()
+];
+
+/**
+ * Validation rules for creating an invoice
+ */
+const validateCreateInvoice = [
+  body('number')
+    .trim()
+    .notEmpty()
+    .withMessage('Invoice number is required')
+    .isLength({ max: 100 })
+    .withMessage('Invoice number must not exceed 100 characters'),
+
+  body('issuerId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid issuer ID'),
+
+  body('currency')
+    .custom(isValidCurrency)
+    .withMessage('Currency must be a valid ISO 4217 code')
+    .toUpperCase(),
+
+  body('dueDate')
+    .notEmpty()
+    .withMessage('Due date is required'),
+
+  body('lineItems')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Line items must be an array of 1 to 100 items'),
+
+  ...lineItemRules(true),
+  ...invoiceFieldRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating an invoice
+ */
+const validateUpdateInvoice = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid invoice ID'),
+
+  body('number')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Invoice number cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Invoice number must not exceed 100 characters'),
+
+  body('currency')
+    .not()
+    .exists()
+    .withMessage('The currency of an invoice cannot be changed'),
+
+  body('lineItems')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Line items must be an array of 1 to 100 items'),
+
+  ...lineItemRules(false),
+  ...invoiceFieldRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for cancelling an invoice
+ */
+const validateCancelInvoice = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid invoice ID'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing invoices
+ */
+const validateInvoiceQuery = [
+  query('status')
+    .optional()
+    .isIn(validStatuses)
+    .withMessage(`Status must be one of: ${validStatuses.join(', ')}`),
+
+  query('issuerId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid issuer ID'),
+
+  query('currency')
+    .optional()
+    .custom(isValidCurrency)
+    .withMessage('Currency must be a valid ISO 4217 code')
+    .toUpperCase(),
+
+  query(['overdue', 'outstanding'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('overdue and outstanding must be true or false'),
+
+  query(['minOutstanding', 'maxOutstanding'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minOutstanding and maxOutstanding must be numbers of 0 or more'),
+
+  query('maxOutstanding')
+    .optional()
+    .custom((value, { req }) => req.query.minOutstanding === undefined ||
+      parseFloat(value) >= parseFloat(req.query.minOutstanding))
+    .withMessage('maxOutstanding must not be less than minOutstanding'),
+
+  query(['dueBefore', 'dueAfter'])
+    .optional()
+    .isISO8601()
+    .withMessage('dueBefore and dueAfter must be valid ISO 8601 dates'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateInvoiceId,
+  validateCreateInvoice,
+  validateUpdateInvoice,
+  validateCancelInvoice,
+  validateInvoiceQuery
+};
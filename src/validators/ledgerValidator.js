@@ -0,0 +1,90 @@
+const { param, query } = require('express-validator');
+const { JOURNAL_ENTRY_TYPES } = require('../utils/constants');
+const { handleValidationErrors } = require('./paymentValidator');
+const mongoose = require('mongoose');
+
+const validEntryTypes = Object.values(JOURNAL_ENTRY_TYPES);
+
+/**
+ * Balance date: include entries posted up to this moment
+ */
+const asOfRule = query('asOf')
+  .optional()
+  .isISO8601()
+  .withMessage('asOf must be a valid ISO 8601 date')
+  .toDate();
+
+/**
+ * Validation rules for listing account balances
+ */
+const validateListAccounts = [
+  asOfRule,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a single account balance
+ */
+const validateAccountBalance = [
+  param('code')
+    .matches(/^[a-z0-9_]{1,50}$/i)
+    .withMessage('Invalid ledger account code'),
+
+  asOfRule,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing journal entries (query parameters)
+ */
+const validateListEntries = [
+  query('account')
+    .optional()
+    .matches(/^[a-z0-9_]{1,50}$/i)
+    .withMessage('Invalid ledger account code'),
+
+  query('paymentId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payment ID'),
+
+  query('type')
+    .optional()
+    .isIn(validEntryTypes)
+    .withMessage(`Type must be one of: ${validEntryTypes.join(', ')}`),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date')
+    .bail()
+    .custom((value, { req }) => !req.query.from || new Date(value) > new Date(req.query.from))
+    .withMessage('to must be after from')
+    .toDate(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateListAccounts,
+  validateAccountBalance,
+  validateListEntries
+};
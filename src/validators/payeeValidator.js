@@ -0,0 +1,183 @@
+const { body, param, query } = require('express-validator');
+const { PAYEE_TYPES, PAYEE_VERIFICATION_STATUS } = require('../utils/constants');
+const { handleValidationErrors } = require('./paymentValidator');
+const mongoose = require('mongoose');
+
+const validTypes = Object.values(PAYEE_TYPES);
+const validStatuses = Object.values(PAYEE_VERIFICATION_STATUS);
+const verificationDecisions = [PAYEE_VERIFICATION_STATUS.VERIFIED, PAYEE_VERIFICATION_STATUS.REJECTED];
+
+/**
+ * Validation rules for payee ID parameter
+ */
+const validatePayeeId = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payee ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Shared field rules for creating and updating payees
+ * Whether the payee has a bank account or wallet reference is checked by the model.
+ */
+const payeeFieldRules = [
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('bankDetails')
+    .optional()
+    .isObject()
+    .withMessage('Bank details must be an object'),
+
+  body([
+    'bankDetails.accountHolder',
+    'bankDetails.bankName',
+    'bankDetails.accountNumber',
+    'bankDetails.routingNumber'
+  ])
+    .optional()
+    .isString()
+    .withMessage('Bank detail fields must be strings')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bank detail fields must not exceed 100 characters'),
+
+  body('bankDetails.iban')
+    .optional()
+    .customSanitizer((value) => (typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase() : value))
+    .matches(/^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/)
+    .withMessage('IBAN is not valid'),
+
+  body('bankDetails.bic')
+    .optional()
+    .toUpperCase()
+    .matches(/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/)
+    .withMessage('BIC must be 8 or 11 characters'),
+
+  body('bankDetails.country')
+    .optional()
+    .toUpperCase()
+    .matches(/^[A-Z]{2}$/)
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+
+  body('walletReference')
+    .optional()
+    .isString()
+    .withMessage('Wallet reference must be a string')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Wallet reference must not exceed 100 characters')
+];
+
+/**
+ * Validation rules for creating a payee
+ */
+const validateCreatePayee = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Payee name is required')
+    .isLength({ max: 200 })
+    .withMessage('Payee name must not exceed 200 characters'),
+
+  body('type')
+    .isIn(validTypes)
+    .withMessage(`Type must be one of: ${validTypes.join(', ')}`),
+
+  ...payeeFieldRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a payee
+ */
+const validateUpdatePayee = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payee ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Payee name cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Payee name must not exceed 200 characters'),
+
+  body('type')
+    .optional()
+    .isIn(validTypes)
+    .withMessage(`Type must be one of: ${validTypes.join(', ')}`),
+
+  ...payeeFieldRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for verifying or rejecting a payee
+ */
+const validateVerifyPayee = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payee ID'),
+
+  body('status')
+    .isIn(verificationDecisions)
+    .withMessage(`Status must be one of: ${verificationDecisions.join(', ')}`),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing payees
+ */
+const validatePayeeQuery = [
+  query('search')
+    .optional()
+    .isString()
+    .trim(),
+
+  query('type')
+    .optional()
+    .isIn(validTypes)
+    .withMessage(`Type must be one of: ${validTypes.join(', ')}`),
+
+  query('verificationStatus')
+    .optional()
+    .isIn(validStatuses)
+    .withMessage(`Verification status must be one of: ${validStatuses.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validatePayeeId,
+  validateCreatePayee,
+  validateUpdatePayee,
+  validateVerifyPayee,
+  validatePayeeQuery
+};
@@ -0,0 +1,80 @@
+const { body, param, query } = require('express-validator');
+const { PAYMENT_BATCH_STATUS } = require('../utils/constants');
+const { handleValidationErrors } = require('./paymentValidator');
+const mongoose = require('mongoose');
+
+/**
+ * Validation rules for importing a payment batch
+ * The CSV file is the raw request body; rows are validated by the import itself.
+ */
+const validateImportPaymentBatch = [
+  query('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Batch name is required')
+    .isLength({ max: 100 })
+    .withMessage('Batch name must not exceed 100 characters'),
+
+  body()
+    .custom((value) => typeof value === 'string' && value.trim() !== '')
+    .withMessage('Request body must be a CSV file sent with Content-Type: text/csv'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for payment batch ID parameter
+ */
+const validatePaymentBatchId = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payment batch ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for discarding a payment batch
+ */
+const validateDiscardPaymentBatch = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payment batch ID'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing payment batches (query parameters)
+ */
+const validateListPaymentBatches = [
+  query('status')
+    .optional()
+    .isIn(Object.values(PAYMENT_BATCH_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(PAYMENT_BATCH_STATUS).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateImportPaymentBatch,
+  validatePaymentBatchId,
+  validateDiscardPaymentBatch,
+  validateListPaymentBatches
+};
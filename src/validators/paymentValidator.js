@@ -1,8 +1,23 @@
 const { body, param, query, validationResult } = require('express-validator');
-const { HTTP_STATUS, PAYMENT_METHODS, PAYMENT_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, PAYMENT_METHODS, PAYMENT_STATUS, EXPORT_FORMATS, REVIEW_DECISIONS } = require('../utils/constants');
+const { EXPORT_COLUMNS } = require('../services/paymentExport');
 const { errorResponse } = require('../utils/responseFormatter');
+const { isValidCurrency, toMinorUnits } = require('../utils/currencies');
 const mongoose = require('mongoose');
 
+/**
+ * Format express-validator errors for API responses
+ * @param {Object} errors - Result of validationResult()
+ * @returns {Array<Object>} { field, message, value } entries
+ */
+const formatValidationErrors = (errors) => {
+  return errors.array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg,
+    value: err.value
+  }));
+};
+
 /**
  * Middleware to handle validation errors
  */
@@ -10,11 +25,7 @@ const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
 
   if (!errors.isEmpty()) {
-    const formattedErrors = errors.array().map(err => ({
-      field: err.path || err.param,
-      message: err.msg,
-      value: err.value
-    }));
+    const formattedErrors = formatValidationErrors(errors);
 
     return errorResponse(
       res,
@@ -28,18 +39,37 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 /**
- * Validation rules for creating payment
+ * Check an amount fits the precision of the request's currency (default: USD)
+ * e.g. JPY amounts must be whole numbers and USD amounts have at most 2 decimals.
  */
-const validateCreatePayment = [
+const hasCurrencyPrecision = (value, { req }) => {
+  const currency = typeof req.body.currency === 'string' ? req.body.currency.toUpperCase() : 'USD';
+
+  // An invalid currency is reported on the currency field
+  if (!isValidCurrency(currency)) {
+    return true;
+  }
+
+  // Throws a RangeError naming the allowed precision
+  toMinorUnits(value, currency);
+  return true;
+};
+
+/**
+ * Field rules shared by every endpoint that creates payments
+ */
+const paymentFieldRules = [
   body('amount')
-    .isFloat({ min: 0.01 })
-    .withMessage('Amount must be greater than 0'),
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+    .bail()
+    .custom(hasCurrencyPrecision),
 
   body('currency')
     .optional()
     .isString()
-    .isLength({ min: 3, max: 3 })
-    .withMessage('Currency must be a 3-letter code')
+    .custom(isValidCurrency)
+    .withMessage('Currency must be a valid ISO 4217 code')
     .toUpperCase(),
 
   body('description')
@@ -56,11 +86,58 @@ const validateCreatePayment = [
   body('metadata')
     .optional()
     .isObject()
-    .withMessage('Metadata must be an object'),
+    .withMessage('Metadata must be an object')
+];
+
+/**
+ * Validation rules for creating payment
+ */
+const validateCreatePayment = [
+  ...paymentFieldRules,
+
+  body('payeeId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payee ID'),
+
+  body('invoiceId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid invoice ID'),
+
+  body('executeAt')
+    .optional()
+    .isISO8601()
+    .withMessage('executeAt must be a valid ISO 8601 date')
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('executeAt must be in the future')
+    .toDate(),
 
   handleValidationErrors
 ];
 
+/**
+ * Run the validateCreatePayment rules against a payment that did not arrive as a
+ * request body (e.g. a CSV import row)
+ * @param {Object} fields - Raw payment fields
+ * @returns {Promise<Object>} { value, errors } - value holds the sanitized fields
+ */
+const validatePaymentFields = async (fields) => {
+  const req = { body: { ...fields } };
+
+  for (const rule of validateCreatePayment) {
+    if (typeof rule.run === 'function') {
+      await rule.run(req);
+    }
+  }
+
+  return {
+    value: req.body,
+    errors: formatValidationErrors(validationResult(req))
+  };
+};
+
 /**
  * Validation rules for payment ID parameter
  */
@@ -90,9 +167,107 @@ const validateApproveReject = [
 ];
 
 /**
- * Validation rules for listing payments (query parameters)
+ * Validation rules for reviewing a payment held for risk review
  */
-const validateListPayments = [
+const validateReview = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payment ID'),
+
+  body('decision')
+    .isIn(Object.values(REVIEW_DECISIONS))
+    .withMessage(`Decision must be one of: ${Object.values(REVIEW_DECISIONS).join(', ')}`),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for cancelling a payment
+ */
+const validateCancel = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payment ID'),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Cancellation reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for refunding a payment
+ */
+const validateRefund = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payment ID'),
+
+  // Precision is checked against the payment's currency when the refund is made
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be greater than 0'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for gateway callbacks
+ * The body is checked by the provider's adapter once its signature is verified.
+ */
+const validateGatewayCallback = [
+  param('provider')
+    .matches(/^[a-z0-9_-]{1,50}$/i)
+    .withMessage('Invalid gateway provider'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for bulk approve, reject and process requests
+ */
+const validateBulkAction = [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ids must be an array of 1 to 100 payment IDs')
+    .bail()
+    .custom((ids) => new Set(ids.map(String)).size === ids.length)
+    .withMessage('ids must not contain duplicates'),
+
+  body('ids.*')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payment ID'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Filters shared by the payment list and export endpoints
+ */
+const paymentFilterRules = [
   query('status')
     .optional()
     .isIn(Object.values(PAYMENT_STATUS))
@@ -103,6 +278,28 @@ const validateListPayments = [
     .custom((value) => mongoose.Types.ObjectId.isValid(value))
     .withMessage('Invalid user ID'),
 
+  query('batchId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payment batch ID'),
+
+  query('payeeId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payee ID'),
+
+  query('invoiceId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid invoice ID')
+];
+
+/**
+ * Validation rules for listing payments (query parameters)
+ */
+const validateListPayments = [
+  ...paymentFilterRules,
+
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -116,10 +313,39 @@ const validateListPayments = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for exporting payments (query parameters)
+ */
+const validateExportPayments = [
+  ...paymentFilterRules,
+
+  query('format')
+    .optional()
+    .isIn(Object.values(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.values(EXPORT_FORMATS).join(', ')}`),
+
+  query('columns')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').map(column => column.trim()).filter(Boolean))
+    .custom((columns) => columns.length > 0 && columns.every(column => Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, column)))
+    .withMessage(`Columns must be a comma-separated list of: ${Object.keys(EXPORT_COLUMNS).join(', ')}`),
+
+  handleValidationErrors
+];
+
 module.exports = {
+  paymentFieldRules,
   validateCreatePayment,
+  validatePaymentFields,
   validatePaymentId,
   validateApproveReject,
+  validateReview,
+  validateCancel,
+  validateRefund,
+  validateGatewayCallback,
+  validateBulkAction,
   validateListPayments,
+  validateExportPayments,
+  hasCurrencyPrecision,
   handleValidationErrors
 };
@@ -0,0 +1,97 @@
+const { body, param, query } = require('express-validator');
+const { RECURRING_FREQUENCIES, RECURRING_STATUS } = require('../utils/constants');
+const { isValidCron } = require('../utils/cron');
+const { paymentFieldRules, handleValidationErrors } = require('./paymentValidator');
+const mongoose = require('mongoose');
+
+/**
+ * Validation rules for creating a recurring payment schedule
+ */
+const validateCreateRecurringPayment = [
+  ...paymentFieldRules,
+
+  body('payeeId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid payee ID'),
+
+  body('frequency')
+    .isIn(Object.values(RECURRING_FREQUENCIES))
+    .withMessage(`Frequency must be one of: ${Object.values(RECURRING_FREQUENCIES).join(', ')}`),
+
+  body('intervalCount')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365')
+    .toInt(),
+
+  body('cronExpression')
+    .if(body('frequency').equals(RECURRING_FREQUENCIES.CRON))
+    .notEmpty()
+    .withMessage('Cron expression is required for cron schedules')
+    .bail()
+    .custom((value) => isValidCron(value))
+    .withMessage('Cron expression must have 5 valid fields: minute hour day-of-month month day-of-week'),
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('startDate must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('endDate must be a valid ISO 8601 date')
+    .bail()
+    .custom((value, { req }) => new Date(value) > new Date(req.body.startDate || Date.now()))
+    .withMessage('endDate must be after startDate')
+    .toDate(),
+
+  body('maxOccurrences')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max occurrences must be a positive integer')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for recurring payment ID parameter
+ */
+const validateRecurringPaymentId = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid recurring payment ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing recurring payments (query parameters)
+ */
+const validateListRecurringPayments = [
+  query('status')
+    .optional()
+    .isIn(Object.values(RECURRING_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(RECURRING_STATUS).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateCreateRecurringPayment,
+  validateRecurringPaymentId,
+  validateListRecurringPayments
+};
@@ -0,0 +1,71 @@
+const { query } = require('express-validator');
+const { REPORT_GROUP_BY } = require('../utils/constants');
+const { handleValidationErrors } = require('./paymentValidator');
+
+/**
+ * Date range filter shared by every report (on payment createdAt)
+ */
+const reportRangeRules = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date')
+    .bail()
+    .custom((value, { req }) => !req.query.from || new Date(value) > new Date(req.query.from))
+    .withMessage('to must be after from')
+    .toDate()
+];
+
+/**
+ * Report amounts in the base currency instead of per payment currency
+ */
+const inBaseCurrencyRule = query('inBaseCurrency')
+  .optional()
+  .isBoolean()
+  .withMessage('inBaseCurrency must be true or false')
+  .toBoolean();
+
+/**
+ * Validation rules for date-range-only reports
+ */
+const validateReportRange = [
+  ...reportRangeRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the payment summary report
+ */
+const validateSummaryReport = [
+  ...reportRangeRules,
+  inBaseCurrencyRule,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the grouped payment breakdown report
+ */
+const validateBreakdownReport = [
+  query('groupBy')
+    .isIn(Object.values(REPORT_GROUP_BY))
+    .withMessage(`groupBy must be one of: ${Object.values(REPORT_GROUP_BY).join(', ')}`),
+
+  ...reportRangeRules,
+  inBaseCurrencyRule,
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateReportRange,
+  validateSummaryReport,
+  validateBreakdownReport
+};
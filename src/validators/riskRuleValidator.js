@@ -0,0 +1,88 @@
+const { body, param } = require('express-validator');
+const { RISK_RULE_TYPES } = require('../utils/constants');
+const { handleValidationErrors } = require('./paymentValidator');
+const mongoose = require('mongoose');
+
+const validTypes = Object.values(RISK_RULE_TYPES);
+
+/**
+ * Validation rules for risk rule ID parameter
+ */
+const validateRuleId = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid risk rule ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Shared field rules for creating and updating rules
+ * Params are checked against the rule type by the model.
+ */
+const ruleFieldRules = [
+  body('params')
+    .optional()
+    .isObject()
+    .withMessage('Params must be an object'),
+
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a risk rule
+ */
+const validateCreateRule = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule name is required'),
+
+  body('type')
+    .isIn(validTypes)
+    .withMessage(`Type must be one of: ${validTypes.join(', ')}`),
+
+  body('score')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Score must be between 1 and 100')
+    .toInt(),
+
+  ...ruleFieldRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a risk rule
+ */
+const validateUpdateRule = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid risk rule ID'),
+
+  body('score')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Score must be between 1 and 100')
+    .toInt(),
+
+  ...ruleFieldRules,
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateRuleId,
+  validateCreateRule,
+  validateUpdateRule
+};
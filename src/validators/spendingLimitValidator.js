@@ -0,0 +1,88 @@
+const { body, param } = require('express-validator');
+const { handleValidationErrors } = require('./paymentValidator');
+const { getBaseCurrency } = require('../services/fxRates');
+const { toMinorUnits } = require('../utils/currencies');
+const mongoose = require('mongoose');
+
+/**
+ * Check a limit fits the precision of the base currency
+ */
+const hasBaseCurrencyPrecision = (value) => {
+  // Throws a RangeError naming the allowed precision
+  toMinorUnits(value, getBaseCurrency());
+  return true;
+};
+
+/**
+ * Rules for one limit amount: a non-negative amount in the base currency, or null for unlimited
+ */
+const limitAmountRule = (field, label) => body(field)
+  .optional({ values: 'null' })
+  .isFloat({ min: 0 })
+  .withMessage(`${label} limit must be a non-negative number or null`)
+  .bail()
+  .custom(hasBaseCurrencyPrecision);
+
+/**
+ * Shared field rules for setting role and user limits
+ */
+const limitFieldRules = [
+  limitAmountRule('perTransaction', 'Per-transaction'),
+  limitAmountRule('daily', 'Daily'),
+  limitAmountRule('monthly', 'Monthly')
+];
+
+/**
+ * Validation rules for role ID parameter
+ */
+const validateRoleId = [
+  param('roleId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid role ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for user ID parameter
+ */
+const validateUserId = [
+  param('userId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid user ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for setting a role's limits
+ */
+const validateSetRoleLimit = [
+  param('roleId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid role ID'),
+
+  ...limitFieldRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for setting a user's limits
+ */
+const validateSetUserLimit = [
+  param('userId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid user ID'),
+
+  ...limitFieldRules,
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateRoleId,
+  validateUserId,
+  validateSetRoleLimit,
+  validateSetUserLimit
+};
@@ -0,0 +1,136 @@
+const { body, param, query } = require('express-validator');
+const { WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+const { hasCurrencyPrecision, handleValidationErrors } = require('./paymentValidator');
+const { isValidCurrency } = require('../utils/currencies');
+const mongoose = require('mongoose');
+
+const validTransactionTypes = Object.values(WALLET_TRANSACTION_TYPES);
+
+/**
+ * Rules shared by top-ups and adjustments: the user and the wallet currency
+ */
+const walletMovementRules = [
+  param('userId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid user ID'),
+
+  body('currency')
+    .isString()
+    .custom(isValidCurrency)
+    .withMessage('Currency must be a valid ISO 4217 code')
+    .toUpperCase()
+];
+
+/**
+ * Validation rules for user ID parameter
+ */
+const validateUserId = [
+  param('userId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid user ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for topping up a wallet
+ */
+const validateTopUp = [
+  ...walletMovementRules,
+
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+    .bail()
+    .custom(hasCurrencyPrecision),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for adjusting a wallet
+ * The amount is signed: positive adds to the balance, negative takes from it.
+ */
+const validateAdjustment = [
+  ...walletMovementRules,
+
+  body('amount')
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .bail()
+    .custom((value) => Number(value) !== 0)
+    .withMessage('Amount must not be 0')
+    .bail()
+    .custom((value, meta) => hasCurrencyPrecision(String(value).trim().replace(/^-/, ''), meta)),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required for adjustments')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Filters and pagination for wallet transaction history
+ */
+const transactionListRules = [
+  query('currency')
+    .optional()
+    .custom(isValidCurrency)
+    .withMessage('Currency must be a valid ISO 4217 code')
+    .toUpperCase(),
+
+  query('type')
+    .optional()
+    .isIn(validTransactionTypes)
+    .withMessage(`Type must be one of: ${validTransactionTypes.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Validation rules for the current user's transaction history
+ */
+const validateMyTransactions = [
+  ...transactionListRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a user's transaction history
+ */
+const validateUserTransactions = [
+  param('userId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid user ID'),
+
+  ...transactionListRules,
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateUserId,
+  validateTopUp,
+  validateAdjustment,
+  validateMyTransactions,
+  validateUserTransactions
+};
@@ -0,0 +1,142 @@
+const { body, param, query } = require('express-validator');
+const { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS } = require('../utils/constants');
+const { handleValidationErrors } = require('./paymentValidator');
+const { checkWebhookUrl } = require('../utils/webhookUrls');
+const mongoose = require('mongoose');
+
+const validEvents = Object.values(WEBHOOK_EVENTS);
+
+/**
+ * Validation rules for subscription ID parameter
+ */
+const validateSubscriptionId = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid webhook subscription ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for delivery ID parameter
+ */
+const validateDeliveryId = [
+  param('deliveryId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid webhook delivery ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Shared field rules for creating and updating subscriptions
+ * Local and private URLs are refused unless WEBHOOK_ALLOW_PRIVATE_URLS is set.
+ */
+const subscriptionFieldRules = [
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http(s) URL')
+    .bail()
+    .custom(async (value) => {
+      const reason = await checkWebhookUrl(value);
+      if (reason) {
+        throw new Error(reason);
+      }
+    }),
+
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array')
+    .bail()
+    .custom((value) => value.every(event => validEvents.includes(event)))
+    .withMessage(`Events must be drawn from: ${validEvents.join(', ')}`),
+
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a subscription
+ */
+const validateCreateSubscription = [
+  body('url')
+    .exists()
+    .withMessage('URL is required'),
+
+  body('events')
+    .exists()
+    .withMessage('Events are required'),
+
+  ...subscriptionFieldRules,
+
+  body('secret')
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 200 })
+    .withMessage('Secret must be between 16 and 200 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a subscription
+ */
+const validateUpdateSubscription = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid webhook subscription ID'),
+
+  ...subscriptionFieldRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing a subscription's deliveries
+ */
+const validateListDeliveries = [
+  param('id')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid webhook subscription ID'),
+
+  query('status')
+    .optional()
+    .isIn(Object.values(WEBHOOK_DELIVERY_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(WEBHOOK_DELIVERY_STATUS).join(', ')}`),
+
+  query('event')
+    .optional()
+    .isIn(validEvents)
+    .withMessage(`Event must be one of: ${validEvents.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateSubscriptionId,
+  validateDeliveryId,
+  validateCreateSubscription,
+  validateUpdateSubscription,
+  validateListDeliveries
+};
@@ -0,0 +1,154 @@
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const Payee = require('../models/Payee');
+const { claimForProcessing } = require('../services/paymentProcessing');
+const { enqueuePaymentJob } = require('../services/paymentJobs');
+const { generateDueRecurringPayments } = require('../services/recurringPayments');
+const { PAYMENT_STATUS, PAYMENT_EVENTS, PAYEE_VERIFICATION_STATUS } = require('../utils/constants');
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Queue approved payments whose executeAt has passed for the payment worker
+ * Safe to run in several processes: each payment is claimed atomically,
+ * so only one scheduler queues it. Payments whose payee is not verified (any more)
+ * wait until it is, without holding up the payments behind them.
+ * @param {Number} batchSize - Maximum payments to pick up per run
+ * @returns {Promise<Number>} Number of payments queued by this process
+ */
+const executeDuePayments = async (batchSize) => {
+  const duePayments = await Payment.aggregate([
+    { $match: { status: PAYMENT_STATUS.APPROVED, executeAt: { $lte: new Date() } } },
+    { $sort: { executeAt: 1 } },
+    { $lookup: { from: Payee.collection.name, localField: 'payee', foreignField: '_id', as: 'payeeDoc' } },
+    { $match: { $or: [{ payee: null }, { 'payeeDoc.verificationStatus': PAYEE_VERIFICATION_STATUS.VERIFIED }] } },
+    { $limit: batchSize },
+    { $project: { _id: 1, payee: 1 } }
+  ]);
+
+  let executed = 0;
+
+  for (const candidate of duePayments) {
+    try {
+      const payment = await claimForProcessing(candidate, { details: { scheduled: true } });
+
+      // Another process got there first
+      if (!payment) {
+        continue;
+      }
+
+      await enqueuePaymentJob(payment);
+      executed++;
+    } catch (error) {
+      console.error(`Scheduler failed to execute payment ${candidate._id}:`, error);
+    }
+  }
+
+  return executed;
+};
+
+// Statuses in which a payment is still awaiting approval
+const AWAITING_APPROVAL_STATUSES = [PAYMENT_STATUS.REVIEW, PAYMENT_STATUS.PENDING];
+
+/**
+ * Flag payments that reached their executeAt while still awaiting approval (or review)
+ * Each payment is flagged once.
+ * @param {Number} batchSize - Maximum payments to flag per run
+ * @returns {Promise<Number>} Number of payments flagged by this process
+ */
+const flagOverduePayments = async (batchSize) => {
+  const now = new Date();
+  const overduePayments = await Payment.find({
+    status: { $in: AWAITING_APPROVAL_STATUSES },
+    executeAt: { $lte: now },
+    executionOverdueAt: { $exists: false }
+  })
+    .select('_id')
+    .limit(batchSize);
+
+  let flagged = 0;
+
+  for (const candidate of overduePayments) {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: candidate._id, status: { $in: AWAITING_APPROVAL_STATUSES }, executionOverdueAt: { $exists: false } },
+      { $set: { executionOverdueAt: now } },
+      { new: true }
+    );
+
+    if (payment) {
+      await PaymentEvent.record(payment, PAYMENT_EVENTS.EXECUTION_OVERDUE, {
+        fromStatus: payment.status,
+        toStatus: payment.status,
+        reason: 'Scheduled execution date reached before approval',
+        details: { executeAt: payment.executeAt }
+      });
+      flagged++;
+    }
+  }
+
+  return flagged;
+};
+
+/**
+ * Run one scheduler pass
+ */
+const runScheduler = async () => {
+  // Skip if the previous pass in this process is still running
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  const batchSize = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 50;
+
+  try {
+    const generated = await generateDueRecurringPayments(batchSize);
+    const executed = await executeDuePayments(batchSize);
+    const flagged = await flagOverduePayments(batchSize);
+
+    if (generated > 0 || executed > 0 || flagged > 0) {
+      console.log(
+        `Scheduler: generated ${generated} recurring payment(s), queued ${executed} payment(s), ` +
+        `flagged ${flagged} overdue payment(s)`
+      );
+    }
+  } catch (error) {
+    console.error('Scheduler run failed:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the payment scheduler
+ * Disabled when SCHEDULER_ENABLED is 'false'.
+ */
+const startPaymentScheduler = () => {
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  const intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60000;
+  timer = setInterval(runScheduler, intervalMs);
+  timer.unref();
+
+  console.log(`Payment scheduler started (every ${intervalMs / 1000}s)`);
+};
+
+/**
+ * Stop the payment scheduler
+ */
+const stopPaymentScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    console.log('Payment scheduler stopped');
+  }
+};
+
+module.exports = {
+  startPaymentScheduler,
+  stopPaymentScheduler,
+  runScheduler
+};
@@ -0,0 +1,79 @@
+const { processDueJobs } = require('../services/paymentJobs');
+const { postPendingEntries } = require('../services/ledger');
+const { creditPendingRefunds } = require('../services/wallets');
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Run one worker pass: run due jobs, then make the wallet credits and ledger postings still owed
+ */
+const runPaymentWorker = async () => {
+  // Skip if the previous pass in this process is still running
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  const batchSize = parseInt(process.env.PAYMENT_WORKER_BATCH_SIZE) || 20;
+
+  try {
+    const { processed, recovered } = await processDueJobs(batchSize);
+
+    if (recovered > 0) {
+      console.log(`Payment worker: recovered ${recovered} interrupted job(s), ran ${processed} job(s)`);
+    }
+
+    const credited = await creditPendingRefunds(batchSize);
+
+    if (credited > 0) {
+      console.log(`Payment worker: credited ${credited} pending wallet refund(s)`);
+    }
+
+    const posted = await postPendingEntries(batchSize);
+
+    if (posted > 0) {
+      console.log(`Payment worker: posted ${posted} pending ledger entr${posted === 1 ? 'y' : 'ies'}`);
+    }
+  } catch (error) {
+    console.error('Payment worker run failed:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the payment worker
+ * Disabled when PAYMENT_WORKER_ENABLED is 'false'. Jobs are still queued by such
+ * processes and run by any process running the worker.
+ */
+const startPaymentWorker = () => {
+  if (timer || process.env.PAYMENT_WORKER_ENABLED === 'false') {
+    return;
+  }
+
+  const intervalMs = parseInt(process.env.PAYMENT_WORKER_INTERVAL_MS) || 2000;
+  timer = setInterval(runPaymentWorker, intervalMs);
+  timer.unref();
+
+  console.log(`Payment worker started (every ${intervalMs / 1000}s)`);
+};
+
+/**
+ * Stop the payment worker
+ * A job already running finishes; one cut off by the process exiting is recovered
+ * once its lease expires.
+ */
+const stopPaymentWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    console.log('Payment worker stopped');
+  }
+};
+
+module.exports = {
+  startPaymentWorker,
+  stopPaymentWorker,
+  runPaymentWorker
+};
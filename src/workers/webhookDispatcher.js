@@ -0,0 +1,69 @@
+const { queueMissedWebhookDeliveries, deliverDueWebhooks } = require('../services/webhooks');
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Run one dispatcher pass: queue events left without deliveries, then attempt due deliveries
+ */
+const runWebhookDispatcher = async () => {
+  // Skip if the previous pass in this process is still running
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  const batchSize = parseInt(process.env.WEBHOOK_BATCH_SIZE) || 50;
+
+  try {
+    const recovered = await queueMissedWebhookDeliveries(batchSize);
+
+    if (recovered > 0) {
+      console.log(`Webhook dispatcher: queued deliveries for ${recovered} missed payment event(s)`);
+    }
+
+    const { succeeded, failed } = await deliverDueWebhooks(batchSize);
+
+    if (failed > 0) {
+      console.log(`Webhook dispatcher: delivered ${succeeded} webhook(s), ${failed} attempt(s) failed`);
+    }
+  } catch (error) {
+    console.error('Webhook dispatcher run failed:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the webhook dispatcher
+ * Disabled when WEBHOOK_DISPATCHER_ENABLED is 'false'. Deliveries are still queued
+ * by such processes and sent by any process running the dispatcher.
+ */
+const startWebhookDispatcher = () => {
+  if (timer || process.env.WEBHOOK_DISPATCHER_ENABLED === 'false') {
+    return;
+  }
+
+  const intervalMs = parseInt(process.env.WEBHOOK_INTERVAL_MS) || 5000;
+  timer = setInterval(runWebhookDispatcher, intervalMs);
+  timer.unref();
+
+  console.log(`Webhook dispatcher started (every ${intervalMs / 1000}s)`);
+};
+
+/**
+ * Stop the webhook dispatcher
+ */
+const stopWebhookDispatcher = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    console.log('Webhook dispatcher stopped');
+  }
+};
+
+module.exports = {
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+  runWebhookDispatcher
+};
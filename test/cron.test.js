@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, isValidCron, getNextCronDate } = require('../src/utils/cron');
+
+describe('cron', () => {
+  it('parses numbers, lists, ranges and steps', () => {
+    const parsed = parseCron('*/15 9-17/4 1,15 * 1-5');
+
+    assert.deepEqual([...parsed.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...parsed.hours], [9, 13, 17]);
+    assert.deepEqual([...parsed.daysOfMonth], [1, 15]);
+    assert.equal(parsed.months.size, 12);
+  });
+
+  it('accepts 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+  });
+
+  it('rejects ranges with a missing end and values that are not plain integers', () => {
+    ['-5 * * * *', '5- * * * *', '1-2-3 * * * *', '1e1 * * * *', '0x5 * * * *', '1.5 * * * *'].forEach((expression) => {
+      assert.throws(() => parseCron(expression), /Invalid value ".*" in cron minute field/, expression);
+    });
+  });
+
+  it('rejects values outside the field, reversed ranges and bad steps', () => {
+    assert.throws(() => parseCron('0 24 * * *'), /cron hour field/);
+    assert.throws(() => parseCron('0 0 0 * *'), /cron day of month field/);
+    assert.throws(() => parseCron('0 0 * 10-2 *'), /cron month field/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid step "0"/);
+    assert.throws(() => parseCron('5/ * * * *'), /Invalid step ""/);
+    assert.equal(isValidCron('0 0 * *'), false);
+  });
+
+  it('finds the next matching minute in UTC', () => {
+    const next = getNextCronDate('30 9 * * 1-5', new Date('2024-01-05T10:00:00Z'));
+
+    // Friday after 09:30, so the next run is Monday
+    assert.equal(next.toISOString(), '2024-01-08T09:30:00.000Z');
+  });
+});
@@ -0,0 +1,153 @@
+require('./helpers');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const PaymentEvent = require('../src/models/PaymentEvent');
+const ledger = require('../src/services/ledger');
+const { handleGatewayCallback } = require('../src/services/gatewayCallbacks');
+const { signPayload } = require('../src/utils/signatures');
+const { PAYMENT_STATUS, PAYMENT_EVENTS } = require('../src/utils/constants');
+
+const SECRET = 'mock-callback-secret';
+
+const buildPayment = (fields = {}) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amountMinor: 1095,
+  amount: 10.95,
+  currency: 'USD',
+  paymentMethod: 'card',
+  status: PAYMENT_STATUS.PROCESSING,
+  transactionId: 'TXN-CALLBACK-1',
+  ...fields
+});
+
+/**
+ * Build a callback request as the mock processor sends it
+ * @param {Object} body - Callback body
+ * @param {String} secret - Secret to sign with (null to leave it unsigned)
+ * @returns {Object} Request with rawBody, headers and body
+ */
+const buildCallback = (body, secret = SECRET) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+
+  return {
+    rawBody,
+    body,
+    headers: secret ? { 'x-gateway-signature': signPayload(secret, rawBody) } : {}
+  };
+};
+
+const captured = (fields = {}) => buildCallback({
+  id: 'evt_1',
+  type: 'payment.captured',
+  transactionId: 'TXN-CALLBACK-1',
+  reference: 'MOCK-CAP-TXN-CALLBACK-1',
+  ...fields
+});
+
+describe('handleGatewayCallback', () => {
+  let payment;
+  let settle;
+  let record;
+
+  before(() => {
+    process.env.PAYMENT_GATEWAY_MOCK_CALLBACK_SECRET = SECRET;
+  });
+
+  after(() => {
+    delete process.env.PAYMENT_GATEWAY_MOCK_CALLBACK_SECRET;
+  });
+
+  beforeEach(() => {
+    payment = buildPayment();
+    mock.method(Payment, 'findOne', async () => payment);
+    settle = mock.method(Payment, 'findOneAndUpdate', async (filter, update) => (
+      new Payment({ ...payment.toObject(), ...update.$set })
+    ));
+    record = mock.method(PaymentEvent, 'record', async () => ({}));
+    mock.method(ledger, 'postPaymentCompleted', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('completes a processing payment the processor captured', async () => {
+    const { applied, payment: settled } = await handleGatewayCallback(captured(), 'mock');
+
+    const [filter, update] = settle.mock.calls[0].arguments;
+    assert.equal(applied, true);
+    assert.deepEqual(filter, { _id: payment._id, status: PAYMENT_STATUS.PROCESSING });
+    assert.equal(update.$set['gateway.provider'], 'mock');
+    assert.equal(update.$set['gateway.captureReference'], 'MOCK-CAP-TXN-CALLBACK-1');
+    assert.equal(settled.status, PAYMENT_STATUS.COMPLETED);
+    assert.equal(record.mock.calls[0].arguments[1], PAYMENT_EVENTS.COMPLETED);
+    assert.equal(ledger.postPaymentCompleted.mock.callCount(), 1);
+  });
+
+  it('fails a processing payment the processor declined', async () => {
+    const { payment: settled } = await handleGatewayCallback(
+      buildCallback({ id: 'evt_2', type: 'payment.declined', transactionId: 'TXN-CALLBACK-1', message: 'Do not honor' }),
+      'mock'
+    );
+
+    assert.equal(settled.status, PAYMENT_STATUS.FAILED);
+    assert.equal(settled.failureReason, 'Payment declined: Do not honor');
+    assert.equal(ledger.postPaymentCompleted.mock.callCount(), 0);
+  });
+
+  it('rejects callbacks that are unsigned or signed with another secret', async () => {
+    await assert.rejects(handleGatewayCallback(buildCallback({ id: 'evt_1' }, null), 'mock'), { statusCode: 401 });
+    await assert.rejects(handleGatewayCallback(buildCallback({ id: 'evt_1' }, 'forged'), 'mock'), { statusCode: 401 });
+    assert.equal(settle.mock.callCount(), 0);
+  });
+
+  it('rejects callbacks for unknown providers and payloads it does not understand', async () => {
+    await assert.rejects(handleGatewayCallback(captured(), 'acme'), { statusCode: 404 });
+    await assert.rejects(handleGatewayCallback(buildCallback({ id: 'evt_1', type: 'payment.refunded' }), 'mock'), { statusCode: 400 });
+  });
+
+  it('refuses to settle a payment whose method uses another provider', async () => {
+    payment = buildPayment({ paymentMethod: 'wallet' });
+
+    await assert.rejects(handleGatewayCallback(captured(), 'mock'), { statusCode: 404 });
+    assert.equal(settle.mock.callCount(), 0);
+  });
+
+  it('asks the processor to retry a callback that arrived before processing', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.APPROVED });
+
+    await assert.rejects(handleGatewayCallback(captured(), 'mock'), { statusCode: 409 });
+  });
+
+  it('acknowledges a callback for a settled payment without changing it', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.COMPLETED, completedAt: new Date() });
+
+    const { applied } = await handleGatewayCallback(captured(), 'mock');
+
+    assert.equal(applied, false);
+    assert.equal(settle.mock.callCount(), 0);
+  });
+
+  it('applies a duplicate delivery only once', async () => {
+    settle.mock.mockImplementation(async () => null);
+    mock.method(Payment, 'findById', async () => buildPayment({ status: PAYMENT_STATUS.COMPLETED, completedAt: new Date() }));
+
+    const { applied } = await handleGatewayCallback(captured(), 'mock');
+
+    assert.equal(applied, false);
+    assert.equal(record.mock.callCount(), 0);
+  });
+
+  it('ignores a late result for an attempt that was retried', async () => {
+    payment = buildPayment({
+      attemptHistory: [{ attempt: 1, gateway: { captureReference: 'MOCK-CAP-OLD' } }]
+    });
+
+    const { applied } = await handleGatewayCallback(captured({ reference: 'MOCK-CAP-OLD' }), 'mock');
+
+    assert.equal(applied, false);
+    assert.equal(settle.mock.callCount(), 0);
+  });
+});
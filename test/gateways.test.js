@@ -0,0 +1,244 @@
+require('./helpers');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const MockGateway = require('../src/gateways/MockGateway');
+const BaseGateway = require('../src/gateways/BaseGateway');
+const { registerGateway, getGateway, executePayment } = require('../src/gateways');
+const { signPayload } = require('../src/utils/signatures');
+const { GATEWAY_RESULT } = require('../src/utils/constants');
+
+const buildPayment = (fields = {}) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amountMinor: 10000,
+  currency: 'USD',
+  paymentMethod: 'card',
+  transactionId: 'TXN-TEST-1',
+  attemptCount: 1,
+  ...fields
+});
+
+describe('MockGateway', () => {
+  const gateway = new MockGateway();
+
+  it('authorizes and captures ordinary amounts', async () => {
+    const payment = buildPayment();
+
+    const authorization = await gateway.authorize(payment);
+    const capture = await gateway.capture(payment, authorization);
+
+    assert.equal(authorization.status, GATEWAY_RESULT.AUTHORIZED);
+    assert.equal(authorization.reference, 'MOCK-AUTH-TXN-TEST-1');
+    assert.equal(capture.status, GATEWAY_RESULT.CAPTURED);
+    assert.equal(capture.reference, 'MOCK-CAP-TXN-TEST-1');
+  });
+
+  it('declines amounts ending in 91 for insufficient funds', async () => {
+    const result = await gateway.authorize(buildPayment({ amountMinor: 1091 }));
+
+    assert.equal(result.status, GATEWAY_RESULT.DECLINED);
+    assert.equal(result.code, 'insufficient_funds');
+  });
+
+  it('declines amounts ending in 92 as a card decline', async () => {
+    const result = await gateway.authorize(buildPayment({ amountMinor: 1092 }));
+
+    assert.equal(result.status, GATEWAY_RESULT.DECLINED);
+    assert.equal(result.code, 'card_declined');
+  });
+
+  it('reports a gateway error for amounts ending in 93', async () => {
+    const result = await gateway.authorize(buildPayment({ amountMinor: 1093 }));
+
+    assert.equal(result.status, GATEWAY_RESULT.ERROR);
+    assert.equal(result.code, 'gateway_unavailable');
+  });
+
+  it('declines at capture for amounts ending in 94', async () => {
+    const payment = buildPayment({ amountMinor: 1094 });
+
+    const authorization = await gateway.authorize(payment);
+    const capture = await gateway.capture(payment, authorization);
+
+    assert.equal(authorization.status, GATEWAY_RESULT.AUTHORIZED);
+    assert.equal(capture.status, GATEWAY_RESULT.DECLINED);
+    assert.equal(capture.code, 'capture_declined');
+  });
+
+  it('leaves the capture pending for amounts ending in 95', async () => {
+    const result = await gateway.capture(buildPayment({ amountMinor: 1095 }), null);
+
+    assert.equal(result.status, GATEWAY_RESULT.PENDING);
+  });
+
+  it('takes the outcome from metadata over the amount', async () => {
+    const declined = await gateway.authorize(buildPayment({ amountMinor: 1000, metadata: { gatewayOutcome: 'decline' } }));
+    const unknown = await gateway.authorize(buildPayment({ amountMinor: 1092, metadata: { gatewayOutcome: 'bogus' } }));
+
+    assert.equal(declined.code, 'card_declined');
+    assert.equal(unknown.code, 'card_declined');
+  });
+
+  it('gives retries their own reference', async () => {
+    const result = await gateway.authorize(buildPayment({ attemptCount: 2 }));
+
+    assert.equal(result.reference, 'MOCK-AUTH-TXN-TEST-1-2');
+  });
+
+  it('parses callbacks into gateway results', () => {
+    const parsed = gateway.parseCallback({
+      id: 'evt_1',
+      type: 'payment.declined',
+      transactionId: 'TXN-TEST-1',
+      code: 'do_not_honor'
+    });
+
+    assert.equal(parsed.eventId, 'evt_1');
+    assert.equal(parsed.transactionId, 'TXN-TEST-1');
+    assert.equal(parsed.result.status, GATEWAY_RESULT.DECLINED);
+    assert.equal(parsed.result.code, 'do_not_honor');
+  });
+
+  it('does not understand callbacks without an ID, a known type or a payment', () => {
+    assert.equal(gateway.parseCallback({ type: 'payment.captured', transactionId: 'TXN-TEST-1' }), null);
+    assert.equal(gateway.parseCallback({ id: 'evt_1', type: 'payment.refunded', transactionId: 'TXN-TEST-1' }), null);
+    assert.equal(gateway.parseCallback({ id: 'evt_1', type: 'payment.captured' }), null);
+  });
+
+  it('only accepts callbacks signed with its secret', () => {
+    const signed = new MockGateway('mock', { callbackSecret: 'callback-secret' });
+    const body = Buffer.from('{"id":"evt_1"}');
+
+    assert.equal(signed.verifyCallback(body, { 'x-gateway-signature': signPayload('callback-secret', body) }), true);
+    assert.equal(signed.verifyCallback(body, { 'x-gateway-signature': signPayload('other-secret', body) }), false);
+    assert.equal(signed.verifyCallback(body, {}), false);
+  });
+
+  it('rejects every callback when no secret is configured', () => {
+    const body = Buffer.from('{}');
+    const unsigned = new MockGateway('unconfigured');
+
+    assert.equal(unsigned.verifyCallback(body, { 'x-gateway-signature': signPayload('', body) }), false);
+  });
+});
+
+describe('executePayment', () => {
+  const originalProvider = process.env.PAYMENT_GATEWAY_CARD;
+
+  // Select a test adapter for card payments
+  const useGateway = (name, GatewayClass) => {
+    registerGateway(name, GatewayClass);
+    process.env.PAYMENT_GATEWAY_CARD = name;
+  };
+
+  afterEach(() => {
+    if (originalProvider === undefined) {
+      delete process.env.PAYMENT_GATEWAY_CARD;
+    } else {
+      process.env.PAYMENT_GATEWAY_CARD = originalProvider;
+    }
+    registerGateway('mock', MockGateway);
+  });
+
+  it('reports a captured payment as successful', async () => {
+    const outcome = await executePayment(buildPayment());
+
+    assert.equal(outcome.success, true);
+    assert.equal(outcome.pending, false);
+    assert.equal(outcome.provider, 'mock');
+    assert.equal(outcome.authorization.status, GATEWAY_RESULT.AUTHORIZED);
+    assert.equal(outcome.result.status, GATEWAY_RESULT.CAPTURED);
+  });
+
+  it('does not capture a declined authorization', async () => {
+    const outcome = await executePayment(buildPayment({ amountMinor: 1092 }));
+
+    assert.equal(outcome.success, false);
+    assert.equal(outcome.capture, null);
+    assert.equal(outcome.result.code, 'card_declined');
+  });
+
+  it('reports a pending capture', async () => {
+    const outcome = await executePayment(buildPayment({ amountMinor: 1095 }));
+
+    assert.equal(outcome.success, false);
+    assert.equal(outcome.pending, true);
+  });
+
+  it('reports adapter exceptions as gateway errors', async () => {
+    useGateway('throwing', class extends BaseGateway {
+      async authorize() {
+        throw new Error('connection reset');
+      }
+    });
+
+    const outcome = await executePayment(buildPayment());
+
+    assert.equal(outcome.success, false);
+    assert.equal(outcome.timedOut, false);
+    assert.equal(outcome.result.status, GATEWAY_RESULT.ERROR);
+    assert.equal(outcome.result.code, 'adapter_exception');
+    assert.equal(outcome.result.message, 'connection reset');
+  });
+
+  it('reports a call that outlasts the timeout as timed out', async () => {
+    useGateway('slow', class extends BaseGateway {
+      authorize() {
+        return new Promise(resolve => setTimeout(() => resolve(this.authorized()), 200).unref());
+      }
+    });
+
+    const outcome = await executePayment(buildPayment(), { timeoutMs: 10 });
+
+    assert.equal(outcome.success, false);
+    assert.equal(outcome.timedOut, true);
+    assert.equal(outcome.result.code, 'gateway_timeout');
+  });
+
+  it('reports a failed call as captured when the processor captured the payment anyway', async () => {
+    useGateway('late', class extends BaseGateway {
+      async authorize() {
+        return this.authorized();
+      }
+
+      async capture() {
+        throw new Error('socket hang up');
+      }
+
+      async findCapture() {
+        return this.captured({ reference: 'LATE-CAP-1' });
+      }
+    });
+
+    const outcome = await executePayment(buildPayment());
+
+    assert.equal(outcome.success, true);
+    assert.equal(outcome.timedOut, false);
+    assert.equal(outcome.capture.reference, 'LATE-CAP-1');
+  });
+
+  it('selects the adapter configured for the payment method', () => {
+    useGateway('configured', MockGateway);
+
+    assert.equal(getGateway('card').name, 'configured');
+    assert.equal(getGateway('wallet').name, 'wallet');
+  });
+
+  it('asks for a capture made anyway before reporting a timeout', async () => {
+    const started = Date.now();
+    useGateway('hanging', class extends BaseGateway {
+      authorize() {
+        return new Promise(() => {});
+      }
+    });
+
+    const capture = mock.fn(async () => null);
+    getGateway('card').findCapture = capture;
+    const outcome = await executePayment(buildPayment(), { timeoutMs: 10 });
+
+    assert.equal(outcome.timedOut, true);
+    assert.equal(capture.mock.callCount(), 1);
+    assert.ok(Date.now() - started < 1000);
+  });
+});
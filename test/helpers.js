@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Tests run without a database: model statics are stubbed per test, and a query that
+// was not stubbed fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+/**
+ * Build a stand-in for an Express response that records what was sent
+ * @returns {Object} Response with statusCode, body and headers, and a sent promise
+ *   resolved with the body once json() has run
+ */
+const mockResponse = () => {
+  let markSent;
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    sent: new Promise(resolve => {
+      markSent = resolve;
+    }),
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      markSent(body);
+      return this;
+    }
+  };
+
+  return res;
+};
+
+/**
+ * Build a stand-in for an authenticated Express request
+ * @param {Object} fields - Fields to set on the request (params, body, headers, permissions, ...)
+ * @returns {Object} Request
+ */
+const mockRequest = ({ headers = {}, ...fields } = {}) => ({
+  method: 'POST',
+  originalUrl: '/',
+  params: {},
+  query: {},
+  body: {},
+  ip: '127.0.0.1',
+  user: { _id: new mongoose.Types.ObjectId() },
+  permissions: [],
+  get: (name) => headers[name.toLowerCase()],
+  ...fields
+});
+
+/**
+ * Wrap a value the way a chained query resolves, so stubs can stand in for
+ * Model.find(...).populate(...).sort(...) and similar chains
+ * @param {*} value - What the query resolves to
+ * @returns {Object} Thenable query
+ */
+const mockQuery = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+
+  return query;
+};
+
+/**
+ * Build the error MongoDB reports for a duplicate key
+ * @returns {Error}
+ */
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+module.exports = {
+  mockResponse,
+  mockRequest,
+  mockQuery,
+  duplicateKeyError
+};
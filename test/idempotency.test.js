@@ -0,0 +1,207 @@
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const { idempotent } = require('../src/middleware/idempotency');
+const { mockRequest, mockResponse, duplicateKeyError } = require('./helpers');
+const { IDEMPOTENCY_STATUS } = require('../src/utils/constants');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+/**
+ * Run the middleware for a request carrying an Idempotency-Key
+ * @returns {Promise<Object>} { req, res, nextCalled }
+ */
+const run = async ({ key = 'key-1', body = { amount: 10 } } = {}) => {
+  const req = mockRequest({
+    user,
+    originalUrl: '/api/payments',
+    body,
+    headers: key ? { 'idempotency-key': key } : {}
+  });
+  const res = mockResponse();
+  let nextCalled = false;
+
+  await idempotent(req, res, (error) => {
+    assert.ifError(error);
+    nextCalled = true;
+  });
+
+  return { req, res, nextCalled };
+};
+
+/**
+ * Stored key a first request left behind, with the hash of the default request
+ */
+const storedKey = async (fields = {}) => {
+  let stored;
+  mock.method(IdempotencyKey, 'create', async (created) => {
+    stored = created;
+    return { _id: new mongoose.Types.ObjectId(), ...created };
+  });
+  mock.method(IdempotencyKey, 'updateOne', async () => ({}));
+
+  const { res } = await run();
+  res.status(201).json({ created: true });
+  await res.sent;
+  mock.restoreAll();
+
+  return { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...stored, ...fields };
+};
+
+describe('idempotent', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const create = mock.method(IdempotencyKey, 'create', async () => ({}));
+
+    const { nextCalled } = await run({ key: null });
+
+    assert.equal(nextCalled, true);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('refuses overlong keys', async () => {
+    const { res, nextCalled } = await run({ key: 'k'.repeat(256) });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 400);
+  });
+
+  describe('a first request', () => {
+    let update;
+    let remove;
+
+    beforeEach(() => {
+      mock.method(IdempotencyKey, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+      update = mock.method(IdempotencyKey, 'updateOne', async () => ({}));
+      remove = mock.method(IdempotencyKey, 'deleteOne', async () => ({}));
+    });
+
+    it('stores the response before sending it', async () => {
+      const { res, nextCalled } = await run();
+      assert.equal(nextCalled, true);
+
+      res.status(201).json({ created: true });
+      await res.sent;
+
+      const [, stored] = update.mock.calls[0].arguments;
+      assert.equal(stored.status, IDEMPOTENCY_STATUS.COMPLETED);
+      assert.deepEqual(stored.response, { statusCode: 201, body: { created: true } });
+      assert.deepEqual(res.body, { created: true });
+    });
+
+    it('releases the key after a server error so the client can retry', async () => {
+      const { res } = await run();
+
+      res.status(500).json({ success: false });
+      await res.sent;
+
+      assert.equal(remove.mock.callCount(), 1);
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('still answers when the response cannot be stored', async () => {
+      update.mock.mockImplementation(async () => {
+        throw new Error('database unavailable');
+      });
+      mock.method(console, 'error', () => {});
+      const { res } = await run();
+
+      res.status(201).json({ created: true });
+
+      assert.deepEqual(await res.sent, { created: true });
+    });
+  });
+
+  describe('a repeated request', () => {
+    const useStoredKey = (stored) => {
+      mock.method(IdempotencyKey, 'create', async () => {
+        throw duplicateKeyError();
+      });
+      mock.method(IdempotencyKey, 'findOne', async () => stored);
+    };
+
+    it('replays the stored response', async () => {
+      useStoredKey(await storedKey({
+        status: IDEMPOTENCY_STATUS.COMPLETED,
+        response: { statusCode: 201, body: { created: true } }
+      }));
+
+      const { res, nextCalled } = await run();
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(res.body, { created: true });
+      assert.equal(res.headers['Idempotent-Replayed'], 'true');
+    });
+
+    it('refuses the key for a different request', async () => {
+      useStoredKey(await storedKey({ status: IDEMPOTENCY_STATUS.COMPLETED }));
+
+      const { res, nextCalled } = await run({ body: { amount: 20 } });
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 422);
+    });
+
+    it('waits while the first request still holds the key', async () => {
+      useStoredKey(await storedKey({
+        status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+        lockedUntil: new Date(Date.now() + 60000)
+      }));
+
+      const { res, nextCalled } = await run();
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 409);
+    });
+
+    it('takes over a key whose lock expired', async () => {
+      const stored = await storedKey({
+        status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+        lockedUntil: new Date(Date.now() - 1000)
+      });
+      useStoredKey(stored);
+      const takeOver = mock.method(IdempotencyKey, 'findOneAndUpdate', async () => ({ ...stored }));
+
+      const { nextCalled } = await run();
+
+      const [filter, update] = takeOver.mock.calls[0].arguments;
+      assert.equal(nextCalled, true);
+      assert.deepEqual(filter, { _id: stored._id, status: IDEMPOTENCY_STATUS.IN_PROGRESS, lockedUntil: stored.lockedUntil });
+      assert.ok(update.$set.lockedUntil > new Date());
+    });
+
+    it('takes over a key stored before locks once it is older than the lock', async () => {
+      const stored = await storedKey({
+        status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+        lockedUntil: undefined,
+        createdAt: new Date(Date.now() - 120000)
+      });
+      useStoredKey(stored);
+      const takeOver = mock.method(IdempotencyKey, 'findOneAndUpdate', async () => ({ ...stored }));
+
+      const { nextCalled } = await run();
+
+      assert.equal(nextCalled, true);
+      assert.equal(takeOver.mock.calls[0].arguments[0].lockedUntil, null);
+    });
+
+    it('leaves an expired key to the retry that took it over first', async () => {
+      useStoredKey(await storedKey({
+        status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+        lockedUntil: new Date(Date.now() - 1000)
+      }));
+      mock.method(IdempotencyKey, 'findOneAndUpdate', async () => null);
+
+      const { res, nextCalled } = await run();
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 409);
+    });
+  });
+});
@@ -0,0 +1,246 @@
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const JournalEntry = require('../src/models/JournalEntry');
+const LedgerAccount = require('../src/models/LedgerAccount');
+const Payment = require('../src/models/Payment');
+const Refund = require('../src/models/Refund');
+const ledger = require('../src/services/ledger');
+const { mockQuery, duplicateKeyError } = require('./helpers');
+const {
+  PAYMENT_STATUS,
+  WALLET_PROVIDER,
+  LEDGER_ACCOUNTS,
+  DEFAULT_LEDGER_ACCOUNTS,
+  JOURNAL_ENTRY_TYPES
+} = require('../src/utils/constants');
+
+const buildEntry = (lines) => new JournalEntry({
+  reference: 'test:1',
+  type: JOURNAL_ENTRY_TYPES.PAYMENT_COMPLETED,
+  currency: 'USD',
+  postedAt: new Date(),
+  lines
+});
+
+const buildPayment = (fields = {}) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amountMinor: 1250,
+  currency: 'USD',
+  status: PAYMENT_STATUS.COMPLETED,
+  transactionId: 'TXN-LEDGER-1',
+  completedAt: new Date('2024-01-02T00:00:00Z'),
+  ...fields
+});
+
+/**
+ * Store entries in memory: known accounts are the defaults, and created entries are
+ * validated like a save would
+ */
+const useEntryStore = () => {
+  const entries = [];
+
+  mock.method(JournalEntry, 'findOne', async ({ reference }) => (
+    entries.find(entry => entry.reference === reference) || null
+  ));
+  mock.method(JournalEntry, 'create', async (fields) => {
+    if (entries.some(entry => entry.reference === fields.reference)) {
+      throw duplicateKeyError();
+    }
+    const entry = new JournalEntry(fields);
+    await entry.validate();
+    entries.push(entry);
+    return entry;
+  });
+  mock.method(LedgerAccount, 'find', ({ code }) => ({
+    distinct: async () => DEFAULT_LEDGER_ACCOUNTS.map(account => account.code).filter(known => code.$in.includes(known))
+  }));
+
+  return entries;
+};
+
+describe('JournalEntry', () => {
+  it('accepts a balanced entry and fills the decimal amounts', async () => {
+    const entry = buildEntry([
+      { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, debitMinor: 1250 },
+      { account: LEDGER_ACCOUNTS.PAYMENTS_RECEIVED, creditMinor: 1250 }
+    ]);
+
+    await entry.validate();
+
+    assert.equal(entry.lines[0].debit, 12.5);
+    assert.equal(entry.lines[1].credit, 12.5);
+  });
+
+  it('rejects an entry whose debits and credits differ', async () => {
+    const entry = buildEntry([
+      { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, debitMinor: 1250 },
+      { account: LEDGER_ACCOUNTS.PAYMENTS_RECEIVED, creditMinor: 1200 }
+    ]);
+
+    await assert.rejects(entry.validate(), /Debits \(1250\) must equal credits \(1200\)/);
+  });
+
+  it('rejects lines that are both or neither a debit and a credit', async () => {
+    const entry = buildEntry([
+      { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, debitMinor: 100, creditMinor: 100 },
+      { account: LEDGER_ACCOUNTS.PAYMENTS_RECEIVED }
+    ]);
+
+    await assert.rejects(entry.validate(), /either a debit or a credit/);
+  });
+
+  it('rejects an entry with a single line', async () => {
+    const entry = buildEntry([{ account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, debitMinor: 100 }]);
+
+    await assert.rejects(entry.validate(), /at least two lines/);
+  });
+});
+
+describe('ledger postings', () => {
+  let entries;
+  let stampPayment;
+  let stampRefund;
+
+  beforeEach(() => {
+    entries = useEntryStore();
+    stampPayment = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    stampRefund = mock.method(Refund, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('posts a completed gateway payment against gateway clearing and stamps it', async () => {
+    const payment = buildPayment();
+
+    const entry = await ledger.postPaymentCompleted(payment);
+
+    assert.equal(entry.reference, `payment:${payment._id}:completed`);
+    assert.deepEqual(entry.lines.map(line => [line.account, line.debitMinor, line.creditMinor]), [
+      [LEDGER_ACCOUNTS.GATEWAY_CLEARING, 1250, 0],
+      [LEDGER_ACCOUNTS.PAYMENTS_RECEIVED, 0, 1250]
+    ]);
+    assert.deepEqual(entry.postedAt, payment.completedAt);
+    assert.deepEqual(stampPayment.mock.calls[0].arguments[0], { _id: payment._id, ledgerPostedAt: null });
+  });
+
+  it('posts a wallet payment against wallet balances', async () => {
+    const entry = await ledger.postPaymentCompleted(buildPayment({ gateway: { provider: WALLET_PROVIDER } }));
+
+    assert.equal(entry.lines[0].account, LEDGER_ACCOUNTS.WALLET_BALANCES);
+  });
+
+  it('posts a payment only once', async () => {
+    const payment = buildPayment();
+
+    const first = await ledger.postPaymentCompleted(payment);
+    const second = await ledger.postPaymentCompleted(payment);
+
+    assert.equal(second, first);
+    assert.equal(entries.length, 1);
+  });
+
+  it('returns the entry another process posted concurrently', async () => {
+    const payment = buildPayment();
+    const posted = await ledger.postPaymentCompleted(payment);
+
+    // The lookup misses the entry, and the insert then hits its reference
+    const findOne = JournalEntry.findOne;
+    let lookups = 0;
+    mock.method(JournalEntry, 'findOne', async (filter) => (lookups++ === 0 ? null : findOne(filter)));
+
+    const entry = await ledger.postPaymentCompleted(payment);
+
+    assert.equal(entry, posted);
+  });
+
+  it('refuses lines on unknown accounts', async () => {
+    await assert.rejects(
+      ledger.postEntry({
+        reference: 'test:unknown',
+        type: JOURNAL_ENTRY_TYPES.PAYMENT_COMPLETED,
+        currency: 'USD',
+        postedAt: new Date(),
+        lines: [
+          { account: 'suspense', debitMinor: 100 },
+          { account: LEDGER_ACCOUNTS.PAYMENTS_RECEIVED, creditMinor: 100 }
+        ]
+      }),
+      /Unknown ledger account\(s\): suspense/
+    );
+    assert.equal(entries.length, 0);
+  });
+
+  it('reverses the refunded part of a payment and stamps the refund', async () => {
+    const payment = buildPayment();
+    const original = await ledger.postPaymentCompleted(payment);
+    const refund = new Refund({ payment: payment._id, amountMinor: 500, currency: 'USD', refundedBy: payment.user });
+
+    const entry = await ledger.postRefund(payment, refund);
+
+    assert.equal(entry.type, JOURNAL_ENTRY_TYPES.REFUND);
+    assert.ok(entry.reverses.equals(original._id));
+    assert.deepEqual(entry.lines.map(line => [line.account, line.debitMinor, line.creditMinor]), [
+      [LEDGER_ACCOUNTS.PAYMENTS_RECEIVED, 500, 0],
+      [LEDGER_ACCOUNTS.GATEWAY_CLEARING, 0, 500]
+    ]);
+    assert.deepEqual(stampRefund.mock.calls[0].arguments[0], { _id: refund._id, ledgerPostedAt: null });
+  });
+
+  it('posts wallet top-ups from wallet funding and decreases against adjustments', async () => {
+    const topUp = await ledger.postWalletTransaction({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'top_up',
+      reference: 'top_up:1',
+      currency: 'USD',
+      amountMinor: 800
+    });
+    const decrease = await ledger.postWalletTransaction({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'adjustment',
+      reference: 'adjustment:1',
+      currency: 'USD',
+      amountMinor: -300
+    });
+
+    assert.deepEqual(topUp.lines.map(line => [line.account, line.debitMinor, line.creditMinor]), [
+      [LEDGER_ACCOUNTS.WALLET_FUNDING, 800, 0],
+      [LEDGER_ACCOUNTS.WALLET_BALANCES, 0, 800]
+    ]);
+    assert.deepEqual(decrease.lines.map(line => [line.account, line.debitMinor, line.creditMinor]), [
+      [LEDGER_ACCOUNTS.WALLET_BALANCES, 300, 0],
+      [LEDGER_ACCOUNTS.WALLET_ADJUSTMENTS, 0, 300]
+    ]);
+  });
+
+  it('posts the entries left unposted and moves on past the ones that fail again', async () => {
+    const posted = buildPayment();
+    const failing = buildPayment();
+    const refund = new Refund({ payment: posted._id, amountMinor: 200, currency: 'USD', refundedBy: posted.user });
+    const orphaned = new Refund({ payment: posted._id, amountMinor: 100, currency: 'USD', refundedBy: posted.user });
+    const findPayments = mock.method(Payment, 'find', () => mockQuery([posted, failing]));
+    mock.method(Refund, 'find', () => mockQuery([
+      Object.assign(refund, { payment: posted }),
+      Object.assign(orphaned, { payment: null })
+    ]));
+    const create = JournalEntry.create;
+    mock.method(JournalEntry, 'create', async (fields) => {
+      if (failing._id.equals(fields.payment)) {
+        throw new Error('write failed');
+      }
+      return create(fields);
+    });
+    const logged = mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+
+    const count = await ledger.postPendingEntries(10);
+
+    assert.deepEqual(findPayments.mock.calls[0].arguments[0].ledgerPostedAt, null);
+    assert.equal(count, 2);
+    assert.deepEqual(entries.map(entry => entry.type), [JOURNAL_ENTRY_TYPES.PAYMENT_COMPLETED, JOURNAL_ENTRY_TYPES.REFUND]);
+    assert.equal(logged.mock.callCount(), 1);
+  });
+});
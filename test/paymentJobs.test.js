@@ -0,0 +1,204 @@
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const PaymentEvent = require('../src/models/PaymentEvent');
+const PaymentJob = require('../src/models/PaymentJob');
+const ledger = require('../src/services/ledger');
+const {
+  getRetryDelay,
+  enqueuePaymentJob,
+  claimNextJob,
+  runJob,
+  recoverStalledJobs,
+  processDueJobs
+} = require('../src/services/paymentJobs');
+const { mockQuery, duplicateKeyError } = require('./helpers');
+const { PAYMENT_STATUS, PAYMENT_EVENTS, PAYMENT_JOB_STATUS } = require('../src/utils/constants');
+
+const buildPayment = (fields = {}) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amountMinor: 1000,
+  amount: 10,
+  currency: 'USD',
+  paymentMethod: 'card',
+  status: PAYMENT_STATUS.PROCESSING,
+  transactionId: 'TXN-JOB-1',
+  attemptCount: 1,
+  ...fields
+});
+
+const buildJob = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  payment: new mongoose.Types.ObjectId(),
+  status: PAYMENT_JOB_STATUS.PROCESSING,
+  attempts: 1,
+  maxAttempts: 3,
+  ...fields
+});
+
+describe('payment jobs', () => {
+  let updateJob;
+
+  beforeEach(() => {
+    updateJob = mock.method(PaymentJob, 'findOneAndUpdate', async (filter, update) => ({ ...filter, ...update.$set }));
+    mock.method(PaymentEvent, 'record', async () => ({}));
+    mock.method(ledger, 'postPaymentCompleted', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('doubles the retry delay with each attempt', () => {
+    assert.equal(getRetryDelay(1), 30000);
+    assert.equal(getRetryDelay(2), 60000);
+    assert.equal(getRetryDelay(3), 120000);
+  });
+
+  it('queues a payment by resetting its finished job', async () => {
+    const payment = buildPayment();
+
+    const job = await enqueuePaymentJob(payment, { actor: payment.user });
+
+    const [filter, update, options] = updateJob.mock.calls[0].arguments;
+    assert.deepEqual(filter.status, { $in: [PAYMENT_JOB_STATUS.COMPLETED, PAYMENT_JOB_STATUS.FAILED] });
+    assert.equal(update.$set.status, PAYMENT_JOB_STATUS.QUEUED);
+    assert.equal(update.$set.attempts, 0);
+    assert.equal(options.upsert, true);
+    assert.equal(job.status, PAYMENT_JOB_STATUS.QUEUED);
+  });
+
+  it('refuses to queue a second active job for a payment', async () => {
+    updateJob.mock.mockImplementation(async () => {
+      throw duplicateKeyError();
+    });
+
+    await assert.rejects(enqueuePaymentJob(buildPayment()), { code: 11000 });
+  });
+
+  it('leases only due queued jobs and counts the attempt', async () => {
+    await claimNextJob();
+
+    const [filter, update] = updateJob.mock.calls[0].arguments;
+    assert.equal(filter.status, PAYMENT_JOB_STATUS.QUEUED);
+    assert.ok(filter.runAt.$lte instanceof Date);
+    assert.equal(update.$set.status, PAYMENT_JOB_STATUS.PROCESSING);
+    assert.ok(update.$set.lockedUntil > new Date());
+    assert.deepEqual(update.$inc, { attempts: 1 });
+  });
+
+  it('completes a job after the gateway settles its payment', async () => {
+    const payment = buildPayment();
+    mock.method(Payment, 'findById', async () => payment);
+    const settle = mock.method(Payment, 'findOneAndUpdate', async (filter, update) => (
+      new Payment({ ...payment.toObject(), ...update.$set })
+    ));
+
+    const job = await runJob(buildJob({ payment: payment._id }));
+
+    assert.equal(settle.mock.calls[0].arguments[1].$set.status, PAYMENT_STATUS.COMPLETED);
+    assert.equal(job.status, PAYMENT_JOB_STATUS.COMPLETED);
+    assert.equal(job.lastError, null);
+  });
+
+  it('does not call the gateway for a payment settled meanwhile', async () => {
+    mock.method(Payment, 'findById', async () => buildPayment({ status: PAYMENT_STATUS.COMPLETED }));
+    const settle = mock.method(Payment, 'findOneAndUpdate', async () => assert.fail('payment must not be settled again'));
+
+    const job = await runJob(buildJob());
+
+    assert.equal(settle.mock.callCount(), 0);
+    assert.equal(job.status, PAYMENT_JOB_STATUS.COMPLETED);
+  });
+
+  it('does not call the gateway again for a payment waiting on a callback', async () => {
+    mock.method(Payment, 'findById', async () => buildPayment({ gateway: { provider: 'mock' } }));
+    const settle = mock.method(Payment, 'findOneAndUpdate', async () => assert.fail('payment must wait for its callback'));
+
+    const job = await runJob(buildJob());
+
+    assert.equal(settle.mock.callCount(), 0);
+    assert.equal(job.status, PAYMENT_JOB_STATUS.COMPLETED);
+  });
+
+  it('queues the job again with backoff when the attempt throws', async () => {
+    mock.method(Payment, 'findById', async () => {
+      throw new Error('database unavailable');
+    });
+    mock.method(console, 'error', () => {});
+    const before = Date.now();
+
+    const job = await runJob(buildJob({ attempts: 2 }));
+
+    assert.equal(job.status, PAYMENT_JOB_STATUS.QUEUED);
+    assert.equal(job.lastError, 'database unavailable');
+    assert.ok(job.runAt.getTime() >= before + getRetryDelay(2));
+  });
+
+  it('fails the job and its payment after the last attempt', async () => {
+    const payment = buildPayment();
+    mock.method(Payment, 'findById', async () => {
+      throw new Error('database unavailable');
+    });
+    mock.method(Payment, 'findOne', async () => payment);
+    const fail = mock.method(Payment, 'findOneAndUpdate', async (filter, update) => (
+      new Payment({ ...payment.toObject(), ...update.$set })
+    ));
+    mock.method(console, 'error', () => {});
+
+    const job = await runJob(buildJob({ payment: payment._id, attempts: 3 }));
+
+    assert.equal(job.status, PAYMENT_JOB_STATUS.FAILED);
+    const [filter, update] = fail.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: payment._id, status: PAYMENT_STATUS.PROCESSING });
+    assert.equal(update.$set.status, PAYMENT_STATUS.FAILED);
+    assert.equal(update.$set.failureReason, 'Processing failed after 3 attempt(s): database unavailable');
+    assert.equal(PaymentEvent.record.mock.calls[0].arguments[1], PAYMENT_EVENTS.FAILED);
+  });
+
+  it('leaves the payment alone when the lease was lost', async () => {
+    mock.method(Payment, 'findById', async () => {
+      throw new Error('database unavailable');
+    });
+    updateJob.mock.mockImplementation(async () => null);
+    const findProcessing = mock.method(Payment, 'findOne', async () => buildPayment());
+    mock.method(console, 'error', () => {});
+
+    const job = await runJob(buildJob({ attempts: 3 }));
+
+    assert.equal(job, null);
+    assert.equal(findProcessing.mock.callCount(), 0);
+  });
+
+  it('queues jobs again whose lease expired', async () => {
+    const update = mock.method(PaymentJob, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    const recovered = await recoverStalledJobs();
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.equal(recovered, 2);
+    assert.equal(filter.status, PAYMENT_JOB_STATUS.PROCESSING);
+    assert.ok(filter.lockedUntil.$lt instanceof Date);
+    assert.equal(changes.$set.status, PAYMENT_JOB_STATUS.QUEUED);
+  });
+
+  it('runs due jobs until none is left or the batch is full', async () => {
+    mock.method(PaymentJob, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(Payment, 'find', () => mockQuery([]));
+    mock.method(Payment, 'findById', async () => null);
+    let due = 2;
+    updateJob.mock.mockImplementation(async (filter, update) => {
+      if (filter.status === PAYMENT_JOB_STATUS.QUEUED) {
+        return due-- > 0 ? buildJob() : null;
+      }
+      return { ...filter, ...update.$set };
+    });
+
+    assert.deepEqual(await processDueJobs(5), { processed: 2, recovered: 0 });
+
+    due = 5;
+    assert.deepEqual(await processDueJobs(3), { processed: 3, recovered: 0 });
+  });
+});
@@ -0,0 +1,171 @@
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const PaymentEvent = require('../src/models/PaymentEvent');
+const Payee = require('../src/models/Payee');
+const ledger = require('../src/services/ledger');
+const { claimForProcessing, recordOutcome } = require('../src/services/paymentProcessing');
+const { PAYMENT_STATUS, PAYMENT_EVENTS, GATEWAY_RESULT } = require('../src/utils/constants');
+
+// Stored payments carry both the minor units and the decimal amount
+const buildPayment = (fields = {}) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amountMinor: 2500,
+  amount: 25,
+  currency: 'USD',
+  paymentMethod: 'card',
+  status: PAYMENT_STATUS.PROCESSING,
+  ...fields
+});
+
+const buildOutcome = (status, fields = {}) => ({
+  success: status === GATEWAY_RESULT.CAPTURED,
+  pending: status === GATEWAY_RESULT.PENDING,
+  timedOut: false,
+  provider: 'mock',
+  authorization: { status: GATEWAY_RESULT.AUTHORIZED, reference: 'MOCK-AUTH-1' },
+  capture: { status, reference: 'MOCK-CAP-1' },
+  result: { status, reference: 'MOCK-CAP-1', code: status, message: `Gateway said ${status}` },
+  ...fields
+});
+
+describe('recordOutcome', () => {
+  let record;
+  let postPaymentCompleted;
+
+  beforeEach(() => {
+    record = mock.method(PaymentEvent, 'record', async () => ({}));
+    postPaymentCompleted = mock.method(ledger, 'postPaymentCompleted', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('completes a captured payment only while it is processing, and posts it to the ledger', async () => {
+    const payment = buildPayment();
+    const update = mock.method(Payment, 'findOneAndUpdate', async (filter, changes) => (
+      new Payment({ ...payment.toObject(), ...changes.$set })
+    ));
+
+    await recordOutcome(payment, buildOutcome(GATEWAY_RESULT.CAPTURED));
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: payment._id, status: PAYMENT_STATUS.PROCESSING });
+    assert.equal(changes.$set.status, PAYMENT_STATUS.COMPLETED);
+    assert.equal(changes.$set.gateway.captureReference, 'MOCK-CAP-1');
+    assert.equal(changes.$set['fx.completed'].baseAmountMinor, 2500);
+
+    assert.equal(record.mock.calls[0].arguments[1], PAYMENT_EVENTS.COMPLETED);
+    assert.equal(postPaymentCompleted.mock.callCount(), 1);
+  });
+
+  it('fails a declined payment with the gateway message', async () => {
+    const payment = buildPayment();
+    const update = mock.method(Payment, 'findOneAndUpdate', async (filter, changes) => (
+      new Payment({ ...payment.toObject(), ...changes.$set })
+    ));
+
+    await recordOutcome(payment, buildOutcome(GATEWAY_RESULT.DECLINED));
+
+    const changes = update.mock.calls[0].arguments[1];
+    assert.equal(changes.$set.status, PAYMENT_STATUS.FAILED);
+    assert.equal(changes.$set.failureReason, 'Payment declined: Gateway said declined');
+    assert.equal(record.mock.calls[0].arguments[1], PAYMENT_EVENTS.FAILED);
+    assert.equal(postPaymentCompleted.mock.callCount(), 0);
+  });
+
+  it('reports gateway errors as such', async () => {
+    const payment = buildPayment();
+    const update = mock.method(Payment, 'findOneAndUpdate', async (filter, changes) => (
+      new Payment({ ...payment.toObject(), ...changes.$set })
+    ));
+
+    await recordOutcome(payment, buildOutcome(GATEWAY_RESULT.ERROR));
+
+    assert.equal(update.mock.calls[0].arguments[1].$set.failureReason, 'Payment gateway error: Gateway said error');
+  });
+
+  it('leaves a payment settled first by a callback untouched', async () => {
+    mock.method(Payment, 'findOneAndUpdate', async () => null);
+
+    await recordOutcome(buildPayment(), buildOutcome(GATEWAY_RESULT.CAPTURED));
+
+    assert.equal(record.mock.callCount(), 0);
+    assert.equal(postPaymentCompleted.mock.callCount(), 0);
+  });
+
+  it('keeps a pending capture in processing and only stores the gateway details', async () => {
+    const update = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const settle = mock.method(Payment, 'findOneAndUpdate', async () => assert.fail('payment must stay in processing'));
+    const payment = buildPayment();
+
+    await recordOutcome(payment, buildOutcome(GATEWAY_RESULT.PENDING));
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: payment._id, status: PAYMENT_STATUS.PROCESSING });
+    assert.equal(changes.$set.gateway.provider, 'mock');
+    assert.equal(settle.mock.callCount(), 0);
+    assert.equal(record.mock.callCount(), 0);
+  });
+
+  it('keeps a completed payment when its ledger entry fails to post', async () => {
+    const payment = buildPayment();
+    mock.method(Payment, 'findOneAndUpdate', async (filter, changes) => (
+      new Payment({ ...payment.toObject(), ...changes.$set })
+    ));
+    postPaymentCompleted.mock.mockImplementation(async () => {
+      throw new Error('ledger unavailable');
+    });
+    mock.method(console, 'error', () => {});
+
+    const outcome = await recordOutcome(payment, buildOutcome(GATEWAY_RESULT.CAPTURED));
+
+    assert.equal(outcome.success, true);
+    assert.equal(record.mock.calls[0].arguments[1], PAYMENT_EVENTS.COMPLETED);
+  });
+});
+
+describe('claimForProcessing', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('claims a payment only while it is approved', async () => {
+    const payment = buildPayment({ status: PAYMENT_STATUS.APPROVED });
+    const update = mock.method(Payment, 'findOneAndUpdate', async () => buildPayment());
+    const record = mock.method(PaymentEvent, 'record', async () => ({}));
+
+    const claimed = await claimForProcessing(payment);
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: payment._id, status: PAYMENT_STATUS.APPROVED });
+    assert.equal(changes.$set.status, PAYMENT_STATUS.PROCESSING);
+    assert.deepEqual(changes.$inc, { attemptCount: 1 });
+    assert.ok(claimed);
+    assert.equal(record.mock.calls[0].arguments[1], PAYMENT_EVENTS.PROCESSING_STARTED);
+  });
+
+  it('returns null when another caller claimed the payment first', async () => {
+    mock.method(Payment, 'findOneAndUpdate', async () => null);
+    const record = mock.method(PaymentEvent, 'record', async () => ({}));
+
+    const claimed = await claimForProcessing(buildPayment({ status: PAYMENT_STATUS.APPROVED }));
+
+    assert.equal(claimed, null);
+    assert.equal(record.mock.callCount(), 0);
+  });
+
+  it('refuses a payment whose payee lost its verification', async () => {
+    mock.method(Payee, 'findById', async () => new Payee({ name: 'Acme', verificationStatus: 'pending' }));
+    const update = mock.method(Payment, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      claimForProcessing(buildPayment({ status: PAYMENT_STATUS.APPROVED, payee: new mongoose.Types.ObjectId() })),
+      { statusCode: 422 }
+    );
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,161 @@
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const PaymentEvent = require('../src/models/PaymentEvent');
+const PaymentJob = require('../src/models/PaymentJob');
+const ApprovalPolicy = require('../src/models/ApprovalPolicy');
+const User = require('../src/models/User');
+const paymentWorkflow = require('../src/services/paymentWorkflow');
+const { mockRequest } = require('./helpers');
+const { PAYMENT_STATUS, PAYMENT_EVENTS, PAYMENT_STATUS_TRANSITIONS } = require('../src/utils/constants');
+
+const buildPayment = (fields = {}) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amountMinor: 1000,
+  amount: 10,
+  currency: 'USD',
+  paymentMethod: 'card',
+  status: PAYMENT_STATUS.PENDING,
+  transactionId: 'TXN-WORKFLOW-1',
+  ...fields
+});
+
+describe('Payment state machine', () => {
+  const allStatuses = Object.values(PAYMENT_STATUS);
+
+  it('allows exactly the configured transitions', () => {
+    allStatuses.forEach((from) => {
+      allStatuses.forEach((to) => {
+        assert.equal(
+          buildPayment({ status: from }).canTransitionTo(to),
+          PAYMENT_STATUS_TRANSITIONS[from].includes(to),
+          `${from} -> ${to}`
+        );
+      });
+    });
+  });
+
+  it('settles processing payments and only retries failed ones', () => {
+    assert.deepEqual(PAYMENT_STATUS_TRANSITIONS[PAYMENT_STATUS.PROCESSING], [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.FAILED]);
+    assert.deepEqual(PAYMENT_STATUS_TRANSITIONS[PAYMENT_STATUS.FAILED], [PAYMENT_STATUS.PROCESSING]);
+    assert.equal(buildPayment({ status: PAYMENT_STATUS.PENDING }).canTransitionTo(PAYMENT_STATUS.COMPLETED), false);
+  });
+
+  it('treats rejected, cancelled, completed and refunded payments as final, but not failed ones', () => {
+    const finals = allStatuses.filter(status => buildPayment({ status }).isFinalState());
+
+    assert.deepEqual(finals.sort(), [
+      PAYMENT_STATUS.CANCELLED,
+      PAYMENT_STATUS.COMPLETED,
+      PAYMENT_STATUS.REFUNDED,
+      PAYMENT_STATUS.REJECTED
+    ].sort());
+  });
+
+  it('gives each retry its own gateway idempotency key', () => {
+    assert.equal(buildPayment({ attemptCount: 0 }).getIdempotencyKey(), 'TXN-WORKFLOW-1');
+    assert.equal(buildPayment({ attemptCount: 1 }).getIdempotencyKey(), 'TXN-WORKFLOW-1');
+    assert.equal(buildPayment({ attemptCount: 3 }).getIdempotencyKey(), 'TXN-WORKFLOW-1-3');
+  });
+
+  it('tracks the amount left to refund in minor units', () => {
+    const payment = buildPayment({ refundedAmountMinor: 250 });
+
+    assert.equal(payment.getRefundableAmountMinor(), 750);
+    assert.equal(payment.getRefundableAmount(), 7.5);
+  });
+});
+
+describe('paymentWorkflow guarded transitions', () => {
+  let payment;
+  let update;
+
+  beforeEach(() => {
+    payment = buildPayment();
+    mock.method(Payment, 'findById', async () => payment);
+    update = mock.method(Payment, 'findOneAndUpdate', async (filter, changes) => {
+      const approvals = changes.$push && changes.$push.approvals
+        ? [...payment.approvals, changes.$push.approvals]
+        : payment.approvals;
+      return new Payment({ ...payment.toObject(), ...changes.$set, approvals });
+    });
+    mock.method(PaymentEvent, 'record', async () => ({}));
+    mock.method(User, 'findById', async () => null);
+    mock.method(ApprovalPolicy, 'resolveFor', async () => ({
+      name: 'single',
+      evaluate: (approvals) => ({ satisfied: approvals.length >= 1 })
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('approves a pending payment through guarded updates', async () => {
+    const req = mockRequest();
+
+    const { payment: approved } = await paymentWorkflow.approvePayment(req, payment._id);
+
+    const [appendFilter] = update.mock.calls[0].arguments;
+    const [approveFilter, approveChanges] = update.mock.calls[1].arguments;
+    assert.deepEqual(appendFilter, { _id: payment._id, status: PAYMENT_STATUS.PENDING, 'approvals.approver': { $ne: req.user._id } });
+    assert.deepEqual(approveFilter, { _id: payment._id, status: PAYMENT_STATUS.PENDING });
+    assert.equal(approveChanges.$set.status, PAYMENT_STATUS.APPROVED);
+    assert.equal(approved.status, PAYMENT_STATUS.APPROVED);
+    assert.equal(PaymentEvent.record.mock.calls[0].arguments[1], PAYMENT_EVENTS.APPROVED);
+  });
+
+  it('refuses an approval that lost the race to another change', async () => {
+    update.mock.mockImplementation(async () => null);
+
+    await assert.rejects(paymentWorkflow.approvePayment(mockRequest(), payment._id), { statusCode: 409 });
+    assert.equal(PaymentEvent.record.mock.callCount(), 0);
+  });
+
+  it('refuses to approve a payment that is not pending', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.APPROVED });
+
+    await assert.rejects(paymentWorkflow.approvePayment(mockRequest(), payment._id), { statusCode: 400 });
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('refuses to let the creator approve their own payment', async () => {
+    const req = mockRequest();
+    payment = buildPayment({ user: req.user._id });
+
+    await assert.rejects(paymentWorkflow.approvePayment(req, payment._id), { statusCode: 403 });
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('retries a failed payment only from the attempt it read', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.FAILED, attemptCount: 1, failureReason: 'Payment declined: no' });
+    const enqueue = mock.method(PaymentJob, 'findOneAndUpdate', async (filter, changes) => ({ ...changes.$set }));
+
+    const { payment: retried } = await paymentWorkflow.retryPayment(mockRequest(), payment._id);
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: payment._id, status: PAYMENT_STATUS.FAILED, attemptCount: 1 });
+    assert.equal(changes.$set.attemptCount, 2);
+    assert.equal(changes.$push.attemptHistory.failureReason, 'Payment declined: no');
+    assert.equal(retried.status, PAYMENT_STATUS.PROCESSING);
+    assert.equal(enqueue.mock.callCount(), 1);
+  });
+
+  it('refuses a retry another request already made', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.FAILED, attemptCount: 1 });
+    update.mock.mockImplementation(async () => null);
+
+    await assert.rejects(paymentWorkflow.retryPayment(mockRequest(), payment._id), { statusCode: 409 });
+  });
+
+  it('refuses retries past the attempt limit', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.FAILED, attemptCount: 3 });
+
+    await assert.rejects(
+      paymentWorkflow.retryPayment(mockRequest(), payment._id),
+      { statusCode: 400, message: 'Payment has reached the limit of 3 processing attempt(s)' }
+    );
+  });
+});
@@ -0,0 +1,172 @@
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const PaymentEvent = require('../src/models/PaymentEvent');
+const Refund = require('../src/models/Refund');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const ledger = require('../src/services/ledger');
+const { refundPayment } = require('../src/controllers/paymentController');
+const { mockRequest, mockResponse, mockQuery } = require('./helpers');
+const { PAYMENT_STATUS, PAYMENT_EVENTS, WALLET_PROVIDER } = require('../src/utils/constants');
+
+const buildPayment = (fields = {}) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amountMinor: 5000,
+  amount: 50,
+  refundedAmountMinor: 0,
+  refundedAmount: 0,
+  currency: 'USD',
+  status: PAYMENT_STATUS.COMPLETED,
+  transactionId: 'TXN-REFUND-1',
+  ...fields
+});
+
+/**
+ * Call the refund endpoint for a payment
+ * @returns {Promise<Object>} { res, error } - the response, and the error passed to next()
+ */
+const refund = async (payment, body = {}) => {
+  const req = mockRequest({ params: { id: payment._id.toString() }, body });
+  const res = mockResponse();
+  let error = null;
+
+  await refundPayment(req, res, (err) => {
+    error = err;
+  });
+
+  return { res, error };
+};
+
+describe('refundPayment', () => {
+  let payment;
+  let guardedUpdate;
+  let created;
+  let postRefund;
+
+  beforeEach(() => {
+    payment = buildPayment();
+    mock.method(Payment, 'findById', async () => payment);
+    guardedUpdate = mock.method(Payment, 'findOneAndUpdate', (filter, update) => mockQuery(
+      new Payment({ ...payment.toObject(), ...update.$set })
+    ));
+    created = mock.method(Refund, 'create', async (fields) => new Refund(fields));
+    mock.method(Refund.prototype, 'populate', async function() {
+      return this;
+    });
+    mock.method(PaymentEvent, 'record', async () => ({}));
+    postRefund = mock.method(ledger, 'postRefund', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refunds part of a payment, records it and posts it to the ledger', async () => {
+    const { res } = await refund(payment, { amount: 20, reason: 'Damaged' });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.data.refund.amountMinor, 2000);
+    assert.equal(res.body.data.payment.status, PAYMENT_STATUS.PARTIALLY_REFUNDED);
+
+    const [filter, update] = guardedUpdate.mock.calls[0].arguments;
+    assert.equal(filter.status, PAYMENT_STATUS.COMPLETED);
+    assert.deepEqual(filter.$or[0], { refundedAmountMinor: 0 });
+    assert.equal(update.$set.refundedAmountMinor, 2000);
+    assert.equal(update.$set.refundedAmount, 20);
+
+    assert.equal(PaymentEvent.record.mock.calls[0].arguments[1], PAYMENT_EVENTS.REFUNDED);
+    assert.equal(postRefund.mock.callCount(), 1);
+  });
+
+  it('refunds whatever is left when no amount is given', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.PARTIALLY_REFUNDED, refundedAmountMinor: 1500, refundedAmount: 15 });
+
+    const { res } = await refund(payment);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.data.refund.amountMinor, 3500);
+    assert.equal(res.body.data.payment.status, PAYMENT_STATUS.REFUNDED);
+  });
+
+  it('refuses more than the refundable balance', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.PARTIALLY_REFUNDED, refundedAmountMinor: 4000, refundedAmount: 40 });
+
+    const { res } = await refund(payment, { amount: 20 });
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.errors[0].message, 'Maximum refundable amount is 10');
+    assert.equal(guardedUpdate.mock.callCount(), 0);
+  });
+
+  it('refuses amounts finer than the currency allows', async () => {
+    const { res } = await refund(payment, { amount: 1.005 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errors[0].field, 'amount');
+  });
+
+  it('refuses payments that have not completed', async () => {
+    payment = buildPayment({ status: PAYMENT_STATUS.PROCESSING });
+
+    const { res } = await refund(payment, { amount: 10 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(created.mock.callCount(), 0);
+  });
+
+  it('refuses a refund that lost the race to a concurrent one', async () => {
+    guardedUpdate.mock.mockImplementation(() => mockQuery(null));
+
+    const { res } = await refund(payment, { amount: 10 });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(created.mock.callCount(), 0);
+  });
+
+  it('returns 404 for an unknown payment', async () => {
+    Payment.findById.mock.mockImplementation(async () => null);
+
+    const { res } = await refund(payment, { amount: 10 });
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('keeps a recorded refund when its ledger entry fails to post', async () => {
+    postRefund.mock.mockImplementation(async () => {
+      throw new Error('ledger unavailable');
+    });
+    mock.method(console, 'error', () => {});
+
+    const { res, error } = await refund(payment, { amount: 10 });
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 201);
+  });
+
+  it('refunds a wallet payment to the wallet, and keeps the refund when the credit fails', async () => {
+    payment = buildPayment({ gateway: { provider: WALLET_PROVIDER } });
+    const lookup = mock.method(WalletTransaction, 'findOne', async () => {
+      throw new Error('database unavailable');
+    });
+    mock.method(console, 'error', () => {});
+
+    const { res, error } = await refund(payment, { amount: 10 });
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 201);
+    assert.equal(created.mock.calls[0].arguments[0].creditsWallet, true);
+    assert.equal(lookup.mock.callCount(), 1);
+    assert.equal(postRefund.mock.callCount(), 1);
+  });
+
+  it('does not credit a wallet for gateway payments', async () => {
+    const lookup = mock.method(WalletTransaction, 'findOne', async () => null);
+
+    await refund(payment, { amount: 10 });
+
+    assert.equal(created.mock.calls[0].arguments[0].creditsWallet, false);
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+});
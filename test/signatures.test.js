@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeSignature,
+  signPayload,
+  parseSignatureHeader,
+  verifySignature
+} = require('../src/utils/signatures');
+
+const secret = 'whsec_test_secret';
+const body = '{"id":"evt_1","type":"payment.completed"}';
+const now = new Date('2024-01-01T00:00:00Z');
+const timestamp = Math.floor(now.getTime() / 1000);
+
+describe('signatures', () => {
+  it('signs the timestamp together with the body', () => {
+    const header = signPayload(secret, body, timestamp);
+
+    assert.equal(header, `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`);
+    assert.notEqual(computeSignature(secret, timestamp + 1, body), computeSignature(secret, timestamp, body));
+  });
+
+  it('verifies a signature made with the same secret', () => {
+    assert.equal(verifySignature(secret, signPayload(secret, body, timestamp), body, { now }), true);
+    assert.equal(verifySignature(secret, signPayload(secret, Buffer.from(body), timestamp), Buffer.from(body), { now }), true);
+  });
+
+  it('rejects another secret or a modified body', () => {
+    const header = signPayload(secret, body, timestamp);
+
+    assert.equal(verifySignature('whsec_other', header, body, { now }), false);
+    assert.equal(verifySignature(secret, header, body.replace('completed', 'refunded'), { now }), false);
+  });
+
+  it('rejects signatures outside the tolerance', () => {
+    const stale = signPayload(secret, body, timestamp - 301);
+    const future = signPayload(secret, body, timestamp + 301);
+
+    assert.equal(verifySignature(secret, stale, body, { now }), false);
+    assert.equal(verifySignature(secret, future, body, { now }), false);
+    assert.equal(verifySignature(secret, stale, body, { now, toleranceSeconds: 600 }), true);
+  });
+
+  it('accepts any of several signatures, so secrets can be rotated', () => {
+    const old = computeSignature('whsec_old', timestamp, body);
+    const header = `t=${timestamp},v1=${old},v1=${computeSignature(secret, timestamp, body)}`;
+
+    assert.equal(verifySignature(secret, header, body, { now }), true);
+    assert.equal(verifySignature('whsec_old', header, body, { now }), true);
+  });
+
+  it('rejects missing and malformed headers', () => {
+    assert.equal(verifySignature(secret, undefined, body, { now }), false);
+    assert.equal(verifySignature(secret, 'garbage', body, { now }), false);
+    assert.equal(verifySignature(secret, `t=${timestamp}`, body, { now }), false);
+    assert.equal(verifySignature(secret, `t=${timestamp},v1=abc`, body, { now }), false);
+  });
+
+  it('parses headers and ignores unknown parts', () => {
+    const signature = computeSignature(secret, timestamp, body);
+
+    assert.deepEqual(parseSignatureHeader(`t=${timestamp}, v1=${signature.toUpperCase()}, v0=legacy`), {
+      timestamp,
+      signatures: [signature]
+    });
+    assert.equal(parseSignatureHeader(`t=soon,v1=${signature}`), null);
+  });
+});
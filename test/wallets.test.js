@@ -0,0 +1,213 @@
+require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Wallet = require('../src/models/Wallet');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const Payment = require('../src/models/Payment');
+const Refund = require('../src/models/Refund');
+const ledger = require('../src/services/ledger');
+const wallets = require('../src/services/wallets');
+const { mockQuery, duplicateKeyError } = require('./helpers');
+const { WALLET_TRANSACTION_TYPES } = require('../src/utils/constants');
+
+/**
+ * Keep wallets and their transactions in memory behind the model statics the service uses
+ * Balance updates are applied from the delta in the service's update pipeline, honouring
+ * the balance guard on debits.
+ */
+const useWalletStore = () => {
+  const store = { wallets: [], transactions: [] };
+  const findWallet = ({ user, currency }) => store.wallets.find(wallet => (
+    wallet.user.toString() === user.toString() && wallet.currency === currency
+  ));
+
+  mock.method(Wallet, 'findOneAndUpdate', async (filter, pipeline, { upsert } = {}) => {
+    let wallet = findWallet(filter);
+
+    if (!wallet) {
+      if (!upsert) return null;
+      wallet = { _id: new mongoose.Types.ObjectId(), user: filter.user, currency: filter.currency, balanceMinor: 0 };
+      store.wallets.push(wallet);
+    }
+
+    if (filter.balanceMinor && wallet.balanceMinor < filter.balanceMinor.$gte) {
+      return null;
+    }
+
+    wallet.balanceMinor += pipeline[0].$set.balanceMinor.$add[1];
+    return { ...wallet };
+  });
+
+  mock.method(Wallet, 'updateOne', async ({ _id }, pipeline) => {
+    const wallet = store.wallets.find(stored => stored._id.equals(_id));
+    wallet.balanceMinor += pipeline[0].$set.balanceMinor.$add[1];
+    return { modifiedCount: 1 };
+  });
+
+  mock.method(Wallet, 'findOne', async (filter) => findWallet(filter) || null);
+
+  mock.method(WalletTransaction, 'findOne', async (filter) => store.transactions.find(transaction => (
+    Object.entries(filter).every(([key, value]) => String(transaction[key]) === String(value))
+  )) || null);
+
+  mock.method(WalletTransaction, 'create', async (fields) => {
+    if (store.transactions.some(transaction => transaction.reference === fields.reference)) {
+      throw duplicateKeyError();
+    }
+    const transaction = { _id: new mongoose.Types.ObjectId(), ...fields };
+    store.transactions.push(transaction);
+    return transaction;
+  });
+
+  return store;
+};
+
+const userId = new mongoose.Types.ObjectId();
+
+const buildPayment = (fields = {}) => new Payment({
+  user: userId,
+  amountMinor: 4000,
+  currency: 'USD',
+  paymentMethod: 'wallet',
+  transactionId: 'TXN-WALLET-1',
+  ...fields
+});
+
+describe('wallets', () => {
+  let store;
+  let postWalletTransaction;
+
+  beforeEach(() => {
+    store = useWalletStore();
+    postWalletTransaction = mock.method(ledger, 'postWalletTransaction', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('credits a top-up to a new balance and posts it to the ledger', async () => {
+    const transaction = await wallets.topUpWallet(userId, { currency: 'USD', amountMinor: 5000, reason: 'Funding' });
+
+    assert.equal(transaction.type, WALLET_TRANSACTION_TYPES.TOP_UP);
+    assert.equal(transaction.balanceAfterMinor, 5000);
+    assert.equal(await wallets.getBalanceMinor(userId, 'USD'), 5000);
+    assert.equal(postWalletTransaction.mock.callCount(), 1);
+  });
+
+  it('debits a payment from the balance', async () => {
+    await wallets.topUpWallet(userId, { currency: 'USD', amountMinor: 5000 });
+
+    const debit = await wallets.debitForPayment(buildPayment());
+
+    assert.equal(debit.amountMinor, -4000);
+    assert.equal(debit.reference, 'payment:TXN-WALLET-1');
+    assert.equal(await wallets.getBalanceMinor(userId, 'USD'), 1000);
+  });
+
+  it('refuses a debit the balance does not cover and leaves the balance alone', async () => {
+    await wallets.topUpWallet(userId, { currency: 'USD', amountMinor: 3000 });
+
+    const debit = await wallets.debitForPayment(buildPayment());
+
+    assert.equal(debit, null);
+    assert.equal(await wallets.getBalanceMinor(userId, 'USD'), 3000);
+    assert.equal(store.transactions.length, 1);
+  });
+
+  it('debits a payment only once however often it is captured', async () => {
+    await wallets.topUpWallet(userId, { currency: 'USD', amountMinor: 10000 });
+    const payment = buildPayment();
+
+    const first = await wallets.debitForPayment(payment);
+    const second = await wallets.debitForPayment(payment);
+
+    assert.equal(second._id, first._id);
+    assert.equal(await wallets.getBalanceMinor(userId, 'USD'), 6000);
+  });
+
+  it('gives back a debit recorded concurrently under the same reference', async () => {
+    await wallets.topUpWallet(userId, { currency: 'USD', amountMinor: 10000 });
+    const payment = buildPayment();
+    const concurrent = { _id: new mongoose.Types.ObjectId(), reference: 'payment:TXN-WALLET-1', amountMinor: -4000 };
+
+    // The other request records its debit between this one's lookup and insert
+    const findOne = WalletTransaction.findOne;
+    mock.method(WalletTransaction, 'findOne', async (filter) => {
+      if (!store.transactions.includes(concurrent)) {
+        const notYetRecorded = await findOne(filter);
+        store.transactions.push(concurrent);
+        store.wallets[0].balanceMinor -= 4000;
+        return notYetRecorded;
+      }
+      return findOne(filter);
+    });
+
+    const debit = await wallets.debitForPayment(payment);
+
+    assert.equal(debit, concurrent);
+    assert.equal(await wallets.getBalanceMinor(userId, 'USD'), 6000);
+  });
+
+  it('lowers a balance by an adjustment without taking it below zero', async () => {
+    await wallets.topUpWallet(userId, { currency: 'USD', amountMinor: 1000 });
+
+    const refused = await wallets.adjustWallet(userId, { currency: 'USD', amountMinor: -1500, reason: 'Correction' });
+    const applied = await wallets.adjustWallet(userId, { currency: 'USD', amountMinor: -400, reason: 'Correction' });
+
+    assert.equal(refused, null);
+    assert.equal(applied.balanceAfterMinor, 600);
+    assert.equal(postWalletTransaction.mock.callCount(), 2);
+  });
+
+  it('credits a refund once and stamps it as credited', async () => {
+    const stamp = mock.method(Refund, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const payment = buildPayment();
+    const refund = new Refund({ payment: payment._id, amountMinor: 1500, currency: 'USD', refundedBy: userId });
+
+    const first = await wallets.creditRefund(payment, refund);
+    const second = await wallets.creditRefund(payment, refund);
+
+    assert.equal(first.type, WALLET_TRANSACTION_TYPES.REFUND);
+    assert.equal(first.reference, `refund:${refund.refundId}`);
+    assert.equal(second._id, first._id);
+    assert.equal(await wallets.getBalanceMinor(userId, 'USD'), 1500);
+
+    const [filter, update] = stamp.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: refund._id, walletCreditedAt: null });
+    assert.ok(update.$set.walletCreditedAt instanceof Date);
+  });
+
+  it('logs a refund credit that fails instead of throwing', async () => {
+    mock.method(WalletTransaction, 'findOne', async () => {
+      throw new Error('database unavailable');
+    });
+    const logged = mock.method(console, 'error', () => {});
+    const payment = buildPayment();
+    const refund = new Refund({ payment: payment._id, amountMinor: 1500, currency: 'USD', refundedBy: userId });
+
+    const transaction = await wallets.creditRefundSafely(payment, refund);
+
+    assert.equal(transaction, null);
+    assert.equal(logged.mock.callCount(), 1);
+  });
+
+  it('credits the refunds that are still owed to wallets', async () => {
+    mock.method(Refund, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(console, 'warn', () => {});
+    const payment = buildPayment();
+    const owed = new Refund({ payment: payment._id, amountMinor: 700, currency: 'USD', refundedBy: userId });
+    const orphaned = new Refund({ payment: payment._id, amountMinor: 300, currency: 'USD', refundedBy: userId });
+    const find = mock.method(Refund, 'find', () => mockQuery([
+      Object.assign(owed, { payment }),
+      Object.assign(orphaned, { payment: null })
+    ]));
+
+    const credited = await wallets.creditPendingRefunds(10);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { creditsWallet: true, walletCreditedAt: null });
+    assert.equal(credited, 1);
+    assert.equal(await wallets.getBalanceMinor(userId, 'USD'), 700);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const { isPrivateAddress, checkWebhookUrl } = require('../src/utils/webhookUrls');
+
+describe('webhook URLs', () => {
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    mock.restoreAll();
+  });
+
+  it('classifies loopback, link-local and private addresses', () => {
+    ['127.0.0.1', '10.0.0.8', '172.16.5.4', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fe80::1', 'fd12::1', '::ffff:10.0.0.1']
+      .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888']
+      .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  });
+
+  it('refuses localhost and private IP literals, however they are written', async () => {
+    for (const url of ['http://localhost:4000/', 'http://api.localhost/', 'http://127.0.0.1/', 'http://2130706433/', 'http://[::1]/', 'https://10.1.2.3/hook']) {
+      assert.ok(await checkWebhookUrl(url), url);
+    }
+  });
+
+  it('refuses host names that resolve to private addresses', async () => {
+    mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+    assert.match(await checkWebhookUrl('https://hooks.example.com/'), /resolves to a loopback, link-local or private address/);
+  });
+
+  it('accepts public hosts and names that do not resolve yet', async () => {
+    mock.method(dns.promises, 'lookup', async (hostname) => {
+      if (hostname === 'hooks.example.com') return [{ address: '93.184.216.34', family: 4 }];
+      throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+    });
+
+    assert.equal(await checkWebhookUrl('https://hooks.example.com/'), null);
+    assert.equal(await checkWebhookUrl('https://not-yet.example.com/'), null);
+    assert.equal(await checkWebhookUrl('https://8.8.8.8/'), null);
+  });
+
+  it('allows private URLs when configured to', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+    assert.equal(await checkWebhookUrl('http://localhost:4000/'), null);
+  });
+});